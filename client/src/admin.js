@@ -7,6 +7,7 @@ console.log("--- admin.js executing ---");
 const ApiService = {
   baseUrl: "/api",
   csrfToken: null,
+  refreshPromise: null,
 
   async fetchCsrfToken() {
     try {
@@ -75,8 +76,10 @@ const ApiService = {
       }
     }
 
-    const headers = { "Content-Type": "application/json" };
-    const accessToken = localStorage.getItem("accessToken");
+    // Uploads go out as multipart; the browser sets the boundary header
+    const isFormData = data instanceof FormData;
+    const headers = isFormData ? {} : { "Content-Type": "application/json" };
+    const accessToken = AuthService.getAccessToken();
     if (accessToken) {
       headers.Authorization = `Bearer ${accessToken}`;
     }
@@ -94,7 +97,7 @@ const ApiService = {
     };
 
     if (data) {
-      options.body = JSON.stringify(data);
+      options.body = isFormData ? data : JSON.stringify(data);
     }
 
     try {
@@ -170,28 +173,62 @@ const ApiService = {
   },
 
   // --- Authentication ---
+  // useCookie: the server keeps the refresh token in an HttpOnly cookie
   async login(username, password) {
     return this.makeRequest(`${this.baseUrl}/admin/login`, "POST", {
       username,
       password,
+      useCookie: true,
     });
   },
 
+  // Second login step; also completes a setup forced at login
+  async loginTwoFactor(twoFactorToken, factor) {
+    return this.makeRequest(`${this.baseUrl}/admin/2fa/login`, "POST", {
+      twoFactorToken,
+      ...factor,
+      useCookie: true,
+    });
+  },
+
+  // Each refresh token works once, so parallel requests share one refresh
   async refreshToken() {
-    const currentRefreshToken = localStorage.getItem("refreshToken");
-    if (!currentRefreshToken) {
-      console.log("No refresh token found in localStorage.");
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.rotateTokens().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  },
+
+  // The access token only lives in memory, so this also runs on page load
+  async restoreSession() {
+    try {
+      return await this.refreshToken();
+    } catch {
       return null;
     }
+  },
+
+  async rotateTokens(isRetry = false) {
+    // The refresh token travels in the cookie; one saved by an older version
+    // of this page is sent once to move it there
+    const legacyRefreshToken = localStorage.getItem("refreshToken");
     try {
       const data = await this.makeRequest(
         `${this.baseUrl}/admin/refresh`,
         "POST",
-        { refreshToken: currentRefreshToken },
+        legacyRefreshToken
+          ? { refreshToken: legacyRefreshToken, useCookie: true }
+          : {},
       );
+      AuthService.setTokens(data.accessToken);
       console.log("Refresh token successful.");
       return data.accessToken;
     } catch (error) {
+      // Another tab may have rotated the cookie at the same moment; the
+      // browser holds the new one by now
+      if (!isRetry && !legacyRefreshToken) return this.rotateTokens(true);
       console.error("Refresh token failed:", error);
       AuthService.clearTokens();
       throw error;
@@ -210,7 +247,6 @@ const ApiService = {
         try {
           const newAccessToken = await this.refreshToken();
           if (newAccessToken) {
-            localStorage.setItem("accessToken", newAccessToken);
             console.log(`Retrying ${method} ${url} with new token.`);
             return await this.makeRequest(url, method, data); // Retry with original full URL
           } else {
@@ -265,6 +301,120 @@ const ApiService = {
     );
   },
 
+  // --- Article History (Admin) ---
+  async getArticleRevisions(articleId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/articles/${articleId}/revisions`,
+    );
+  },
+  async getRevisionDiff(articleId, revisionId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/articles/${articleId}/revisions/${revisionId}/diff${queryString ? `?${queryString}` : ""}`,
+    );
+  },
+  async restoreRevision(articleId, revisionId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/articles/${articleId}/revisions/${revisionId}/restore`,
+      "POST",
+    );
+  },
+
+  // --- Article View Statistics (Admin & Moderator) ---
+  async getArticleViews(articleId, days) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/articles/${articleId}/views?days=${days}`,
+    );
+  },
+
+  // --- Dashboard (Admin) ---
+  async getDashboard(days) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/dashboard?days=${days}`,
+    );
+  },
+
+  // --- Translations ---
+  async getTranslationQueue(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/translations?${queryString}`,
+    );
+  },
+  async assignTranslator(articleId, lang, translatorId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/translations/${articleId}/${lang}/assignee`,
+      "PUT",
+      { translatorId },
+    );
+  },
+  async reviewTranslation(articleId, lang) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/translations/${articleId}/${lang}/review`,
+      "POST",
+    );
+  },
+
+  // --- Tags ---
+  async getTags() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/tags`);
+  },
+  async createTag(tagData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/tags`,
+      "POST",
+      tagData,
+    );
+  },
+  async getCategories() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/categories`);
+  },
+  async createCategory(categoryData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/categories`,
+      "POST",
+      categoryData,
+    );
+  },
+  async updateCategory(id, categoryData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/categories/${id}`,
+      "PUT",
+      categoryData,
+    );
+  },
+  async deleteCategory(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/categories/${id}`,
+      "DELETE",
+    );
+  },
+
+  // --- Media Library ---
+  async getMedia({ page = 1, q = "" } = {}) {
+    const params = new URLSearchParams({ page, limit: 24 });
+    if (q) params.set("q", q);
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/media?${params}`,
+    );
+  },
+  async uploadMedia(file, alt = "") {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (alt) formData.append("alt", alt);
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/media`,
+      "POST",
+      formData,
+    );
+  },
+  async deleteMedia(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/media/${id}`,
+      "DELETE",
+    );
+  },
+
   // --- Users (Admin) ---
   async getUsers(filters = {}) {
     let queryString = "";
@@ -292,6 +442,105 @@ const ApiService = {
     );
   },
   // +++++++++++++++++++++++++++++
+  async updateUser(userId, { role, languages }) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/users/${userId}`,
+      "PUT",
+      { role, languages },
+    );
+  },
+
+  // --- Roles & Permissions ---
+  async getRoles() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/roles`);
+  },
+  async createRole(roleData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/roles`,
+      "POST",
+      roleData,
+    );
+  },
+  async updateRole(name, roleData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/roles/${encodeURIComponent(name)}`,
+      "PUT",
+      roleData,
+    );
+  },
+  async deleteRole(name) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/roles/${encodeURIComponent(name)}`,
+      "DELETE",
+    );
+  },
+
+  // --- Two-Factor Authentication ---
+  async getTwoFactorStatus() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/2fa`);
+  },
+  // With a twoFactorToken, while a login waits for the setup
+  async setupTwoFactor(twoFactorToken = null) {
+    const url = `${this.baseUrl}/admin/2fa/setup`;
+    return twoFactorToken
+      ? this.makeRequest(url, "POST", { twoFactorToken })
+      : this.makeAuthenticatedRequest(url, "POST");
+  },
+  async enableTwoFactor(code, twoFactorToken = null) {
+    const url = `${this.baseUrl}/admin/2fa/enable`;
+    return twoFactorToken
+      ? this.makeRequest(url, "POST", { twoFactorToken, code, useCookie: true })
+      : this.makeAuthenticatedRequest(url, "POST", { code });
+  },
+  async disableTwoFactor(password, factor) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/2fa/disable`,
+      "POST",
+      { password, ...factor },
+    );
+  },
+  async regenerateRecoveryCodes(code) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/2fa/recovery-codes`,
+      "POST",
+      { code },
+    );
+  },
+  async getTwoFactorPolicy() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/2fa/policy`);
+  },
+  async setTwoFactorPolicy(requireForAdmins) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/2fa/policy`,
+      "PUT",
+      { requireForAdmins },
+    );
+  },
+  // --- Sessions (own devices) ---
+  async logout() {
+    return this.makeRequest(`${this.baseUrl}/admin/logout`, "POST", {});
+  },
+  async logoutEverywhere() {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/logout-all`,
+      "POST",
+    );
+  },
+  async getSessions() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/sessions`);
+  },
+  async revokeSession(sessionId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/sessions/${sessionId}`,
+      "DELETE",
+    );
+  },
+  async resetUserTwoFactor(userId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/2fa/users/${userId}`,
+      "DELETE",
+    );
+  },
 
   // --- Suggestions ---
   async suggestArticleEdit(articleId, articleData) {
@@ -346,25 +595,183 @@ const ApiService = {
       `${this.baseUrl}/admin/suggestions/my`,
     );
   },
+
+  // --- Competitions (Admin) ---
+  async getCompetitions() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/competitions`);
+  },
+  async getCompetition(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${id}`,
+    );
+  },
+  async createCompetition(competitionData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions`,
+      "POST",
+      competitionData,
+    );
+  },
+  async updateCompetition(id, competitionData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${id}`,
+      "PUT",
+      competitionData,
+    );
+  },
+  async deleteCompetition(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${id}`,
+      "DELETE",
+    );
+  },
+  async getRegistrations(competitionId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/registrations`,
+    );
+  },
+  async getResults(competitionId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/results`,
+    );
+  },
+  async createResult(competitionId, resultData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/results`,
+      "POST",
+      resultData,
+    );
+  },
+  async updateResult(competitionId, resultId, resultData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/results/${resultId}`,
+      "PUT",
+      resultData,
+    );
+  },
+  async deleteResult(competitionId, resultId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/results/${resultId}`,
+      "DELETE",
+    );
+  },
+  async getPointsTable() {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/rankings/points-table`,
+    );
+  },
+  async updatePointsTable(pointsTable) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/rankings/points-table`,
+      "PUT",
+      pointsTable,
+    );
+  },
+  async reviewRegistration(competitionId, registrationId, action) {
+    // action: "approve" | "reject" | "waitlist"
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/competitions/${competitionId}/registrations/${registrationId}/${action}`,
+      "POST",
+    );
+  },
+  async getClubs() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/clubs`);
+  },
+  async getClub(id) {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/clubs/${id}`);
+  },
+  async createClub(clubData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/clubs`,
+      "POST",
+      clubData,
+    );
+  },
+  async updateClub(id, clubData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/clubs/${id}`,
+      "PUT",
+      clubData,
+    );
+  },
+  async deleteClub(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/clubs/${id}`,
+      "DELETE",
+    );
+  },
+  async getAthletes() {
+    return this.makeAuthenticatedRequest(`${this.baseUrl}/admin/athletes`);
+  },
+  async getAthlete(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${id}`,
+    );
+  },
+  async createAthlete(athleteData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes`,
+      "POST",
+      athleteData,
+    );
+  },
+  async updateAthlete(id, athleteData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${id}`,
+      "PUT",
+      athleteData,
+    );
+  },
+  async deleteAthlete(id) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${id}`,
+      "DELETE",
+    );
+  },
+  async addMembership(athleteId, membershipData) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${athleteId}/memberships`,
+      "POST",
+      membershipData,
+    );
+  },
+  async deleteMembership(athleteId, membershipId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${athleteId}/memberships/${membershipId}`,
+      "DELETE",
+    );
+  },
+  async linkAthleteResults(athleteId) {
+    return this.makeAuthenticatedRequest(
+      `${this.baseUrl}/admin/athletes/${athleteId}/link-results`,
+      "POST",
+    );
+  },
 }; // End of ApiService
 
 // --- Auth Service ---
+// The short-lived access token is only kept in memory, where scripts on other
+// pages can't read it; the refresh token is an HttpOnly cookie
 const AuthService = {
+  accessToken: null,
   isLoggedIn() {
-    return (
-      localStorage.getItem("accessToken") !== null &&
-      localStorage.getItem("refreshToken") !== null
-    );
+    return this.accessToken !== null;
   },
-  setTokens(accessToken, refreshToken) {
-    localStorage.setItem("accessToken", accessToken);
-    localStorage.setItem("refreshToken", refreshToken);
+  getAccessToken() {
+    return this.accessToken;
+  },
+  setTokens(accessToken) {
+    this.accessToken = accessToken;
+    // Left by older versions of this page
+    localStorage.removeItem("accessToken");
+    localStorage.removeItem("refreshToken");
   },
   clearTokens() {
+    this.accessToken = null;
     localStorage.removeItem("accessToken");
     localStorage.removeItem("refreshToken");
     ApiService.csrfToken = null;
-    console.log("Tokens cleared from localStorage.");
+    console.log("Tokens cleared.");
   },
 };
 
@@ -397,6 +804,16 @@ const AdminUI = {
     articleCategory: document.getElementById("article-category"),
     articleAuthor: document.getElementById("article-author"),
     articleImage: document.getElementById("article-image"),
+    articlePublishing: document.getElementById("article-publishing"),
+    articleStatus: document.getElementById("article-status"),
+    articlePublishAtWrapper: document.getElementById(
+      "article-publish-at-wrapper",
+    ),
+    articlePublishAt: document.getElementById("article-publish-at"),
+    articleTagsFieldset: document.getElementById("article-tags-fieldset"),
+    articleTagsContainer: document.getElementById("article-tags"),
+    newTagButton: document.getElementById("new-tag-button"),
+    tagFormMessage: document.getElementById("tag-form-message"),
     articleSubmit: document.getElementById("article-submit"),
     articleFormMessage: document.getElementById("article-form-message"),
     loginMessage: document.getElementById("login-message"),
@@ -411,6 +828,16 @@ const AdminUI = {
       "moderators-list-container",
     ),
     createModeratorForm: document.getElementById("create-moderator-form"),
+    userManagement: document.getElementById("user-management"),
+    suggestionsReview: document.getElementById("suggestions-review"),
+    manageRolesButtonWrapper: document.getElementById(
+      "manage-roles-button-wrapper",
+    ),
+    manageRolesButton: document.getElementById("manage-roles-button"),
+    rolesSection: document.getElementById("roles-section"),
+    rolesContainer: document.getElementById("roles-container"),
+    roleForm: document.getElementById("role-form"),
+    roleFormMessage: document.getElementById("role-form-message"),
     suggestionsListContainer: document.getElementById(
       "suggestions-list-container",
     ),
@@ -421,9 +848,117 @@ const AdminUI = {
     modalTitle: document.getElementById("modal-title"),
     modalBody: document.getElementById("modal-body"),
     modalCloseButton: document.getElementById("modal-close-button"),
+    articleImageLibraryButton: document.getElementById(
+      "article-image-library-button",
+    ),
+    manageCompetitionsButtonWrapper: document.getElementById(
+      "manage-competitions-button-wrapper",
+    ),
+    manageCompetitionsButton: document.getElementById(
+      "manage-competitions-button",
+    ),
+    competitionsSection: document.getElementById("competitions-section"),
+    competitionForm: document.getElementById("competition-form"),
+    competitionFormHeading: document.getElementById("competition-form-heading"),
+    competitionSubmit: document.getElementById("competition-submit"),
+    competitionCancelButton: document.getElementById(
+      "competition-cancel-button",
+    ),
+    competitionFormMessage: document.getElementById("competition-form-message"),
+    competitionsListContainer: document.getElementById(
+      "competitions-list-container",
+    ),
+    competitionFormWrapper: document.getElementById("competition-form-wrapper"),
+    pointsTableWrapper: document.getElementById("points-table-wrapper"),
+    pointsTableForm: document.getElementById("points-table-form"),
+    pointsTableMessage: document.getElementById("points-table-message"),
+    resultsPanel: document.getElementById("results-panel"),
+    resultsHeading: document.getElementById("results-heading"),
+    resultsContainer: document.getElementById("results-container"),
+    resultForm: document.getElementById("result-form"),
+    resultCancelButton: document.getElementById("result-cancel-button"),
+    resultFormMessage: document.getElementById("result-form-message"),
+    registrationsPanel: document.getElementById("registrations-panel"),
+    registrationsHeading: document.getElementById("registrations-heading"),
+    registrationsContainer: document.getElementById("registrations-container"),
+    manageTranslationsButtonWrapper: document.getElementById(
+      "manage-translations-button-wrapper",
+    ),
+    manageTranslationsButton: document.getElementById(
+      "manage-translations-button",
+    ),
+    translationsSection: document.getElementById("translations-section"),
+    translationsFilter: document.getElementById("translations-filter"),
+    translationsLang: document.getElementById("translations-lang"),
+    translationsStatus: document.getElementById("translations-status"),
+    translationsMine: document.getElementById("translations-mine"),
+    translationsMessage: document.getElementById("translations-message"),
+    translationsListContainer: document.getElementById(
+      "translations-list-container",
+    ),
+    twoFactorForm: document.getElementById("two-factor-form"),
+    twoFactorCode: document.getElementById("two-factor-code"),
+    twoFactorCancel: document.getElementById("two-factor-cancel"),
+    twoFactorLoginSetup: document.getElementById("two-factor-login-setup"),
+    securityButton: document.getElementById("security-button"),
+    securitySection: document.getElementById("security-section"),
+    securityMessage: document.getElementById("security-message"),
+    securityContainer: document.getElementById("security-container"),
+    twoFactorPolicyWrapper: document.getElementById(
+      "two-factor-policy-wrapper",
+    ),
+    twoFactorPolicy: document.getElementById("two-factor-policy"),
+    sessionsContainer: document.getElementById("sessions-container"),
+    logoutEverywhereButton: document.getElementById("logout-everywhere-button"),
+    dashboardSection: document.getElementById("dashboard-section"),
+    dashboardContainer: document.getElementById("dashboard-container"),
+    dashboardDays: document.getElementById("dashboard-days"),
+    manageCategoriesButtonWrapper: document.getElementById(
+      "manage-categories-button-wrapper",
+    ),
+    manageCategoriesButton: document.getElementById("manage-categories-button"),
+    categoriesSection: document.getElementById("categories-section"),
+    categoryForm: document.getElementById("category-form"),
+    categoryFormHeading: document.getElementById("category-form-heading"),
+    categorySubmit: document.getElementById("category-submit"),
+    categoryCancelButton: document.getElementById("category-cancel-button"),
+    categoryFormMessage: document.getElementById("category-form-message"),
+    categoriesListContainer: document.getElementById(
+      "categories-list-container",
+    ),
+    manageProfilesButtonWrapper: document.getElementById(
+      "manage-profiles-button-wrapper",
+    ),
+    manageProfilesButton: document.getElementById("manage-profiles-button"),
+    profilesSection: document.getElementById("profiles-section"),
+    clubForm: document.getElementById("club-form"),
+    clubFormHeading: document.getElementById("club-form-heading"),
+    clubSubmit: document.getElementById("club-submit"),
+    clubCancelButton: document.getElementById("club-cancel-button"),
+    clubFormMessage: document.getElementById("club-form-message"),
+    clubsListContainer: document.getElementById("clubs-list-container"),
+    athleteForm: document.getElementById("athlete-form"),
+    athleteFormHeading: document.getElementById("athlete-form-heading"),
+    athleteSubmit: document.getElementById("athlete-submit"),
+    athleteCancelButton: document.getElementById("athlete-cancel-button"),
+    athleteFormMessage: document.getElementById("athlete-form-message"),
+    athletesListContainer: document.getElementById("athletes-list-container"),
+    membershipsPanel: document.getElementById("memberships-panel"),
+    membershipsContainer: document.getElementById("memberships-container"),
+    membershipForm: document.getElementById("membership-form"),
+    membershipFormMessage: document.getElementById("membership-form-message"),
   },
+  currentClubs: [],
+  currentRegistrationsCompetitionId: null,
+  currentResultsCompetition: null,
+  currentResults: [],
   currentUserRole: null,
+  // Permissions of the user's role, from /admin/me
+  permissions: new Set(),
+  currentUserLanguages: null,
+  roles: [],
   quillInstances: { en: null, rus: null, mng: null },
+  mediaLibrary: { onSelect: null, page: 1, items: [] },
 
   initialize() {
     console.log("AdminUI initialize START");
@@ -439,7 +974,7 @@ const AdminUI = {
     }
     this.setupEventListeners();
     console.log("Fetching CSRF token in initialize...");
-    this.updateUI();
+    ApiService.restoreSession().then(() => this.updateUI());
   },
 
   initQuillEditor() {
@@ -458,7 +993,13 @@ const AdminUI = {
         try {
           this.quillInstances[lang] = new Quill(container, {
             theme: "snow",
-            modules: { toolbar: toolbarOptions },
+            modules: {
+              toolbar: {
+                container: toolbarOptions,
+                // Images come from the media library instead of base64 embeds
+                handlers: { image: () => this.insertLibraryImage(lang) },
+              },
+            },
             placeholder: `Write ${lang.toUpperCase()} content...`,
           });
           this.quillInstances[lang].on("text-change", (d, o, s) => {
@@ -495,6 +1036,19 @@ const AdminUI = {
       "click",
       this.handleNewArticleClick.bind(this),
     );
+    this.elements.articleStatus?.addEventListener("change", () =>
+      this.togglePublishAtField(),
+    );
+    this.elements.newTagButton?.addEventListener(
+      "click",
+      this.handleNewTagClick.bind(this),
+    );
+    // Enter in the new-tag inputs adds the tag instead of submitting the article
+    this.elements.articleTagsFieldset?.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || !e.target.id?.startsWith("new-tag-")) return;
+      e.preventDefault();
+      this.handleNewTagClick();
+    });
     this.elements.cancelButton?.addEventListener(
       "click",
       this.handleCancelClick.bind(this),
@@ -507,6 +1061,22 @@ const AdminUI = {
       "click",
       this.handleManageModeratorsClick.bind(this),
     );
+    this.elements.manageRolesButton?.addEventListener(
+      "click",
+      this.handleManageRolesClick.bind(this),
+    );
+    this.elements.roleForm?.addEventListener(
+      "submit",
+      this.handleRoleSubmit.bind(this),
+    );
+    this.elements.rolesContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn?.dataset.role) return;
+      if (btn.classList.contains("save-role"))
+        this.handleSaveRole(btn.dataset.role, btn);
+      else if (btn.classList.contains("delete-role"))
+        this.handleDeleteRole(btn.dataset.role, btn);
+    });
     this.elements.articlesContainer?.addEventListener("click", (e) => {
       const btn = e.target.closest("button");
       if (!btn) return;
@@ -516,8 +1086,12 @@ const AdminUI = {
         this.loadArticleForEditing(id);
       else if (btn.classList.contains("delete-article"))
         this.handleDeleteArticle(id);
+      else if (btn.classList.contains("history-article"))
+        this.showArticleHistory(id);
       else if (btn.classList.contains("suggest-edit-article"))
         this.handleSuggestEditClick(id);
+      else if (btn.classList.contains("views-article"))
+        this.showArticleViews(id);
     });
     this.elements.suggestionsListContainer?.addEventListener("click", (e) => {
       const btn = e.target.closest("button");
@@ -538,15 +1112,234 @@ const AdminUI = {
       if (e.target === this.elements.suggestionModal)
         this.closeSuggestionModal();
     });
-    // Add listener for moderator list actions
-    this.elements.moderatorsListContainer?.addEventListener(
+    this.elements.articleImageLibraryButton?.addEventListener("click", () =>
+      this.openMediaLibrary((media) => {
+        this.elements.articleForm.querySelector("#article-image").value =
+          media.variants.large?.url || media.url;
+      }),
+    );
+    // Media library controls rendered inside the modal
+    this.elements.modalBody?.addEventListener("click", (e) => {
+      const target = e.target.closest("[data-media-action]");
+      if (target) this.handleMediaLibraryAction(target);
+    });
+    this.elements.modalBody?.addEventListener("submit", (e) => {
+      if (e.target.id !== "media-search-form") return;
+      e.preventDefault();
+      this.loadMediaLibraryPage(1);
+    });
+    // Article history actions rendered inside the modal
+    this.elements.modalBody?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      const { articleId, revisionId } = btn?.dataset || {};
+      if (!articleId || !revisionId) return;
+      if (btn.classList.contains("diff-revision"))
+        this.showRevisionDiff(articleId, revisionId);
+      else if (btn.classList.contains("restore-revision"))
+        this.handleRestoreRevision(articleId, revisionId, btn);
+    });
+    // Two-factor login step and own two-factor settings
+    this.elements.twoFactorForm?.addEventListener(
+      "submit",
+      this.handleTwoFactorSubmit.bind(this),
+    );
+    this.elements.twoFactorCancel?.addEventListener("click", () => {
+      this.resetLoginSteps();
+      this.displayMessage(this.elements.loginMessage, "", 0);
+    });
+    this.elements.twoFactorLoginSetup?.addEventListener(
+      "submit",
+      this.handleLoginSetupSubmit.bind(this),
+    );
+    this.elements.securityButton?.addEventListener("click", () =>
+      this.handleSecurityClick(),
+    );
+    this.elements.securityContainer?.addEventListener(
       "click",
-      this.handleModeratorActionClick.bind(this),
+      this.handleSecurityActionClick.bind(this),
     );
-  },
-
+    this.elements.securityContainer?.addEventListener(
+      "submit",
+      this.handleSecurityFormSubmit.bind(this),
+    );
+    this.elements.twoFactorPolicy?.addEventListener("change", () =>
+      this.handleTwoFactorPolicyChange(),
+    );
+    this.elements.sessionsContainer?.addEventListener(
+      "click",
+      this.handleSessionActionClick.bind(this),
+    );
+    this.elements.logoutEverywhereButton?.addEventListener(
+      "click",
+      this.handleLogoutEverywhere.bind(this),
+    );
+    // Translation queue (Admin & Moderator)
+    this.elements.manageTranslationsButton?.addEventListener("click", () =>
+      this.handleManageTranslationsClick(),
+    );
+    this.elements.translationsFilter?.addEventListener("change", () =>
+      this.loadTranslations(),
+    );
+    this.elements.translationsListContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      const { articleId, lang } = btn?.dataset || {};
+      if (!articleId) return;
+      if (btn.classList.contains("edit-translation"))
+        this.loadArticleForEditing(articleId);
+      else if (btn.classList.contains("review-translation"))
+        this.handleReviewTranslation(articleId, lang, btn);
+    });
+    this.elements.translationsListContainer?.addEventListener("change", (e) => {
+      if (!e.target.classList.contains("assign-translator")) return;
+      const { articleId, lang } = e.target.dataset;
+      this.handleAssignTranslator(articleId, lang, e.target.value);
+    });
+    this.elements.dashboardDays?.addEventListener("change", () =>
+      this.loadDashboard(),
+    );
+    this.elements.dashboardContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button.views-article");
+      if (btn) this.showArticleViews(btn.dataset.id);
+    });
+    // Period picker of the article views chart
+    this.elements.modalBody?.addEventListener("change", (e) => {
+      if (e.target.id !== "article-views-days") return;
+      this.showArticleViews(e.target.dataset.articleId, e.target.value);
+    });
+    // Add listener for moderator list actions
+    this.elements.moderatorsListContainer?.addEventListener(
+      "click",
+      this.handleModeratorActionClick.bind(this),
+    );
+    // Competition management (Admin only)
+    this.elements.manageCompetitionsButton?.addEventListener(
+      "click",
+      this.handleManageCompetitionsClick.bind(this),
+    );
+    this.elements.competitionForm?.addEventListener(
+      "submit",
+      this.handleCompetitionSubmit.bind(this),
+    );
+    this.elements.competitionCancelButton?.addEventListener("click", () =>
+      this.resetCompetitionForm(),
+    );
+    this.elements.competitionsListContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      const id = btn.dataset.competitionId;
+      if (!id) return;
+      if (btn.classList.contains("edit-competition"))
+        this.loadCompetitionForEditing(id);
+      else if (btn.classList.contains("delete-competition"))
+        this.handleDeleteCompetition(id, btn);
+      else if (btn.classList.contains("view-registrations"))
+        this.loadRegistrations(id);
+      else if (btn.classList.contains("view-results")) this.loadResults(id);
+    });
+    this.elements.pointsTableForm?.addEventListener(
+      "submit",
+      this.handlePointsTableSubmit.bind(this),
+    );
+    // Results entry (Admin & Moderator judges)
+    this.elements.resultForm?.addEventListener(
+      "submit",
+      this.handleResultSubmit.bind(this),
+    );
+    this.elements.resultCancelButton?.addEventListener("click", () =>
+      this.resetResultForm(),
+    );
+    this.elements.resultsContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      const id = btn.dataset.resultId;
+      if (!id) return;
+      if (btn.classList.contains("edit-result")) this.editResult(id);
+      else if (btn.classList.contains("delete-result"))
+        this.handleDeleteResult(id, btn);
+    });
+    this.elements.registrationsContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      if (!btn) return;
+      const id = btn.dataset.registrationId,
+        action = btn.dataset.action;
+      if (id && action) this.handleReviewRegistration(id, action, btn);
+    });
+    // Article categories (Admin only)
+    this.elements.manageCategoriesButton?.addEventListener(
+      "click",
+      this.handleManageCategoriesClick.bind(this),
+    );
+    this.elements.categoryForm?.addEventListener(
+      "submit",
+      this.handleCategorySubmit.bind(this),
+    );
+    this.elements.categoryCancelButton?.addEventListener("click", () =>
+      this.resetCategoryForm(),
+    );
+    this.elements.categoriesListContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      const id = btn?.dataset.categoryId;
+      if (!id) return;
+      if (btn.classList.contains("edit-category"))
+        this.loadCategoryForEditing(id);
+      else if (btn.classList.contains("delete-category"))
+        this.handleDeleteCategory(id, btn);
+    });
+    // Athlete & club profiles (Admin only)
+    this.elements.manageProfilesButton?.addEventListener(
+      "click",
+      this.handleManageProfilesClick.bind(this),
+    );
+    this.elements.clubForm?.addEventListener(
+      "submit",
+      this.handleClubSubmit.bind(this),
+    );
+    this.elements.clubCancelButton?.addEventListener("click", () =>
+      this.resetClubForm(),
+    );
+    this.elements.clubsListContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      const id = btn?.dataset.clubId;
+      if (!id) return;
+      if (btn.classList.contains("edit-club")) this.loadClubForEditing(id);
+      else if (btn.classList.contains("delete-club"))
+        this.handleDeleteClub(id, btn);
+    });
+    this.elements.athleteForm?.addEventListener(
+      "submit",
+      this.handleAthleteSubmit.bind(this),
+    );
+    this.elements.athleteCancelButton?.addEventListener("click", () =>
+      this.resetAthleteForm(),
+    );
+    this.elements.athletesListContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button");
+      const id = btn?.dataset.athleteId;
+      if (!id) return;
+      if (btn.classList.contains("edit-athlete"))
+        this.loadAthleteForEditing(id);
+      else if (btn.classList.contains("delete-athlete"))
+        this.handleDeleteAthlete(id, btn);
+      else if (btn.classList.contains("link-results"))
+        this.handleLinkResults(id, btn);
+    });
+    this.elements.membershipForm?.addEventListener(
+      "submit",
+      this.handleMembershipSubmit.bind(this),
+    );
+    this.elements.membershipsContainer?.addEventListener("click", (e) => {
+      const btn = e.target.closest("button.delete-membership");
+      if (btn) this.handleDeleteMembership(btn.dataset.membershipId, btn);
+    });
+  },
+
+  /** True when the user's role has any of the given permissions. */
+  can(...permissions) {
+    return permissions.some((p) => this.permissions.has(p));
+  },
+
   handleManageModeratorsClick() {
-    if (this.currentUserRole !== "admin") return;
+    if (!this.can("users.manage", "suggestions.review")) return;
     const section = this.elements.moderatorsSection;
     if (!section) return;
     section.classList.toggle("hidden");
@@ -556,10 +1349,49 @@ const AdminUI = {
     }
   },
 
+  handleManageRolesClick() {
+    if (!this.can("roles.manage")) return;
+    const section = this.elements.rolesSection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) this.loadRoles();
+  },
+
+  handleManageCompetitionsClick() {
+    if (!this.can("competitions.view")) return;
+    const section = this.elements.competitionsSection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) {
+      this.loadCompetitions();
+      if (this.can("rankings.manage")) this.loadPointsTable();
+    }
+  },
+
+  handleManageCategoriesClick() {
+    if (!this.can("taxonomy.manage")) return;
+    const section = this.elements.categoriesSection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) this.loadCategories();
+  },
+
+  handleManageProfilesClick() {
+    if (!this.can("athletes.manage")) return;
+    const section = this.elements.profilesSection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) {
+      this.loadClubs();
+      this.loadAthletes();
+    }
+  },
+
   async updateUI() {
     console.log("Checking login status...");
     const loggedIn = AuthService.isLoggedIn();
     this.currentUserRole = null;
+    this.permissions = new Set();
     this.elements.loginPanel?.classList.toggle("hidden", loggedIn);
     this.elements.adminPanel?.classList.toggle("hidden", !loggedIn);
 
@@ -568,56 +1400,125 @@ const AdminUI = {
       try {
         const userInfo = await ApiService.getMe();
         this.currentUserRole = userInfo?.role;
-        if (
-          !this.currentUserRole ||
-          !["admin", "moderator"].includes(this.currentUserRole)
-        )
+        this.permissions = new Set(userInfo?.permissions || []);
+        this.currentUserLanguages = userInfo?.languages ?? null;
+        if (!this.currentUserRole || !this.permissions.size)
           throw new Error("Invalid user role");
         console.log("[Admin UI] User Role:", this.currentUserRole);
         this.renderUIForRole();
+        if (this.can("dashboard.view")) this.loadDashboard();
         this.loadArticles();
-        if (this.currentUserRole === "moderator") this.loadMySuggestions();
+        if (this.suggestsArticles()) this.loadMySuggestions();
       } catch (error) {
         console.error("[Admin UI] Error updating UI:", error);
+        // Not a reload: the refresh cookie would sign the page straight back in
         AuthService.clearTokens();
-        window.location.reload(); // Force reload on error
+        this.updateUI();
       }
     } else {
       this.clearAdminContent();
     }
   },
 
+  // Users who can't edit articles directly send suggestions instead
+  suggestsArticles() {
+    return (
+      !this.can("articles.edit") &&
+      this.can("articles.suggest", "translations.edit")
+    );
+  },
+
   renderUIForRole() {
-    const isAdmin = this.currentUserRole === "admin";
-    const isModerator = this.currentUserRole === "moderator";
+    const canEdit = this.can("articles.edit");
     this.elements.manageModeratorsButtonWrapper?.classList.toggle(
       "hidden",
-      !isAdmin,
+      !this.can("users.manage", "suggestions.review"),
     );
     this.elements.moderatorsSection?.classList.add("hidden"); // Always hide admin section initially
+    this.elements.userManagement?.classList.toggle(
+      "hidden",
+      !this.can("users.manage"),
+    );
+    this.elements.suggestionsReview?.classList.toggle(
+      "hidden",
+      !this.can("suggestions.review"),
+    );
+    this.elements.manageRolesButtonWrapper?.classList.toggle(
+      "hidden",
+      !this.can("roles.manage"),
+    );
+    this.elements.rolesSection?.classList.add("hidden");
+    this.elements.securitySection?.classList.add("hidden");
+    this.elements.twoFactorPolicyWrapper?.classList.toggle(
+      "hidden",
+      !this.can("users.manage"),
+    );
+    this.elements.dashboardSection?.classList.toggle(
+      "hidden",
+      !this.can("dashboard.view"),
+    );
+    this.elements.manageTranslationsButtonWrapper?.classList.toggle(
+      "hidden",
+      !this.can("translations.edit", "translations.manage"),
+    );
+    this.elements.translationsSection?.classList.add("hidden");
+    // Judges see competitions too, but only to enter results
+    this.elements.manageCompetitionsButtonWrapper?.classList.toggle(
+      "hidden",
+      !this.can("competitions.view"),
+    );
+    if (this.elements.manageCompetitionsButton) {
+      this.elements.manageCompetitionsButton.textContent = this.can(
+        "competitions.manage",
+        "competitions.registrations",
+      )
+        ? "Manage Competitions"
+        : "Enter Results";
+    }
+    this.elements.competitionFormWrapper?.classList.toggle(
+      "hidden",
+      !this.can("competitions.manage"),
+    );
+    this.elements.pointsTableWrapper?.classList.toggle(
+      "hidden",
+      !this.can("rankings.manage"),
+    );
+    this.elements.competitionsSection?.classList.add("hidden");
+    this.elements.manageProfilesButtonWrapper?.classList.toggle(
+      "hidden",
+      !this.can("athletes.manage"),
+    );
+    this.elements.profilesSection?.classList.add("hidden");
+    this.elements.manageCategoriesButtonWrapper?.classList.toggle(
+      "hidden",
+      !this.can("taxonomy.manage"),
+    );
+    this.elements.categoriesSection?.classList.add("hidden");
     this.elements.moderatorSuggestionsSection?.classList.toggle(
       "hidden",
-      !isModerator,
+      !this.suggestsArticles(),
     );
     this.elements.newArticleButton?.classList.toggle(
       "hidden",
-      !isAdmin && !isModerator,
+      !this.can("articles.edit", "articles.suggest"),
     );
+    this.elements.articlePublishing?.classList.toggle("hidden", !canEdit);
+    this.elements.articleTagsFieldset?.classList.toggle("hidden", !canEdit);
 
     if (this.elements.newArticleButton) {
-      this.elements.newArticleButton.textContent = isAdmin
+      this.elements.newArticleButton.textContent = canEdit
         ? "Create New Article"
         : "Suggest New Article";
     }
     if (this.elements.articleSubmit) {
-      this.elements.articleSubmit.textContent = isAdmin
+      this.elements.articleSubmit.textContent = canEdit
         ? this.elements.articleId.value
           ? "Update Article"
           : "Create Article"
         : "Submit Suggestion";
     }
     if (this.elements.formHeading) {
-      this.elements.formHeading.textContent = isAdmin
+      this.elements.formHeading.textContent = canEdit
         ? this.elements.articleId.value
           ? "Edit Article"
           : "Create New Article"
@@ -635,20 +1536,280 @@ const AdminUI = {
   },
 
   clearAdminContent() {
+    this.elements.securitySection?.classList.add("hidden");
+    this.elements.securityContainer &&
+      (this.elements.securityContainer.innerHTML = "");
+    this.elements.sessionsContainer &&
+      (this.elements.sessionsContainer.innerHTML = "");
+    this.elements.dashboardSection?.classList.add("hidden");
+    this.elements.dashboardContainer &&
+      (this.elements.dashboardContainer.innerHTML = "");
+    this.elements.translationsSection?.classList.add("hidden");
+    this.elements.translationsListContainer &&
+      (this.elements.translationsListContainer.innerHTML = "");
+    this.translators = [];
     this.elements.articlesContainer &&
       (this.elements.articlesContainer.innerHTML = "");
     this.elements.articleFormContainer?.classList.add("hidden");
     this.elements.moderatorsSection?.classList.add("hidden");
     this.elements.moderatorsListContainer &&
       (this.elements.moderatorsListContainer.innerHTML = "");
+    this.elements.rolesSection?.classList.add("hidden");
+    this.elements.rolesContainer &&
+      (this.elements.rolesContainer.innerHTML = "");
+    this.roles = [];
     this.elements.suggestionsListContainer &&
       (this.elements.suggestionsListContainer.innerHTML = "");
     this.elements.moderatorSuggestionsSection &&
       (this.elements.moderatorSuggestionsSection.innerHTML = "");
+    this.elements.competitionsSection?.classList.add("hidden");
+    this.elements.competitionsListContainer &&
+      (this.elements.competitionsListContainer.innerHTML = "");
+    this.elements.registrationsPanel?.classList.add("hidden");
+    this.currentRegistrationsCompetitionId = null;
+    this.elements.resultsPanel?.classList.add("hidden");
+    this.currentResultsCompetition = null;
+    this.elements.profilesSection?.classList.add("hidden");
+    this.elements.clubsListContainer &&
+      (this.elements.clubsListContainer.innerHTML = "");
+    this.elements.athletesListContainer &&
+      (this.elements.athletesListContainer.innerHTML = "");
+    this.currentClubs = [];
+    this.elements.categoriesSection?.classList.add("hidden");
+    this.elements.categoriesListContainer &&
+      (this.elements.categoriesListContainer.innerHTML = "");
+    this.currentCategories = [];
     this.closeSuggestionModal();
     this.resetForm();
   },
 
+  // --- Translation Queue ---
+  handleManageTranslationsClick() {
+    const section = this.elements.translationsSection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) this.loadTranslations();
+  },
+
+  async loadTranslations() {
+    const container = this.elements.translationsListContainer;
+    if (!container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    const params = { lang: this.elements.translationsLang?.value || "rus" };
+    if (this.elements.translationsStatus?.value)
+      params.status = this.elements.translationsStatus.value;
+    if (this.elements.translationsMine?.checked) params.assignedTo = "me";
+    try {
+      // Translation managers pick translators from the users
+      if (
+        this.can("translations.manage") &&
+        this.can("users.manage") &&
+        !this.translators?.length
+      )
+        this.translators = (await ApiService.getUsers()).filter(
+          (u) => u.role !== "admin",
+        );
+      const queue = await ApiService.getTranslationQueue(params);
+      this.renderTranslations(params.lang, queue);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Load failed: ${e.message}</p>`;
+    }
+  },
+
+  renderTranslations(lang, queue) {
+    const container = this.elements.translationsListContainer;
+    if (!container) return;
+    if (!queue.length) {
+      container.innerHTML =
+        '<p class="text-center p-4">No translations match these filters.</p>';
+      return;
+    }
+    const canManage = this.can("translations.manage");
+    const statusClasses = {
+      missing: "text-gray-600 dark:text-gray-300",
+      draft: "text-yellow-600 dark:text-yellow-400",
+      reviewed: "text-green-600 dark:text-green-400",
+      outdated: "text-red-600 dark:text-red-400",
+    };
+    const rows = queue
+      .map((t) => {
+        const data = `data-article-id="${t.articleId}" data-lang="${lang}"`;
+        const translator = canManage
+          ? `<select class="assign-translator rounded border p-1 dark:border-gray-600 dark:bg-gray-800" ${data}><option value="">Unassigned</option>${(
+              this.translators || []
+            )
+              .map(
+                (u) =>
+                  `<option value="${u.id}" ${t.translator?.id === u.id ? "selected" : ""}>${u.username}</option>`,
+              )
+              .join("")}</select>`
+          : t.translator?.username || "—";
+        const reviewButton =
+          canManage && ["draft", "outdated"].includes(t.status)
+            ? `<button class="review-translation btn btn-green text-xs py-1 px-2" ${data}>Mark Reviewed</button>`
+            : "";
+        return `<tr class="border-t dark:border-gray-600">
+          <td class="p-2">${t.title || `Article ${t.articleId}`}${t.translatedTitle ? `<div class="text-xs text-gray-500 dark:text-gray-400">${t.translatedTitle}</div>` : ""}</td>
+          <td class="p-2 font-semibold capitalize ${statusClasses[t.status] || ""}">${t.status}</td>
+          <td class="p-2 capitalize">${t.articleStatus || "?"}</td>
+          <td class="p-2">${translator}</td>
+          <td class="p-2 space-x-1 whitespace-nowrap"><button class="edit-translation btn btn-blue text-xs py-1 px-2" ${data}>${this.can("articles.edit") ? "Edit" : "Suggest Edit"}</button> ${reviewButton}</td>
+        </tr>`;
+      })
+      .join("");
+    container.innerHTML = `<div class="overflow-x-auto"><table class="w-full text-left text-sm">
+        <thead class="bg-gray-100 dark:bg-gray-800"><tr><th class="p-2">Article</th><th class="p-2">Translation</th><th class="p-2">Article Status</th><th class="p-2">Translator</th><th class="p-2"></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table></div>`;
+  },
+
+  async handleAssignTranslator(articleId, lang, translatorId) {
+    const msgEl = this.elements.translationsMessage;
+    try {
+      await ApiService.assignTranslator(
+        articleId,
+        lang,
+        translatorId ? parseInt(translatorId, 10) : null,
+      );
+      this.displayMessage(msgEl, "Translator updated.");
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Could not assign translator"),
+        true,
+      );
+      this.loadTranslations();
+    }
+  },
+
+  async handleReviewTranslation(articleId, lang, btn) {
+    const msgEl = this.elements.translationsMessage;
+    btn.disabled = true;
+    try {
+      await ApiService.reviewTranslation(articleId, lang);
+      this.displayMessage(msgEl, "Translation marked as reviewed.");
+      this.loadTranslations();
+    } catch (e) {
+      btn.disabled = false;
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Could not review translation"),
+        true,
+      );
+    }
+  },
+
+  // --- Dashboard (Admin) ---
+  async loadDashboard() {
+    const container = this.elements.dashboardContainer;
+    if (!this.can("dashboard.view") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading overview...</p>';
+    try {
+      const days = this.elements.dashboardDays?.value || 30;
+      this.renderDashboard(await ApiService.getDashboard(days));
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Load failed: ${e.message}</p>`;
+    }
+  },
+
+  renderDashboard(data) {
+    const container = this.elements.dashboardContainer;
+    if (!container) return;
+    const { articles, suggestions } = data;
+    const card = (title, content) =>
+      `<div class="rounded border bg-white p-4 dark:border-gray-600 dark:bg-gray-800"><h3 class="mb-2 font-semibold dark:text-white">${title}</h3>${content}</div>`;
+    const list = (items, empty) =>
+      items.length
+        ? `<ul class="space-y-1 text-sm">${items.join("")}</ul>`
+        : `<p class="text-sm italic text-gray-500 dark:text-gray-400">${empty}</p>`;
+    const languageNames = { en: "English", rus: "Russian", mng: "Mongolian" };
+
+    const statusCard = card(
+      `Articles (${articles.total})`,
+      list(
+        Object.entries(articles.byStatus).map(
+          ([status, count]) =>
+            `<li class="flex justify-between capitalize"><span>${status}</span><span>${count}</span></li>`,
+        ),
+        "No articles yet.",
+      ) +
+        `<h4 class="mt-3 mb-1 text-sm font-semibold">By category</h4>` +
+        list(
+          articles.byCategory.map(
+            (c) =>
+              `<li class="flex justify-between"><span>${c.name}</span><span>${c.count}</span></li>`,
+          ),
+          "No categories.",
+        ),
+    );
+
+    const translationCard = card(
+      "Translations",
+      list(
+        Object.entries(languageNames).map(([lang, name]) => {
+          const done = articles.translations[lang];
+          const percent = articles.total
+            ? Math.round((done / articles.total) * 100)
+            : 0;
+          return `<li><div class="flex justify-between"><span>${name}</span><span>${done}/${articles.total} (${articles.translations.missing[lang]} missing)</span></div><div class="h-2 rounded bg-gray-200 dark:bg-gray-600"><div class="h-2 rounded bg-green-500" style="width:${percent}%"></div></div></li>`;
+        }),
+        "No articles yet.",
+      ) +
+        `<p class="mt-2 text-sm">In all languages: ${articles.translations.complete}</p>`,
+    );
+
+    const viewedCard = card(
+      `Most viewed (since ${data.from})`,
+      list(
+        data.mostViewed.map(
+          (a) =>
+            `<li class="flex justify-between gap-2"><button class="views-article text-left text-blue-600 hover:underline dark:text-blue-400" data-id="${a.id}">${a.title || `Article ${a.id}`}</button><span class="whitespace-nowrap">${a.views}</span></li>`,
+        ),
+        "No views recorded in this period.",
+      ),
+    );
+
+    const suggestionsCard = card(
+      `Pending suggestions (${suggestions.count})`,
+      (suggestions.count
+        ? `<p class="mb-2 text-sm">Under 1 day: ${suggestions.byAge.underOneDay} · 1–7 days: ${suggestions.byAge.oneToSevenDays} · <span class="${suggestions.byAge.overSevenDays ? "font-semibold text-red-600 dark:text-red-400" : ""}">Over 7 days: ${suggestions.byAge.overSevenDays}</span></p>`
+        : "") +
+        list(
+          suggestions.oldest.map(
+            (s) =>
+              `<li class="flex justify-between gap-2"><span>${s.title || "New article"} <span class="text-gray-500 dark:text-gray-400">by ${s.moderator || "?"}</span></span><span class="whitespace-nowrap">${s.ageDays}d</span></li>`,
+          ),
+          "Nothing waiting for review.",
+        ),
+    );
+
+    const moderatorRows = data.moderators
+      .map(
+        (m) =>
+          `<tr class="border-t dark:border-gray-600"><td class="p-2">${m.username}</td><td class="p-2">${m.submitted}</td><td class="p-2">${m.approved}</td><td class="p-2">${m.rejected}</td><td class="p-2">${m.pending}</td><td class="p-2">${m.lastSuggestionAt ? new Date(m.lastSuggestionAt).toLocaleDateString() : "—"}</td></tr>`,
+      )
+      .join("");
+    const moderatorsCard = card(
+      `Moderator activity (last ${data.days} days)`,
+      data.moderators.length
+        ? `<div class="overflow-x-auto"><table class="w-full text-left text-sm"><thead class="bg-gray-100 dark:bg-gray-700"><tr><th class="p-2">Moderator</th><th class="p-2">Submitted</th><th class="p-2">Approved</th><th class="p-2">Rejected</th><th class="p-2">Pending</th><th class="p-2">Last</th></tr></thead><tbody>${moderatorRows}</tbody></table></div>`
+        : list([], "No moderators."),
+    );
+
+    const changesCard = card(
+      "Recently changed",
+      list(
+        data.recentChanges.map(
+          (c) =>
+            `<li class="flex justify-between gap-2"><span>${c.title || `Article ${c.articleId}`} <span class="text-gray-500 dark:text-gray-400 capitalize">${c.action} #${c.revisionNumber} by ${c.editor || "?"}</span></span><span class="whitespace-nowrap">${new Date(c.createdAt).toLocaleString()}</span></li>`,
+        ),
+        "No changes recorded yet.",
+      ),
+    );
+
+    container.innerHTML = `<div class="grid gap-4 md:grid-cols-2 xl:grid-cols-3">${statusCard}${translationCard}${viewedCard}${suggestionsCard}${changesCard}</div><div class="mt-4">${moderatorsCard}</div>`;
+  },
+
   async loadArticles() {
     console.log("Attempting ApiService.getArticles()...");
     const container = this.elements.articlesContainer;
@@ -676,22 +1837,31 @@ const AdminUI = {
       .map((a) => {
         if (!a?.id) return "";
         const title = a.title_en || a.title || "Untitled";
-        const buttons =
-          this.currentUserRole === "admin"
-            ? `<button class="edit-article btn btn-blue text-sm py-1 px-3" data-id="${a.id}">Edit</button> <button class="delete-article btn btn-red text-sm py-1 px-3" data-id="${a.id}">Delete</button>`
-            : `<button class="suggest-edit-article btn btn-blue text-sm py-1 px-3" data-id="${a.id}">Suggest Edit</button>`;
-        return `<div class="article-card border dark:border-gray-600 rounded-lg shadow-md overflow-hidden bg-white dark:bg-gray-700 flex flex-col"> ${a.imageUrl ? `<img src="${a.imageUrl}" alt="${title}" class="w-full h-48 object-cover">` : '<div class="w-full h-48 bg-gray-200 dark:bg-gray-600 flex items-center justify-center text-gray-400 dark:text-gray-300">No Image</div>'} <div class="p-4 flex flex-col flex-grow"> <h3 class="text-lg font-bold mb-1 dark:text-white flex-grow">${title}</h3> <p class="text-sm text-gray-500 dark:text-gray-400 mb-1">Cat: ${a.category || "?"}</p> <p class="text-sm text-gray-500 dark:text-gray-400 mb-2">By: ${a.author || "?"}</p> <p class="text-sm font-medium ${a.status === "published" ? "text-green-600 dark:text-green-400" : "text-yellow-600 dark:text-yellow-400"} mb-2 capitalize">Status: ${a.status || "?"}</p> <div class="mt-auto pt-2 flex space-x-2">${buttons}</div> </div> </div>`;
+        const buttons = this.can("articles.edit")
+          ? `<button class="edit-article btn btn-blue text-sm py-1 px-3" data-id="${a.id}">Edit</button>${this.can("articles.delete") ? ` <button class="delete-article btn btn-red text-sm py-1 px-3" data-id="${a.id}">Delete</button>` : ""} <button class="history-article btn btn-gray text-sm py-1 px-3" data-id="${a.id}">History</button>`
+          : this.suggestsArticles()
+            ? `<button class="suggest-edit-article btn btn-blue text-sm py-1 px-3" data-id="${a.id}">Suggest Edit</button>`
+            : "";
+        const viewsButton = this.can("articles.view")
+          ? `<button class="views-article btn btn-gray text-sm py-1 px-3" data-id="${a.id}">Views</button>`
+          : "";
+        return `<div class="article-card border dark:border-gray-600 rounded-lg shadow-md overflow-hidden bg-white dark:bg-gray-700 flex flex-col"> ${a.imageUrl ? `<img src="${a.imageUrl}" alt="${title}" class="w-full h-48 object-cover">` : '<div class="w-full h-48 bg-gray-200 dark:bg-gray-600 flex items-center justify-center text-gray-400 dark:text-gray-300">No Image</div>'} <div class="p-4 flex flex-col flex-grow"> <h3 class="text-lg font-bold mb-1 dark:text-white flex-grow">${title}</h3> <p class="text-sm text-gray-500 dark:text-gray-400 mb-1">Cat: ${a.category || "?"}</p> <p class="text-sm text-gray-500 dark:text-gray-400 mb-2">By: ${a.author || "?"}</p> <p class="text-sm font-medium ${a.status === "published" ? "text-green-600 dark:text-green-400" : a.status === "scheduled" ? "text-blue-600 dark:text-blue-400" : "text-yellow-600 dark:text-yellow-400"} mb-2 capitalize">Status: ${a.status || "?"}${a.status === "scheduled" && a.publishAt ? ` (${new Date(a.publishAt).toLocaleString()})` : ""}</p> <div class="mt-auto pt-2 flex space-x-2">${buttons} ${viewsButton}</div> </div> </div>`;
       })
       .join("");
   },
 
   async loadModerators() {
     const container = this.elements.moderatorsListContainer;
-    if (this.currentUserRole !== "admin" || !container) return;
+    if (!this.can("users.manage") || !container) return;
     container.innerHTML = '<p class="text-center p-4">Loading...</p>';
     try {
-      const mods = await ApiService.getUsers({ role: "moderator" });
-      this.renderModerators(mods);
+      const [users, { roles }] = await Promise.all([
+        ApiService.getUsers(),
+        ApiService.getRoles(),
+      ]);
+      this.roles = roles;
+      this.renderRoleOptions();
+      this.renderModerators(users);
     } catch (e) {
       container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
     }
@@ -699,7 +1869,7 @@ const AdminUI = {
 
   renderModerators(moderators) {
     const container = this.elements.moderatorsListContainer;
-    if (this.currentUserRole !== "admin" || !container) return;
+    if (!this.can("users.manage") || !container) return;
     if (!Array.isArray(moderators)) {
       container.innerHTML =
         '<p class="text-red-500 text-center p-4">Error: Invalid data.</p>';
@@ -707,7 +1877,7 @@ const AdminUI = {
     }
     if (moderators.length === 0) {
       container.innerHTML =
-        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No moderators found.</p>';
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No users found.</p>';
       return;
     }
     container.innerHTML = `<ul class="space-y-2"> ${moderators
@@ -717,16 +1887,66 @@ const AdminUI = {
             <span class="flex-grow mr-2">
                 ${mod.username} (<span class="text-xs text-gray-500 dark:text-gray-400">${mod.email}</span>)
                 ${mod.needsPasswordChange ? '<span class="text-xs text-orange-500 ml-2 font-semibold">(Needs PW Reset)</span>' : ""}
+                ${mod.twoFactorEnabled ? '<span class="text-xs text-green-600 dark:text-green-400 ml-2 font-semibold">2FA</span>' : ""}
             </span>
-            <button class="delete-moderator btn btn-red text-xs py-1 px-2 flex-shrink-0" data-user-id="${mod.id}" data-username="${mod.username}" title="Delete moderator ${mod.username}"> Delete </button>
+            <span class="user-access flex flex-wrap items-center gap-2 text-xs dark:text-gray-200" data-user-id="${mod.id}">
+                <select class="user-role rounded border p-1 dark:border-gray-600 dark:bg-gray-800">${this.roleOptions(mod.role)}</select>
+                ${this.languageCheckboxes(mod.languages)}
+                <button class="save-user btn btn-blue text-xs py-1 px-2" data-user-id="${mod.id}" data-username="${mod.username}">Save</button>
+            </span>
+            ${mod.twoFactorEnabled ? `<button class="reset-two-factor btn btn-gray text-xs py-1 px-2 flex-shrink-0" data-user-id="${mod.id}" data-username="${mod.username}" title="Reset two-factor for ${mod.username}"> Reset 2FA </button>` : ""}
+            <button class="delete-moderator btn btn-red text-xs py-1 px-2 flex-shrink-0" data-user-id="${mod.id}" data-username="${mod.username}" title="Delete user ${mod.username}"> Delete </button>
         </li>`,
       )
       .join("")} </ul>`;
     // Listener is attached via delegation in setupEventListeners
   },
 
+  roleOptions(selected) {
+    return this.roles
+      .map(
+        (r) =>
+          `<option value="${r.name}" ${r.name === selected ? "selected" : ""}>${r.name}</option>`,
+      )
+      .join("");
+  },
+
+  // Translation languages; none ticked means all of them
+  languageCheckboxes(languages) {
+    return [
+      ["rus", "Russian"],
+      ["mng", "Mongolian"],
+    ]
+      .map(
+        ([value, label]) =>
+          `<label><input type="checkbox" class="user-language mr-1" value="${value}" ${languages?.includes(value) ? "checked" : ""}>${label}</label>`,
+      )
+      .join("");
+  },
+
+  checkedLanguages(container) {
+    const languages = [
+      ...container.querySelectorAll("input[type='checkbox']:checked"),
+    ].map((input) => input.value);
+    return languages.length ? languages : null;
+  },
+
+  renderRoleOptions() {
+    const select =
+      this.elements.createModeratorForm?.querySelector("#mod-role");
+    if (select) select.innerHTML = this.roleOptions("moderator");
+  },
+
   // +++ Handler for Moderator Actions (Delete) +++
   async handleModeratorActionClick(event) {
+    const resetButton = event.target.closest("button.reset-two-factor");
+    if (resetButton && !resetButton.disabled) {
+      return this.handleResetTwoFactor(resetButton);
+    }
+    const saveButton = event.target.closest("button.save-user");
+    if (saveButton && !saveButton.disabled) {
+      return this.handleSaveUser(saveButton);
+    }
     const button = event.target.closest("button.delete-moderator");
     if (!button || button.disabled) return; // Ignore non-delete clicks or disabled buttons
 
@@ -738,7 +1958,7 @@ const AdminUI = {
       alert("Could not delete: button data missing.");
       return;
     }
-    if (!confirm(`Delete moderator "${username}" (ID: ${userIdNum})?`)) return;
+    if (!confirm(`Delete user "${username}" (ID: ${userIdNum})?`)) return;
 
     button.disabled = true;
     button.textContent = "Deleting...";
@@ -746,58 +1966,203 @@ const AdminUI = {
       await ApiService.deleteUser(userIdNum);
       this.loadModerators(); // Refresh list
     } catch (error) {
-      alert(`Error deleting moderator: ${error.message}`);
+      alert(`Error deleting user: ${error.message}`);
       button.disabled = false;
       button.textContent = "Delete"; // Reset button on error
     }
   },
   // +++++++++++++++++++++++++++++++++++++++++++++++++
 
-  async loadSuggestions() {
-    // Admin loads pending
-    const container = this.elements.suggestionsListContainer;
-    if (this.currentUserRole !== "admin" || !container) return;
-    container.innerHTML =
-      '<p class="text-center p-4">Loading suggestions...</p>';
+  // A new role logs the user out of all their sessions
+  async handleSaveUser(button) {
+    const row = button.closest(".user-access");
+    if (!row) return;
+    const role = row.querySelector(".user-role")?.value;
+    button.disabled = true;
     try {
-      const suggestions = await ApiService.getSuggestions("pending");
-      this.renderSuggestions(suggestions);
-    } catch (e) {
-      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+      await ApiService.updateUser(parseInt(button.dataset.userId, 10), {
+        role,
+        languages: this.checkedLanguages(row),
+      });
+      this.loadModerators();
+    } catch (error) {
+      alert(`Error saving ${button.dataset.username}: ${error.message}`);
+      button.disabled = false;
     }
   },
 
-  renderSuggestions(suggestions) {
-    // Admin renders pending list
-    const container = this.elements.suggestionsListContainer;
-    if (this.currentUserRole !== "admin" || !container) return;
-    if (!Array.isArray(suggestions)) {
-      container.innerHTML =
-        '<p class="text-red-500 text-center p-4">Error: Invalid data.</p>';
+  // For moderators who lost their authenticator app
+  async handleResetTwoFactor(button) {
+    const { userId, username } = button.dataset;
+    if (
+      !confirm(
+        `Reset two-factor for "${username}"? They can log in with their password alone until they set it up again.`,
+      )
+    )
       return;
+    button.disabled = true;
+    try {
+      await ApiService.resetUserTwoFactor(parseInt(userId, 10));
+      this.loadModerators();
+    } catch (error) {
+      alert(`Error resetting two-factor: ${error.message}`);
+      button.disabled = false;
     }
-    if (suggestions.length === 0) {
-      container.innerHTML =
-        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No pending suggestions.</p>';
-      return;
+  },
+
+  // --- Roles & Permissions ---
+  async loadRoles() {
+    const container = this.elements.rolesContainer;
+    if (!this.can("roles.manage") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      const { roles, permissions } = await ApiService.getRoles();
+      this.roles = roles;
+      this.renderRoles(roles, permissions);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
     }
-    container.innerHTML = suggestions
-      .map((s) => {
-        const isNew = !s.articleId;
-        const title = isNew
-          ? (s.proposedTitle || "(New Article)") +
-            ' <span class="text-xs font-normal text-blue-500 dark:text-blue-400">(New)</span>'
-          : s.article?.title_en || `Article ID: ${s.articleId}`;
-        const modName = s.moderator?.username || `User ${s.moderatorId}`;
-        const date = s.createdAt
-          ? new Date(s.createdAt).toLocaleDateString()
-          : "?";
-        return `<div class="suggestion-item p-3 border dark:border-gray-600 rounded bg-white dark:bg-gray-800 shadow-sm"> <div class="flex flex-wrap justify-between items-center gap-2 mb-2"> <div> <span class="block font-semibold dark:text-white">Article: ${title}</span> <span class="block text-sm text-gray-600 dark:text-gray-400">By: ${modName} on ${date}</span> </div> <div class="flex justify-end items-center gap-2 mt-2 sm:mt-0 suggestion-actions flex-shrink-0"> <span class="text-sm text-green-600 dark:text-green-400 hidden success-message">Approved!</span> <span class="text-sm text-red-600 dark:text-red-400 hidden reject-message">Rejected!</span> <span class="text-sm text-red-600 dark:text-red-400 hidden error-message"></span> <button class="view-suggestion btn btn-gray text-xs py-1 px-2" data-suggestion-id="${s.id}">Details</button> <button class="reject-suggestion btn btn-red text-xs py-1 px-2" data-suggestion-id="${s.id}">Reject</button> <button class="approve-suggestion btn btn-green text-xs py-1 px-2" data-suggestion-id="${s.id}">Approve</button> </div> </div> </div>`;
+  },
+
+  renderRoles(roles, permissions) {
+    const container = this.elements.rolesContainer;
+    if (!container) return;
+    container.innerHTML = roles
+      .map((role) => {
+        const checkboxes = permissions
+          .map(
+            (p) => `
+          <label class="flex items-start gap-2" title="${p.description}">
+            <input type="checkbox" class="role-permission mt-1" value="${p.name}" ${role.permissions.includes(p.name) ? "checked" : ""} ${role.editable ? "" : "disabled"}>
+            <span><span class="font-mono">${p.name}</span> <span class="text-gray-500 dark:text-gray-400">${p.description}</span></span>
+          </label>`,
+          )
+          .join("");
+        return `
+        <div class="role-card rounded border bg-white p-4 dark:border-gray-600 dark:bg-gray-800" data-role="${role.name}">
+          <div class="mb-2 flex flex-wrap items-center justify-between gap-2">
+            <h3 class="text-lg font-semibold dark:text-white">${role.name} <span class="text-xs font-normal text-gray-500 dark:text-gray-400">(${role.userCount} user${role.userCount === 1 ? "" : "s"})</span></h3>
+            <span class="flex gap-2">
+              ${role.editable ? `<button class="save-role btn btn-blue text-xs py-1 px-2" data-role="${role.name}">Save</button>` : ""}
+              ${role.deletable ? `<button class="delete-role btn btn-red text-xs py-1 px-2" data-role="${role.name}">Delete</button>` : ""}
+            </span>
+          </div>
+          <input type="text" class="role-description form-input mb-2" value="${role.description || ""}" maxlength="255" placeholder="Description" ${role.editable ? "" : "disabled"}>
+          ${role.editable ? "" : '<p class="mb-2 text-sm text-gray-500 dark:text-gray-400">Always has every permission.</p>'}
+          <div class="grid gap-1 text-sm sm:grid-cols-2 dark:text-gray-200">${checkboxes}</div>
+          <p class="mt-2 text-sm" data-role-message></p>
+        </div>`;
       })
       .join("");
   },
 
-  async showSuggestionDetails(suggestionId) {
+  async handleRoleSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.roleForm;
+    if (!this.can("roles.manage") || !form) return;
+    const msgEl = this.elements.roleFormMessage,
+      btn = form.querySelector("button");
+    const name = form.querySelector("#role-name").value.trim();
+    if (!name) return this.displayMessage(msgEl, "Name required.", 1);
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.createRole({
+        name,
+        description: form.querySelector("#role-description").value.trim(),
+        permissions: [],
+      });
+      this.displayMessage(msgEl, `Role '${name}' created.`, 0);
+      form.reset();
+      this.loadRoles();
+    } catch (e) {
+      let msg = `Failed create: ${e.message}`;
+      if (e.data?.errors?.length)
+        msg = `Error: ${e.data.errors.map((err) => err.msg || err.message).join(", ")}`;
+      this.displayMessage(msgEl, msg, 1);
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  // Takes effect on the next request of everyone with the role
+  async handleSaveRole(name, btn) {
+    const card = btn.closest(".role-card");
+    if (!this.can("roles.manage") || !card) return;
+    const msgEl = card.querySelector("[data-role-message]");
+    btn.disabled = true;
+    try {
+      await ApiService.updateRole(name, {
+        description: card.querySelector(".role-description").value.trim(),
+        permissions: [...card.querySelectorAll(".role-permission:checked")].map(
+          (input) => input.value,
+        ),
+      });
+      this.displayMessage(msgEl, "Saved.", 0);
+    } catch (e) {
+      this.displayMessage(msgEl, `Save failed: ${e.message}`, 1);
+    } finally {
+      btn.disabled = false;
+    }
+  },
+
+  async handleDeleteRole(name, btn) {
+    if (!this.can("roles.manage")) return;
+    if (!confirm(`Delete role "${name}"?`)) return;
+    btn.disabled = true;
+    try {
+      await ApiService.deleteRole(name);
+      this.loadRoles();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      btn.disabled = false;
+    }
+  },
+
+  async loadSuggestions() {
+    // Admin loads pending
+    const container = this.elements.suggestionsListContainer;
+    if (!this.can("suggestions.review") || !container) return;
+    container.innerHTML =
+      '<p class="text-center p-4">Loading suggestions...</p>';
+    try {
+      const suggestions = await ApiService.getSuggestions("pending");
+      this.renderSuggestions(suggestions);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderSuggestions(suggestions) {
+    // Admin renders pending list
+    const container = this.elements.suggestionsListContainer;
+    if (!this.can("suggestions.review") || !container) return;
+    if (!Array.isArray(suggestions)) {
+      container.innerHTML =
+        '<p class="text-red-500 text-center p-4">Error: Invalid data.</p>';
+      return;
+    }
+    if (suggestions.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No pending suggestions.</p>';
+      return;
+    }
+    container.innerHTML = suggestions
+      .map((s) => {
+        const isNew = !s.articleId;
+        const title = isNew
+          ? (s.proposedTitle || "(New Article)") +
+            ' <span class="text-xs font-normal text-blue-500 dark:text-blue-400">(New)</span>'
+          : s.article?.title_en || `Article ID: ${s.articleId}`;
+        const modName = s.moderator?.username || `User ${s.moderatorId}`;
+        const date = s.createdAt
+          ? new Date(s.createdAt).toLocaleDateString()
+          : "?";
+        return `<div class="suggestion-item p-3 border dark:border-gray-600 rounded bg-white dark:bg-gray-800 shadow-sm"> <div class="flex flex-wrap justify-between items-center gap-2 mb-2"> <div> <span class="block font-semibold dark:text-white">Article: ${title}</span> <span class="block text-sm text-gray-600 dark:text-gray-400">By: ${modName} on ${date}</span> </div> <div class="flex justify-end items-center gap-2 mt-2 sm:mt-0 suggestion-actions flex-shrink-0"> <span class="text-sm text-green-600 dark:text-green-400 hidden success-message">Approved!</span> <span class="text-sm text-red-600 dark:text-red-400 hidden reject-message">Rejected!</span> <span class="text-sm text-red-600 dark:text-red-400 hidden error-message"></span> <button class="view-suggestion btn btn-gray text-xs py-1 px-2" data-suggestion-id="${s.id}">Details</button> <button class="reject-suggestion btn btn-red text-xs py-1 px-2" data-suggestion-id="${s.id}">Reject</button> <button class="approve-suggestion btn btn-green text-xs py-1 px-2" data-suggestion-id="${s.id}">Approve</button> </div> </div> </div>`;
+      })
+      .join("");
+  },
+
+  async showSuggestionDetails(suggestionId) {
     // Admin views detail modal
     const modal = this.elements.suggestionModal,
       body = this.elements.modalBody;
@@ -829,6 +2194,149 @@ const AdminUI = {
     return `<div class="mb-2"> <strong class="block text-sm font-medium text-gray-700 dark:text-gray-300">${label}:</strong> ${isHtml ? `<div class="mt-1 text-sm text-gray-900 dark:text-gray-100 prose prose-sm dark:prose-invert max-w-none border dark:border-gray-600 p-2 rounded">${display}</div>` : `<span class="mt-1 text-sm text-gray-900 dark:text-gray-100">${display}</span>`} </div>`;
   },
 
+  // --- Media Library ---
+  // Opens the library in the modal; onSelect receives the chosen media row
+  openMediaLibrary(onSelect) {
+    const modal = this.elements.suggestionModal,
+      body = this.elements.modalBody;
+    if (!modal || !body) return;
+    this.mediaLibrary = { onSelect, page: 1, items: [] };
+    if (this.elements.modalTitle)
+      this.elements.modalTitle.textContent = "Media Library";
+    body.innerHTML = `
+      <div class="mb-4 rounded border p-3 dark:border-gray-600">
+        <div class="flex flex-wrap items-end gap-2">
+          <input type="file" id="media-upload-file" accept="image/jpeg,image/png,image/webp,image/gif" class="text-sm dark:text-gray-300">
+          <input type="text" id="media-upload-alt" class="form-input flex-grow" placeholder="Alt text (optional)" maxlength="255">
+          <button type="button" class="btn btn-green" data-media-action="upload">Upload</button>
+        </div>
+        <div id="media-upload-message" class="mt-2 text-sm"></div>
+      </div>
+      <form id="media-search-form" class="mb-3 flex gap-2">
+        <input type="search" id="media-search" class="form-input flex-grow" placeholder="Search by file name or alt text">
+        <button type="submit" class="btn btn-gray">Search</button>
+      </form>
+      <div id="media-grid" class="grid grid-cols-2 gap-3 sm:grid-cols-4"></div>
+      <div id="media-pagination" class="mt-3 flex justify-center gap-2"></div>`;
+    modal.classList.remove("hidden");
+    modal.classList.add("flex");
+    this.loadMediaLibraryPage(1);
+  },
+
+  async loadMediaLibraryPage(page) {
+    const grid = this.elements.modalBody?.querySelector("#media-grid");
+    if (!grid) return;
+    const q =
+      this.elements.modalBody.querySelector("#media-search")?.value.trim() ||
+      "";
+    grid.innerHTML = '<p class="col-span-full text-center p-4">Loading...</p>';
+    try {
+      const data = await ApiService.getMedia({ page, q });
+      this.mediaLibrary.page = data.currentPage;
+      this.mediaLibrary.items = data.media;
+      this.renderMediaLibrary(data);
+    } catch (e) {
+      grid.innerHTML = `<p class="col-span-full text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderMediaLibrary({ media, currentPage, totalPages }) {
+    const body = this.elements.modalBody,
+      grid = body?.querySelector("#media-grid"),
+      pagination = body?.querySelector("#media-pagination");
+    if (!grid) return;
+    const canManage = this.can("media.manage");
+    grid.innerHTML = media.length
+      ? media
+          .map(
+            (m) => `
+        <div class="flex flex-col rounded border dark:border-gray-600 overflow-hidden">
+          <button type="button" class="block" data-media-action="select" data-media-id="${m.id}" title="${m.originalName} (${m.width}×${m.height})">
+            <img src="${m.variants.thumb?.url || m.url}" alt="${m.alt || ""}" class="aspect-square w-full object-cover hover:opacity-80" loading="lazy">
+          </button>
+          <div class="flex items-center justify-between gap-1 p-1 text-xs text-gray-600 dark:text-gray-400">
+            <span class="truncate">${m.originalName}</span>
+            ${canManage ? `<button type="button" class="text-red-600 hover:underline" data-media-action="delete" data-media-id="${m.id}">Delete</button>` : ""}
+          </div>
+        </div>`,
+          )
+          .join("")
+      : '<p class="col-span-full text-center p-4 text-gray-500 dark:text-gray-400">No images yet. Upload one above.</p>';
+    if (pagination) {
+      pagination.innerHTML =
+        totalPages > 1
+          ? `<button type="button" class="btn btn-gray text-sm" data-media-action="page" data-page="${currentPage - 1}" ${currentPage <= 1 ? "disabled" : ""}>Previous</button>
+             <span class="self-center text-sm">${currentPage} / ${totalPages}</span>
+             <button type="button" class="btn btn-gray text-sm" data-media-action="page" data-page="${currentPage + 1}" ${currentPage >= totalPages ? "disabled" : ""}>Next</button>`
+          : "";
+    }
+  },
+
+  async handleMediaLibraryAction(target) {
+    const { mediaAction, mediaId, page } = target.dataset;
+    const media = this.mediaLibrary.items.find((m) => String(m.id) === mediaId);
+    if (mediaAction === "page") return this.loadMediaLibraryPage(Number(page));
+    if (mediaAction === "upload") return this.handleMediaUpload(target);
+    if (mediaAction === "select" && media) {
+      const onSelect = this.mediaLibrary.onSelect;
+      this.closeSuggestionModal();
+      onSelect?.(media);
+      return;
+    }
+    if (mediaAction === "delete" && media) {
+      if (!confirm(`Delete "${media.originalName}" and all its sizes?`)) return;
+      target.disabled = true;
+      try {
+        await ApiService.deleteMedia(media.id);
+        this.loadMediaLibraryPage(this.mediaLibrary.page);
+      } catch (e) {
+        alert(`Delete failed: ${e.message}`);
+        target.disabled = false;
+      }
+    }
+  },
+
+  async handleMediaUpload(btn) {
+    const body = this.elements.modalBody,
+      fileInput = body.querySelector("#media-upload-file"),
+      altInput = body.querySelector("#media-upload-alt"),
+      msgEl = body.querySelector("#media-upload-message");
+    const file = fileInput?.files[0];
+    if (!file) return this.displayMessage(msgEl, "Choose an image first.", 1);
+    this.displayMessage(msgEl, "Uploading...", 0);
+    btn.disabled = true;
+    try {
+      await ApiService.uploadMedia(file, altInput.value.trim());
+      fileInput.value = "";
+      altInput.value = "";
+      this.displayMessage(msgEl, "Uploaded.", 0);
+      this.loadMediaLibraryPage(1);
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Upload failed"),
+        1,
+      );
+    } finally {
+      btn.disabled = false;
+    }
+  },
+
+  // Quill toolbar image button: insert a library image at the cursor
+  insertLibraryImage(lang) {
+    const quill = this.quillInstances[lang];
+    if (!quill) return;
+    const range = quill.getSelection(true);
+    this.openMediaLibrary((media) => {
+      quill.insertEmbed(
+        range?.index ?? quill.getLength(),
+        "image",
+        media.variants.medium?.url || media.url,
+        "user",
+      );
+    });
+  },
+
   closeSuggestionModal() {
     const modal = this.elements.suggestionModal;
     if (!modal) return;
@@ -839,6 +2347,199 @@ const AdminUI = {
       this.elements.modalTitle.textContent = "Details";
   },
 
+  // --- Article History (Admin) ---
+  async showArticleHistory(articleId) {
+    const modal = this.elements.suggestionModal,
+      body = this.elements.modalBody;
+    if (!this.can("articles.edit") || !modal || !body) return;
+    if (this.elements.modalTitle)
+      this.elements.modalTitle.textContent = `History: Article ${articleId}`;
+    body.innerHTML = '<p class="p-4 text-center">Loading...</p>';
+    modal.classList.remove("hidden");
+    modal.classList.add("flex");
+    try {
+      const revisions = await ApiService.getArticleRevisions(articleId);
+      this.renderRevisions(articleId, revisions);
+    } catch (e) {
+      body.innerHTML = `<p class="p-4 text-center text-red-500">Error: ${e.message}</p>`;
+    }
+  },
+
+  renderRevisions(articleId, revisions) {
+    const body = this.elements.modalBody;
+    if (!body) return;
+    if (!revisions.length) {
+      body.innerHTML =
+        '<p class="p-4 text-center">No revisions recorded yet.</p>';
+      return;
+    }
+    const rows = revisions
+      .map((r, index) => {
+        const by = r.suggestedBy
+          ? `${r.editor?.username || "?"} (suggested by ${r.suggestedBy})`
+          : r.editor?.username || "—";
+        const restoreButton =
+          index === 0
+            ? ""
+            : `<button class="restore-revision btn btn-green text-xs py-1 px-2" data-article-id="${articleId}" data-revision-id="${r.id}">Restore</button>`;
+        return `<tr class="border-t dark:border-gray-600">
+          <td class="p-2 font-semibold">#${r.revisionNumber}</td>
+          <td class="p-2 capitalize">${r.action}</td>
+          <td class="p-2">${by}</td>
+          <td class="p-2">${new Date(r.createdAt).toLocaleString()}</td>
+          <td class="p-2 text-xs">${r.changedFields.join(", ") || "—"}</td>
+          <td class="p-2 space-x-1 whitespace-nowrap"><button class="diff-revision btn btn-blue text-xs py-1 px-2" data-article-id="${articleId}" data-revision-id="${r.id}">Diff</button> ${restoreButton}</td>
+        </tr>`;
+      })
+      .join("");
+    body.innerHTML = `<div class="overflow-x-auto"><table class="w-full text-left text-sm">
+        <thead class="bg-gray-100 dark:bg-gray-800"><tr><th class="p-2">Rev</th><th class="p-2">Action</th><th class="p-2">Editor</th><th class="p-2">Date</th><th class="p-2">Changed</th><th class="p-2"></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table></div>
+      <div class="mt-4 flex items-center gap-2 text-sm">
+        <label for="revision-diff-lang">Language:</label>
+        <select id="revision-diff-lang" class="rounded border p-1 dark:border-gray-600 dark:bg-gray-800">
+          <option value="en">English</option><option value="rus">Russian</option><option value="mng">Mongolian</option>
+        </select>
+      </div>
+      <div id="revision-diff" class="mt-3"></div>`;
+  },
+
+  // --- Article View Statistics ---
+  async showArticleViews(articleId, days = 30) {
+    const modal = this.elements.suggestionModal,
+      body = this.elements.modalBody;
+    if (!modal || !body) return;
+    if (this.elements.modalTitle)
+      this.elements.modalTitle.textContent = `Views: Article ${articleId}`;
+    body.innerHTML = '<p class="p-4 text-center">Loading...</p>';
+    modal.classList.remove("hidden");
+    modal.classList.add("flex");
+    try {
+      const stats = await ApiService.getArticleViews(articleId, days);
+      this.renderArticleViews(articleId, days, stats);
+    } catch (e) {
+      body.innerHTML = `<p class="p-4 text-center text-red-500">Error: ${e.message}</p>`;
+    }
+  },
+
+  // Daily readers as stacked bars per language (inline SVG, no chart library)
+  renderArticleViews(articleId, days, stats) {
+    const body = this.elements.modalBody;
+    if (!body) return;
+    const languages = [
+      { key: "en", label: "English", color: "#3b82f6" },
+      { key: "rus", label: "Russian", color: "#ef4444" },
+      { key: "mng", label: "Mongolian", color: "#10b981" },
+    ];
+    const width = 600,
+      height = 200,
+      max = Math.max(1, ...stats.days.map((d) => d.total)),
+      slot = width / stats.days.length,
+      barWidth = Math.max(1, slot - 2);
+    const bars = stats.days
+      .map((day, index) => {
+        let y = height;
+        return languages
+          .filter((l) => day[l.key] > 0)
+          .map((l) => {
+            const barHeight = (day[l.key] / max) * height;
+            y -= barHeight;
+            return `<rect x="${(index * slot + 1).toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${l.color}"><title>${day.date} · ${l.label}: ${day[l.key]}</title></rect>`;
+          })
+          .join("");
+      })
+      .join("");
+    const legend = languages
+      .map(
+        (l) =>
+          `<span class="inline-flex items-center gap-1"><span class="inline-block h-3 w-3 rounded-sm" style="background:${l.color}"></span>${l.label}: ${stats.byLanguage[l.key]}</span>`,
+      )
+      .join("");
+    const options = [7, 30, 90, 365]
+      .map(
+        (n) =>
+          `<option value="${n}" ${Number(days) === n ? "selected" : ""}>Last ${n} days</option>`,
+      )
+      .join("");
+    body.innerHTML = `<div class="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <p><strong>${stats.title || "Untitled"}</strong> — ${stats.periodViews} readers in this period, ${stats.totalViews} all time</p>
+        <select id="article-views-days" data-article-id="${articleId}" class="rounded border p-1 dark:border-gray-600 dark:bg-gray-800">${options}</select>
+      </div>
+      <svg viewBox="0 0 ${width} ${height}" class="mt-3 h-48 w-full rounded bg-gray-50 dark:bg-gray-800" preserveAspectRatio="none" role="img" aria-label="Daily views">${bars}</svg>
+      <div class="mt-1 flex justify-between text-xs text-gray-500 dark:text-gray-400"><span>${stats.from}</span><span>max ${max}/day</span><span>${stats.to}</span></div>
+      <div class="mt-3 flex flex-wrap gap-4 text-sm">${legend}</div>
+      <p class="mt-3 text-xs text-gray-500 dark:text-gray-400">Each reader is counted once per article and day. Bots and signed-in staff are not counted.</p>`;
+  },
+
+  async showRevisionDiff(articleId, revisionId) {
+    const target = this.elements.modalBody?.querySelector("#revision-diff");
+    if (!target) return;
+    const lang =
+      this.elements.modalBody.querySelector("#revision-diff-lang")?.value ||
+      "en";
+    target.innerHTML = '<p class="p-2">Loading diff...</p>';
+    try {
+      const diff = await ApiService.getRevisionDiff(articleId, revisionId, {
+        lang,
+      });
+      const fields = diff.languages[lang] || {};
+      const sections = [
+        ["Title", fields.title],
+        ["Excerpt", fields.excerpt],
+        ["Content", fields.content],
+        ["Category", diff.common.category],
+        ["Author", diff.common.author],
+        ["Image URL", diff.common.imageUrl],
+      ]
+        .filter(([, field]) => field?.changed)
+        .map(
+          ([label, field]) =>
+            `<div class="mb-3"><strong class="block text-sm font-medium text-gray-700 dark:text-gray-300">${label}:</strong><div class="mt-1 whitespace-pre-wrap break-words rounded border p-2 font-mono text-xs dark:border-gray-600">${this.renderDiffOps(field.ops)}</div></div>`,
+        )
+        .join("");
+      const base = diff.compareTo
+        ? `revision #${diff.compareTo.revisionNumber}`
+        : "an empty article";
+      target.innerHTML = `<p class="mb-2 text-sm text-gray-600 dark:text-gray-400">Revision #${diff.revision.revisionNumber} compared to ${base}</p>${sections || '<p class="text-sm italic text-gray-500">No changes in this language.</p>'}`;
+    } catch (e) {
+      target.innerHTML = `<p class="p-2 text-red-500">Error: ${e.message}</p>`;
+    }
+  },
+
+  // Diff ops hold raw HTML source; show it as text with insert/delete marks
+  renderDiffOps(ops) {
+    const escape = (text) =>
+      text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    return ops
+      .map(({ op, text }) => {
+        if (op === "insert")
+          return `<ins class="bg-green-100 text-green-800 no-underline dark:bg-green-900 dark:text-green-200">${escape(text)}</ins>`;
+        if (op === "delete")
+          return `<del class="bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">${escape(text)}</del>`;
+        return escape(text);
+      })
+      .join("");
+  },
+
+  async handleRestoreRevision(articleId, revisionId, btn) {
+    if (
+      !confirm(
+        "Restore this revision? The current text is kept in the history.",
+      )
+    )
+      return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.restoreRevision(articleId, revisionId);
+      this.showArticleHistory(articleId);
+      this.loadArticles();
+    } catch (e) {
+      alert(`Restore failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
   async loadMySuggestions() {
     // Moderator loads own suggestions
     const container = this.elements.moderatorSuggestionsSection;
@@ -910,9 +2611,16 @@ const AdminUI = {
       const a = await ApiService.getArticle(articleId);
       if (!a) throw new Error("Not found");
       form.querySelector("#article-id").value = a.id;
-      form.querySelector("#article-category").value = a.category || "";
+      await this.loadCategoryOptions(a.category || "");
       form.querySelector("#article-author").value = a.author || "";
       form.querySelector("#article-image").value = a.imageUrl || "";
+      form.querySelector("#article-status").value = a.status || "published";
+      form.querySelector("#article-publish-at").value = a.publishAt
+        ? this.toDateTimeLocal(a.publishAt)
+        : "";
+      this.togglePublishAtField();
+      if (this.can("articles.edit"))
+        this.loadTagOptions((a.tags || []).map((tag) => tag.id));
       ["en", "rus", "mng"].forEach((l) => {
         form.querySelector(`#article-title-${l}`).value = a[`title_${l}`] || "";
         form.querySelector(`#article-excerpt-${l}`).value =
@@ -949,10 +2657,105 @@ const AdminUI = {
       if (i) i.value = "";
     });
     form.querySelector("#article-id").value = "";
+    this.togglePublishAtField();
     this.renderUIForRole();
     this.displayMessage(this.elements.articleFormMessage, "", false);
   },
 
+  // --- Categories ---
+  // Fills the article form's category select (moderators need it too)
+  async loadCategoryOptions(selected = "") {
+    const select = this.elements.articleCategory;
+    if (!select) return;
+    try {
+      const categories = await ApiService.getCategories();
+      select.innerHTML = [
+        '<option value="">Select a category</option>',
+        ...categories.map(
+          (c) => `<option value="${c.slug}">${c.name_en}</option>`,
+        ),
+      ].join("");
+    } catch (e) {
+      console.error("[Admin UI] Failed to load categories:", e);
+    }
+    select.value = selected;
+  },
+
+  // --- Tags (Admin) ---
+  async loadTagOptions(selectedIds = []) {
+    const container = this.elements.articleTagsContainer;
+    if (!container) return;
+    container.innerHTML = '<span class="text-sm">Loading tags...</span>';
+    try {
+      this.renderTagOptions(await ApiService.getTags(), selectedIds);
+    } catch (e) {
+      container.innerHTML = `<span class="text-sm text-red-500">Failed to load tags: ${e.message}</span>`;
+    }
+  },
+
+  renderTagOptions(tags, selectedIds = []) {
+    const container = this.elements.articleTagsContainer;
+    if (!container) return;
+    container.innerHTML = tags.length
+      ? tags
+          .map(
+            (tag) =>
+              `<label class="flex cursor-pointer items-center gap-1 rounded-full border px-3 py-1 text-sm dark:border-gray-600" title="${tag.slug}"><input type="checkbox" value="${tag.id}" ${selectedIds.includes(tag.id) ? "checked" : ""}> ${tag.name_en}</label>`,
+          )
+          .join("")
+      : '<span class="text-sm italic text-gray-500">No tags yet. Add one below.</span>';
+  },
+
+  async handleNewTagClick() {
+    const form = this.elements.articleForm,
+      msgEl = this.elements.tagFormMessage;
+    if (!form || !this.can("taxonomy.manage")) return;
+    const tagData = {
+      slug: form.querySelector("#new-tag-slug").value.trim(),
+      name_en: form.querySelector("#new-tag-name-en").value.trim(),
+      name_rus: form.querySelector("#new-tag-name-rus").value.trim() || null,
+      name_mng: form.querySelector("#new-tag-name-mng").value.trim() || null,
+    };
+    if (!tagData.slug || !tagData.name_en)
+      return this.displayMessage(msgEl, "Slug and English name required.", 1);
+    const selectedIds = [
+      ...form.querySelectorAll('#article-tags input[type="checkbox"]:checked'),
+    ].map((input) => Number(input.value));
+    try {
+      const tag = await ApiService.createTag(tagData);
+      ["slug", "name-en", "name-rus", "name-mng"].forEach(
+        (f) => (form.querySelector(`#new-tag-${f}`).value = ""),
+      );
+      this.displayMessage(msgEl, `Tag "${tag.name_en}" added.`, 0);
+      // Keep current selections and tick the new tag
+      await this.loadTagOptions([...selectedIds, tag.id]);
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Failed to add tag"),
+        1,
+      );
+    }
+  },
+
+  togglePublishAtField() {
+    const scheduled = this.elements.articleStatus?.value === "scheduled";
+    this.elements.articlePublishAtWrapper?.classList.toggle(
+      "hidden",
+      !scheduled,
+    );
+    if (this.elements.articlePublishAt)
+      this.elements.articlePublishAt.required = scheduled;
+  },
+
+  // ISO timestamp -> value for a datetime-local input (local time)
+  toDateTimeLocal(isoString) {
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+      .toISOString()
+      .slice(0, 16);
+  },
+
   displayMessage(el, msg, isErr = false) {
     if (!el) return;
     el.textContent = msg;
@@ -973,13 +2776,11 @@ const AdminUI = {
     if (btn) btn.disabled = 1;
     try {
       const data = await ApiService.login(user, pass);
-      if (!data?.accessToken || !data?.refreshToken)
-        throw new Error("Login invalid response.");
-      AuthService.setTokens(data.accessToken, data.refreshToken);
-      this.displayMessage(msgEl, "Success!", 0);
       if (form.querySelector("#password"))
         form.querySelector("#password").value = "";
-      await this.updateUI();
+      if (data?.twoFactorRequired) return this.showTwoFactorStep(data);
+      if (data?.twoFactorSetupRequired) return await this.showLoginSetup(data);
+      await this.completeLogin(data);
     } catch (e) {
       console.error("Login Fail:", e);
       let msg = e.message || "Unknown error",
@@ -1005,47 +2806,373 @@ const AdminUI = {
       }
     }
   },
-  async handleArticleSubmit(e) {
+
+  async completeLogin(data) {
+    if (!data?.accessToken) throw new Error("Login invalid response.");
+    AuthService.setTokens(data.accessToken);
+    this.resetLoginSteps();
+    this.displayMessage(this.elements.loginMessage, "Success!", 0);
+    await this.updateUI();
+  },
+
+  // --- Two-Factor Login ---
+  showTwoFactorStep({ message, twoFactorToken }) {
+    this.pendingTwoFactorToken = twoFactorToken;
+    this.elements.loginForm?.classList.add("hidden");
+    this.elements.twoFactorForm?.classList.remove("hidden");
+    this.elements.twoFactorCode?.focus();
+    this.displayMessage(this.elements.loginMessage, message, 0);
+  },
+
+  // Admins without two-factor set it up before the login completes
+  async showLoginSetup({ message, twoFactorToken }) {
+    const container = this.elements.twoFactorLoginSetup;
+    this.pendingTwoFactorToken = twoFactorToken;
+    const setup = await ApiService.setupTwoFactor(twoFactorToken);
+    this.elements.loginForm?.classList.add("hidden");
+    container.innerHTML = this.twoFactorSetupHtml(setup);
+    container.classList.remove("hidden");
+    this.displayMessage(this.elements.loginMessage, message, 0);
+  },
+
+  resetLoginSteps() {
+    this.pendingTwoFactorToken = null;
+    this.pendingLogin = null;
+    this.elements.twoFactorForm?.reset();
+    this.elements.twoFactorForm?.classList.add("hidden");
+    if (this.elements.twoFactorLoginSetup) {
+      this.elements.twoFactorLoginSetup.innerHTML = "";
+      this.elements.twoFactorLoginSetup.classList.add("hidden");
+    }
+    this.elements.loginForm?.classList.remove("hidden");
+    const btn = this.elements.loginForm?.querySelector("button");
+    if (btn) btn.disabled = 0;
+  },
+
+  // Six digits are a code from the app; anything else is a recovery code
+  secondFactorFrom(value) {
+    const compact = value.replace(/\s/g, "");
+    return /^\d{6}$/.test(compact)
+      ? { code: compact }
+      : { recoveryCode: value.trim() };
+  },
+
+  async handleTwoFactorSubmit(e) {
     e.preventDefault();
-    const form = this.elements.articleForm;
-    if (!form) return;
-    const submitTxt = this.elements.articleSubmit?.textContent || "",
-      isSugg = submitTxt.includes("Suggest"),
-      id = form.querySelector("#article-id").value,
-      msgEl = this.elements.articleFormMessage,
-      btn = this.elements.articleSubmit;
-    if (
-      (isSugg && this.currentUserRole !== "moderator") ||
-      (!isSugg && this.currentUserRole !== "admin")
-    )
-      return alert("Permission denied.");
-    ["en", "rus", "mng"].forEach((l) => {
-      const q = this.quillInstances[l],
-        i = form.querySelector(`#article-content-${l}`);
-      if (q && i) i.value = q.root.innerHTML;
-    });
-    const data = {
-      title_en: form.querySelector("#article-title-en").value.trim(),
-      content_en: form.querySelector("#article-content-en").value,
-      excerpt_en:
-        form.querySelector("#article-excerpt-en").value.trim() || null,
-      title_rus: form.querySelector("#article-title-rus").value.trim() || null,
-      content_rus: form.querySelector("#article-content-rus").value || null,
-      excerpt_rus:
-        form.querySelector("#article-excerpt-rus").value.trim() || null,
-      title_mng: form.querySelector("#article-title-mng").value.trim() || null,
-      content_mng: form.querySelector("#article-content-mng").value || null,
-      excerpt_mng:
-        form.querySelector("#article-excerpt-mng").value.trim() || null,
-      category: form.querySelector("#article-category").value,
-      author: form.querySelector("#article-author").value.trim(),
-      imageUrl: form.querySelector("#article-image").value.trim() || null,
-    };
-    if (
-      !data.title_en ||
-      !data.content_en ||
-      data.content_en === "<p><br></p>" ||
-      !data.category ||
+    const msgEl = this.elements.loginMessage,
+      btn = this.elements.twoFactorForm.querySelector("button[type=submit]"),
+      value = this.elements.twoFactorCode?.value || "";
+    if (!value.trim()) return this.displayMessage(msgEl, "Code required.", 1);
+    this.displayMessage(msgEl, "Verifying...", 0);
+    if (btn) btn.disabled = 1;
+    try {
+      const data = await ApiService.loginTwoFactor(
+        this.pendingTwoFactorToken,
+        this.secondFactorFrom(value),
+      );
+      await this.completeLogin(data);
+    } catch (e) {
+      console.error("Two-factor login failed:", e);
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Verification failed"),
+        1,
+      );
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  // Confirming the setup completes the login; the tokens wait until the
+  // recovery codes have been seen
+  async handleLoginSetupSubmit(e) {
+    e.preventDefault();
+    const container = this.elements.twoFactorLoginSetup,
+      msgEl = this.elements.loginMessage;
+    if (e.target.matches(".recovery-codes-done")) {
+      try {
+        await this.completeLogin(this.pendingLogin);
+      } catch (error) {
+        this.displayMessage(msgEl, `Login failed: ${error.message}`, 1);
+      }
+      return;
+    }
+    const code = e.target.elements.code?.value.trim();
+    try {
+      const data = await ApiService.enableTwoFactor(
+        code,
+        this.pendingTwoFactorToken,
+      );
+      this.pendingLogin = data;
+      container.innerHTML = `${this.recoveryCodesHtml(data.recoveryCodes)}
+        <form class="recovery-codes-done"><button type="submit" class="btn btn-blue">Continue</button></form>`;
+      this.displayMessage(msgEl, data.message, 0);
+    } catch (error) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(error, "Could not enable two-factor"),
+        1,
+      );
+    }
+  },
+
+  // --- Two-Factor Settings (own account) ---
+  twoFactorSetupHtml({ secret, otpauthUrl }) {
+    const groupedSecret = secret.match(/.{1,4}/g).join(" ");
+    return `
+      <p class="mb-2 text-sm">Add this account to an authenticator app (Google Authenticator, Aegis, 1Password...), then enter the code it shows.</p>
+      <p class="mb-2 text-sm"><a href="${otpauthUrl}" class="text-blue-500 hover:underline dark:text-blue-400">Open in authenticator app</a></p>
+      <p class="mb-3 text-sm">Or enter this key: <code class="select-all font-mono">${groupedSecret}</code></p>
+      <form class="two-factor-enable-form flex flex-wrap items-center gap-2">
+        <input name="code" class="form-input w-32" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" required />
+        <button type="submit" class="btn btn-blue">Confirm</button>
+      </form>`;
+  },
+
+  recoveryCodesHtml(codes) {
+    return `
+      <p class="mb-2 text-sm font-semibold">Save these recovery codes somewhere safe. Each one logs you in once if you lose your authenticator app, and they won't be shown again.</p>
+      <ul class="mb-3 grid grid-cols-2 gap-1 font-mono text-sm">${codes.map((code) => `<li>${code}</li>`).join("")}</ul>`;
+  },
+
+  handleSecurityClick() {
+    const section = this.elements.securitySection;
+    if (!section) return;
+    section.classList.toggle("hidden");
+    if (!section.classList.contains("hidden")) {
+      this.loadSecurity();
+      this.loadSessions();
+    }
+  },
+
+  async loadSecurity() {
+    const container = this.elements.securityContainer;
+    if (!container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    this.displayMessage(this.elements.securityMessage, "", 0);
+    try {
+      const status = await ApiService.getTwoFactorStatus();
+      this.renderSecurity(status);
+      if (this.can("users.manage") && this.elements.twoFactorPolicy) {
+        const policy = await ApiService.getTwoFactorPolicy();
+        this.elements.twoFactorPolicy.checked = policy.requireForAdmins;
+      }
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderSecurity(status) {
+    const container = this.elements.securityContainer;
+    if (!status.enabled) {
+      container.innerHTML = `
+        <p class="mb-3 text-sm">Two-factor authentication is <strong>off</strong>. ${status.required ? "It is required for admins; you will be asked to set it up at your next login." : "Turn it on to ask for a code from your phone at every login."}</p>
+        <button type="button" data-action="setup-two-factor" class="btn btn-blue">Set Up</button>`;
+      return;
+    }
+    container.innerHTML = `
+      <p class="mb-3 text-sm">Two-factor authentication is <strong>on</strong>. Recovery codes left: ${status.recoveryCodesRemaining}.</p>
+      <form class="two-factor-regenerate-form mb-4 flex flex-wrap items-center gap-2 text-sm">
+        <input name="code" class="form-input w-32" inputmode="numeric" autocomplete="one-time-code" placeholder="123456" required />
+        <button type="submit" class="btn btn-gray">New Recovery Codes</button>
+      </form>
+      ${
+        status.required
+          ? '<p class="text-sm text-gray-500 dark:text-gray-400">Required for admins, so it can\'t be turned off.</p>'
+          : `<form class="two-factor-disable-form flex flex-wrap items-center gap-2 text-sm">
+        <input name="password" type="password" class="form-input w-40" autocomplete="current-password" placeholder="Password" required />
+        <input name="code" class="form-input w-40" autocomplete="one-time-code" placeholder="Code or recovery code" required />
+        <button type="submit" class="btn btn-red">Turn Off</button>
+      </form>`
+      }`;
+  },
+
+  async handleSecurityActionClick(e) {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    if (btn.dataset.action === "done") return this.loadSecurity();
+    if (btn.dataset.action !== "setup-two-factor") return;
+    btn.disabled = true;
+    try {
+      const setup = await ApiService.setupTwoFactor();
+      this.elements.securityContainer.innerHTML =
+        this.twoFactorSetupHtml(setup);
+    } catch (error) {
+      this.displayMessage(
+        this.elements.securityMessage,
+        this.formatValidationError(error, "Could not start setup"),
+        1,
+      );
+      btn.disabled = false;
+    }
+  },
+
+  async handleSecurityFormSubmit(e) {
+    e.preventDefault();
+    const form = e.target,
+      msgEl = this.elements.securityMessage,
+      container = this.elements.securityContainer,
+      code = form.elements.code?.value.trim() || "";
+    const showCodes = (codes) => {
+      container.innerHTML = `${this.recoveryCodesHtml(codes)}
+        <button type="button" data-action="done" class="btn btn-blue">Done</button>`;
+    };
+    try {
+      if (form.matches(".two-factor-enable-form")) {
+        const data = await ApiService.enableTwoFactor(code);
+        this.displayMessage(msgEl, data.message, 0);
+        showCodes(data.recoveryCodes);
+      } else if (form.matches(".two-factor-regenerate-form")) {
+        const data = await ApiService.regenerateRecoveryCodes(code);
+        this.displayMessage(msgEl, "New recovery codes created.", 0);
+        showCodes(data.recoveryCodes);
+      } else if (form.matches(".two-factor-disable-form")) {
+        if (!confirm("Turn off two-factor authentication?")) return;
+        const data = await ApiService.disableTwoFactor(
+          form.elements.password.value,
+          this.secondFactorFrom(code),
+        );
+        this.displayMessage(msgEl, data.message, 0);
+        this.loadSecurity();
+      }
+    } catch (error) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(error, "Two-factor update failed"),
+        1,
+      );
+    }
+  },
+
+  // --- Sessions (own devices) ---
+  async loadSessions() {
+    const container = this.elements.sessionsContainer;
+    if (!container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      this.renderSessions(await ApiService.getSessions());
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderSessions(sessions) {
+    const container = this.elements.sessionsContainer;
+    const formatDate = (date) => new Date(date).toLocaleString();
+    // The user agent is whatever the client sent
+    const escape = (text) =>
+      text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    container.innerHTML = `<ul class="space-y-2">${sessions
+      .map(
+        (session) => `
+        <li class="flex flex-wrap items-center justify-between gap-2 rounded border bg-white p-2 text-sm dark:border-gray-600 dark:bg-gray-800">
+          <span class="flex-grow">
+            <span class="block truncate" title="${escape(session.userAgent || "")}">${escape(session.userAgent || "Unknown device")}</span>
+            <span class="text-xs text-gray-500 dark:text-gray-400">${session.ipAddress || "?"} · last used ${formatDate(session.lastUsedAt)} · signed in ${formatDate(session.createdAt)}</span>
+          </span>
+          ${
+            session.current
+              ? '<span class="text-xs font-semibold text-green-600 dark:text-green-400">This device</span>'
+              : `<button class="revoke-session btn btn-red text-xs py-1 px-2" data-session-id="${session.id}">Log Out</button>`
+          }
+        </li>`,
+      )
+      .join("")}</ul>`;
+  },
+
+  async handleSessionActionClick(e) {
+    const btn = e.target.closest("button.revoke-session");
+    if (!btn || btn.disabled) return;
+    if (!confirm("Log out this device?")) return;
+    btn.disabled = true;
+    try {
+      await ApiService.revokeSession(btn.dataset.sessionId);
+      this.loadSessions();
+    } catch (error) {
+      alert(`Error logging out device: ${error.message}`);
+      btn.disabled = false;
+    }
+  },
+
+  async handleLogoutEverywhere() {
+    if (!confirm("Log out on every device, including this one?")) return;
+    try {
+      await ApiService.logoutEverywhere();
+    } catch (error) {
+      return alert(`Error logging out: ${error.message}`);
+    }
+    AuthService.clearTokens();
+    this.updateUI();
+  },
+
+  async handleTwoFactorPolicyChange() {
+    const checkbox = this.elements.twoFactorPolicy;
+    const msgEl = this.elements.securityMessage;
+    try {
+      const policy = await ApiService.setTwoFactorPolicy(checkbox.checked);
+      checkbox.checked = policy.requireForAdmins;
+      this.displayMessage(
+        msgEl,
+        policy.requireForAdmins
+          ? "Two-factor authentication is now required for admins."
+          : "Two-factor authentication is now optional for admins.",
+        0,
+      );
+      this.loadSecurity();
+    } catch (error) {
+      checkbox.checked = !checkbox.checked;
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(error, "Could not save the setting"),
+        1,
+      );
+    }
+  },
+
+  async handleArticleSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.articleForm;
+    if (!form) return;
+    const submitTxt = this.elements.articleSubmit?.textContent || "",
+      isSugg = submitTxt.includes("Suggest"),
+      id = form.querySelector("#article-id").value,
+      msgEl = this.elements.articleFormMessage,
+      btn = this.elements.articleSubmit;
+    if (
+      (isSugg && !this.suggestsArticles()) ||
+      (!isSugg && !this.can("articles.edit"))
+    )
+      return alert("Permission denied.");
+    ["en", "rus", "mng"].forEach((l) => {
+      const q = this.quillInstances[l],
+        i = form.querySelector(`#article-content-${l}`);
+      if (q && i) i.value = q.root.innerHTML;
+    });
+    const data = {
+      title_en: form.querySelector("#article-title-en").value.trim(),
+      content_en: form.querySelector("#article-content-en").value,
+      excerpt_en:
+        form.querySelector("#article-excerpt-en").value.trim() || null,
+      title_rus: form.querySelector("#article-title-rus").value.trim() || null,
+      content_rus: form.querySelector("#article-content-rus").value || null,
+      excerpt_rus:
+        form.querySelector("#article-excerpt-rus").value.trim() || null,
+      title_mng: form.querySelector("#article-title-mng").value.trim() || null,
+      content_mng: form.querySelector("#article-content-mng").value || null,
+      excerpt_mng:
+        form.querySelector("#article-excerpt-mng").value.trim() || null,
+      category: form.querySelector("#article-category").value,
+      author: form.querySelector("#article-author").value.trim(),
+      imageUrl: form.querySelector("#article-image").value.trim() || null,
+    };
+    if (
+      !data.title_en ||
+      !data.content_en ||
+      data.content_en === "<p><br></p>" ||
+      !data.category ||
       !data.author
     )
       return this.displayMessage(
@@ -1053,6 +3180,24 @@ const AdminUI = {
         "Required: Eng Title, Eng Content, Category, Author.",
         1,
       );
+    if (!isSugg) {
+      const status = form.querySelector("#article-status").value,
+        publishAt = form.querySelector("#article-publish-at").value;
+      if (status === "scheduled" && !publishAt)
+        return this.displayMessage(
+          msgEl,
+          "Pick a publish date for a scheduled article.",
+          1,
+        );
+      data.status = status;
+      data.publishAt =
+        status === "scheduled" ? new Date(publishAt).toISOString() : null;
+      data.tagIds = [
+        ...form.querySelectorAll(
+          '#article-tags input[type="checkbox"]:checked',
+        ),
+      ].map((input) => Number(input.value));
+    }
     let verb = isSugg
       ? id
         ? "Suggesting Edit"
@@ -1069,13 +3214,14 @@ const AdminUI = {
           ? await ApiService.suggestArticleEdit(id, data)
           : await ApiService.suggestNewArticle(data);
         msg = r.message || "Suggestion submitted.";
-        if (this.currentUserRole === "moderator")
-          setTimeout(() => this.loadMySuggestions(), 1000);
+        msg += this.describeEmbeddedImages(r.embeddedImages);
+        setTimeout(() => this.loadMySuggestions(), 1000);
       } else {
         const r = id
           ? await ApiService.updateArticle(id, data)
           : await ApiService.createArticle(data);
         msg = id ? "Article updated!" : "Article created!";
+        msg += this.describeEmbeddedImages(r.embeddedImages);
         await this.loadArticles();
       }
       this.displayMessage(msgEl, msg, 0);
@@ -1095,7 +3241,7 @@ const AdminUI = {
     }
   },
   async handleDeleteArticle(id) {
-    if (this.currentUserRole !== "admin" || !id) return;
+    if (!this.can("articles.delete") || !id) return;
     if (!confirm(`Delete article ID ${id}?`)) return;
     const btn = this.elements.articlesContainer?.querySelector(
       `.delete-article[data-id="${id}"]`,
@@ -1114,6 +3260,8 @@ const AdminUI = {
     if (!c) return;
     this.resetForm();
     this.renderUIForRole();
+    this.loadCategoryOptions();
+    if (this.can("articles.edit")) this.loadTagOptions();
     c.classList.remove("hidden");
     this.elements.articleForm?.scrollIntoView({
       behavior: "smooth",
@@ -1126,20 +3274,28 @@ const AdminUI = {
     this.resetForm();
     c.classList.add("hidden");
   },
-  handleLogout() {
+  async handleLogout() {
+    try {
+      await ApiService.logout();
+    } catch (error) {
+      // Logged out locally either way; the session expires unused
+      console.warn("Server logout failed:", error);
+    }
     AuthService.clearTokens();
     this.updateUI();
   },
   handleSuggestEditClick(id) {
-    if (this.currentUserRole !== "moderator" || !id) return;
+    if (!this.suggestsArticles() || !id) return;
     this.loadArticleForEditing(id);
   },
   async handleCreateModeratorSubmit(e) {
     e.preventDefault();
     const form = this.elements.createModeratorForm;
-    if (this.currentUserRole !== "admin" || !form) return;
+    if (!this.can("users.manage") || !form) return;
     const user = form.querySelector("#mod-username")?.value.trim(),
       email = form.querySelector("#mod-email")?.value.trim(),
+      role = form.querySelector("#mod-role")?.value || "moderator",
+      languages = this.checkedLanguages(form.querySelector("#mod-languages")),
       msgEl = this.elements.createModeratorMessage,
       btn = form.querySelector("button");
     if (!user || !email)
@@ -1147,13 +3303,19 @@ const AdminUI = {
     this.displayMessage(msgEl, "Creating...", 0);
     if (btn) btn.disabled = 1;
     try {
-      const r = await ApiService.createUser({ username: user, email: email });
+      const r = await ApiService.createUser({
+        username: user,
+        email: email,
+        role,
+        languages,
+      });
       this.displayMessage(
         msgEl,
-        `Moderator '${user}' created. Temp PW: ${r.temporaryPassword}`,
+        `User '${user}' created as ${role}. Temp PW: ${r.temporaryPassword}`,
         0,
       );
       form.reset();
+      this.renderRoleOptions();
       this.loadModerators();
       setTimeout(() => {
         if (msgEl?.textContent.includes("created"))
@@ -1169,7 +3331,7 @@ const AdminUI = {
     }
   },
   async handleApproveSuggestion(id, btn) {
-    if (this.currentUserRole !== "admin") return;
+    if (!this.can("suggestions.review")) return;
     const acts = btn.closest(".suggestion-actions"),
       errEl = acts?.querySelector(".error-message"),
       sucEl = acts?.querySelector(".success-message"),
@@ -1202,7 +3364,7 @@ const AdminUI = {
     }
   },
   async handleRejectSuggestion(id, btn) {
-    if (this.currentUserRole !== "admin") return;
+    if (!this.can("suggestions.review")) return;
     const reason = prompt("Optional: Reason for rejection:");
     const acts = btn.closest(".suggestion-actions"),
       errEl = acts?.querySelector(".error-message"),
@@ -1234,6 +3396,1070 @@ const AdminUI = {
       if (viewBtn) viewBtn.disabled = 0;
     }
   },
+
+  // --- Competitions (Admin Only) ---
+  async loadCompetitions() {
+    const container = this.elements.competitionsListContainer;
+    if (!this.can("competitions.view") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      const competitions = await ApiService.getCompetitions();
+      this.renderCompetitions(competitions);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderCompetitions(competitions) {
+    const container = this.elements.competitionsListContainer;
+    if (!container) return;
+    if (!Array.isArray(competitions)) {
+      container.innerHTML =
+        '<p class="text-red-500 text-center p-4">Error: Invalid data.</p>';
+      return;
+    }
+    if (competitions.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No competitions found.</p>';
+      return;
+    }
+    container.innerHTML = `<ul class="space-y-2"> ${competitions
+      .map(
+        (c) => `
+        <li class="flex flex-wrap justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded bg-white dark:bg-gray-800">
+            <span class="flex-grow mr-2">
+                <span class="font-semibold">${c.name_en}</span>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${c.startDate} – ${c.endDate}${c.venue ? ` · ${c.venue}` : ""}</span>
+                <span class="text-xs ml-2 capitalize">(${c.status})</span>
+            </span>
+            <span class="flex gap-2 flex-shrink-0">
+                <button class="view-results btn btn-green text-xs py-1 px-2" data-competition-id="${c.id}">Results</button>
+                ${
+                  this.can("competitions.registrations")
+                    ? `<button class="view-registrations btn btn-gray text-xs py-1 px-2" data-competition-id="${c.id}">Entries</button>`
+                    : ""
+                }
+                ${
+                  this.can("competitions.manage")
+                    ? `<button class="edit-competition btn btn-blue text-xs py-1 px-2" data-competition-id="${c.id}">Edit</button>
+                <button class="delete-competition btn btn-red text-xs py-1 px-2" data-competition-id="${c.id}">Delete</button>`
+                    : ""
+                }
+            </span>
+        </li>`,
+      )
+      .join("")} </ul>`;
+  },
+
+  resetCompetitionForm() {
+    const form = this.elements.competitionForm;
+    if (!form) return;
+    form.reset();
+    form.querySelector("#competition-id").value = "";
+    if (this.elements.competitionFormHeading)
+      this.elements.competitionFormHeading.textContent =
+        "Create New Competition";
+    if (this.elements.competitionSubmit)
+      this.elements.competitionSubmit.textContent = "Create Competition";
+    this.displayMessage(this.elements.competitionFormMessage, "", false);
+  },
+
+  async loadCompetitionForEditing(id) {
+    const form = this.elements.competitionForm;
+    if (!this.can("competitions.manage") || !form) return;
+    const msgEl = this.elements.competitionFormMessage;
+    this.displayMessage(msgEl, "Loading...", 0);
+    try {
+      const c = await ApiService.getCompetition(id);
+      form.querySelector("#competition-id").value = c.id;
+      ["en", "rus", "mng"].forEach((l) => {
+        form.querySelector(`#competition-name-${l}`).value =
+          c[`name_${l}`] || "";
+        form.querySelector(`#competition-description-${l}`).value =
+          c[`description_${l}`] || "";
+      });
+      form.querySelector("#competition-venue").value = c.venue || "";
+      form.querySelector("#competition-status").value = c.status;
+      form.querySelector("#competition-tier").value = c.tier || "national";
+      form.querySelector("#competition-start-date").value = c.startDate;
+      form.querySelector("#competition-end-date").value = c.endDate;
+      // datetime-local wants "YYYY-MM-DDTHH:mm" in local time
+      if (c.registrationDeadline) {
+        const d = new Date(c.registrationDeadline);
+        d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+        form.querySelector("#competition-deadline").value = d
+          .toISOString()
+          .slice(0, 16);
+      } else {
+        form.querySelector("#competition-deadline").value = "";
+      }
+      form.querySelector("#competition-disciplines").value = (
+        c.disciplines || []
+      ).join(", ");
+      form.querySelector("#competition-capacities").value = Object.entries(
+        c.capacities || {},
+      )
+        .map(([d, limit]) => `${d}=${limit}`)
+        .join(", ");
+      if (this.elements.competitionFormHeading)
+        this.elements.competitionFormHeading.textContent = `Edit Competition #${c.id}`;
+      if (this.elements.competitionSubmit)
+        this.elements.competitionSubmit.textContent = "Update Competition";
+      this.displayMessage(msgEl, "", 0);
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (e) {
+      this.displayMessage(msgEl, `Load failed: ${e.message}`, 1);
+    }
+  },
+
+  async handleCompetitionSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.competitionForm;
+    if (!this.can("competitions.manage") || !form) return;
+    const msgEl = this.elements.competitionFormMessage,
+      btn = this.elements.competitionSubmit,
+      id = form.querySelector("#competition-id").value,
+      deadline = form.querySelector("#competition-deadline").value;
+    const data = {
+      name_en: form.querySelector("#competition-name-en").value.trim(),
+      name_rus: form.querySelector("#competition-name-rus").value.trim(),
+      name_mng: form.querySelector("#competition-name-mng").value.trim(),
+      description_en: form
+        .querySelector("#competition-description-en")
+        .value.trim(),
+      description_rus: form
+        .querySelector("#competition-description-rus")
+        .value.trim(),
+      description_mng: form
+        .querySelector("#competition-description-mng")
+        .value.trim(),
+      venue: form.querySelector("#competition-venue").value.trim(),
+      status: form.querySelector("#competition-status").value,
+      tier: form.querySelector("#competition-tier").value,
+      startDate: form.querySelector("#competition-start-date").value,
+      endDate: form.querySelector("#competition-end-date").value,
+      registrationDeadline: deadline ? new Date(deadline).toISOString() : null,
+      disciplines: form
+        .querySelector("#competition-disciplines")
+        .value.split(",")
+        .map((d) => d.trim())
+        .filter(Boolean),
+    };
+    if (!data.name_en || !data.startDate || !data.endDate)
+      return this.displayMessage(msgEl, "Name and dates are required.", 1);
+    if (data.disciplines.length === 0)
+      return this.displayMessage(msgEl, "Add at least one discipline.", 1);
+    // "3m=32, 5m=16" -> { "3m": 32, "5m": 16 }
+    data.capacities = {};
+    for (const pair of form
+      .querySelector("#competition-capacities")
+      .value.split(",")
+      .map((p) => p.trim())
+      .filter(Boolean)) {
+      const [discipline, limit] = pair.split("=").map((p) => p.trim());
+      const parsed = parseInt(limit, 10);
+      if (!data.disciplines.includes(discipline) || !(parsed > 0))
+        return this.displayMessage(msgEl, `Invalid capacity: "${pair}"`, 1);
+      data.capacities[discipline] = parsed;
+    }
+    this.displayMessage(msgEl, id ? "Updating..." : "Creating...", 0);
+    if (btn) btn.disabled = 1;
+    try {
+      if (id) await ApiService.updateCompetition(id, data);
+      else await ApiService.createCompetition(data);
+      this.resetCompetitionForm();
+      this.displayMessage(
+        msgEl,
+        id ? "Competition updated." : "Competition created.",
+        0,
+      );
+      this.loadCompetitions();
+    } catch (e) {
+      let msg = `Save failed: ${e.message}`;
+      if (e.data?.errors?.length)
+        msg = `Error: ${e.data.errors.map((err) => `${err.path || err.param || "Input"}: ${err.msg || err.message}`).join(", ")}`;
+      this.displayMessage(msgEl, msg, 1);
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteCompetition(id, btn) {
+    if (!this.can("competitions.manage") || !id) return;
+    if (!confirm(`Delete competition ID ${id}?`)) return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteCompetition(id);
+      if (
+        this.elements.competitionForm?.querySelector("#competition-id")
+          .value === String(id)
+      )
+        this.resetCompetitionForm();
+      if (String(this.currentRegistrationsCompetitionId) === String(id)) {
+        this.elements.registrationsPanel?.classList.add("hidden");
+        this.currentRegistrationsCompetitionId = null;
+      }
+      if (String(this.currentResultsCompetition?.id) === String(id)) {
+        this.elements.resultsPanel?.classList.add("hidden");
+        this.currentResultsCompetition = null;
+      }
+      this.loadCompetitions();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async loadRegistrations(competitionId) {
+    const panel = this.elements.registrationsPanel,
+      container = this.elements.registrationsContainer;
+    if (!this.can("competitions.registrations") || !panel || !container) return;
+    this.currentRegistrationsCompetitionId = competitionId;
+    panel.classList.remove("hidden");
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      const data = await ApiService.getRegistrations(competitionId);
+      this.renderRegistrations(data);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderRegistrations({ competition, summary, registrations }) {
+    const container = this.elements.registrationsContainer;
+    if (!container) return;
+    if (this.elements.registrationsHeading)
+      this.elements.registrationsHeading.textContent = `Registrations: ${competition.name_en}`;
+    const summaryRows = summary
+      .map(
+        (s) =>
+          `<tr><td class="p-1 font-semibold">${s.discipline}</td><td class="p-1">${s.approved}${s.capacity ? ` / ${s.capacity}` : ""}</td><td class="p-1">${s.pending}</td><td class="p-1">${s.waitlisted}</td><td class="p-1">${s.rejected}</td></tr>`,
+      )
+      .join("");
+    const statusClasses = {
+      pending: "text-yellow-600 dark:text-yellow-400",
+      approved: "text-green-600 dark:text-green-400",
+      waitlisted: "text-blue-600 dark:text-blue-400",
+      rejected: "text-red-500 dark:text-red-400",
+    };
+    const actionStatus = {
+      approve: "approved",
+      waitlist: "waitlisted",
+      reject: "rejected",
+    };
+    // Hide the button for the state the entry is already in
+    const actionButton = (r, action, label, color) =>
+      r.status === actionStatus[action]
+        ? ""
+        : `<button class="btn ${color} text-xs py-1 px-2" data-registration-id="${r.id}" data-action="${action}">${label}</button>`;
+    const rows = registrations.length
+      ? registrations
+          .map(
+            (r) => `
+        <li class="flex flex-wrap justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded">
+            <span class="flex-grow mr-2">
+                <span class="font-semibold">${r.athleteName}</span>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${r.discipline} · ${r.ageCategory}${r.gender ? ` · ${r.gender}` : ""}${r.club ? ` · ${r.club}` : ""} · ${r.contact}</span>
+                <span class="text-xs ml-2 capitalize font-medium ${statusClasses[r.status] || ""}">(${r.status})</span>
+            </span>
+            <span class="flex gap-2 flex-shrink-0">
+                ${actionButton(r, "approve", "Approve", "btn-green")}
+                ${actionButton(r, "waitlist", "Waitlist", "btn-gray")}
+                ${actionButton(r, "reject", "Reject", "btn-red")}
+            </span>
+        </li>`,
+          )
+          .join("")
+      : '<li class="text-center p-4 text-gray-500 dark:text-gray-400">No registrations yet.</li>';
+    container.innerHTML = `
+      <table class="mb-4 w-full text-left text-sm">
+        <thead><tr class="border-b dark:border-gray-600"><th class="p-1">Discipline</th><th class="p-1">Approved</th><th class="p-1">Pending</th><th class="p-1">Waitlisted</th><th class="p-1">Rejected</th></tr></thead>
+        <tbody>${summaryRows}</tbody>
+      </table>
+      <ul class="space-y-2">${rows}</ul>`;
+  },
+
+  async handleReviewRegistration(registrationId, action, btn) {
+    const competitionId = this.currentRegistrationsCompetitionId;
+    if (!this.can("competitions.registrations") || !competitionId) return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.reviewRegistration(
+        competitionId,
+        registrationId,
+        action,
+      );
+      this.loadRegistrations(competitionId);
+    } catch (e) {
+      alert(`Action failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  // --- Ranking Points Table (Admin Only) ---
+  async loadPointsTable() {
+    const form = this.elements.pointsTableForm;
+    if (!this.can("rankings.manage") || !form) return;
+    try {
+      const table = await ApiService.getPointsTable();
+      form.querySelector("#points-placements").value =
+        table.placements.join(", ");
+      Object.entries(table.tiers).forEach(([tier, weight]) => {
+        const input = form.querySelector(`#points-tier-${tier}`);
+        if (input) input.value = weight;
+      });
+    } catch (e) {
+      this.displayMessage(
+        this.elements.pointsTableMessage,
+        `Load failed: ${e.message}`,
+        1,
+      );
+    }
+  },
+
+  async handlePointsTableSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.pointsTableForm;
+    if (!this.can("rankings.manage") || !form) return;
+    const msgEl = this.elements.pointsTableMessage,
+      btn = form.querySelector("button");
+    const placements = form
+      .querySelector("#points-placements")
+      .value.split(",")
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .map(Number);
+    if (
+      placements.length === 0 ||
+      placements.some((p) => !Number.isInteger(p) || p < 0)
+    )
+      return this.displayMessage(
+        msgEl,
+        "Placements must be whole numbers, e.g. 100, 80, 65.",
+        1,
+      );
+    const tiers = {};
+    ["international", "national", "regional", "club"].forEach((tier) => {
+      const value = form.querySelector(`#points-tier-${tier}`)?.value;
+      if (value !== "" && value !== undefined) tiers[tier] = parseFloat(value);
+    });
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.updatePointsTable({ placements, tiers });
+      this.displayMessage(msgEl, "Points table saved.", 0);
+    } catch (e) {
+      let msg = `Save failed: ${e.message}`;
+      if (e.data?.errors?.length)
+        msg = `Error: ${e.data.errors.map((err) => err.msg || err.message).join(", ")}`;
+      this.displayMessage(msgEl, msg, 1);
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  // --- Results Entry (Admin & Moderator judges) ---
+  async loadResults(competitionId) {
+    const panel = this.elements.resultsPanel,
+      container = this.elements.resultsContainer;
+    if (!panel || !container) return;
+    panel.classList.remove("hidden");
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      const [competition, results] = await Promise.all([
+        ApiService.getCompetition(competitionId),
+        ApiService.getResults(competitionId),
+      ]);
+      const isNewCompetition =
+        this.currentResultsCompetition?.id !== competition.id;
+      this.currentResultsCompetition = competition;
+      if (this.elements.resultsHeading)
+        this.elements.resultsHeading.textContent = `Results: ${competition.name_en}`;
+      const select =
+        this.elements.resultForm?.querySelector("#result-discipline");
+      if (select && isNewCompetition) {
+        select.innerHTML = competition.disciplines
+          .map((d) => `<option value="${d}">${d}</option>`)
+          .join("");
+        this.resetResultForm();
+      }
+      this.currentResults = results;
+      this.renderResults(results);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderResults(results) {
+    const container = this.elements.resultsContainer;
+    if (!container) return;
+    if (!Array.isArray(results) || results.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No results entered yet.</p>';
+      return;
+    }
+    container.innerHTML = `
+      <table class="w-full text-left text-sm">
+        <thead><tr class="border-b dark:border-gray-600"><th class="p-1">Discipline</th><th class="p-1">Place</th><th class="p-1">Athlete</th><th class="p-1">Rounds</th><th class="p-1">Total</th><th class="p-1"></th></tr></thead>
+        <tbody>${results
+          .map(
+            (r) => `
+          <tr class="border-b dark:border-gray-600">
+            <td class="p-1">${r.discipline}</td>
+            <td class="p-1 font-semibold">${r.placement ?? "-"}</td>
+            <td class="p-1">${r.athleteName}${r.club ? ` <span class="text-xs text-gray-500 dark:text-gray-400">(${r.club})</span>` : ""}</td>
+            <td class="p-1">${r.rounds.map((round) => round.score).join(" + ")}</td>
+            <td class="p-1 font-semibold">${r.totalScore}</td>
+            <td class="p-1 whitespace-nowrap text-right">
+              <button class="edit-result btn btn-blue text-xs py-1 px-2" data-result-id="${r.id}">Edit</button>
+              <button class="delete-result btn btn-red text-xs py-1 px-2" data-result-id="${r.id}">Delete</button>
+            </td>
+          </tr>`,
+          )
+          .join("")}</tbody>
+      </table>`;
+  },
+
+  // "3: center inner miss" per line -> [{ distance: 3, throws: [...] }]
+  parseRoundsInput(text) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [distance, zones = ""] = line.split(":");
+        return {
+          distance: parseFloat(distance),
+          throws: zones
+            .split(/[\s,]+/)
+            .map((z) => z.trim().toLowerCase())
+            .filter(Boolean),
+        };
+      });
+  },
+
+  resetResultForm() {
+    const form = this.elements.resultForm;
+    if (!form) return;
+    const select = form.querySelector("#result-discipline"),
+      discipline = select?.value;
+    form.reset();
+    if (select && discipline) select.value = discipline; // Keep the tab judges are working on
+    form.querySelector("#result-id").value = "";
+    this.displayMessage(this.elements.resultFormMessage, "", false);
+  },
+
+  editResult(resultId) {
+    const form = this.elements.resultForm,
+      r = this.currentResults?.find((x) => String(x.id) === String(resultId));
+    if (!form || !r) return;
+    form.querySelector("#result-id").value = r.id;
+    form.querySelector("#result-discipline").value = r.discipline;
+    form.querySelector("#result-athlete-name").value = r.athleteName;
+    form.querySelector("#result-club").value = r.club || "";
+    form.querySelector("#result-age-category").value = r.ageCategory || "";
+    form.querySelector("#result-gender").value = r.gender || "";
+    form.querySelector("#result-rounds").value = r.rounds
+      .map((round) => `${round.distance}: ${round.throws.join(" ")}`)
+      .join("\n");
+    form.scrollIntoView({ behavior: "smooth", block: "start" });
+  },
+
+  async handleResultSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.resultForm,
+      competition = this.currentResultsCompetition;
+    if (!form || !competition) return;
+    const msgEl = this.elements.resultFormMessage,
+      btn = form.querySelector("#result-submit"),
+      id = form.querySelector("#result-id").value;
+    const data = {
+      discipline: form.querySelector("#result-discipline").value,
+      athleteName: form.querySelector("#result-athlete-name").value.trim(),
+      club: form.querySelector("#result-club").value.trim(),
+      ageCategory: form.querySelector("#result-age-category").value.trim(),
+      gender: form.querySelector("#result-gender").value || null,
+      rounds: this.parseRoundsInput(form.querySelector("#result-rounds").value),
+    };
+    if (
+      data.rounds.length === 0 ||
+      data.rounds.some((r) => isNaN(r.distance) || r.throws.length === 0)
+    )
+      return this.displayMessage(
+        msgEl,
+        'Each round needs a distance and zones, e.g. "3: center inner miss".',
+        1,
+      );
+    if (btn) btn.disabled = 1;
+    try {
+      if (id) await ApiService.updateResult(competition.id, id, data);
+      else await ApiService.createResult(competition.id, data);
+      this.resetResultForm();
+      this.displayMessage(msgEl, "Result saved.", 0);
+      this.loadResults(competition.id);
+    } catch (e) {
+      let msg = `Save failed: ${e.message}`;
+      if (e.data?.errors?.length)
+        msg = `Error: ${e.data.errors.map((err) => `${err.path || err.param || "Input"}: ${err.msg || err.message}`).join(", ")}`;
+      this.displayMessage(msgEl, msg, 1);
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteResult(resultId, btn) {
+    const competition = this.currentResultsCompetition;
+    if (!competition || !confirm(`Delete result ID ${resultId}?`)) return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteResult(competition.id, resultId);
+      this.loadResults(competition.id);
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  // --- Athletes & Clubs (Admin Only) ---
+  // Reads the shared multilingual name/bio inputs of a profile form
+  readProfileLangFields(form, prefix) {
+    const data = {};
+    ["en", "rus", "mng"].forEach((l) => {
+      data[`name_${l}`] = form
+        .querySelector(`#${prefix}-name-${l}`)
+        .value.trim();
+      data[`bio_${l}`] = form.querySelector(`#${prefix}-bio-${l}`).value.trim();
+    });
+    return data;
+  },
+
+  fillProfileLangFields(form, prefix, record) {
+    ["en", "rus", "mng"].forEach((l) => {
+      form.querySelector(`#${prefix}-name-${l}`).value =
+        record[`name_${l}`] || "";
+      form.querySelector(`#${prefix}-bio-${l}`).value =
+        record[`bio_${l}`] || "";
+    });
+  },
+
+  // Pasted images are moved to the media library by the server on save
+  describeEmbeddedImages(report) {
+    if (!report?.images) return "";
+    const saved = (report.bytesSaved / 1024).toFixed(0);
+    return ` ${report.images} pasted image(s) moved to the media library (${saved} KB saved).`;
+  },
+  formatValidationError(e, fallback) {
+    if (e.data?.errors?.length)
+      return `Error: ${e.data.errors.map((err) => `${err.path || err.param || "Input"}: ${err.msg || err.message}`).join(", ")}`;
+    return `${fallback}: ${e.message}`;
+  },
+
+  async loadClubs() {
+    const container = this.elements.clubsListContainer;
+    if (!this.can("athletes.manage") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      this.currentClubs = await ApiService.getClubs();
+      this.renderClubs(this.currentClubs);
+      this.renderMembershipClubOptions();
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderClubs(clubs) {
+    const container = this.elements.clubsListContainer;
+    if (!container) return;
+    if (clubs.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No clubs found.</p>';
+      return;
+    }
+    container.innerHTML = `<ul class="space-y-2"> ${clubs
+      .map(
+        (c) => `
+        <li class="flex flex-wrap justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded bg-white dark:bg-gray-800">
+            <span class="flex-grow mr-2">
+                <a href="/clubs.html?id=${c.id}" target="_blank" class="font-semibold">${c.name_en}</a>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${c.city ? `${c.city} · ` : ""}${c.memberCount} current members</span>
+            </span>
+            <span class="flex gap-2 flex-shrink-0">
+                <button class="edit-club btn btn-blue text-xs py-1 px-2" data-club-id="${c.id}">Edit</button>
+                <button class="delete-club btn btn-red text-xs py-1 px-2" data-club-id="${c.id}">Delete</button>
+            </span>
+        </li>`,
+      )
+      .join("")} </ul>`;
+  },
+
+  resetClubForm() {
+    const form = this.elements.clubForm;
+    if (!form) return;
+    form.reset();
+    form.querySelector("#club-id").value = "";
+    if (this.elements.clubFormHeading)
+      this.elements.clubFormHeading.textContent = "Create New Club";
+    if (this.elements.clubSubmit)
+      this.elements.clubSubmit.textContent = "Create Club";
+    this.displayMessage(this.elements.clubFormMessage, "", false);
+  },
+
+  async loadClubForEditing(id) {
+    const form = this.elements.clubForm;
+    if (!this.can("athletes.manage") || !form) return;
+    const msgEl = this.elements.clubFormMessage;
+    this.displayMessage(msgEl, "Loading...", 0);
+    try {
+      const club = await ApiService.getClub(id);
+      form.querySelector("#club-id").value = club.id;
+      this.fillProfileLangFields(form, "club", club);
+      form.querySelector("#club-city").value = club.city || "";
+      form.querySelector("#club-website").value = club.website || "";
+      form.querySelector("#club-photo-url").value = club.photoUrl || "";
+      if (this.elements.clubFormHeading)
+        this.elements.clubFormHeading.textContent = `Edit Club #${club.id}`;
+      if (this.elements.clubSubmit)
+        this.elements.clubSubmit.textContent = "Update Club";
+      this.displayMessage(msgEl, "", 0);
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (e) {
+      this.displayMessage(msgEl, `Load failed: ${e.message}`, 1);
+    }
+  },
+
+  async handleClubSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.clubForm;
+    if (!this.can("athletes.manage") || !form) return;
+    const msgEl = this.elements.clubFormMessage,
+      btn = this.elements.clubSubmit,
+      id = form.querySelector("#club-id").value;
+    const data = {
+      ...this.readProfileLangFields(form, "club"),
+      city: form.querySelector("#club-city").value.trim(),
+      website: form.querySelector("#club-website").value.trim(),
+      photoUrl: form.querySelector("#club-photo-url").value.trim(),
+    };
+    if (!data.name_en)
+      return this.displayMessage(msgEl, "English name is required.", 1);
+    this.displayMessage(msgEl, id ? "Updating..." : "Creating...", 0);
+    if (btn) btn.disabled = 1;
+    try {
+      if (id) await ApiService.updateClub(id, data);
+      else await ApiService.createClub(data);
+      this.resetClubForm();
+      this.displayMessage(msgEl, id ? "Club updated." : "Club created.", 0);
+      this.loadClubs();
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Save failed"),
+        1,
+      );
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteClub(id, btn) {
+    if (!this.can("athletes.manage") || !id) return;
+    if (
+      !confirm(`Delete club ID ${id}? Its membership history is removed too.`)
+    )
+      return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteClub(id);
+      if (
+        this.elements.clubForm?.querySelector("#club-id").value === String(id)
+      )
+        this.resetClubForm();
+      this.loadClubs();
+      this.loadAthletes();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async loadCategories() {
+    const container = this.elements.categoriesListContainer;
+    if (!this.can("taxonomy.manage") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      this.currentCategories = await ApiService.getCategories();
+      this.renderCategories(this.currentCategories);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderCategories(categories) {
+    const container = this.elements.categoriesListContainer;
+    if (!container) return;
+    if (categories.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No categories found.</p>';
+      return;
+    }
+    container.innerHTML = `<ul class="space-y-2"> ${categories
+      .map(
+        (c) => `
+        <li class="flex flex-wrap justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded bg-white dark:bg-gray-800">
+            <span class="flex-grow mr-2">
+                <a href="/articles.html?category=${c.slug}" target="_blank" class="font-semibold">${c.name_en}</a>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${c.slug} · ${c.color} · order ${c.sortOrder} · ${c.articleCount} articles</span>
+            </span>
+            <span class="flex gap-2 flex-shrink-0">
+                <button class="edit-category btn btn-blue text-xs py-1 px-2" data-category-id="${c.id}">Edit</button>
+                <button class="delete-category btn btn-red text-xs py-1 px-2" data-category-id="${c.id}" ${c.articleCount > 0 ? 'disabled title="Move its articles to another category first"' : ""}>Delete</button>
+            </span>
+        </li>`,
+      )
+      .join("")} </ul>`;
+  },
+
+  resetCategoryForm() {
+    const form = this.elements.categoryForm;
+    if (!form) return;
+    form.reset();
+    form.querySelector("#category-id").value = "";
+    if (this.elements.categoryFormHeading)
+      this.elements.categoryFormHeading.textContent = "Create New Category";
+    if (this.elements.categorySubmit)
+      this.elements.categorySubmit.textContent = "Create Category";
+    this.displayMessage(this.elements.categoryFormMessage, "", false);
+  },
+
+  loadCategoryForEditing(id) {
+    const form = this.elements.categoryForm;
+    if (!this.can("taxonomy.manage") || !form) return;
+    const category = (this.currentCategories || []).find(
+      (c) => String(c.id) === String(id),
+    );
+    if (!category) return;
+    form.querySelector("#category-id").value = category.id;
+    ["en", "rus", "mng"].forEach((l) => {
+      form.querySelector(`#category-name-${l}`).value =
+        category[`name_${l}`] || "";
+    });
+    form.querySelector("#category-slug").value = category.slug;
+    form.querySelector("#category-color").value = category.color;
+    form.querySelector("#category-sort-order").value = category.sortOrder;
+    if (this.elements.categoryFormHeading)
+      this.elements.categoryFormHeading.textContent = `Edit Category #${category.id}`;
+    if (this.elements.categorySubmit)
+      this.elements.categorySubmit.textContent = "Update Category";
+    this.displayMessage(this.elements.categoryFormMessage, "", 0);
+    form.scrollIntoView({ behavior: "smooth", block: "start" });
+  },
+
+  async handleCategorySubmit(e) {
+    e.preventDefault();
+    const form = this.elements.categoryForm;
+    if (!this.can("taxonomy.manage") || !form) return;
+    const msgEl = this.elements.categoryFormMessage,
+      btn = this.elements.categorySubmit,
+      id = form.querySelector("#category-id").value;
+    const data = {
+      slug: form.querySelector("#category-slug").value.trim().toLowerCase(),
+      name_en: form.querySelector("#category-name-en").value.trim(),
+      name_rus: form.querySelector("#category-name-rus").value.trim(),
+      name_mng: form.querySelector("#category-name-mng").value.trim(),
+      color: form.querySelector("#category-color").value,
+      sortOrder: form.querySelector("#category-sort-order").value || 0,
+    };
+    if (!data.slug || !data.name_en)
+      return this.displayMessage(
+        msgEl,
+        "Slug and English name are required.",
+        1,
+      );
+    const previous = (this.currentCategories || []).find(
+      (c) => String(c.id) === id,
+    );
+    if (
+      previous &&
+      previous.slug !== data.slug &&
+      previous.articleCount > 0 &&
+      !confirm(
+        `Change slug "${previous.slug}" to "${data.slug}"? Its ${previous.articleCount} articles move along, but old category links stop working.`,
+      )
+    )
+      return;
+    this.displayMessage(msgEl, id ? "Updating..." : "Creating...", 0);
+    if (btn) btn.disabled = 1;
+    try {
+      if (id) await ApiService.updateCategory(id, data);
+      else await ApiService.createCategory(data);
+      this.resetCategoryForm();
+      this.displayMessage(
+        msgEl,
+        id ? "Category updated." : "Category created.",
+        0,
+      );
+      this.loadCategories();
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Save failed"),
+        1,
+      );
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteCategory(id, btn) {
+    if (!this.can("taxonomy.manage") || !id) return;
+    if (!confirm(`Delete category ID ${id}?`)) return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteCategory(id);
+      if (
+        this.elements.categoryForm?.querySelector("#category-id").value ===
+        String(id)
+      )
+        this.resetCategoryForm();
+      this.loadCategories();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async loadAthletes() {
+    const container = this.elements.athletesListContainer;
+    if (!this.can("athletes.manage") || !container) return;
+    container.innerHTML = '<p class="text-center p-4">Loading...</p>';
+    try {
+      const athletes = await ApiService.getAthletes();
+      this.renderAthletes(athletes);
+    } catch (e) {
+      container.innerHTML = `<p class="text-red-500 text-center p-4">Failed: ${e.message}</p>`;
+    }
+  },
+
+  renderAthletes(athletes) {
+    const container = this.elements.athletesListContainer;
+    if (!container) return;
+    if (athletes.length === 0) {
+      container.innerHTML =
+        '<p class="text-center p-4 text-gray-500 dark:text-gray-400">No athletes found.</p>';
+      return;
+    }
+    container.innerHTML = `<ul class="space-y-2"> ${athletes
+      .map((a) => {
+        const current = a.memberships?.find((m) => !m.endDate);
+        return `
+        <li class="flex flex-wrap justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded bg-white dark:bg-gray-800">
+            <span class="flex-grow mr-2">
+                <a href="/athletes.html?id=${a.id}" target="_blank" class="font-semibold">${a.name_en}</a>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${current ? current.club.name_en : "No club"}${a.birthYear ? ` · ${a.birthYear}` : ""}</span>
+            </span>
+            <span class="flex gap-2 flex-shrink-0">
+                ${this.can("results.manage") ? `<button class="link-results btn btn-green text-xs py-1 px-2" data-athlete-id="${a.id}" title="Link results entered under this athlete's name">Link Results</button>` : ""}
+                <button class="edit-athlete btn btn-blue text-xs py-1 px-2" data-athlete-id="${a.id}">Edit</button>
+                <button class="delete-athlete btn btn-red text-xs py-1 px-2" data-athlete-id="${a.id}">Delete</button>
+            </span>
+        </li>`;
+      })
+      .join("")} </ul>`;
+  },
+
+  resetAthleteForm() {
+    const form = this.elements.athleteForm;
+    if (!form) return;
+    form.reset();
+    form.querySelector("#athlete-id").value = "";
+    if (this.elements.athleteFormHeading)
+      this.elements.athleteFormHeading.textContent = "Create New Athlete";
+    if (this.elements.athleteSubmit)
+      this.elements.athleteSubmit.textContent = "Create Athlete";
+    this.elements.membershipsPanel?.classList.add("hidden");
+    this.displayMessage(this.elements.athleteFormMessage, "", false);
+  },
+
+  async loadAthleteForEditing(id) {
+    const form = this.elements.athleteForm;
+    if (!this.can("athletes.manage") || !form) return;
+    const msgEl = this.elements.athleteFormMessage;
+    this.displayMessage(msgEl, "Loading...", 0);
+    try {
+      const athlete = await ApiService.getAthlete(id);
+      form.querySelector("#athlete-id").value = athlete.id;
+      this.fillProfileLangFields(form, "athlete", athlete);
+      form.querySelector("#athlete-gender").value = athlete.gender || "";
+      form.querySelector("#athlete-birth-year").value = athlete.birthYear || "";
+      form.querySelector("#athlete-photo-url").value = athlete.photoUrl || "";
+      if (this.elements.athleteFormHeading)
+        this.elements.athleteFormHeading.textContent = `Edit Athlete #${athlete.id}`;
+      if (this.elements.athleteSubmit)
+        this.elements.athleteSubmit.textContent = "Update Athlete";
+      this.renderMemberships(athlete.memberships || []);
+      this.elements.membershipsPanel?.classList.remove("hidden");
+      this.displayMessage(
+        msgEl,
+        `${athlete.linkedResults} results linked to this profile.`,
+        0,
+      );
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (e) {
+      this.displayMessage(msgEl, `Load failed: ${e.message}`, 1);
+    }
+  },
+
+  async handleAthleteSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.athleteForm;
+    if (!this.can("athletes.manage") || !form) return;
+    const msgEl = this.elements.athleteFormMessage,
+      btn = this.elements.athleteSubmit,
+      id = form.querySelector("#athlete-id").value,
+      birthYear = form.querySelector("#athlete-birth-year").value;
+    const data = {
+      ...this.readProfileLangFields(form, "athlete"),
+      gender: form.querySelector("#athlete-gender").value || null,
+      birthYear: birthYear ? parseInt(birthYear, 10) : null,
+      photoUrl: form.querySelector("#athlete-photo-url").value.trim(),
+    };
+    if (!data.name_en)
+      return this.displayMessage(msgEl, "English name is required.", 1);
+    this.displayMessage(msgEl, id ? "Updating..." : "Creating...", 0);
+    if (btn) btn.disabled = 1;
+    try {
+      const saved = id
+        ? await ApiService.updateAthlete(id, data)
+        : await ApiService.createAthlete(data);
+      this.loadAthletes();
+      // Stay on the new athlete so a club can be added right away
+      await this.loadAthleteForEditing(saved.id);
+      this.displayMessage(
+        msgEl,
+        id ? "Athlete updated." : "Athlete created. Add their club below.",
+        0,
+      );
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Save failed"),
+        1,
+      );
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteAthlete(id, btn) {
+    if (!this.can("athletes.manage") || !id) return;
+    if (
+      !confirm(`Delete athlete ID ${id}? Their results are kept but unlinked.`)
+    )
+      return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteAthlete(id);
+      if (
+        this.elements.athleteForm?.querySelector("#athlete-id").value ===
+        String(id)
+      )
+        this.resetAthleteForm();
+      this.loadAthletes();
+      this.loadClubs();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleLinkResults(id, btn) {
+    if (!this.can("results.manage") || !id) return;
+    if (btn) btn.disabled = 1;
+    try {
+      const { linked } = await ApiService.linkAthleteResults(id);
+      alert(`${linked} result(s) linked.`);
+    } catch (e) {
+      alert(`Linking failed: ${e.message}`);
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  renderMembershipClubOptions() {
+    const select =
+      this.elements.membershipForm?.querySelector("#membership-club");
+    if (!select) return;
+    select.innerHTML = this.currentClubs
+      .map((c) => `<option value="${c.id}">${c.name_en}</option>`)
+      .join("");
+  },
+
+  renderMemberships(memberships) {
+    const container = this.elements.membershipsContainer;
+    if (!container) return;
+    container.innerHTML = memberships.length
+      ? memberships
+          .map(
+            (m) => `
+        <div class="flex justify-between items-center gap-2 p-2 border dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-sm">
+            <span><span class="font-semibold">${m.club?.name_en || `Club #${m.clubId}`}</span> · ${m.startDate} – ${m.endDate || "present"}</span>
+            <button type="button" class="delete-membership btn btn-red text-xs py-1 px-2" data-membership-id="${m.id}">Remove</button>
+        </div>`,
+          )
+          .join("")
+      : '<p class="text-sm text-gray-500 dark:text-gray-400">No club memberships yet.</p>';
+  },
+
+  async handleMembershipSubmit(e) {
+    e.preventDefault();
+    const form = this.elements.membershipForm,
+      athleteId = this.elements.athleteForm?.querySelector("#athlete-id").value;
+    if (!this.can("athletes.manage") || !form || !athleteId) return;
+    const msgEl = this.elements.membershipFormMessage,
+      btn = form.querySelector("button[type=submit]");
+    const data = {
+      clubId: parseInt(form.querySelector("#membership-club").value, 10),
+      startDate: form.querySelector("#membership-start-date").value,
+      endDate: form.querySelector("#membership-end-date").value || null,
+    };
+    if (!data.clubId || !data.startDate)
+      return this.displayMessage(msgEl, "Club and start date are required.", 1);
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.addMembership(athleteId, data);
+      form.reset();
+      this.displayMessage(msgEl, "Membership added.", 0);
+      const athlete = await ApiService.getAthlete(athleteId);
+      this.renderMemberships(athlete.memberships || []);
+      this.loadAthletes();
+      this.loadClubs();
+    } catch (e) {
+      this.displayMessage(
+        msgEl,
+        this.formatValidationError(e, "Save failed"),
+        1,
+      );
+    } finally {
+      if (btn) btn.disabled = 0;
+    }
+  },
+
+  async handleDeleteMembership(membershipId, btn) {
+    const athleteId =
+      this.elements.athleteForm?.querySelector("#athlete-id").value;
+    if (!this.can("athletes.manage") || !athleteId || !membershipId) return;
+    if (!confirm("Remove this membership from the athlete's history?")) return;
+    if (btn) btn.disabled = 1;
+    try {
+      await ApiService.deleteMembership(athleteId, membershipId);
+      const athlete = await ApiService.getAthlete(athleteId);
+      this.renderMemberships(athlete.memberships || []);
+      this.loadAthletes();
+      this.loadClubs();
+    } catch (e) {
+      alert(`Delete failed: ${e.message}`);
+      if (btn) btn.disabled = 0;
+    }
+  },
 }; // End of AdminUI object
 
 // --- Initialization ---
@@ -97,6 +97,58 @@ async function makePublicRequest(path, queryParams = {}) {
   }
 }
 
+/**
+ * Makes a public POST request protected by the double-submit CSRF cookie.
+ * Fetches a fresh token first, since public pages don't keep one around.
+ * @param {string} path - The API endpoint path (e.g., '/competitions/1/registrations')
+ * @param {object} data - The JSON body to send.
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {Error} With `status` and `data` (server error body) attached on failure.
+ */
+async function makePublicPostRequest(path, data) {
+  const fetchUrl = `${BASE_URL}${path}`;
+  const csrfResponse = await fetch(`${BASE_URL}/csrf-token`, {
+    credentials: "include",
+  });
+  if (!csrfResponse.ok) {
+    throw new Error(
+      `Failed to fetch CSRF token: ${csrfResponse.status} ${csrfResponse.statusText}`,
+    );
+  }
+  const { csrfToken } = await csrfResponse.json();
+
+  const response = await fetch(fetchUrl, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      "x-csrf-token": csrfToken,
+    },
+    body: JSON.stringify(data),
+  });
+
+  let responseData = null;
+  try {
+    responseData = await response.json();
+  } catch (e) {
+    console.warn(
+      `[apiService.js] makePublicPostRequest - Non-JSON response for ${fetchUrl}`,
+    );
+  }
+
+  if (!response.ok) {
+    const error = new Error(
+      responseData?.message ||
+        `API Request Failed: ${response.status} ${response.statusText}`,
+    );
+    error.status = response.status;
+    error.data = responseData;
+    throw error;
+  }
+  return responseData;
+}
+
 // --- Specific Public API Functions ---
 
 /**
@@ -106,6 +158,7 @@ async function makePublicRequest(path, queryParams = {}) {
  * @param {number} [params.page=1] - Page number.
  * @param {number} [params.limit] - Items per page.
  * @param {string} [params.category] - Comma-separated categories (e.g., 'news,blog').
+ * @param {string} [params.tag] - Tag slug (e.g., 'world-cup').
  * @param {string} [params.lang] - Language code.
  * @returns {Promise<{totalArticles: number, totalPages: number, currentPage: number, articles: array}>}
  */
@@ -113,12 +166,51 @@ export async function getPublicArticles({
   page = 1,
   limit,
   category,
+  tag,
   lang,
 } = {}) {
-  const queryParams = { page, limit, category, lang };
+  const queryParams = { page, limit, category, tag, lang };
   return makePublicRequest("/articles", queryParams);
 }
 
+/**
+ * Fetches all article categories in display order, with translated names.
+ * Calls GET /api/categories
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<Array<{id: number, slug: string, name: string, color: string, sortOrder: number}>>}
+ */
+export async function getPublicCategories({ lang } = {}) {
+  return makePublicRequest("/categories", { lang });
+}
+
+/**
+ * Fetches tags used by at least one public article, with translated names.
+ * Calls GET /api/tags
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<Array<{id: number, slug: string, name: string, articleCount: number}>>}
+ */
+export async function getPublicTags({ lang } = {}) {
+  return makePublicRequest("/tags", { lang });
+}
+
+/**
+ * Searches article titles, excerpts and content. Matches in the requested
+ * language come first, then matches in the other languages.
+ * Calls GET /api/articles/search
+ * @param {object} params - Parameters object.
+ * @param {string} params.q - Search text (2-100 characters).
+ * @param {number} [params.page=1] - Page number.
+ * @param {number} [params.limit] - Items per page.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<{totalArticles: number, totalPages: number, currentPage: number, articles: array}>} Articles carry a highlighted `snippet` and their `matchedLang`.
+ */
+export async function searchArticles({ q, page = 1, limit, lang } = {}) {
+  const queryParams = { q, page, limit, lang };
+  return makePublicRequest("/articles/search", queryParams);
+}
+
 /**
  * Fetches articles by a single category slug. Usually for highlights.
  * Calls GET /api/articles/category/:category
@@ -158,3 +250,188 @@ export async function getPublicArticleById(id, { lang } = {}) {
   );
   return makePublicRequest(`/articles/${id}`, queryParams);
 }
+
+/**
+ * Fetches a single article by its URL slug for public view. Without a lang
+ * the article comes in the slug's own language.
+ * Calls GET /api/articles/slug/:slug
+ * @param {string} slug - Current or retired slug of the article.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<object>} The article object, with `lang`, `slug` and `slugs`.
+ */
+export async function getPublicArticleBySlug(slug, { lang } = {}) {
+  return makePublicRequest(`/articles/slug/${encodeURIComponent(slug)}`, {
+    lang,
+  });
+}
+
+/**
+ * Reports that a reader has seen an article. The server counts each reader
+ * once a day and skips bots; staff signed in to the admin panel in this
+ * browser carry a cookie the server recognises, so their visits aren't counted.
+ * Calls POST /api/articles/:id/view
+ * @param {string|number} id - The article ID.
+ * @param {string} lang - Language the article was shown in.
+ * @returns {Promise<{counted: boolean}>}
+ */
+export async function recordArticleView(id, lang) {
+  return makePublicPostRequest(`/articles/${id}/view`, { lang });
+}
+
+/**
+ * Fetches competitions, supporting status filtering, ordering, pagination and language.
+ * Calls GET /api/competitions
+ * @param {object} params - Parameters object.
+ * @param {string} [params.status] - Comma-separated statuses (e.g., 'upcoming,ongoing').
+ * @param {string} [params.order] - 'asc' (soonest first) or 'desc' (newest first).
+ * @param {number} [params.page=1] - Page number.
+ * @param {number} [params.limit] - Items per page.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<{totalCompetitions: number, totalPages: number, currentPage: number, competitions: array}>}
+ */
+export async function getPublicCompetitions({
+  status,
+  order,
+  page = 1,
+  limit,
+  lang,
+} = {}) {
+  const queryParams = { status, order, page, limit, lang };
+  return makePublicRequest("/competitions", queryParams);
+}
+
+/**
+ * Fetches a single competition by ID for public view.
+ * Calls GET /api/competitions/:id
+ * @param {string|number} id - The competition ID.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<object>} The competition object.
+ */
+export async function getPublicCompetitionById(id, { lang } = {}) {
+  if (!id)
+    throw new Error(
+      t("Competition ID is required for getPublicCompetitionById."),
+    );
+  return makePublicRequest(`/competitions/${id}`, { lang });
+}
+
+/**
+ * Registers an athlete for a competition.
+ * Calls POST /api/competitions/:id/registrations
+ * @param {string|number} id - The competition ID.
+ * @param {object} registration - Registration details.
+ * @param {string} registration.athleteName - Athlete's full name.
+ * @param {string} [registration.club] - Club name, if any.
+ * @param {string} registration.ageCategory - Age category (e.g., 'Senior').
+ * @param {string} registration.discipline - One of the competition's disciplines.
+ * @param {string} registration.contact - Email or phone number.
+ * @returns {Promise<{id: number, athleteName: string, discipline: string, status: string}>}
+ */
+export async function registerForCompetition(id, registration) {
+  if (!id)
+    throw new Error(
+      t("Competition ID is required for registerForCompetition."),
+    );
+  return makePublicPostRequest(
+    `/competitions/${id}/registrations`,
+    registration,
+  );
+}
+
+/**
+ * Fetches the result tables of a competition, best first per discipline.
+ * Calls GET /api/competitions/:id/results
+ * @param {string|number} id - The competition ID.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.discipline] - Only return this discipline.
+ * @returns {Promise<{competitionId: number, disciplines: string[], results: array}>}
+ */
+export async function getPublicCompetitionResults(id, { discipline } = {}) {
+  if (!id)
+    throw new Error(
+      t("Competition ID is required for getPublicCompetitionResults."),
+    );
+  return makePublicRequest(`/competitions/${id}/results`, { discipline });
+}
+
+/**
+ * Fetches the rolling 12-month federation ranking tables.
+ * Calls GET /api/rankings
+ * @param {object} params - Parameters object.
+ * @param {string} [params.discipline] - Only this discipline (e.g., '3m').
+ * @param {string} [params.ageGroup] - Only this age group (e.g., 'Senior').
+ * @param {string} [params.gender] - 'male' or 'female'.
+ * @param {string} [params.lang] - Language code for competition names.
+ * @returns {Promise<{from: string, to: string, rankings: array}>}
+ */
+export async function getPublicRankings({
+  discipline,
+  ageGroup,
+  gender,
+  lang,
+} = {}) {
+  const queryParams = { discipline, ageGroup, gender, lang };
+  return makePublicRequest("/rankings", queryParams);
+}
+
+/**
+ * Fetches the athlete directory, supporting name search, club filter and pagination.
+ * Calls GET /api/athletes
+ * @param {object} params - Parameters object.
+ * @param {string} [params.q] - Search text matched against every name spelling.
+ * @param {number} [params.clubId] - Only current members of this club.
+ * @param {number} [params.page=1] - Page number.
+ * @param {number} [params.limit] - Items per page.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<{totalAthletes: number, totalPages: number, currentPage: number, athletes: array}>}
+ */
+export async function getPublicAthletes({
+  q,
+  clubId,
+  page = 1,
+  limit,
+  lang,
+} = {}) {
+  const queryParams = { q, clubId, page, limit, lang };
+  return makePublicRequest("/athletes", queryParams);
+}
+
+/**
+ * Fetches an athlete profile with club history and results.
+ * Calls GET /api/athletes/:id
+ * @param {string|number} id - The athlete ID.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<object>} The athlete profile.
+ */
+export async function getPublicAthleteById(id, { lang } = {}) {
+  if (!id)
+    throw new Error(t("Athlete ID is required for getPublicAthleteById."));
+  return makePublicRequest(`/athletes/${id}`, { lang });
+}
+
+/**
+ * Fetches all clubs with their current member counts.
+ * Calls GET /api/clubs
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getPublicClubs({ lang } = {}) {
+  return makePublicRequest("/clubs", { lang });
+}
+
+/**
+ * Fetches a club profile with members and results earned while at the club.
+ * Calls GET /api/clubs/:id
+ * @param {string|number} id - The club ID.
+ * @param {object} params - Parameters object.
+ * @param {string} [params.lang] - Language code.
+ * @returns {Promise<object>} The club profile.
+ */
+export async function getPublicClubById(id, { lang } = {}) {
+  if (!id) throw new Error(t("Club ID is required for getPublicClubById."));
+  return makePublicRequest(`/clubs/${id}`, { lang });
+}
@@ -5,7 +5,12 @@ import { t, currentLang } from "./i18n.js";
 import { renderArticleList } from "./articles.js";
 // ==============================================================
 import { initializeUI, translateStaticElements } from "./uiUtils.js"; // Import UI utils
-import { getPublicArticles } from "./apiService.js"; // Import from new apiService
+import {
+  getPublicArticles,
+  getPublicTags,
+  searchArticles,
+} from "./apiService.js"; // Import from new apiService
+import { getCategoryName, loadCategories } from "./categories.js";
 
 // --- DOM Elements ---
 // ============================ CORRECTION =============================
@@ -14,12 +19,43 @@ import { getPublicArticles } from "./apiService.js"; // Import from new apiServi
 const articlesContainer = document.getElementById("articles-grid");
 // =====================================================================
 const paginationControls = document.getElementById("pagination-controls");
+const heading = document.getElementById("articles-heading");
 
 // --- State ---
 let currentPage = 1;
 const articlesPerPage = 6; // Match server default or desired number
+// Set when arriving from the header search box (articles.html?q=...)
+const searchQuery = new URLSearchParams(window.location.search)
+  .get("q")
+  ?.trim();
+// Set when following a tag chip (articles.html?tag=...)
+const tagSlug = new URLSearchParams(window.location.search).get("tag");
+// Set when following a category badge (articles.html?category=...)
+const categorySlug = new URLSearchParams(window.location.search).get(
+  "category",
+);
 
 // --- Article Fetching & Rendering ---
+// Search covers every category; the plain list shows news and blog posts
+function fetchArticlesPage(page) {
+  if (searchQuery) {
+    return searchArticles({
+      q: searchQuery,
+      page: page,
+      limit: articlesPerPage,
+      lang: currentLang,
+    });
+  }
+  return getPublicArticles({
+    // A tag listing spans every category
+    category: tagSlug ? undefined : categorySlug || "news,blog", // Combine categories
+    tag: tagSlug || undefined,
+    page: page,
+    limit: articlesPerPage,
+    lang: currentLang,
+  });
+}
+
 async function fetchAndRenderArticles(page = 1) {
   if (!articlesContainer) {
     // This error message should now only appear if 'articles-grid' truly doesn't exist in the HTML
@@ -46,13 +82,10 @@ async function fetchAndRenderArticles(page = 1) {
   if (paginationControls) paginationControls.innerHTML = "";
 
   try {
-    // Use new apiService function
-    const data = await getPublicArticles({
-      category: "news,blog", // Combine categories
-      page: page,
-      limit: articlesPerPage,
-      lang: currentLang,
-    });
+    const [data] = await Promise.all([
+      fetchArticlesPage(page),
+      loadCategories(), // Names and colors for the category badges
+    ]);
 
     console.log(`[articles-list] Received data for page ${page}:`, data);
 
@@ -72,7 +105,7 @@ async function fetchAndRenderArticles(page = 1) {
         renderPagination(data.currentPage, data.totalPages);
       } else {
         // Display no articles found message within the grid container
-        articlesContainer.innerHTML = `<p class="col-span-full text-center py-10">${t("noArticlesFound")}</p>`;
+        articlesContainer.innerHTML = `<p class="col-span-full text-center py-10">${t(searchQuery ? "searchNoResults" : "noArticlesFound")}</p>`;
       }
       // Translate pagination buttons AFTER renderPagination runs
       // Also ensure elements within rendered articles that use data-i18n are translated if needed
@@ -166,8 +199,60 @@ window.changePage = (page) => {
   window.scrollTo({ top: listTop - 80, behavior: "smooth" }); // Adjust scroll offset if needed (80px approx header height + margin)
 };
 
+// Shows the translated tag name (the slug until it has loaded)
+async function showTagHeading() {
+  heading.textContent = t("taggedWith", { tag: tagSlug });
+  try {
+    const tags = await getPublicTags({ lang: currentLang });
+    const tag = tags.find((tg) => tg.slug === tagSlug);
+    if (tag) {
+      // Names come HTML-escaped from the API
+      heading.innerHTML = t("taggedWith", { tag: tag.name });
+    }
+  } catch (error) {
+    console.error("[articles-list] Error loading tag name:", error);
+  }
+  document.title = heading.textContent;
+}
+
+// Lets feed readers find the feed of just this category
+function addCategoryFeedLink() {
+  const link = document.createElement("link");
+  link.rel = "alternate";
+  link.type = "application/rss+xml";
+  link.title = `${heading.textContent} (RSS)`;
+  link.href = `/api/feeds/${currentLang}/rss.xml?category=${encodeURIComponent(categorySlug)}`;
+  document.head.appendChild(link);
+}
+
 // --- Initialization ---
 document.addEventListener("DOMContentLoaded", () => {
+  if (searchQuery && heading) {
+    // Keep the translated "News & Blog" title from overwriting the search heading
+    heading.removeAttribute("data-i18n");
+    heading.textContent = t("searchResultsFor", { query: searchQuery });
+    document.title = heading.textContent;
+  }
+  if (!searchQuery && tagSlug && heading) {
+    heading.removeAttribute("data-i18n");
+    showTagHeading();
+  } else if (!searchQuery && categorySlug && heading) {
+    heading.removeAttribute("data-i18n");
+    loadCategories().then(() => {
+      // Names come HTML-escaped from the API
+      heading.innerHTML = getCategoryName(categorySlug);
+      document.title = heading.textContent;
+      addCategoryFeedLink();
+    });
+  }
   initializeUI(); // Setup header, footer, listeners, translate initial static elements
+  if (searchQuery) {
+    // Keep the query in the header box(es) once they exist
+    setTimeout(() => {
+      document
+        .querySelectorAll('#header-placeholder input[name="q"]')
+        .forEach((input) => (input.value = searchQuery));
+    }, 0);
+  }
   fetchAndRenderArticles(currentPage); // Fetch initial page data
 });
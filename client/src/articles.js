@@ -7,28 +7,36 @@ console.log("--- articles.js script STARTING TO EXECUTE ---");
 import { formatDistanceToNow, format, differenceInHours } from "date-fns";
 import { enUS, ru, mn } from "date-fns/locale"; // Import locales needed
 import { t, currentLang } from "./i18n.js";
-import { initializeUI, translateStaticElements } from "./uiUtils.js"; // Ensure this is imported
-import { getPublicArticleById } from "./apiService.js"; // Ensure this is imported
+import {
+  initializeUI,
+  translateStaticElements,
+  articleUrl,
+} from "./uiUtils.js"; // Ensure this is imported
+import {
+  getPublicArticleById,
+  getPublicArticleBySlug,
+  recordArticleView,
+} from "./apiService.js"; // Ensure this is imported
+import {
+  getCategoryBadgeClasses,
+  getCategoryName,
+  loadCategories,
+} from "./categories.js";
 
 // Define constants needed
 const dateLocales = { en: enUS, rus: ru, mng: mn }; // Map language codes to locales
-
-// --- HELPER: Category Badge Classes ---
-function getCategoryBadgeClasses(category) {
-  const baseClasses =
-    "inline-block px-2.5 py-0.5 rounded text-xs font-medium capitalize";
-  switch (category?.toLowerCase()) {
-    case "news":
-      return `${baseClasses} bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300`;
-    case "competition":
-      return `${baseClasses} bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300`;
-    case "blog":
-      return `${baseClasses} bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300`;
-    default:
-      return `${baseClasses} bg-gray-100 text-gray-800 dark:bg-gray-600 dark:text-gray-300`; // Fallback
-  }
-}
-// --- END HELPER ---
+const languageNames = { en: "English", rus: "Русский", mng: "Монгол" }; // Shown in their own language
+const hreflangCodes = { en: "en", rus: "ru", mng: "mn" };
+
+// Same as escapeHtml() in server/utils/articlePage.js: entities already in
+// the stored text are kept as is
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&(?!#?\w+;)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 
 // --- Date Formatting Helper ---
 // Exported function to get display and hover strings for dates
@@ -66,8 +74,41 @@ export function getConditionalTimestampStrings(dateObj) {
   return { displayString, hoverString };
 }
 
+// --- Language Fallback ---
+// Links to the other languages the article can be read in
+export function translationLinksHtml(article, shownLang) {
+  return Object.entries(article.slugs || {})
+    .filter(
+      ([lang, slug]) =>
+        slug &&
+        lang !== shownLang &&
+        (!article.availableLangs || article.availableLangs.includes(lang)),
+    )
+    .map(
+      ([lang, slug]) =>
+        `<a href="${articleUrl({ slug })}" hreflang="${hreflangCodes[lang]}" class="hover:underline">${languageNames[lang]}</a>`,
+    )
+    .join(" · ");
+}
+
+// Says so when the article isn't translated into the reader's language
+// and another version is shown instead (empty otherwise)
+export function languageFallbackNotice(article) {
+  if (!article.availableLangs || article.availableLangs.includes(currentLang))
+    return "";
+  return `${t("articleNotTranslated", { language: languageNames[currentLang] })} ${t("articleShownIn", { language: languageNames[article.servedLang] })}`;
+}
+
+function languageNoticeHtml(article) {
+  const notice = languageFallbackNotice(article);
+  return notice
+    ? `<p id="article-language-notice" class="mb-4 rounded border border-yellow-300 bg-yellow-50 p-3 text-sm text-yellow-800 dark:border-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-200">${notice}</p>`
+    : "";
+}
+
 // --- Single Article Rendering ---
-// Exported function to render a single article's details
+// Exported function to render a single article's details.
+// server/utils/articlePage.js renders the same markup; keep the two in sync.
 export function renderArticle(article, container) {
   console.log("--- renderArticle START, article ID:", article?.id);
   if (!article) {
@@ -95,24 +136,28 @@ export function renderArticle(article, container) {
     ? getConditionalTimestampStrings(dateObj)
     : { displayString: "Invalid Date", hoverString: "" };
 
-  const title = article.title || t("untitledArticle");
+  const title = escapeHtml(article.title || t("untitledArticle"));
   const content = article.content || `<p>${t("noContentAvailable")}</p>`;
+  const shownLang = article.servedLang || article.lang || currentLang;
+  const translationLinks = translationLinksHtml(article, shownLang);
 
   const articleHTML = `
     <article class="bg-white dark:bg-gray-700 rounded-lg shadow-md overflow-hidden border border-gray-200 dark:border-gray-600">
-      ${article.imageUrl ? `<img src="${article.imageUrl}" alt="${title}" class="w-full h-auto max-h-96 object-cover">` : ""}
+      ${article.imageUrl ? `<img src="${escapeHtml(article.imageUrl)}" alt="${title}" class="w-full h-auto max-h-96 object-cover">` : ""}
       <div class="p-4 md:p-6">
         <h1 class="text-3xl font-bold text-gray-900 dark:text-white mb-3 leading-tight">${title}</h1>
         <div class="flex flex-wrap items-center text-gray-500 dark:text-gray-400 text-sm mb-6 space-x-3">
-            <span title="${hoverString}" class="whitespace-nowrap">${displayString}</span>
+            <time datetime="${dateObj ? dateObj.toISOString() : ""}" title="${hoverString}" class="whitespace-nowrap">${displayString}</time>
             <span class="hidden sm:inline">•</span>
-            <span class="capitalize whitespace-nowrap">${article.category || "Unknown"}</span>
+            <a href="/articles.html?category=${encodeURIComponent(article.category)}" class="whitespace-nowrap hover:underline">${escapeHtml(getCategoryName(article.category))}</a>
             <span class="hidden sm:inline">•</span>
             <span class="flex items-center whitespace-nowrap">
               <svg class="w-4 h-4 mr-1.5 text-gray-500 dark:text-gray-400" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 14"><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.2" d="M10 10.5a3.5 3.5 0 1 0 0-7 3.5 3.5 0 0 0 0 7Z"/><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.2" d="M20 7a9.99 9.99 0 0 1-1.774 5.318A9.956 9.956 0 0 1 10 13.5a9.956 9.956 0 0 1-8.226-1.182A9.99 9.99 0 0 1 0 7a9.99 9.99 0 0 1 1.774-5.318A9.956 9.956 0 0 1 10 0.5a9.956 9.956 0 0 1 8.226 1.182A9.99 9.99 0 0 1 20 7Z"/></svg>
               ${article.views ?? 0} views
             </span>
         </div>
+        ${languageNoticeHtml(article)}
+        ${translationLinks ? `<p class="mb-4 text-sm text-gray-500 dark:text-gray-400">${t("articleOtherLanguages")}: ${translationLinks}</p>` : ""}
         <div class="prose dark:prose-invert max-w-none mt-6">
             ${content}
         </div>
@@ -163,7 +208,26 @@ export function renderArticleList(articles, container) {
       ? getConditionalTimestampStrings(dateObj)
       : { displayString: "Invalid Date", hoverString: "" };
 
-    const excerptToDisplay = article.excerpt || "";
+    // Search results carry a highlighted snippet (already HTML-escaped by the API)
+    const excerptToDisplay = article.snippet || article.excerpt || "";
+    const matchedLangNote =
+      article.matchedLang && article.matchedLang !== currentLang
+        ? `<p class="mb-2 text-xs italic text-gray-500 dark:text-gray-400">${t("searchMatchedIn", { language: languageNames[article.matchedLang] })}</p>`
+        : "";
+    const fallbackNotice = article.matchedLang
+      ? ""
+      : languageFallbackNotice(article);
+    const otherLanguages =
+      fallbackNotice && translationLinksHtml(article, article.servedLang);
+    const fallbackNote = fallbackNotice
+      ? `<p class="mb-2 text-xs italic text-gray-500 dark:text-gray-400">${t("articleShownIn", { language: languageNames[article.servedLang] })}${otherLanguages ? ` · ${otherLanguages}` : ""}</p>`
+      : "";
+    const tagChips = (article.tags || [])
+      .map(
+        (tag) =>
+          `<a href="/articles.html?tag=${encodeURIComponent(tag.slug)}" class="inline-block rounded-full bg-gray-100 px-2.5 py-0.5 text-xs text-gray-700 hover:bg-blue-100 hover:text-blue-800 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-blue-900 dark:hover:text-blue-200">#${tag.name}</a>`,
+      )
+      .join("");
     const title = article.title || t("untitledArticle");
     const imageUrl = article.imageUrl;
 
@@ -176,32 +240,35 @@ export function renderArticleList(articles, container) {
     articleElement.innerHTML = `
           ${
             imageUrl
-              ? `<a href="/article.html?id=${article.id}" class="block flex-shrink-0 group">
+              ? `<a href="${articleUrl(article)}" class="block flex-shrink-0 group">
               <img src="${imageUrl}" alt="${title}" class="w-full h-48 object-cover group-hover:opacity-85 transition-opacity">  <!-- Changed: Fixed h-48, removed sm:* classes -->
              </a>`
               : `<div class="w-full h-48 bg-gray-200 dark:bg-gray-600 flex items-center justify-center text-gray-400 dark:text-gray-300 flex-shrink-0">No Image</div>` // Changed: Fixed h-48
           }
           <div class="p-4 md:p-5 lg:p-6 flex flex-col flex-grow"> <!-- Adjusted padding slightly -->
             <h2 class="text-lg md:text-xl font-semibold leading-snug text-gray-900 dark:text-white mb-2"> <!-- Adjusted text size -->
-              <a href="/article.html?id=${article.id}" class="hover:text-blue-600 dark:hover:text-blue-400 transition-colors">
+              <a href="${articleUrl(article)}" class="hover:text-blue-600 dark:hover:text-blue-400 transition-colors">
                 ${title}
               </a>
             </h2>
             <div class="flex flex-wrap items-center text-gray-500 dark:text-gray-400 text-sm mb-3 space-x-3"> <!-- Adjusted mb -->
               <span title="${hoverString}" class="whitespace-nowrap">${displayString}</span>
               <span>•</span>
-              <span class="${getCategoryBadgeClasses(article.category)}">${article.category || "Unknown"}</span>
+              <a href="/articles.html?category=${article.category}" class="${getCategoryBadgeClasses(article.category)}">${getCategoryName(article.category)}</a>
               <span>•</span>
               <span class="flex items-center" title="${article.views ?? 0} views">
                   <i class="fi fi-rr-eye w-4 h-4 mr-1 text-gray-500 dark:text-gray-400 inline-block align-middle"></i>
                   ${article.views ?? 0}
               </span>
             </div>
+            ${matchedLangNote}
+            ${fallbackNote}
             <p class="text-sm text-gray-600 dark:text-gray-300 leading-relaxed line-clamp-3 flex-grow mb-4"> <!-- Changed: text-sm, adjusted mb -->
               ${excerptToDisplay}
             </p>
+            ${tagChips ? `<div class="mb-4 flex flex-wrap gap-1.5">${tagChips}</div>` : ""}
             <div class="mt-auto pt-2 self-start"> <!-- mt-auto is key here -->
-                <a href="/article.html?id=${article.id}"
+                <a href="${articleUrl(article)}"
                    class="btn btn-blue py-1.5 px-3 text-sm"> <!-- Adjusted padding slightly -->
                    ${t("readMore")}
                    <svg class="ms-2 h-3.5 w-3.5 rtl:rotate-180" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 14 10"><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M1 5h12m0 0L9 1m4 4L9 9"/></svg>
@@ -218,6 +285,37 @@ export function renderArticleList(articles, container) {
   // translateStaticElements(); // Usually not needed if content is from API, but uncomment if labels inside cards need translation
 }
 
+// Views are counted once the article is on screen, not when it's fetched
+function reportView(article) {
+  recordArticleView(
+    article.id,
+    article.servedLang || article.lang || currentLang,
+  ).catch((error) =>
+    console.warn("[articles.js] Could not record article view:", error),
+  );
+}
+
+// --- Server-Rendered Article Hydration ---
+// The server already put the article in the page (server/routes/articlePage.js);
+// only the timestamp needs the reader's language and relative time.
+function hydrateArticle(container) {
+  console.log("--- hydrateArticle: server-rendered article found ---");
+  const dataElement = document.getElementById("article-data");
+  const timeElement = container.querySelector("time[datetime]");
+  if (!dataElement || !timeElement) return;
+  const article = JSON.parse(dataElement.textContent);
+  const { displayString, hoverString } = getConditionalTimestampStrings(
+    new Date(article.createdAt),
+  );
+  timeElement.textContent = displayString;
+  timeElement.title = hoverString;
+  // The notice depends on the reader's language, which the server can't know
+  container
+    .querySelector(".prose")
+    ?.insertAdjacentHTML("beforebegin", languageNoticeHtml(article));
+  reportView(article);
+}
+
 // --- Single Article Page Initialization ---
 async function initArticlePage() {
   console.log("--- initArticlePage START ---");
@@ -230,6 +328,10 @@ async function initArticlePage() {
     console.error("Article container not found, cannot proceed.");
     return;
   }
+  if (container.dataset.ssr) {
+    hydrateArticle(container);
+    return;
+  }
 
   if (loadingIndicator) {
     console.log("Displaying loading indicator.");
@@ -242,13 +344,15 @@ async function initArticlePage() {
 
   try {
     const urlParams = new URLSearchParams(window.location.search);
+    const slug = urlParams.get("slug");
     const articleId = urlParams.get("id");
-    console.log("Raw articleId from URL:", articleId);
+    console.log("Raw slug/articleId from URL:", slug, articleId);
 
     if (
-      !articleId ||
-      isNaN(parseInt(articleId, 10)) ||
-      parseInt(articleId, 10) <= 0
+      !slug &&
+      (!articleId ||
+        isNaN(parseInt(articleId, 10)) ||
+        parseInt(articleId, 10) <= 0)
     ) {
       console.error(
         "articleId is missing or invalid AFTER parsing:",
@@ -258,15 +362,17 @@ async function initArticlePage() {
         t("noArticleIdUrl") || "No valid article ID specified in the URL.";
       throw new Error(errorMsg);
     }
-    const validArticleId = parseInt(articleId, 10);
-
     console.log(
-      `Attempting to fetch article with ID: ${validArticleId}, Lang: ${currentLang}`,
+      `Attempting to fetch article ${slug || articleId}, Lang: ${currentLang}`,
     );
 
-    const article = await getPublicArticleById(validArticleId, {
-      lang: currentLang,
-    });
+    const [article] = await Promise.all([
+      // A slug URL shows its own language; ID links use the selected one
+      slug
+        ? getPublicArticleBySlug(slug)
+        : getPublicArticleById(parseInt(articleId, 10), { lang: currentLang }),
+      loadCategories(), // Names and colors for the category label
+    ]);
 
     console.log(
       "API call completed. Fetched article data:",
@@ -285,9 +391,15 @@ async function initArticlePage() {
       );
     }
 
+    // Old ID links and renamed articles move to the current slug URL
+    if (article.slug && article.slug !== slug) {
+      history.replaceState(null, "", articleUrl(article));
+    }
+
     document.title = `${article.title || t("untitledArticle")} - MSKTF`;
     console.log("Calling renderArticle...");
     renderArticle(article, container);
+    reportView(article);
   } catch (error) {
     console.error("--- CATCH block in initArticlePage:", error);
 
@@ -0,0 +1,214 @@
+// client/src/athletes.js
+import "./style.css";
+import { format } from "date-fns";
+import { enUS, ru, mn } from "date-fns/locale";
+import { t, currentLang } from "./i18n.js";
+import { initializeUI } from "./uiUtils.js";
+import { getPublicAthletes, getPublicAthleteById } from "./apiService.js";
+
+const dateLocales = { en: enUS, rus: ru, mng: mn };
+const PAGE_SIZE = 20;
+
+// --- DOM Elements ---
+const listSection = document.getElementById("athletes-list");
+const athletesGrid = document.getElementById("athletes-grid");
+const paginationContainer = document.getElementById("athletes-pagination");
+const searchForm = document.getElementById("athlete-search-form");
+const searchInput = document.getElementById("athlete-search");
+const profileContainer = document.getElementById("athlete-profile");
+
+// Directory state: search text and current page
+const listState = { q: "", page: 1 };
+
+// --- HELPERS ---
+
+function formatDate(dateString) {
+  if (!dateString) return "";
+  try {
+    return format(new Date(dateString), "PP", {
+      locale: dateLocales[currentLang] || enUS,
+    });
+  } catch (e) {
+    console.error("[athletes.js] Error formatting date:", e);
+    return dateString;
+  }
+}
+
+// Photo, or a placeholder icon when none is set
+function renderPhoto(photoUrl, name, sizeClasses) {
+  return photoUrl
+    ? `<img src="${photoUrl}" alt="${name}" class="${sizeClasses} rounded-full object-cover" />`
+    : `<div class="${sizeClasses} flex items-center justify-center rounded-full bg-gray-200 text-gray-500 dark:bg-gray-600 dark:text-gray-300"><i class="fi fi-rr-user text-2xl"></i></div>`;
+}
+
+// --- Rendering ---
+
+function renderAthleteCard(athlete) {
+  return `
+    <article class="article-card flex flex-col items-center p-4 text-center">
+      ${renderPhoto(athlete.photoUrl, athlete.name, "mb-3 h-24 w-24")}
+      <h3 class="text-lg font-semibold leading-snug text-gray-900 dark:text-white">
+        <a href="/athletes.html?id=${athlete.id}" class="hover:text-blue-600 dark:hover:text-blue-400">${athlete.name}</a>
+      </h3>
+      ${athlete.currentClub ? `<a href="/clubs.html?id=${athlete.currentClub.id}" class="text-sm">${athlete.currentClub.name}</a>` : ""}
+    </article>`;
+}
+
+function renderPagination(currentPage, totalPages) {
+  if (!paginationContainer) return;
+  if (totalPages <= 1) {
+    paginationContainer.innerHTML = "";
+    return;
+  }
+  paginationContainer.innerHTML = `
+    <button type="button" class="btn btn-blue px-3 py-1.5 text-sm" data-page="${currentPage - 1}" ${currentPage <= 1 ? "disabled" : ""}>&larr;</button>
+    <span class="text-sm">${currentPage} / ${totalPages}</span>
+    <button type="button" class="btn btn-blue px-3 py-1.5 text-sm" data-page="${currentPage + 1}" ${currentPage >= totalPages ? "disabled" : ""}>&rarr;</button>`;
+}
+
+function renderClubHistory(clubHistory) {
+  if (!clubHistory.length) return "";
+  const items = clubHistory
+    .map(
+      (m) => `
+        <li class="flex flex-wrap justify-between gap-2 border-t border-gray-200 py-2 first:border-t-0 dark:border-gray-600">
+          <a href="/clubs.html?id=${m.clubId}" class="font-medium">${m.clubName}</a>
+          <span class="text-sm text-gray-500 dark:text-gray-400">${formatDate(m.startDate)} – ${m.current ? t("present") : formatDate(m.endDate)}</span>
+        </li>`,
+    )
+    .join("");
+  return `
+    <section class="mt-8">
+      <h3 class="mb-3 text-2xl font-semibold">${t("clubHistory")}</h3>
+      <ul class="rounded-lg border border-gray-200 bg-white px-4 shadow-md dark:border-gray-600 dark:bg-gray-700">${items}</ul>
+    </section>`;
+}
+
+function renderResultsHistory(results) {
+  const body = results.length
+    ? `
+      <div class="overflow-x-auto rounded-lg border border-gray-200 bg-white shadow-md dark:border-gray-600 dark:bg-gray-700">
+        <table class="w-full text-left text-sm">
+          <thead class="bg-gray-100 dark:bg-gray-800">
+            <tr>
+              <th class="p-2">${t("resultsDate")}</th>
+              <th class="p-2">${t("resultsCompetition")}</th>
+              <th class="p-2">${t("competitionDisciplines")}</th>
+              <th class="p-2">${t("resultsPlace")}</th>
+              <th class="p-2">${t("resultsTotal")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${results
+              .map(
+                (r) => `
+            <tr class="border-t border-gray-200 dark:border-gray-600">
+              <td class="p-2">${formatDate(r.date)}</td>
+              <td class="p-2"><a href="/competitions.html?id=${r.competitionId}">${r.competitionName}</a></td>
+              <td class="p-2">${r.discipline}${r.ageCategory ? ` · ${r.ageCategory}` : ""}</td>
+              <td class="p-2 font-semibold">${r.placement ?? "-"}</td>
+              <td class="p-2">${r.totalScore}</td>
+            </tr>`,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>`
+    : `<p class="text-gray-500 dark:text-gray-400">${t("noResultsHistory")}</p>`;
+  return `
+    <section class="mt-8">
+      <h3 class="mb-3 text-2xl font-semibold">${t("resultsHistory")}</h3>
+      ${body}
+    </section>`;
+}
+
+function renderAthleteProfile(athlete) {
+  const currentClub = athlete.clubHistory.find((m) => m.current);
+  const facts = [
+    currentClub
+      ? `<a href="/clubs.html?id=${currentClub.clubId}">${currentClub.clubName}</a>`
+      : "",
+    athlete.birthYear ? `${t("athleteBorn")} ${athlete.birthYear}` : "",
+  ].filter(Boolean);
+
+  profileContainer.innerHTML = `
+    <a href="/athletes.html" class="mb-4 inline-block text-sm">&larr; ${t("backToAthletes")}</a>
+    <article class="flex flex-col items-center gap-6 rounded-lg border border-gray-200 bg-white p-4 shadow-md sm:flex-row sm:items-start md:p-6 dark:border-gray-600 dark:bg-gray-700">
+      ${renderPhoto(athlete.photoUrl, athlete.name, "h-32 w-32 flex-shrink-0")}
+      <div>
+        <h2 class="mb-2 text-3xl font-bold leading-tight text-gray-900 dark:text-white">${athlete.name}</h2>
+        <p class="mb-4 text-sm text-gray-500 dark:text-gray-400">${facts.join(" · ")}</p>
+        ${athlete.bio ? `<p class="whitespace-pre-line text-gray-700 dark:text-gray-200">${athlete.bio}</p>` : ""}
+      </div>
+    </article>
+    ${renderClubHistory(athlete.clubHistory)}
+    ${renderResultsHistory(athlete.results)}`;
+}
+
+// --- Loading ---
+
+async function loadAthletes() {
+  athletesGrid.innerHTML = `<p class="col-span-full py-10 text-center">${t("loadingAthletes")}</p>`;
+  try {
+    const { athletes, currentPage, totalPages } = await getPublicAthletes({
+      q: listState.q || undefined,
+      page: listState.page,
+      limit: PAGE_SIZE,
+      lang: currentLang,
+    });
+    athletesGrid.innerHTML = athletes.length
+      ? athletes.map(renderAthleteCard).join("")
+      : `<p class="col-span-full py-10 text-center text-gray-500 dark:text-gray-400">${t("noAthletes")}</p>`;
+    renderPagination(currentPage, totalPages);
+  } catch (error) {
+    console.error("[athletes.js] Error loading athletes:", error);
+    athletesGrid.innerHTML = `<p class="col-span-full py-10 text-center text-red-500">${error.message || t("errorLoadingData")}</p>`;
+  }
+}
+
+async function loadAthleteProfile(athleteId) {
+  listSection?.classList.add("hidden");
+  profileContainer.classList.remove("hidden");
+  profileContainer.innerHTML = `<p class="py-10 text-center">${t("loadingProfile")}</p>`;
+  try {
+    const athlete = await getPublicAthleteById(athleteId, {
+      lang: currentLang,
+    });
+    document.title = `${athlete.name} - MSKTF`;
+    renderAthleteProfile(athlete);
+  } catch (error) {
+    console.error("[athletes.js] Error loading athlete:", error);
+    const message = error.message?.includes("404")
+      ? t("profileNotFound")
+      : error.message || t("errorLoadingData");
+    profileContainer.innerHTML = `<p class="py-10 text-center text-red-500">${message}</p>`;
+  }
+}
+
+// --- Initialization ---
+document.addEventListener("DOMContentLoaded", () => {
+  initializeUI();
+  const athleteId = parseInt(
+    new URLSearchParams(window.location.search).get("id"),
+    10,
+  );
+  if (athleteId > 0 && profileContainer) {
+    loadAthleteProfile(athleteId);
+    return;
+  }
+
+  if (searchInput) searchInput.placeholder = t("searchAthletes");
+  searchForm?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    listState.q = searchInput.value.trim();
+    listState.page = 1;
+    loadAthletes();
+  });
+  paginationContainer?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-page]");
+    if (!button || button.disabled) return;
+    listState.page = parseInt(button.dataset.page, 10);
+    loadAthletes();
+  });
+  loadAthletes();
+});
@@ -0,0 +1,59 @@
+// client/src/categories.js
+// Article categories come from the API; this caches them for the renderers.
+import { currentLang } from "./i18n.js";
+import { getPublicCategories } from "./apiService.js";
+
+// Full class names so Tailwind keeps them in the build
+const BADGE_COLORS = {
+  blue: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300",
+  green: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300",
+  purple:
+    "bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300",
+  red: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300",
+  yellow:
+    "bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300",
+  orange:
+    "bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300",
+  pink: "bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-300",
+  teal: "bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-300",
+  indigo:
+    "bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300",
+  gray: "bg-gray-100 text-gray-800 dark:bg-gray-600 dark:text-gray-300",
+};
+
+let categoriesPromise = null;
+let categoriesBySlug = {};
+
+/**
+ * Fetches the categories once per page load.
+ * Resolves to an empty list on failure so pages still render (with slugs).
+ * @returns {Promise<Array<{id: number, slug: string, name: string, color: string, sortOrder: number}>>}
+ */
+export function loadCategories() {
+  if (!categoriesPromise) {
+    categoriesPromise = getPublicCategories({ lang: currentLang })
+      .then((categories) => {
+        categoriesBySlug = Object.fromEntries(
+          categories.map((c) => [c.slug, c]),
+        );
+        return categories;
+      })
+      .catch((error) => {
+        console.error("[categories.js] Error loading categories:", error);
+        return [];
+      });
+  }
+  return categoriesPromise;
+}
+
+/** Translated category name (the slug until loadCategories has resolved). */
+export function getCategoryName(slug) {
+  return categoriesBySlug[slug]?.name || slug || "Unknown";
+}
+
+// --- HELPER: Category Badge Classes ---
+export function getCategoryBadgeClasses(slug) {
+  const baseClasses = "inline-block px-2.5 py-0.5 rounded text-xs font-medium";
+  const color = categoriesBySlug[slug]?.color;
+  return `${baseClasses} ${BADGE_COLORS[color] || BADGE_COLORS.gray}`;
+}
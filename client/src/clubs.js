@@ -0,0 +1,171 @@
+// client/src/clubs.js
+import "./style.css";
+import { format } from "date-fns";
+import { enUS, ru, mn } from "date-fns/locale";
+import { t, currentLang } from "./i18n.js";
+import { initializeUI } from "./uiUtils.js";
+import { getPublicClubs, getPublicClubById } from "./apiService.js";
+
+const dateLocales = { en: enUS, rus: ru, mng: mn };
+
+// --- DOM Elements ---
+const listSection = document.getElementById("clubs-list");
+const clubsGrid = document.getElementById("clubs-grid");
+const profileContainer = document.getElementById("club-profile");
+
+// --- HELPERS ---
+
+function formatDate(dateString) {
+  if (!dateString) return "";
+  try {
+    return format(new Date(dateString), "PP", {
+      locale: dateLocales[currentLang] || enUS,
+    });
+  } catch (e) {
+    console.error("[clubs.js] Error formatting date:", e);
+    return dateString;
+  }
+}
+
+// Logo, or a placeholder icon when none is set
+function renderPhoto(photoUrl, name, sizeClasses) {
+  return photoUrl
+    ? `<img src="${photoUrl}" alt="${name}" class="${sizeClasses} rounded-lg object-cover" />`
+    : `<div class="${sizeClasses} flex items-center justify-center rounded-lg bg-gray-200 text-gray-500 dark:bg-gray-600 dark:text-gray-300"><i class="fi fi-rr-users text-2xl"></i></div>`;
+}
+
+// --- Rendering ---
+
+function renderClubCard(club) {
+  return `
+    <article class="article-card flex items-center gap-4 p-4">
+      ${renderPhoto(club.photoUrl, club.name, "h-16 w-16 flex-shrink-0")}
+      <div>
+        <h3 class="text-lg font-semibold leading-snug text-gray-900 dark:text-white">
+          <a href="/clubs.html?id=${club.id}" class="hover:text-blue-600 dark:hover:text-blue-400">${club.name}</a>
+        </h3>
+        <p class="text-sm text-gray-500 dark:text-gray-400">${[club.city, t("clubMemberCount", { count: club.memberCount })].filter(Boolean).join(" · ")}</p>
+      </div>
+    </article>`;
+}
+
+function renderMemberList(titleKey, members) {
+  if (!members.length) return "";
+  const items = members
+    .map(
+      (m) => `
+        <li class="flex flex-wrap justify-between gap-2 border-t border-gray-200 py-2 first:border-t-0 dark:border-gray-600">
+          <a href="/athletes.html?id=${m.athleteId}" class="font-medium">${m.name}</a>
+          <span class="text-sm text-gray-500 dark:text-gray-400">${formatDate(m.startDate)} – ${m.current ? t("present") : formatDate(m.endDate)}</span>
+        </li>`,
+    )
+    .join("");
+  return `
+    <section class="mt-8">
+      <h3 class="mb-3 text-2xl font-semibold">${t(titleKey)}</h3>
+      <ul class="rounded-lg border border-gray-200 bg-white px-4 shadow-md dark:border-gray-600 dark:bg-gray-700">${items}</ul>
+    </section>`;
+}
+
+function renderClubResults(results) {
+  if (!results.length) return "";
+  return `
+    <section class="mt-8">
+      <h3 class="mb-3 text-2xl font-semibold">${t("resultsHistory")}</h3>
+      <div class="overflow-x-auto rounded-lg border border-gray-200 bg-white shadow-md dark:border-gray-600 dark:bg-gray-700">
+        <table class="w-full text-left text-sm">
+          <thead class="bg-gray-100 dark:bg-gray-800">
+            <tr>
+              <th class="p-2">${t("resultsDate")}</th>
+              <th class="p-2">${t("resultsCompetition")}</th>
+              <th class="p-2">${t("resultsAthlete")}</th>
+              <th class="p-2">${t("competitionDisciplines")}</th>
+              <th class="p-2">${t("resultsPlace")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${results
+              .map(
+                (r) => `
+            <tr class="border-t border-gray-200 dark:border-gray-600">
+              <td class="p-2">${formatDate(r.date)}</td>
+              <td class="p-2"><a href="/competitions.html?id=${r.competitionId}">${r.competitionName}</a></td>
+              <td class="p-2"><a href="/athletes.html?id=${r.athleteId}">${r.athleteName}</a></td>
+              <td class="p-2">${r.discipline}</td>
+              <td class="p-2 font-semibold">${r.placement ?? "-"}</td>
+            </tr>`,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+    </section>`;
+}
+
+function renderClubProfile(club) {
+  const facts = [
+    club.city,
+    club.website
+      ? `<a href="${club.website}" target="_blank" rel="noopener noreferrer">${club.website}</a>`
+      : "",
+  ].filter(Boolean);
+
+  profileContainer.innerHTML = `
+    <a href="/clubs.html" class="mb-4 inline-block text-sm">&larr; ${t("backToClubs")}</a>
+    <article class="flex flex-col items-center gap-6 rounded-lg border border-gray-200 bg-white p-4 shadow-md sm:flex-row sm:items-start md:p-6 dark:border-gray-600 dark:bg-gray-700">
+      ${renderPhoto(club.photoUrl, club.name, "h-32 w-32 flex-shrink-0")}
+      <div>
+        <h2 class="mb-2 text-3xl font-bold leading-tight text-gray-900 dark:text-white">${club.name}</h2>
+        <p class="mb-4 text-sm text-gray-500 dark:text-gray-400">${facts.join(" · ")}</p>
+        ${club.bio ? `<p class="whitespace-pre-line text-gray-700 dark:text-gray-200">${club.bio}</p>` : ""}
+      </div>
+    </article>
+    ${renderMemberList("clubCurrentMembers", club.members.current)}
+    ${renderMemberList("clubFormerMembers", club.members.former)}
+    ${renderClubResults(club.results)}`;
+}
+
+// --- Loading ---
+
+async function loadClubs() {
+  try {
+    const clubs = await getPublicClubs({ lang: currentLang });
+    clubsGrid.innerHTML = clubs.length
+      ? clubs.map(renderClubCard).join("")
+      : `<p class="col-span-full py-10 text-center text-gray-500 dark:text-gray-400">${t("noClubs")}</p>`;
+  } catch (error) {
+    console.error("[clubs.js] Error loading clubs:", error);
+    clubsGrid.innerHTML = `<p class="col-span-full py-10 text-center text-red-500">${error.message || t("errorLoadingData")}</p>`;
+  }
+}
+
+async function loadClubProfile(clubId) {
+  listSection?.classList.add("hidden");
+  profileContainer.classList.remove("hidden");
+  profileContainer.innerHTML = `<p class="py-10 text-center">${t("loadingProfile")}</p>`;
+  try {
+    const club = await getPublicClubById(clubId, { lang: currentLang });
+    document.title = `${club.name} - MSKTF`;
+    renderClubProfile(club);
+  } catch (error) {
+    console.error("[clubs.js] Error loading club:", error);
+    const message = error.message?.includes("404")
+      ? t("profileNotFound")
+      : error.message || t("errorLoadingData");
+    profileContainer.innerHTML = `<p class="py-10 text-center text-red-500">${message}</p>`;
+  }
+}
+
+// --- Initialization ---
+document.addEventListener("DOMContentLoaded", () => {
+  initializeUI();
+  const clubId = parseInt(
+    new URLSearchParams(window.location.search).get("id"),
+    10,
+  );
+  if (clubId > 0 && profileContainer) {
+    loadClubProfile(clubId);
+  } else {
+    loadClubs();
+  }
+});
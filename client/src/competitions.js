@@ -1,93 +1,410 @@
 // client/src/competitions.js
 import "./style.css";
+import { format } from "date-fns";
+import { enUS, ru, mn } from "date-fns/locale";
 import { t, currentLang } from "./i18n.js";
-import { renderArticle } from "./articles.js"; // Keep render function import
 import { initializeUI } from "./uiUtils.js";
-// Import BOTH API functions needed
 import {
-  getArticlesByCategorySlug,
-  getPublicArticleById,
+  getPublicCompetitions,
+  getPublicCompetitionById,
+  registerForCompetition,
+  getPublicCompetitionResults,
 } from "./apiService.js";
 
+const dateLocales = { en: enUS, rus: ru, mng: mn };
+
 // --- DOM Elements ---
-const competitionContentContainer = document.getElementById(
-  "competition-content",
-);
-
-// --- Competition Fetching/Rendering Logic ---
-async function loadCompetitionData() {
-  if (!competitionContentContainer) {
-    console.error("Competition content container not found!");
-    return;
+const upcomingContainer = document.getElementById("competitions-upcoming");
+const pastContainer = document.getElementById("competitions-past");
+const listSection = document.getElementById("competitions-list");
+const detailContainer = document.getElementById("competition-detail");
+
+// Result table state: selected discipline tab and current sort column
+const resultsState = {
+  results: [],
+  discipline: null,
+  sortKey: "placement",
+  sortDir: "asc",
+};
+
+// --- HELPERS ---
+
+// Status badge classes, matching the article category badges
+function getStatusBadgeClasses(status) {
+  const baseClasses =
+    "inline-block px-2.5 py-0.5 rounded text-xs font-medium capitalize";
+  switch (status) {
+    case "upcoming":
+      return `${baseClasses} bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300`;
+    case "ongoing":
+      return `${baseClasses} bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300`;
+    default:
+      return `${baseClasses} bg-gray-100 text-gray-800 dark:bg-gray-600 dark:text-gray-300`;
   }
-  competitionContentContainer.innerHTML = `<p class="text-center py-10">${t("loadingCompetitionDetails")}</p>`;
-  let competitionArticle = null; // Variable to hold the final article object
+}
 
+// Formats "1 Jun 2030" or "1 Jun 2030 – 2 Jun 2030" in the current locale
+function formatDateRange(startDate, endDate) {
+  const locale = dateLocales[currentLang] || enUS;
   try {
-    // STEP 1: Fetch the latest competition article's basic info (including ID)
-    console.log("[competitions.js] Fetching latest competition ID...");
-    const articles = await getArticlesByCategorySlug("competition", {
-      lang: currentLang, // Keep lang for potential title/excerpt use if needed later
-      limit: 1,
-    });
+    const start = format(new Date(startDate), "PP", { locale });
+    if (!endDate || endDate === startDate) return start;
+    return `${start} – ${format(new Date(endDate), "PP", { locale })}`;
+  } catch (e) {
+    console.error("[competitions.js] Error formatting dates:", e);
+    return startDate || "";
+  }
+}
 
-    console.log(
-      "[competitions.js] Step 1 API Response (Category Slug):",
-      articles,
+function formatDeadline(deadline) {
+  if (!deadline) return "";
+  const locale = dateLocales[currentLang] || enUS;
+  try {
+    return format(new Date(deadline), "PPp", { locale });
+  } catch (e) {
+    console.error("[competitions.js] Error formatting deadline:", e);
+    return deadline;
+  }
+}
+
+function renderDisciplineChips(disciplines = []) {
+  return disciplines
+    .map(
+      (d) =>
+        `<span class="inline-block rounded bg-gray-200 px-2 py-0.5 text-xs text-gray-700 dark:bg-gray-600 dark:text-gray-200">${d}</span>`,
+    )
+    .join(" ");
+}
+
+// --- Rendering ---
+
+function renderCompetitionCard(competition) {
+  const name = competition.name || t("untitledCompetition");
+  return `
+    <article class="article-card flex flex-col p-4 md:p-5">
+      <div class="mb-2 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-500 dark:text-gray-400">
+        <span>${formatDateRange(competition.startDate, competition.endDate)}</span>
+        <span class="${getStatusBadgeClasses(competition.status)}">${t(`competitionStatus_${competition.status}`)}</span>
+      </div>
+      <h3 class="mb-1 text-lg font-semibold leading-snug text-gray-900 dark:text-white">
+        <a href="/competitions.html?id=${competition.id}" class="hover:text-blue-600 dark:hover:text-blue-400">${name}</a>
+      </h3>
+      ${competition.venue ? `<p class="mb-2 text-sm text-gray-600 dark:text-gray-300"><i class="fi fi-rr-marker"></i> ${competition.venue}</p>` : ""}
+      <div class="mb-3 flex flex-wrap gap-1">${renderDisciplineChips(competition.disciplines)}</div>
+      <div class="mt-auto pt-2">
+        <a href="/competitions.html?id=${competition.id}" class="btn btn-blue px-3 py-1.5 text-sm">${t("competitionDetails")}</a>
+      </div>
+    </article>`;
+}
+
+function renderCompetitionList(competitions, container, emptyKey) {
+  if (!container) return;
+  if (!competitions || competitions.length === 0) {
+    container.innerHTML = `<p class="col-span-full py-6 text-center text-gray-500 dark:text-gray-400">${t(emptyKey)}</p>`;
+    return;
+  }
+  container.innerHTML = competitions.map(renderCompetitionCard).join("");
+}
+
+function renderCompetitionDetail(competition) {
+  const name = competition.name || t("untitledCompetition");
+  const deadline = formatDeadline(competition.registrationDeadline);
+  detailContainer.innerHTML = `
+    <a href="/competitions.html" class="mb-4 inline-block text-sm">&larr; ${t("backToCompetitions")}</a>
+    <article class="rounded-lg border border-gray-200 bg-white p-4 shadow-md md:p-6 dark:border-gray-600 dark:bg-gray-700">
+      <div class="mb-3 flex flex-wrap items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
+        <span>${formatDateRange(competition.startDate, competition.endDate)}</span>
+        <span class="${getStatusBadgeClasses(competition.status)}">${t(`competitionStatus_${competition.status}`)}</span>
+      </div>
+      <h2 class="mb-4 text-3xl font-bold leading-tight text-gray-900 dark:text-white">${name}</h2>
+      <dl class="mb-6 grid grid-cols-1 gap-3 text-sm sm:grid-cols-2">
+        ${competition.venue ? `<div><dt class="font-semibold">${t("competitionVenue")}</dt><dd>${competition.venue}</dd></div>` : ""}
+        ${deadline ? `<div><dt class="font-semibold">${t("competitionRegistrationDeadline")}</dt><dd>${deadline}${competition.registrationOpen ? "" : ` <span class="text-red-500">(${t("registrationClosed")})</span>`}</dd></div>` : ""}
+        <div class="sm:col-span-2"><dt class="mb-1 font-semibold">${t("competitionDisciplines")}</dt><dd class="flex flex-wrap gap-1">${renderDisciplineChips(competition.disciplines)}</dd></div>
+      </dl>
+      ${competition.description ? `<p class="whitespace-pre-line text-gray-700 dark:text-gray-200">${competition.description}</p>` : ""}
+    </article>
+    ${competition.registrationOpen ? renderRegistrationForm(competition) : ""}
+    ${competition.status !== "upcoming" ? '<section id="competition-results" class="mt-8"></section>' : ""}`;
+
+  document
+    .getElementById("registration-form")
+    ?.addEventListener("submit", (e) =>
+      handleRegistrationSubmit(e, competition.id),
     );
+}
 
-    const latestCompetitionInfo =
-      articles && Array.isArray(articles) && articles.length > 0
-        ? articles[0]
-        : null;
-    const articleId = latestCompetitionInfo?.id;
+function renderRegistrationForm(competition) {
+  const options = (competition.disciplines || [])
+    .map((d) => `<option value="${d}">${d}</option>`)
+    .join("");
+  return `
+    <section class="mt-8 rounded-lg border border-gray-200 bg-white p-4 shadow-md md:p-6 dark:border-gray-600 dark:bg-gray-700">
+      <h3 class="mb-4 text-2xl font-semibold">${t("registrationTitle")}</h3>
+      <form id="registration-form" class="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-athlete-name">${t("registrationAthleteName")}</label>
+          <input id="reg-athlete-name" name="athleteName" type="text" required minlength="2" maxlength="255" class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800" />
+        </div>
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-club">${t("registrationClub")}</label>
+          <input id="reg-club" name="club" type="text" maxlength="255" class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800" />
+        </div>
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-age-category">${t("registrationAgeCategory")}</label>
+          <input id="reg-age-category" name="ageCategory" type="text" required maxlength="50" class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800" />
+        </div>
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-discipline">${t("competitionDisciplines")}</label>
+          <select id="reg-discipline" name="discipline" required class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800">${options}</select>
+        </div>
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-gender">${t("registrationGender")}</label>
+          <select id="reg-gender" name="gender" required class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800">
+            <option value="male">${t("gender_male")}</option>
+            <option value="female">${t("gender_female")}</option>
+          </select>
+        </div>
+        <div>
+          <label class="mb-1 block text-sm font-medium" for="reg-contact">${t("registrationContact")}</label>
+          <input id="reg-contact" name="contact" type="text" required minlength="5" maxlength="255" class="w-full rounded border border-gray-300 p-2 dark:border-gray-600 dark:bg-gray-800" />
+        </div>
+        <div class="flex justify-end sm:col-span-2">
+          <button type="submit" class="btn btn-blue">${t("registrationSubmit")}</button>
+        </div>
+      </form>
+      <p id="registration-message" class="mt-4 hidden text-center text-sm"></p>
+    </section>`;
+}
 
-    if (!articleId) {
-      console.log("[competitions.js] No competition article ID found.");
-      throw new Error(t("noCompetitionData")); // Throw specific error
-    }
+async function handleRegistrationSubmit(e, competitionId) {
+  e.preventDefault();
+  const form = e.target;
+  const messageEl = document.getElementById("registration-message");
+  const submitButton = form.querySelector("button[type=submit]");
+  const showMessage = (msg, isError) => {
+    messageEl.textContent = msg;
+    messageEl.className = `mt-4 text-center text-sm ${isError ? "text-red-500" : "text-green-600 dark:text-green-400"}`;
+  };
 
-    // STEP 2: Fetch the FULL article details using the ID
-    console.log(
-      `[competitions.js] Fetching full details for article ID: ${articleId}...`,
+  const data = Object.fromEntries(new FormData(form).entries());
+  submitButton.disabled = true;
+  try {
+    const registration = await registerForCompetition(competitionId, data);
+    form.reset();
+    showMessage(
+      registration.status === "waitlisted"
+        ? t("registrationWaitlisted")
+        : t("registrationReceived"),
+      false,
     );
-    competitionArticle = await getPublicArticleById(articleId, {
+  } catch (error) {
+    console.error("[competitions.js] Registration failed:", error);
+    const details = error.data?.errors?.map((err) => err.msg).join(" ");
+    showMessage(details || error.message || t("registrationFailed"), true);
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+// --- Results ---
+
+function sortResults(results) {
+  const { sortKey, sortDir } = resultsState;
+  const direction = sortDir === "asc" ? 1 : -1;
+  return [...results].sort((a, b) => {
+    const x = a[sortKey] ?? "",
+      y = b[sortKey] ?? "";
+    if (typeof x === "number" && typeof y === "number")
+      return (x - y) * direction;
+    return String(x).localeCompare(String(y), currentLang) * direction;
+  });
+}
+
+function renderResultsTable() {
+  const container = document.getElementById("competition-results");
+  if (!container) return;
+
+  const disciplines = [
+    ...new Set(resultsState.results.map((r) => r.discipline)),
+  ];
+  if (disciplines.length === 0) {
+    container.innerHTML = `<h3 class="mb-4 text-2xl font-semibold">${t("resultsTitle")}</h3><p class="text-gray-500 dark:text-gray-400">${t("noResultsYet")}</p>`;
+    return;
+  }
+  if (!disciplines.includes(resultsState.discipline))
+    resultsState.discipline = disciplines[0];
+
+  const rows = sortResults(
+    resultsState.results.filter(
+      (r) => r.discipline === resultsState.discipline,
+    ),
+  );
+  const roundCount = Math.max(...rows.map((r) => r.rounds.length));
+  const columns = [
+    ["placement", t("resultsPlace")],
+    ["athleteName", t("resultsAthlete")],
+    ["club", t("resultsClub")],
+    ["ageCategory", t("resultsAgeCategory")],
+  ];
+  const arrow = (key) =>
+    resultsState.sortKey === key
+      ? resultsState.sortDir === "asc"
+        ? " ▲"
+        : " ▼"
+      : "";
+  const headerCell = ([key, label]) =>
+    `<th class="cursor-pointer select-none p-2" data-sort="${key}">${label}${arrow(key)}</th>`;
+
+  container.innerHTML = `
+    <h3 class="mb-4 text-2xl font-semibold">${t("resultsTitle")}</h3>
+    <div class="mb-4 flex flex-wrap gap-2">
+      ${disciplines
+        .map(
+          (d) =>
+            `<button type="button" data-discipline="${d}" class="btn ${d === resultsState.discipline ? "btn-blue" : "btn-gray"} px-3 py-1 text-sm">${d}</button>`,
+        )
+        .join("")}
+    </div>
+    <div class="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-600">
+      <table class="w-full text-left text-sm">
+        <thead class="bg-gray-100 dark:bg-gray-800">
+          <tr>
+            ${columns.map(headerCell).join("")}
+            ${Array.from({ length: roundCount }, (_, i) => `<th class="p-2">${t("resultsRound")} ${i + 1}</th>`).join("")}
+            ${headerCell(["totalScore", t("resultsTotal")])}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (r) => `
+            <tr class="border-t border-gray-200 dark:border-gray-600">
+              <td class="p-2 font-semibold">${r.placement ?? "-"}</td>
+              <td class="p-2">${r.athleteId ? `<a href="/athletes.html?id=${r.athleteId}">${r.athleteName}</a>` : r.athleteName}</td>
+              <td class="p-2">${r.club || ""}</td>
+              <td class="p-2">${r.ageCategory || ""}</td>
+              ${Array.from({ length: roundCount }, (_, i) => `<td class="p-2" title="${r.rounds[i] ? `${r.rounds[i].distance}m: ${r.rounds[i].throws.join(", ")}` : ""}">${r.rounds[i]?.score ?? ""}</td>`).join("")}
+              <td class="p-2 font-semibold">${r.totalScore}</td>
+            </tr>`,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+function handleResultsClick(e) {
+  const disciplineButton = e.target.closest("[data-discipline]");
+  if (disciplineButton) {
+    resultsState.discipline = disciplineButton.dataset.discipline;
+    renderResultsTable();
+    return;
+  }
+  const header = e.target.closest("[data-sort]");
+  if (header) {
+    const key = header.dataset.sort;
+    if (resultsState.sortKey === key) {
+      resultsState.sortDir = resultsState.sortDir === "asc" ? "desc" : "asc";
+    } else {
+      resultsState.sortKey = key;
+      // Scores read best high-to-low, everything else A-Z / 1-n
+      resultsState.sortDir = key === "totalScore" ? "desc" : "asc";
+    }
+    renderResultsTable();
+  }
+}
+
+async function loadCompetitionResults(competitionId) {
+  const container = document.getElementById("competition-results");
+  if (!container) return;
+  container.addEventListener("click", handleResultsClick);
+  try {
+    const { results } = await getPublicCompetitionResults(competitionId);
+    resultsState.results = results;
+    renderResultsTable();
+  } catch (error) {
+    console.error("[competitions.js] Error loading results:", error);
+    container.innerHTML = `<p class="text-red-500">${t("errorLoadingData")}</p>`;
+  }
+}
+
+// --- Loading ---
+
+async function loadCompetitionLists() {
+  const [upcoming, past] = await Promise.allSettled([
+    getPublicCompetitions({
+      status: "upcoming,ongoing",
+      order: "asc",
+      limit: 20,
       lang: currentLang,
-    });
+    }),
+    getPublicCompetitions({
+      status: "finished",
+      order: "desc",
+      limit: 20,
+      lang: currentLang,
+    }),
+  ]);
 
-    console.log(
-      "[competitions.js] Step 2 API Response (Article By ID):",
-      competitionArticle,
+  if (upcoming.status === "fulfilled") {
+    renderCompetitionList(
+      upcoming.value.competitions,
+      upcomingContainer,
+      "noUpcomingCompetitions",
     );
+  } else {
+    console.error(
+      "[competitions.js] Failed to load upcoming:",
+      upcoming.reason,
+    );
+    upcomingContainer.innerHTML = `<p class="col-span-full py-6 text-center text-red-500">${t("errorLoadingData")}</p>`;
+  }
 
-    // Check if the second fetch returned a valid article object with content
-    if (
-      !competitionArticle ||
-      typeof competitionArticle !== "object" ||
-      !competitionArticle.content
-    ) {
-      console.error(
-        "[competitions.js] Full article data missing or invalid content for ID:",
-        articleId,
-        competitionArticle,
-      );
-      throw new Error(t("errorLoadingData")); // Or a more specific error
-    }
+  if (past.status === "fulfilled") {
+    renderCompetitionList(
+      past.value.competitions,
+      pastContainer,
+      "noPastCompetitions",
+    );
+  } else {
+    console.error("[competitions.js] Failed to load past:", past.reason);
+    pastContainer.innerHTML = `<p class="col-span-full py-6 text-center text-red-500">${t("errorLoadingData")}</p>`;
+  }
+}
 
-    // STEP 3: Render the full article
-    document.title = `${competitionArticle.title || t("competitionsTitle")} - MSKTF`;
-    renderArticle(competitionArticle, competitionContentContainer); // Pass the full object
+async function loadCompetitionDetail(competitionId) {
+  listSection?.classList.add("hidden");
+  detailContainer.classList.remove("hidden");
+  detailContainer.innerHTML = `<p class="py-10 text-center">${t("loadingCompetitionDetails")}</p>`;
+  try {
+    const competition = await getPublicCompetitionById(competitionId, {
+      lang: currentLang,
+    });
+    document.title = `${competition.name || t("competitionsTitle")} - MSKTF`;
+    renderCompetitionDetail(competition);
+    if (competition.status !== "upcoming")
+      loadCompetitionResults(competition.id);
   } catch (error) {
-    // Catch errors from either API call or processing
-    console.error("[competitions.js] Error loading competition data:", error);
-    // Display error based on the message caught
-    competitionContentContainer.innerHTML = `<p class="text-center text-red-500 py-10">${error.message || t("errorLoadingData")}</p>`;
-    document.title = `${t("competitionsTitle")} - MSKTF`; // Set default title on error
+    console.error("[competitions.js] Error loading competition:", error);
+    const message = error.message?.includes("404")
+      ? t("noCompetitionData")
+      : error.message || t("errorLoadingData");
+    detailContainer.innerHTML = `<p class="py-10 text-center text-red-500">${message}</p>`;
+    document.title = `${t("competitionsTitle")} - MSKTF`;
   }
 }
 
 // --- Initialization ---
 document.addEventListener("DOMContentLoaded", () => {
   initializeUI();
-  loadCompetitionData();
+  const competitionId = parseInt(
+    new URLSearchParams(window.location.search).get("id"),
+    10,
+  );
+  if (competitionId > 0 && detailContainer) {
+    loadCompetitionDetail(competitionId);
+  } else {
+    loadCompetitionLists();
+  }
 });
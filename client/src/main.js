@@ -5,29 +5,20 @@ import "./style.css";
 import { formatDistanceToNow, format, differenceInHours } from "date-fns";
 import { enUS, ru, mn } from "date-fns/locale";
 import { t, currentLang } from "./i18n.js";
-import { initializeUI, translateStaticElements } from "./uiUtils.js";
+import {
+  initializeUI,
+  translateStaticElements,
+  articleUrl,
+} from "./uiUtils.js";
 import { getArticlesByCategorySlug } from "./apiService.js";
+import {
+  getCategoryBadgeClasses,
+  getCategoryName,
+  loadCategories,
+} from "./categories.js";
 
 const dateLocales = { en: enUS, rus: ru, mng: mn };
-
-const CATEGORIES = ["competition", "news", "blog"];
-
-// --- HELPER: Category Badge Classes ---
-function getCategoryBadgeClasses(category) {
-  const baseClasses =
-    "inline-block px-2.5 py-0.5 rounded text-xs font-medium capitalize";
-  switch (category?.toLowerCase()) {
-    case "news":
-      return `${baseClasses} bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300`;
-    case "competition":
-      return `${baseClasses} bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300`;
-    case "blog":
-      return `${baseClasses} bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300`;
-    default:
-      return `${baseClasses} bg-gray-100 text-gray-800 dark:bg-gray-600 dark:text-gray-300`;
-  }
-}
-// --- END HELPER ---
+const languageNames = { en: "English", rus: "Русский", mng: "Монгол" };
 
 function getConditionalTimestampStrings(dateObj) {
   let displayString = "Unknown date";
@@ -58,6 +49,22 @@ function getConditionalTimestampStrings(dateObj) {
   return { displayString, hoverString };
 }
 
+// One highlight column per category, in the admin-defined order
+function renderHighlightColumns(categories) {
+  const grid = document.getElementById("highlights-grid");
+  if (!grid) return;
+  grid.innerHTML = categories
+    .map(
+      (category) => `
+          <div class="flex flex-col">
+            <h3 class="mb-3 text-2xl font-semibold">${t("latestInCategory", { category: category.name })}</h3>
+            <hr class="mb-4 border-gray-300 dark:border-gray-600" />
+            <div id="highlight-${category.slug}" class="article-card flex flex-grow flex-col"></div>
+          </div>`,
+    )
+    .join("");
+}
+
 function updateHighlightCard(category, article) {
   const container = document.getElementById(`highlight-${category}`);
   if (!container) {
@@ -68,7 +75,7 @@ function updateHighlightCard(category, article) {
   if (!article) {
     container.innerHTML = `
             <div class="p-5 text-center">
-                <h5 class="mb-2 text-xl font-medium text-gray-700 dark:text-gray-300">${t("noRecentArticle", { category })}</h5>
+                <h5 class="mb-2 text-xl font-medium text-gray-700 dark:text-gray-300">${t("noRecentArticle", { category: getCategoryName(category) })}</h5>
                 <p class="text-gray-500 dark:text-gray-400">${t("checkBackLater")}</p>
             </div>`;
     return;
@@ -79,15 +86,20 @@ function updateHighlightCard(category, article) {
   const { displayString, hoverString } =
     getConditionalTimestampStrings(dateObj);
   const title = article.title || t("untitledArticle");
+  // Untranslated articles come back in English (see articles.js)
+  const fallbackNote =
+    article.availableLangs && !article.availableLangs.includes(currentLang)
+      ? `<p class="mb-2 text-xs italic text-gray-500 dark:text-gray-400">${t("articleShownIn", { language: languageNames[article.servedLang] })}</p>`
+      : "";
 
   try {
     container.innerHTML = `
-            <a href="/article.html?id=${article.id}" class="block group focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 rounded-t-lg">
+            <a href="${articleUrl(article)}" class="block group focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-blue-400 rounded-t-lg">
                 <img class="rounded-t-lg object-cover w-full h-48 transition-opacity duration-300 group-hover:opacity-80" src="${article.imageUrl || "/assets/placeholder-image.jpg"}" alt="${title}" />
             </a>
             <div class="p-5 flex flex-col flex-grow">
                 <div class="flex flex-wrap justify-between items-center text-gray-500 dark:text-gray-400 text-sm mb-3">
-                    <span class="${getCategoryBadgeClasses(article.category)}">${article.category}</span>
+                    <a href="/articles.html?category=${article.category}" class="${getCategoryBadgeClasses(article.category)}">${getCategoryName(article.category)}</a>
                     <div class="flex items-center space-x-3">
                         <span title="${hoverString}">${displayString}</span>
                         <span class="flex items-center" title="${article.views ?? 0} views">
@@ -96,16 +108,17 @@ function updateHighlightCard(category, article) {
       </span>
                     </div>
                 </div>
-                <a href="/article.html?id=${article.id}" class="block focus:outline-none">
+                <a href="${articleUrl(article)}" class="block focus:outline-none">
                     <h5 class="text-xl font-semibold leading-snug tracking-tight text-gray-900 dark:text-white group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors duration-200 mb-1">
                         ${title}
                     </h5>
                 </a>
+                ${fallbackNote}
                 <p class="font-normal text-gray-700 dark:text-gray-300 leading-relaxed line-clamp-3 mb-3 flex-grow">
                     ${excerptToDisplay}
                 </p>
                 <div class="mt-auto pt-2 self-start">
-                    <a href="/article.html?id=${article.id}"
+                    <a href="${articleUrl(article)}"
                         class="btn btn-blue py-2 px-3 text-sm">
                         ${t("readMore")}
                         <svg class="ms-2 h-3.5 w-3.5 rtl:rotate-180" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 14 10"><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M1 5h12m0 0L9 1m4 4L9 9"/></svg>
@@ -121,7 +134,9 @@ function updateHighlightCard(category, article) {
 async function initializePageContent() {
   console.log(`Initializing main page content in ${currentLang}...`);
   try {
-    const articlePromises = CATEGORIES.map((category) =>
+    const categories = await loadCategories();
+    renderHighlightColumns(categories);
+    const articlePromises = categories.map(({ slug: category }) =>
       getArticlesByCategorySlug(category, { lang: currentLang, limit: 1 })
         .then((articles) => articles[0] || null)
         .catch((error) => {
@@ -137,7 +152,7 @@ async function initializePageContent() {
         }),
     );
     const articles = await Promise.all(articlePromises);
-    CATEGORIES.forEach((category, index) => {
+    categories.forEach(({ slug: category }, index) => {
       const container = document.getElementById(`highlight-${category}`);
       // Ensure the container exists AND doesn't already show an error before updating
       if (container && !container.innerHTML.includes("text-red-500")) {
@@ -0,0 +1,141 @@
+// client/src/rankings.js
+import "./style.css";
+import { format } from "date-fns";
+import { enUS, ru, mn } from "date-fns/locale";
+import { t, currentLang } from "./i18n.js";
+import { initializeUI } from "./uiUtils.js";
+import { getPublicRankings } from "./apiService.js";
+
+const dateLocales = { en: enUS, rus: ru, mng: mn };
+
+// --- DOM Elements ---
+const rankingsContainer = document.getElementById("rankings-container");
+const windowLabel = document.getElementById("rankings-window");
+const disciplineFilter = document.getElementById("filter-discipline");
+const ageGroupFilter = document.getElementById("filter-age-group");
+const genderFilter = document.getElementById("filter-gender");
+
+// All tables from the API; filtering happens client-side
+let allRankings = [];
+
+// --- HELPERS ---
+
+function formatDate(dateString) {
+  try {
+    return format(new Date(dateString), "PP", {
+      locale: dateLocales[currentLang] || enUS,
+    });
+  } catch (e) {
+    console.error("[rankings.js] Error formatting date:", e);
+    return dateString;
+  }
+}
+
+function genderLabel(gender) {
+  return gender ? t(`gender_${gender}`) : t("genderUnspecified");
+}
+
+// Fills a <select> with an "All" option plus the given values
+function fillFilter(select, allKey, values, labelFn = (v) => v) {
+  if (!select) return;
+  const previous = select.value;
+  select.innerHTML = [
+    `<option value="">${t(allKey)}</option>`,
+    ...values.map((v) => `<option value="${v}">${labelFn(v)}</option>`),
+  ].join("");
+  if (values.includes(previous)) select.value = previous;
+}
+
+// --- Rendering ---
+
+function renderRankingTable(table) {
+  const heading = [
+    table.discipline,
+    table.ageGroup || t("allAges"),
+    genderLabel(table.gender),
+  ].join(" · ");
+  const rows = table.athletes
+    .map((athlete) => {
+      const breakdown = athlete.results
+        .map(
+          (r) =>
+            `${r.competitionName || "?"} (${formatDate(r.date)}): #${r.placement} → ${r.points}`,
+        )
+        .join("\n");
+      return `
+        <tr class="border-t border-gray-200 dark:border-gray-600">
+          <td class="p-2 font-semibold">${athlete.rank}</td>
+          <td class="p-2">${athlete.athleteName}</td>
+          <td class="p-2">${athlete.club || ""}</td>
+          <td class="p-2" title="${breakdown}">${athlete.results.length}</td>
+          <td class="p-2 font-semibold">${athlete.points}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <section>
+      <h2 class="mb-3 text-xl font-semibold">${heading}</h2>
+      <div class="overflow-x-auto rounded-lg border border-gray-200 bg-white shadow-md dark:border-gray-600 dark:bg-gray-700">
+        <table class="w-full text-left text-sm">
+          <thead class="bg-gray-100 dark:bg-gray-800">
+            <tr>
+              <th class="p-2">${t("rankingsRank")}</th>
+              <th class="p-2">${t("resultsAthlete")}</th>
+              <th class="p-2">${t("resultsClub")}</th>
+              <th class="p-2">${t("rankingsEvents")}</th>
+              <th class="p-2">${t("rankingsPoints")}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </section>`;
+}
+
+function renderRankings() {
+  if (!rankingsContainer) return;
+  const tables = allRankings.filter(
+    (table) =>
+      (!disciplineFilter?.value ||
+        table.discipline === disciplineFilter.value) &&
+      (!ageGroupFilter?.value || table.ageGroup === ageGroupFilter.value) &&
+      (!genderFilter?.value || table.gender === genderFilter.value),
+  );
+  rankingsContainer.innerHTML = tables.length
+    ? tables.map(renderRankingTable).join("")
+    : `<p class="py-10 text-center text-gray-500 dark:text-gray-400">${t("noRankings")}</p>`;
+}
+
+// --- Loading ---
+
+async function loadRankings() {
+  try {
+    const { from, to, rankings } = await getPublicRankings({
+      lang: currentLang,
+    });
+    allRankings = rankings;
+    if (windowLabel) {
+      windowLabel.textContent = `${t("rankingsWindow")}: ${formatDate(from)} – ${formatDate(to)}`;
+    }
+
+    const unique = (key) =>
+      [...new Set(rankings.map((r) => r[key]).filter(Boolean))].sort();
+    fillFilter(disciplineFilter, "allDisciplines", unique("discipline"));
+    fillFilter(ageGroupFilter, "allAges", unique("ageGroup"));
+    fillFilter(genderFilter, "allGenders", unique("gender"), genderLabel);
+    renderRankings();
+  } catch (error) {
+    console.error("[rankings.js] Error loading rankings:", error);
+    rankingsContainer.innerHTML = `<p class="py-10 text-center text-red-500">${error.message || t("errorLoadingData")}</p>`;
+  }
+}
+
+// --- Initialization ---
+document.addEventListener("DOMContentLoaded", () => {
+  initializeUI();
+  [disciplineFilter, ageGroupFilter, genderFilter].forEach((select) =>
+    select?.addEventListener("change", renderRankings),
+  );
+  loadRankings();
+});
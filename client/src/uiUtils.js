@@ -1,5 +1,5 @@
 // client/src/uiUtils.js
-import { t, currentLang, setLanguage } from "./i18n.js";
+import { t, currentLang, setLanguage, supportedLangs } from "./i18n.js";
 console.log("--- uiUtils.js STARTING TO EXECUTE ---");
 
 // --- Header HTML Template ---
@@ -15,11 +15,30 @@ const headerHTML = `
     <ul class="hidden md:flex md:items-center md:justify-center flex-grow">
       <li class="comp-navlink"><a href="index.html" data-i18n="navHome" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">Home</a></li>
       <li class="comp-navlink"><a href="competitions.html" data-i18n="navCompetitions" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">Competitions</a></li>
+      <li class="comp-navlink"><a href="rankings.html" data-i18n="navRankings" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">Rankings</a></li>
+      <li class="comp-navlink"><a href="athletes.html" data-i18n="navAthletes" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">Athletes</a></li>
       <li class="comp-navlink"><a href="articles.html" data-i18n="navNewsBlog" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">News & Blog</a></li>
       <li class="comp-navlink"><a href="mission.html" data-i18n="navMission" class="text-black hover:text-blue-500 dark:text-white dark:hover:text-blue-400">Mission</a></li>
     </ul>
 
     <div class="flex items-center flex-shrink-0 space-x-4">
+        <form id="header-search" action="articles.html" role="search" class="hidden md:block">
+            <label for="header-search-input" class="sr-only" data-i18n="searchLabel">Search articles</label>
+            <div class="relative">
+              <i class="fi fi-rr-search pointer-events-none absolute left-2.5 top-1/2 -translate-y-1/2 text-sm leading-none text-gray-500 dark:text-gray-400"></i>
+              <input
+                id="header-search-input"
+                name="q"
+                type="search"
+                minlength="2"
+                maxlength="100"
+                required
+                placeholder="Search..."
+                data-i18n="searchPlaceholder"
+                class="w-40 rounded-md border border-gray-300 bg-white/70 py-1 pl-8 pr-2 text-sm text-black focus:outline-none focus:ring-2 focus:ring-blue-300 dark:border-gray-600 dark:bg-gray-700/70 dark:text-white lg:w-56"
+              />
+            </div>
+        </form>
         <div class="relative hidden md:block">
             <button
               class="flex items-center rounded p-1 text-black transition-colors duration-200 hover:text-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-300 dark:text-white dark:hover:text-blue-400"
@@ -55,6 +74,9 @@ const footerHTML = `
         <ul class="space-y-2 text-sm">
           <li><a href="index.html" data-i18n="navHome" class="hover:text-white dark:hover:text-gray-100">Home</a></li>
           <li><a href="competitions.html" data-i18n="navCompetitions" class="hover:text-white dark:hover:text-gray-100">Competitions</a></li>
+          <li><a href="rankings.html" data-i18n="navRankings" class="hover:text-white dark:hover:text-gray-100">Rankings</a></li>
+          <li><a href="athletes.html" data-i18n="navAthletes" class="hover:text-white dark:hover:text-gray-100">Athletes</a></li>
+          <li><a href="clubs.html" data-i18n="navClubs" class="hover:text-white dark:hover:text-gray-100">Clubs</a></li>
           <li><a href="articles.html" data-i18n="navNewsBlog" class="hover:text-white dark:hover:text-gray-100">News & Blog</a></li>
           <li><a href="mission.html" data-i18n="navMission" class="hover:text-white dark:hover:text-gray-100">Mission</a></li>
         </ul>
@@ -179,6 +201,21 @@ function createMobileMenu() {
       );
     dropdown.appendChild(nav);
 
+    // --- Add Search to Mobile Menu ---
+    const desktopSearch = navContainer?.querySelector("#header-search");
+    if (desktopSearch) {
+      const mobileSearch = desktopSearch.cloneNode(true);
+      mobileSearch.id = "header-search-mobile";
+      mobileSearch.className = "px-4 pb-3";
+      mobileSearch.querySelector("label").htmlFor =
+        "header-search-input-mobile";
+      const mobileInput = mobileSearch.querySelector("input");
+      mobileInput.id = "header-search-input-mobile";
+      mobileInput.classList.remove("w-40", "lg:w-56", "py-1");
+      mobileInput.classList.add("w-full", "py-2");
+      dropdown.appendChild(mobileSearch);
+    }
+
     // --- Add Language Switcher to Mobile Menu ---
     const desktopLangContainer =
       navContainer?.querySelector("#language-btn")?.parentElement;
@@ -436,6 +473,12 @@ function translateStaticElements() {
 
 /** Initializes common UI: Loads Header/Footer, Sets up Listeners, Translates. */
 function initializeUI() {
+  // Language versions linked from the sitemap (e.g. /mission.html?lang=rus)
+  const urlLang = new URLSearchParams(window.location.search).get("lang");
+  if (supportedLangs.includes(urlLang) && urlLang !== currentLang) {
+    setLanguage(urlLang); // Reloads the page in that language
+    return;
+  }
   loadHeader();
   loadFooter();
   setTimeout(() => {
@@ -449,5 +492,12 @@ function initializeUI() {
   }, 0);
 }
 
+/** Link to an article page: its slug when the API sent one, else the ID. */
+function articleUrl(article) {
+  return article.slug
+    ? `/article.html?slug=${encodeURIComponent(article.slug)}`
+    : `/article.html?id=${article.id}`;
+}
+
 // Keep only the single named export block at the end
-export { initializeUI, translateStaticElements };
+export { initializeUI, translateStaticElements, articleUrl };
@@ -29,6 +29,14 @@ export default defineConfig(({ command }) => {
           changeOrigin: true, // Recommended for virtual hosts
           secure: false, // Not needed for HTTP target, but doesn't hurt
         },
+        // Media library images are served by the backend too
+        "/uploads": {
+          target: "http://localhost:3000",
+          changeOrigin: true,
+        },
+        // Crawler files are generated by the backend
+        "/sitemap.xml": "http://localhost:3000",
+        "/robots.txt": "http://localhost:3000",
       },
     },
     preview: {
@@ -55,6 +63,9 @@ export default defineConfig(({ command }) => {
           article: resolve(__dirname, "article.html"),
           articles: resolve(__dirname, "articles.html"),
           competitions: resolve(__dirname, "competitions.html"),
+          rankings: resolve(__dirname, "rankings.html"),
+          athletes: resolve(__dirname, "athletes.html"),
+          clubs: resolve(__dirname, "clubs.html"),
           mission: resolve(__dirname, "mission.html"),
           forgotPassword: resolve(__dirname, "forgot-password.html"),
           resetPassword: resolve(__dirname, "reset-password.html"),
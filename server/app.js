@@ -43,6 +43,30 @@ const {
 const articleRoutes = require("./routes/articles");
 const adminRoutes = require("./routes/admin");
 const authRoutes = require("./routes/auth");
+const competitionRoutes = require("./routes/competitions");
+const adminCompetitionRoutes = require("./routes/adminCompetitions");
+const adminResultRoutes = require("./routes/adminResults");
+const rankingRoutes = require("./routes/rankings");
+const adminRankingRoutes = require("./routes/adminRankings");
+const athleteRoutes = require("./routes/athletes");
+const clubRoutes = require("./routes/clubs");
+const adminAthleteRoutes = require("./routes/adminAthletes");
+const adminClubRoutes = require("./routes/adminClubs");
+const adminArticleRevisionRoutes = require("./routes/adminArticleRevisions");
+const adminArticleViewRoutes = require("./routes/adminArticleViews");
+const adminDashboardRoutes = require("./routes/adminDashboard");
+const adminTranslationRoutes = require("./routes/adminTranslations");
+const adminTwoFactorRoutes = require("./routes/adminTwoFactor");
+const adminSessionRoutes = require("./routes/adminSessions");
+const adminRoleRoutes = require("./routes/adminRoles");
+const tagRoutes = require("./routes/tags");
+const adminTagRoutes = require("./routes/adminTags");
+const categoryRoutes = require("./routes/categories");
+const feedRoutes = require("./routes/feeds");
+const seoRoutes = require("./routes/seo");
+const articlePageRoutes = require("./routes/articlePage");
+const adminCategoryRoutes = require("./routes/adminCategories");
+const adminMediaRoutes = require("./routes/adminMedia");
 
 // --- Configure Winston Logger ---
 const logger = winston.createLogger({
@@ -81,6 +105,8 @@ if (!process.env.CSRF_SECRET) {
 
 // --- Database Initialization ---
 const initializeDatabase = require("./config/initDb");
+const { startArticleScheduler } = require("./utils/articlePublishing");
+const { startViewEventPruning } = require("./utils/articleViews");
 
 // --- Sequelize Instance (used for DB connection check, not directly here usually) ---
 const { sequelize } = require("./config/database");
@@ -147,6 +173,17 @@ app.use(express.urlencoded({ limit: "10mb", extended: true }));
 // Cookie Parser
 app.use(cookieParser());
 
+// --- Uploaded Media ---
+// File names are random and never reused, so browsers may cache them for good
+app.use(
+  "/uploads/media",
+  express.static(config.mediaDir, {
+    immutable: true,
+    maxAge: "365d",
+    index: false,
+  })
+);
+
 // --- CSRF Protection ---
 // 1. Route to get the CSRF token
 app.get("/api/csrf-token", (req, res) => {
@@ -171,7 +208,31 @@ app.use("/api", (req, res, next) => {
 });
 
 app.use("/api/articles", articleRoutes);
+app.use("/api/competitions", competitionRoutes); // Public event listings
+app.use("/api/rankings", rankingRoutes); // Public federation ranking
+app.use("/api/athletes", athleteRoutes); // Public athlete profiles
+app.use("/api/clubs", clubRoutes); // Public club profiles
+app.use("/api/tags", tagRoutes); // Public tag list
+app.use("/api/categories", categoryRoutes); // Public category list
+app.use("/api/feeds", feedRoutes); // RSS and Atom feeds
+app.use(seoRoutes); // sitemap.xml, robots.txt, article share metadata
+app.use(articlePageRoutes); // Server-rendered article.html
 app.use("/api/auth", authRoutes); // Password reset routes
+app.use("/api/admin/competitions/:competitionId/results", adminResultRoutes); // Results entry (judges)
+app.use("/api/admin/competitions", adminCompetitionRoutes); // Competition CRUD
+app.use("/api/admin/rankings", adminRankingRoutes); // Points table
+app.use("/api/admin/athletes", adminAthleteRoutes); // Athlete profiles, memberships
+app.use("/api/admin/clubs", adminClubRoutes); // Club profiles
+app.use("/api/admin/tags", adminTagRoutes); // Article tags
+app.use("/api/admin/categories", adminCategoryRoutes); // Article categories
+app.use("/api/admin/media", adminMediaRoutes); // Image uploads & library
+app.use("/api/admin/articles/:articleId/revisions", adminArticleRevisionRoutes); // Article history, diff, restore
+app.use("/api/admin/articles/:articleId/views", adminArticleViewRoutes); // Daily view statistics
+app.use("/api/admin/dashboard", adminDashboardRoutes); // Content & moderation overview
+app.use("/api/admin/translations", adminTranslationRoutes); // Translation queue & assignments
+app.use("/api/admin/2fa", adminTwoFactorRoutes); // Two-factor login, setup & policy
+app.use("/api/admin/sessions", adminSessionRoutes); // Own logged-in devices
+app.use("/api/admin/roles", adminRoleRoutes); // Roles & permissions
 app.use("/api/admin", adminRoutes); // Login, CRUD, User Mgmt routes
 
 // --- Simple Hello Endpoint ---
@@ -254,6 +315,9 @@ const startServer = async () => {
   try {
     // Initialize DB connection first
     await initializeDatabase();
+    // Publish scheduled articles once they are due
+    startArticleScheduler();
+    startViewEventPruning();
     // Only require http if needed (e.g., no separate https server)
     const http = require("http");
     const server = http.createServer(app);
@@ -1,4 +1,5 @@
 // server/config/index.js
+const path = require("path");
 
 // Read CORS origin from environment variable, fallback to localhost for development
 const allowedOrigin = process.env.CORS_ORIGIN || "https://localhost:5173";
@@ -10,9 +11,24 @@ const corsOptions = {
   credentials: true, // Important for sending cookies
 };
 
+const clientDir =
+  process.env.CLIENT_DIR || path.join(__dirname, "..", "..", "client");
+
 module.exports = {
   port: process.env.PORT || 3000,
   jwtSecret: process.env.JWT_SECRET,
   nodeEnv: process.env.NODE_ENV,
   corsOptions, // Export the dynamically configured options
+  // Client sources (locale files) and the built pages used for
+  // server-rendered articles
+  clientDir,
+  clientDistDir: process.env.CLIENT_DIST_DIR || path.join(clientDir, "dist"),
+  // Public address of the site, for absolute links in feeds
+  siteUrl: (process.env.FRONTEND_URL || "https://localhost:5173").replace(
+    /\/+$/,
+    ""
+  ),
+  // Uploaded images live on local disk and are served under /uploads/media
+  mediaDir:
+    process.env.MEDIA_DIR || path.join(__dirname, "..", "uploads", "media"),
 };
@@ -1,6 +1,17 @@
 const jwt = require("jsonwebtoken");
 const ErrorHandler = require("../utils/errorHandler");
 const config = require("../config"); // Import config
+const { Session, User } = require("../models");
+
+// Access tokens end with their session (logout) and whenever the user's
+// token version moves on (role or password change, "log out everywhere")
+async function isTokenCurrent({ userId, sid, ver }) {
+  const user = await User.findByPk(userId, {
+    attributes: ["id", "tokenVersion"],
+  });
+  if (!user || user.tokenVersion !== ver) return false;
+  return (await Session.count({ where: { id: sid, userId } })) > 0;
+}
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
@@ -9,10 +20,17 @@ function authenticateToken(req, res, next) {
   if (!token) {
     return next(new ErrorHandler("Unauthorized: No token provided", 401));
   }
-  jwt.verify(token, config.jwtSecret, (err, user) => {
+  jwt.verify(token, config.jwtSecret, async (err, user) => {
     if (err) {
       return next(new ErrorHandler("Forbidden: Invalid token", 403));
     }
+    try {
+      if (!(await isTokenCurrent(user))) {
+        return next(new ErrorHandler("Unauthorized: Token revoked", 401));
+      }
+    } catch (error) {
+      return next(error);
+    }
     req.user = user;
     next();
   });
@@ -0,0 +1,43 @@
+// server/middleware/rateLimit.js
+const rateLimit = require("express-rate-limit");
+
+// Helper function to conditionally apply limiters
+const applyLimiterIfNeeded = (limiter) => {
+  if (process.env.NODE_ENV !== "test") {
+    console.log(
+      `Applying rate limiter: ${limiter.constructor.name || "limiter"}`
+    );
+    return limiter; // Apply the limiter if not testing
+  } else {
+    console.log(`Skipping rate limiter in test environment.`);
+    return (req, res, next) => next(); // Dummy middleware if testing
+  }
+};
+
+// Public competition sign-ups (anonymous, so keep this tight)
+const registrationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10, // Limit to 10 registrations per hour per IP
+  message: {
+    message: "Too many registration attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Two-factor codes are short, so guessing must stay slow
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10, // Limit to 10 code attempts per window
+  message: {
+    message: "Too many two-factor attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = {
+  applyLimiterIfNeeded,
+  registrationLimiter,
+  twoFactorLimiter,
+};
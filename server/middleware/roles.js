@@ -0,0 +1,41 @@
+// server/middleware/roles.js
+const { Role } = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+
+/**
+ * Permissions of the logged-in user's role, loaded once per request.
+ * Assumes authenticateToken has already run and set req.user.
+ * @returns {Promise<Set<string>>}
+ */
+async function permissionsOf(req) {
+  if (!req.permissions) {
+    req.permissions = new Set(await Role.permissionsOf(req.user?.role));
+  }
+  return req.permissions;
+}
+
+/** @returns {Promise<boolean>} For checks that depend on the request body. */
+const hasPermission = async (req, permission) =>
+  (await permissionsOf(req)).has(permission);
+
+// --- Middleware for checking Permissions ---
+// Passes when the role has any one of the given permissions
+const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const granted = await permissionsOf(req);
+      if (req.user && permissions.some((p) => granted.has(p))) return next();
+    } catch (error) {
+      return next(error);
+    }
+    const required = permissions.join(" or ");
+    console.warn(
+      `[PERMISSION CHECK] Forbidden: User ${req.user?.userId || "Unknown"} (Role: ${
+        req.user?.role || "N/A"
+      }) lacks ${required}.`
+    );
+    next(new ErrorHandler(`Forbidden: ${required} permission required`, 403));
+  };
+
+module.exports = { requirePermission, hasPermission, permissionsOf };
@@ -0,0 +1,87 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Competitions table...");
+    await queryInterface.createTable("Competitions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      name_en: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      name_rus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      name_mng: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      description_en: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      description_rus: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      description_mng: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      venue: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      registrationDeadline: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      disciplines: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "upcoming",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("Competitions table created.");
+
+    // Public listings filter by status and sort by start date
+    await queryInterface.addIndex("Competitions", ["status"]);
+    await queryInterface.addIndex("Competitions", ["startDate"]);
+    console.log("Indexes added.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping Competitions table...");
+    await queryInterface.dropTable("Competitions");
+    console.log("Competitions table dropped.");
+  },
+};
@@ -0,0 +1,105 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding capacities to Competitions table...");
+    // { "<discipline>": <max approved entries> }, missing key = unlimited
+    await queryInterface.addColumn("Competitions", "capacities", {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    });
+
+    console.log("Creating CompetitionRegistrations table...");
+    await queryInterface.createTable("CompetitionRegistrations", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      competitionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Competitions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE", // Entries are meaningless without the event
+      },
+      athleteName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      club: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      ageCategory: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      discipline: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      contact: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "approved", "rejected", "waitlisted"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      adminComments: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      reviewedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("CompetitionRegistrations table created.");
+
+    await queryInterface.addIndex("CompetitionRegistrations", [
+      "competitionId",
+      "discipline",
+      "status",
+    ]);
+    console.log("Indexes added.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping CompetitionRegistrations table...");
+    await queryInterface.dropTable("CompetitionRegistrations");
+    // Clean up the ENUM type created for the status column
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_CompetitionRegistrations_status";'
+    );
+    await queryInterface.removeColumn("Competitions", "capacities");
+    console.log("CompetitionRegistrations table dropped.");
+  },
+};
@@ -0,0 +1,103 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating CompetitionResults table...");
+    await queryInterface.createTable("CompetitionResults", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      competitionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Competitions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      registrationId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "CompetitionRegistrations",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL", // Keep the result even if the entry is removed
+      },
+      athleteName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      club: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      ageCategory: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      discipline: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      rounds: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      totalScore: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      zoneCounts: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      placement: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      enteredById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("CompetitionResults table created.");
+
+    await queryInterface.addIndex("CompetitionResults", [
+      "competitionId",
+      "discipline",
+    ]);
+    console.log("Indexes added.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping CompetitionResults table...");
+    await queryInterface.dropTable("CompetitionResults");
+    console.log("CompetitionResults table dropped.");
+  },
+};
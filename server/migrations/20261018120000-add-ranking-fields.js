@@ -0,0 +1,56 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding ranking fields...");
+    // Tier weights the ranking points a competition awards
+    await queryInterface.addColumn("Competitions", "tier", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "national",
+    });
+    // Rankings are split by gender as well as discipline and age group
+    await queryInterface.addColumn("CompetitionRegistrations", "gender", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("CompetitionResults", "gender", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    console.log("Ranking fields added.");
+
+    console.log("Creating Settings table...");
+    await queryInterface.createTable("Settings", {
+      key: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING,
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("Settings table created.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Removing ranking fields...");
+    await queryInterface.dropTable("Settings");
+    await queryInterface.removeColumn("CompetitionResults", "gender");
+    await queryInterface.removeColumn("CompetitionRegistrations", "gender");
+    await queryInterface.removeColumn("Competitions", "tier");
+    console.log("Ranking fields removed.");
+  },
+};
@@ -0,0 +1,194 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Clubs table...");
+    await queryInterface.createTable("Clubs", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      name_en: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      name_rus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      name_mng: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      bio_en: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      bio_rus: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      bio_mng: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      city: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      website: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      photoUrl: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("Clubs table created.");
+
+    console.log("Creating Athletes table...");
+    await queryInterface.createTable("Athletes", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      name_en: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      name_rus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      name_mng: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      bio_en: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      bio_rus: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      bio_mng: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      gender: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      birthYear: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      photoUrl: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("Athletes table created.");
+
+    console.log("Creating ClubMemberships table...");
+    await queryInterface.createTable("ClubMemberships", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      athleteId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Athletes",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      clubId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Clubs",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex("ClubMemberships", ["athleteId"]);
+    await queryInterface.addIndex("ClubMemberships", ["clubId"]);
+    console.log("ClubMemberships table created.");
+
+    // Results keep the free-text name; the link powers the profile history
+    console.log("Linking CompetitionResults to athletes...");
+    await queryInterface.addColumn("CompetitionResults", "athleteId", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Athletes",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("CompetitionResults", ["athleteId"]);
+    console.log("CompetitionResults linked.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping athlete and club tables...");
+    await queryInterface.removeColumn("CompetitionResults", "athleteId");
+    await queryInterface.dropTable("ClubMemberships");
+    await queryInterface.dropTable("Athletes");
+    await queryInterface.dropTable("Clubs");
+    console.log("Athlete and club tables dropped.");
+  },
+};
@@ -0,0 +1,86 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating ArticleRevisions table...");
+    await queryInterface.createTable("ArticleRevisions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      articleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Articles",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      revisionNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+      },
+      editorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      suggestionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "SuggestedEdits",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      restoredFromId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: "ArticleRevisions",
+          key: "id",
+        },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex(
+      "ArticleRevisions",
+      ["articleId", "revisionNumber"],
+      {
+        unique: true,
+      }
+    );
+    console.log("ArticleRevisions table created.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping ArticleRevisions table...");
+    await queryInterface.dropTable("ArticleRevisions");
+    console.log("ArticleRevisions table dropped.");
+  },
+};
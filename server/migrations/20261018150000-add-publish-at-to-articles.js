@@ -0,0 +1,21 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding publishAt to Articles...");
+    // Set for "scheduled" articles; the scheduler publishes them once due
+    await queryInterface.addColumn("Articles", "publishAt", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addIndex("Articles", ["status", "publishAt"]);
+    console.log("publishAt added.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Removing publishAt from Articles...");
+    await queryInterface.removeIndex("Articles", ["status", "publishAt"]);
+    await queryInterface.removeColumn("Articles", "publishAt");
+    console.log("publishAt removed.");
+  },
+};
@@ -0,0 +1,78 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Tags table...");
+    await queryInterface.createTable("Tags", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      slug: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      name_en: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      name_rus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      name_mng: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    console.log("Tags table created.");
+
+    console.log("Creating ArticleTags table...");
+    await queryInterface.createTable("ArticleTags", {
+      articleId: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      tagId: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+        references: { model: "Tags", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    // Tag filtering looks articles up by tag
+    await queryInterface.addIndex("ArticleTags", ["tagId"]);
+    console.log("ArticleTags table created.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping ArticleTags and Tags tables...");
+    await queryInterface.dropTable("ArticleTags");
+    await queryInterface.dropTable("Tags");
+    console.log("Tag tables dropped.");
+  },
+};
@@ -0,0 +1,94 @@
+"use strict";
+
+// The categories that used to be hard-coded in the Article model
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "competition",
+    name_en: "Competition",
+    name_rus: "Соревнования",
+    name_mng: "Тэмцээн",
+    color: "green",
+    sortOrder: 1,
+  },
+  {
+    slug: "news",
+    name_en: "News",
+    name_rus: "Новости",
+    name_mng: "Мэдээ",
+    color: "blue",
+    sortOrder: 2,
+  },
+  {
+    slug: "blog",
+    name_en: "Blog",
+    name_rus: "Блог",
+    name_mng: "Блог",
+    color: "purple",
+    sortOrder: 3,
+  },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Categories table...");
+    await queryInterface.createTable("Categories", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      slug: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true,
+      },
+      name_en: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      name_rus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      name_mng: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      color: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "gray",
+      },
+      sortOrder: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert(
+      "Categories",
+      DEFAULT_CATEGORIES.map((c) => ({ ...c, createdAt: now, updatedAt: now }))
+    );
+    console.log("Categories table created with the default categories.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping Categories table...");
+    await queryInterface.dropTable("Categories");
+    console.log("Categories table dropped.");
+  },
+};
@@ -0,0 +1,75 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Media table...");
+    await queryInterface.createTable("Media", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      fileName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+      },
+      originalName: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      mimeType: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      variants: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      alt: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      uploadedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    // The library lists newest uploads first
+    await queryInterface.addIndex("Media", ["createdAt"]);
+    console.log("Media table created.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Dropping Media table...");
+    await queryInterface.dropTable("Media");
+    console.log("Media table dropped.");
+  },
+};
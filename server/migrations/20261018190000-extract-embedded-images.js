@@ -0,0 +1,59 @@
+"use strict";
+const { extractArticleImages } = require("../utils/contentImages");
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    console.log("Extracting embedded images from article content...");
+    const [articles] = await queryInterface.sequelize.query(
+      `SELECT "id" FROM "Articles"
+       WHERE "content_en" LIKE '%data:image/%'
+          OR "content_rus" LIKE '%data:image/%'
+          OR "content_mng" LIKE '%data:image/%'
+       ORDER BY "id"`
+    );
+
+    const saveMedia = (fields) => {
+      const now = new Date();
+      return queryInterface.bulkInsert("Media", [
+        {
+          ...fields,
+          variants: JSON.stringify(fields.variants),
+          createdAt: now,
+          updatedAt: now,
+        },
+      ]);
+    };
+
+    let totalImages = 0;
+    let totalBytes = 0;
+    // One article at a time; embedded images can be several MB each
+    for (const { id } of articles) {
+      const [[article]] = await queryInterface.sequelize.query(
+        `SELECT "content_en", "content_rus", "content_mng" FROM "Articles" WHERE "id" = :id`,
+        { replacements: { id } }
+      );
+      const { contents, images, bytesSaved } = await extractArticleImages(
+        article,
+        saveMedia
+      );
+      if (images === 0) continue;
+      await queryInterface.bulkUpdate("Articles", contents, { id });
+      console.log(
+        `Article ${id}: ${images} image(s) extracted, ${bytesSaved} bytes saved.`
+      );
+      totalImages += images;
+      totalBytes += bytesSaved;
+    }
+
+    console.log(
+      `Embedded images extracted: ${totalImages} image(s) from ${articles.length} article(s), ${(totalBytes / 1024 / 1024).toFixed(2)} MB saved.`
+    );
+  },
+
+  async down() {
+    // The stored files stay in the media library and the content keeps
+    // pointing at them; inlining them again would only bloat the rows.
+    console.log("Embedded image extraction is not reverted.");
+  },
+};
@@ -0,0 +1,79 @@
+"use strict";
+const { slugify, uniqueSlug } = require("../utils/slugify");
+
+const LANGS = ["en", "rus", "mng"];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding slug columns to Articles...");
+    for (const lang of LANGS) {
+      await queryInterface.addColumn("Articles", `slug_${lang}`, {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        unique: true,
+      });
+    }
+
+    console.log("Creating ArticleSlugs table...");
+    await queryInterface.createTable("ArticleSlugs", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      slug: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      lang: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex("ArticleSlugs", ["articleId"]);
+
+    console.log("Generating slugs for existing articles...");
+    const [articles] = await queryInterface.sequelize.query(
+      `SELECT "id", "title_en", "title_rus", "title_mng" FROM "Articles" ORDER BY "id"`
+    );
+    const taken = new Set();
+    for (const article of articles) {
+      const slugs = {};
+      for (const lang of LANGS) {
+        const base =
+          slugify(article[`title_${lang}`]) || (lang === "en" ? "article" : "");
+        if (!base) continue;
+        slugs[`slug_${lang}`] = await uniqueSlug(base, async (slug) =>
+          taken.has(slug)
+        );
+        taken.add(slugs[`slug_${lang}`]);
+      }
+      await queryInterface.bulkUpdate("Articles", slugs, { id: article.id });
+    }
+    console.log(`Slugs generated for ${articles.length} articles.`);
+  },
+
+  async down(queryInterface) {
+    console.log("Dropping ArticleSlugs table and slug columns...");
+    await queryInterface.dropTable("ArticleSlugs");
+    for (const lang of LANGS) {
+      await queryInterface.removeColumn("Articles", `slug_${lang}`);
+    }
+    console.log("Article slugs removed.");
+  },
+};
@@ -0,0 +1,90 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating ArticleViews table...");
+    await queryInterface.createTable("ArticleViews", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      lang: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      viewDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      visitorHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex(
+      "ArticleViews",
+      ["articleId", "viewDate", "visitorHash"],
+      { unique: true }
+    );
+    await queryInterface.addIndex("ArticleViews", ["viewDate"]);
+
+    console.log("Creating ArticleViewDailies table...");
+    await queryInterface.createTable("ArticleViewDailies", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      lang: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      views: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+    });
+    // Also the conflict target of the daily upsert
+    await queryInterface.addIndex(
+      "ArticleViewDailies",
+      ["articleId", "lang", "date"],
+      { unique: true }
+    );
+    // Existing `views` totals stay as they are; daily history starts now
+    console.log("Article view tables created.");
+  },
+
+  async down(queryInterface) {
+    console.log("Dropping article view tables...");
+    await queryInterface.dropTable("ArticleViewDailies");
+    await queryInterface.dropTable("ArticleViews");
+  },
+};
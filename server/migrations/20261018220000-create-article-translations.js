@@ -0,0 +1,119 @@
+"use strict";
+const crypto = require("crypto");
+
+const LANGS = ["rus", "mng"];
+
+// Same fingerprint as ArticleTranslation.sourceHash
+const sourceHash = (article) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      ["title", "excerpt", "content"]
+        .map((f) => article[`${f}_en`] || "")
+        .join("\u0000")
+    )
+    .digest("hex");
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating ArticleTranslations table...");
+    await queryInterface.createTable("ArticleTranslations", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      articleId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: "Articles", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      lang: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: "missing",
+      },
+      sourceHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      translatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      reviewedById: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "SET NULL",
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex(
+      "ArticleTranslations",
+      ["articleId", "lang"],
+      {
+        unique: true,
+      }
+    );
+    await queryInterface.addIndex("ArticleTranslations", ["lang", "status"]);
+
+    // Translations published before tracking count as reviewed
+    console.log("Recording translation status of existing articles...");
+    const [articles] = await queryInterface.sequelize.query(
+      `SELECT "id", "title_en", "excerpt_en", "content_en",
+              "title_rus", "content_rus", "title_mng", "content_mng"
+       FROM "Articles"`
+    );
+    const now = new Date();
+    const rows = articles.flatMap((article) =>
+      LANGS.map((lang) => {
+        const translated = Boolean(
+          article[`title_${lang}`] && article[`content_${lang}`]
+        );
+        return {
+          articleId: article.id,
+          lang,
+          status: translated ? "reviewed" : "missing",
+          sourceHash: translated ? sourceHash(article) : null,
+          createdAt: now,
+          updatedAt: now,
+        };
+      })
+    );
+    if (rows.length) {
+      await queryInterface.bulkInsert("ArticleTranslations", rows);
+    }
+    console.log(`Translation status recorded for ${articles.length} articles.`);
+  },
+
+  async down(queryInterface) {
+    console.log("Dropping ArticleTranslations table...");
+    await queryInterface.dropTable("ArticleTranslations");
+  },
+};
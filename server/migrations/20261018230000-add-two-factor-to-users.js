@@ -0,0 +1,35 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding two-factor columns to Users...");
+    await queryInterface.addColumn("Users", "twoFactorEnabled", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn("Users", "twoFactorSecret", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("Users", "twoFactorLastUsedStep", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("Users", "twoFactorRecoveryCodes", {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+    console.log("Two-factor columns added.");
+  },
+
+  async down(queryInterface) {
+    console.log("Removing two-factor columns from Users...");
+    await queryInterface.removeColumn("Users", "twoFactorRecoveryCodes");
+    await queryInterface.removeColumn("Users", "twoFactorLastUsedStep");
+    await queryInterface.removeColumn("Users", "twoFactorSecret");
+    await queryInterface.removeColumn("Users", "twoFactorEnabled");
+    console.log("Two-factor columns removed.");
+  },
+};
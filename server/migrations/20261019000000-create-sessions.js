@@ -0,0 +1,81 @@
+"use strict";
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Sessions table...");
+    await queryInterface.createTable("Sessions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: { model: "Users", key: "id" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      previousTokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      userAgent: {
+        type: Sequelize.STRING(512),
+        allowNull: true,
+      },
+      ipAddress: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      lastUsedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      rotatedAt: {
+        allowNull: true,
+        type: Sequelize.DATE,
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.addIndex("Sessions", ["userId"]);
+    await queryInterface.addIndex("Sessions", ["previousTokenHash"]);
+
+    // Plaintext single-device tokens are replaced by sessions; everyone logs
+    // in again once
+    console.log("Removing refreshToken from Users...");
+    await queryInterface.removeColumn("Users", "refreshToken");
+    console.log("Sessions created.");
+  },
+
+  async down(queryInterface, Sequelize) {
+    console.log("Restoring refreshToken on Users...");
+    await queryInterface.addColumn("Users", "refreshToken", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    console.log("Dropping Sessions table...");
+    await queryInterface.dropTable("Sessions");
+    console.log("Sessions dropped.");
+  },
+};
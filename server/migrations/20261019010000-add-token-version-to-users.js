@@ -0,0 +1,20 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Adding tokenVersion to Users...");
+    // Part of every access token; raised to revoke the outstanding ones
+    await queryInterface.addColumn("Users", "tokenVersion", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    console.log("tokenVersion added.");
+  },
+
+  async down(queryInterface) {
+    console.log("Removing tokenVersion from Users...");
+    await queryInterface.removeColumn("Users", "tokenVersion");
+    console.log("tokenVersion removed.");
+  },
+};
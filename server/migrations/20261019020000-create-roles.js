@@ -0,0 +1,142 @@
+"use strict";
+
+// Roles as they were created; later changes are made in the admin panel.
+// The admin role is allowed everything without any rows of its own.
+const DEFAULT_ROLES = [
+  {
+    name: "admin",
+    description: "Full access",
+    permissions: [],
+  },
+  {
+    name: "moderator",
+    description: "Suggests articles and translations and enters results",
+    permissions: [
+      "articles.view",
+      "articles.suggest",
+      "translations.edit",
+      "media.upload",
+      "competitions.view",
+      "results.enter",
+    ],
+  },
+  {
+    name: "editor",
+    description: "Writes and publishes articles directly",
+    permissions: [
+      "articles.view",
+      "articles.suggest",
+      "articles.edit",
+      "articles.publish",
+      "suggestions.review",
+      "translations.edit",
+      "taxonomy.manage",
+      "media.upload",
+      "media.manage",
+    ],
+  },
+  {
+    name: "translator",
+    description: "Suggests translations in their assigned languages",
+    permissions: ["articles.view", "translations.edit"],
+  },
+  {
+    name: "judge",
+    description: "Enters competition results",
+    permissions: ["competitions.view", "results.enter"],
+  },
+  {
+    name: "results-manager",
+    description: "Manages registrations and results of competitions",
+    permissions: [
+      "competitions.view",
+      "competitions.registrations",
+      "results.enter",
+      "results.manage",
+    ],
+  },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    console.log("Creating Roles and RolePermissions tables...");
+    await queryInterface.createTable("Roles", {
+      name: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING(30),
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+    await queryInterface.createTable("RolePermissions", {
+      roleName: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING(30),
+        references: { model: "Roles", key: "name" },
+        onUpdate: "CASCADE",
+        onDelete: "CASCADE",
+      },
+      permission: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.STRING(50),
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal("CURRENT_TIMESTAMP"),
+      },
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert(
+      "Roles",
+      DEFAULT_ROLES.map(({ name, description }) => ({
+        name,
+        description,
+        createdAt: now,
+        updatedAt: now,
+      }))
+    );
+    await queryInterface.bulkInsert(
+      "RolePermissions",
+      DEFAULT_ROLES.flatMap(({ name, permissions }) =>
+        permissions.map((permission) => ({
+          roleName: name,
+          permission,
+          createdAt: now,
+        }))
+      )
+    );
+
+    console.log("Adding translation languages to Users...");
+    await queryInterface.addColumn("Users", "languages", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+    console.log("Roles created with the default permissions.");
+  },
+
+  async down(queryInterface) {
+    console.log("Removing languages from Users...");
+    await queryInterface.removeColumn("Users", "languages");
+    console.log("Dropping RolePermissions and Roles tables...");
+    await queryInterface.dropTable("RolePermissions");
+    await queryInterface.dropTable("Roles");
+  },
+};
@@ -42,13 +42,30 @@ const Article = sequelize.define(
       type: DataTypes.TEXT,
       allowNull: true,
     },
+    // Current URL slug per language, generated from the title
+    // (see ArticleSlug.assignSlugs); older slugs live in ArticleSlugs
+    slug_en: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      unique: true,
+    },
+    slug_rus: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      unique: true,
+    },
+    slug_mng: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      unique: true,
+    },
     // --- Other Fields ---
     category: {
       type: DataTypes.STRING,
       allowNull: false, // Keep category common
       validate: {
-        // Ensures category is one of the allowed values
-        isIn: [["news", "competition", "blog"]],
+        // Slug of a Categories row; the routes check that it exists
+        is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
       },
     },
     author: {
@@ -60,9 +77,13 @@ const Article = sequelize.define(
       defaultValue: "published", // Default status when creating an article
       validate: {
         // Ensures status is one of the allowed values
-        isIn: [["draft", "published"]],
+        isIn: [["draft", "published", "scheduled"]],
       },
     },
+    publishAt: {
+      type: DataTypes.DATE, // When a "scheduled" article goes live
+      allowNull: true,
+    },
     imageUrl: {
       type: DataTypes.STRING, // URL to an image
       allowNull: true, // Image is optional (Keep common)
@@ -76,6 +97,13 @@ const Article = sequelize.define(
     // ------------------------
   },
   {
+    validate: {
+      scheduledArticleHasPublishDate() {
+        if (this.status === "scheduled" && !this.publishAt) {
+          throw new Error("Scheduled articles need a publish date.");
+        }
+      },
+    },
     // Optional: Add table options here if needed
     // timestamps: true, // Sequelize adds createdAt and updatedAt by default
     // paranoid: true, // If you want soft deletes (adds deletedAt column)
@@ -0,0 +1,124 @@
+// server/models/articleRevision.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Article columns captured in every snapshot (views and status are not content)
+const REVISION_FIELDS = [
+  "title_en",
+  "title_rus",
+  "title_mng",
+  "content_en",
+  "content_rus",
+  "content_mng",
+  "excerpt_en",
+  "excerpt_rus",
+  "excerpt_mng",
+  "category",
+  "author",
+  "imageUrl",
+];
+
+const REVISION_ACTIONS = [
+  "baseline",
+  "create",
+  "update",
+  "suggestion",
+  "restore",
+];
+
+class ArticleRevision extends Model {
+  /**
+   * Stores a snapshot of the article's current content as the next revision.
+   * @param {Article} article - The article after the change was applied.
+   * @param {object} details - { action, editorId, suggestionId, restoredFromId, transaction }
+   * @returns {Promise<ArticleRevision>}
+   */
+  static async record(article, details) {
+    const { transaction, ...meta } = details;
+    const latest = await ArticleRevision.max("revisionNumber", {
+      where: { articleId: article.id },
+      transaction,
+    });
+    const snapshot = {};
+    REVISION_FIELDS.forEach(
+      (field) => (snapshot[field] = article[field] ?? null)
+    );
+    return ArticleRevision.create(
+      {
+        articleId: article.id,
+        revisionNumber: (latest || 0) + 1,
+        snapshot,
+        ...meta,
+      },
+      { transaction }
+    );
+  }
+
+  /**
+   * Articles written before revisions existed have no history; snapshot their
+   * current state before the first change so it can still be restored.
+   */
+  static async ensureBaseline(article, { transaction } = {}) {
+    const count = await ArticleRevision.count({
+      where: { articleId: article.id },
+      transaction,
+    });
+    if (count === 0) {
+      await ArticleRevision.record(article, {
+        action: "baseline",
+        transaction,
+      });
+    }
+  }
+}
+
+ArticleRevision.init(
+  {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    revisionNumber: {
+      type: DataTypes.INTEGER, // 1, 2, 3... per article
+      allowNull: false,
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [REVISION_ACTIONS],
+      },
+    },
+    snapshot: {
+      type: DataTypes.JSONB, // Values of REVISION_FIELDS after the change
+      allowNull: false,
+    },
+    editorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null for baselines and deleted users
+    },
+    suggestionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set when the change came from an approved suggestion
+    },
+    restoredFromId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for "restore" revisions
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleRevision",
+    updatedAt: false, // Revisions are never modified
+    hooks: {
+      beforeUpdate() {
+        throw new Error("Article revisions are immutable.");
+      },
+    },
+  }
+);
+
+ArticleRevision.REVISION_FIELDS = REVISION_FIELDS;
+
+// Associations will be defined in models/index.js
+module.exports = ArticleRevision;
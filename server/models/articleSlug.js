@@ -0,0 +1,137 @@
+// server/models/articleSlug.js
+const { DataTypes, Model, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { slugify, uniqueSlug, isVariantOf } = require("../utils/slugify");
+
+const SLUG_LANGS = ["en", "rus", "mng"];
+
+// Retired slugs of renamed articles, kept so old links still resolve.
+// Current slugs live on the article itself (slug_en, slug_rus, slug_mng).
+class ArticleSlug extends Model {
+  /**
+   * Finds the article behind a current or retired slug.
+   * @param {string} slug
+   * @param {object} [options] - { where: extra conditions, e.g. public visibility }
+   * @returns {Promise<{article: Article, lang: string}|null>} With the slug's language.
+   */
+  static async resolve(slug, { where = {} } = {}) {
+    const Article = sequelize.models.Article;
+    const current = await Article.findOne({
+      where: {
+        [Op.and]: [
+          { [Op.or]: SLUG_LANGS.map((l) => ({ [`slug_${l}`]: slug })) },
+          where,
+        ],
+      },
+    });
+    if (current) {
+      return {
+        article: current,
+        lang: SLUG_LANGS.find((l) => current[`slug_${l}`] === slug),
+      };
+    }
+
+    const retired = await ArticleSlug.findOne({ where: { slug } });
+    if (!retired) return null;
+    const article = await Article.findOne({
+      where: { [Op.and]: [{ id: retired.articleId }, where] },
+    });
+    return article && { article, lang: retired.lang };
+  }
+
+  /**
+   * Gives the article a slug for every language that has a title. Runs before
+   * each save; a renamed title gets a new slug and the old one is retired.
+   * @param {Article} article
+   * @param {object} [options] - { transaction }
+   */
+  static async assignSlugs(article, { transaction } = {}) {
+    const Article = sequelize.models.Article;
+    const ownId = article.id ?? null;
+
+    // Free unless another article uses it, currently or in its history
+    const isTaken = async (slug, lang) => {
+      if (
+        SLUG_LANGS.some(
+          (other) => other !== lang && article[`slug_${other}`] === slug
+        )
+      ) {
+        return true;
+      }
+      const current = await Article.count({
+        where: {
+          [Op.or]: SLUG_LANGS.map((l) => ({ [`slug_${l}`]: slug })),
+          ...(ownId && { id: { [Op.ne]: ownId } }),
+        },
+        transaction,
+      });
+      if (current > 0) return true;
+      const retired = await ArticleSlug.findOne({
+        where: { slug },
+        transaction,
+      });
+      return Boolean(retired && retired.articleId !== ownId);
+    };
+
+    for (const lang of SLUG_LANGS) {
+      const field = `slug_${lang}`;
+      const previous = article[field] || null;
+      const title = article[`title_${lang}`];
+      // English always gets one, so every article has at least one URL
+      const base = slugify(title) || (lang === "en" ? "article" : "");
+      if (!base) {
+        article[field] = null;
+      } else if (previous && isVariantOf(previous, base)) {
+        continue; // Title unchanged (or only in ways the slug ignores)
+      } else {
+        article[field] = await uniqueSlug(base, (slug) => isTaken(slug, lang));
+      }
+
+      if (!ownId || previous === article[field]) continue;
+      if (article[field]) {
+        // Renamed back to an earlier title: the slug is current again
+        await ArticleSlug.destroy({
+          where: { slug: article[field], articleId: ownId },
+          transaction,
+        });
+      }
+      if (previous) {
+        await ArticleSlug.create(
+          { slug: previous, lang, articleId: ownId },
+          { transaction }
+        );
+      }
+    }
+  }
+}
+
+ArticleSlug.init(
+  {
+    slug: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+    },
+    lang: {
+      type: DataTypes.STRING(3), // Language the slug was generated for
+      allowNull: false,
+      validate: {
+        isIn: [SLUG_LANGS],
+      },
+    },
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleSlug",
+    updatedAt: false, // Retired slugs are never modified
+  }
+);
+
+ArticleSlug.SLUG_LANGS = SLUG_LANGS;
+
+// Associations will be defined in models/index.js
+module.exports = ArticleSlug;
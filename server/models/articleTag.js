@@ -0,0 +1,29 @@
+// server/models/articleTag.js
+// Join table for Article <-> Tag
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class ArticleTag extends Model {}
+
+ArticleTag.init(
+  {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      primaryKey: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleTag",
+    updatedAt: false, // Links are only ever added or removed
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = ArticleTag;
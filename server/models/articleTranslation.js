@@ -0,0 +1,115 @@
+// server/models/articleTranslation.js
+const crypto = require("crypto");
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// English is the source; these are the languages translated from it
+const TRANSLATION_LANGS = ["rus", "mng"];
+const TRANSLATION_STATUSES = ["missing", "draft", "reviewed", "outdated"];
+const TEXT_FIELDS = ["title", "excerpt", "content"];
+
+// Fingerprint of the English text a translation was made from
+const sourceHash = (article) =>
+  crypto
+    .createHash("sha256")
+    .update(TEXT_FIELDS.map((f) => article[`${f}_en`] || "").join("\u0000"))
+    .digest("hex");
+
+// Title and content are required for a translation to count
+const isTranslated = (article, lang) =>
+  Boolean(article[`title_${lang}`] && article[`content_${lang}`]);
+
+// Translation state of one article in one language.
+// missing: no title/content yet; draft: written, not reviewed;
+// reviewed: approved by an admin; outdated: the English changed since.
+class ArticleTranslation extends Model {
+  /**
+   * Brings the article's translation statuses up to date. Runs after each
+   * save: new or edited translations become drafts, and a changed English
+   * source marks existing translations outdated.
+   * @param {Article} article
+   * @param {object} [options] - { transaction }
+   */
+  static async track(article, { transaction } = {}) {
+    const source = sourceHash(article);
+    const existing = await ArticleTranslation.findAll({
+      where: { articleId: article.id },
+      transaction,
+    });
+
+    for (const lang of TRANSLATION_LANGS) {
+      const record =
+        existing.find((t) => t.lang === lang) ||
+        ArticleTranslation.build({ articleId: article.id, lang });
+      const edited = TEXT_FIELDS.some((f) => article.changed(`${f}_${lang}`));
+
+      if (!isTranslated(article, lang)) {
+        record.set({ status: "missing", sourceHash: null });
+      } else if (record.isNewRecord || record.status === "missing" || edited) {
+        record.set({ status: "draft", sourceHash: source });
+      } else if (record.sourceHash !== source) {
+        record.status = "outdated";
+      }
+      if (record.isNewRecord || record.changed()) {
+        await record.save({ transaction });
+      }
+    }
+  }
+
+  /** Current fingerprint of the article's English text. */
+  static sourceHash(article) {
+    return sourceHash(article);
+  }
+}
+
+ArticleTranslation.init(
+  {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lang: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        isIn: [TRANSLATION_LANGS],
+      },
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "missing",
+      validate: {
+        isIn: [TRANSLATION_STATUSES],
+      },
+    },
+    sourceHash: {
+      type: DataTypes.STRING(64), // English text the translation is based on
+      allowNull: true,
+    },
+    translatorId: {
+      type: DataTypes.INTEGER, // Moderator assigned to translate it
+      allowNull: true,
+    },
+    reviewedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleTranslation",
+    indexes: [{ unique: true, fields: ["articleId", "lang"] }],
+  }
+);
+
+ArticleTranslation.TRANSLATION_LANGS = TRANSLATION_LANGS;
+ArticleTranslation.TRANSLATION_STATUSES = TRANSLATION_STATUSES;
+ArticleTranslation.isTranslated = isTranslated;
+
+// Associations will be defined in models/index.js
+module.exports = ArticleTranslation;
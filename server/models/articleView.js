@@ -0,0 +1,40 @@
+// server/models/articleView.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// One row per article, visitor and day; only there to count each reader
+// once a day. Visitors are a salted hash that changes daily, never an IP.
+// Old days are pruned once they are counted in ArticleViewDaily.
+class ArticleView extends Model {}
+
+ArticleView.init(
+  {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lang: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    viewDate: {
+      type: DataTypes.DATEONLY, // UTC day of the view
+      allowNull: false,
+    },
+    visitorHash: {
+      type: DataTypes.STRING(64), // sha256 hex of day, IP and user agent
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleView",
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ["articleId", "viewDate", "visitorHash"] },
+    ],
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = ArticleView;
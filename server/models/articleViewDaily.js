@@ -0,0 +1,38 @@
+// server/models/articleViewDaily.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Unique readers per article, language and day, for the admin trend charts
+class ArticleViewDaily extends Model {}
+
+ArticleViewDaily.init(
+  {
+    articleId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lang: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    views: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ArticleViewDaily",
+    tableName: "ArticleViewDailies",
+    timestamps: false,
+    indexes: [{ unique: true, fields: ["articleId", "lang", "date"] }],
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = ArticleViewDaily;
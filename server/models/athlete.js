@@ -0,0 +1,63 @@
+// server/models/athlete.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class Athlete extends Model {
+  // All spellings of the athlete's name, used to match free-text results
+  getNames() {
+    return [this.name_en, this.name_rus, this.name_mng].filter(Boolean);
+  }
+}
+
+Athlete.init(
+  {
+    // --- Language Specific Fields ---
+    name_en: {
+      type: DataTypes.STRING,
+      allowNull: false, // English name is required, like competition names
+    },
+    name_rus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    name_mng: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    bio_en: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    bio_rus: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    bio_mng: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // --- Other Fields ---
+    gender: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [["male", "female"]],
+      },
+    },
+    birthYear: {
+      type: DataTypes.INTEGER, // Year only; full birth dates are not published
+      allowNull: true,
+    },
+    photoUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Athlete",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Athlete;
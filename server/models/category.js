@@ -0,0 +1,68 @@
+// server/models/category.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Badge palette; the client maps each name to its Tailwind classes
+const CATEGORY_COLORS = [
+  "blue",
+  "green",
+  "purple",
+  "red",
+  "yellow",
+  "orange",
+  "pink",
+  "teal",
+  "indigo",
+  "gray",
+];
+
+class Category extends Model {}
+
+Category.init(
+  {
+    slug: {
+      type: DataTypes.STRING(50), // Stored on Articles.category and used in URLs
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      },
+    },
+    // --- Language Specific Fields ---
+    name_en: {
+      type: DataTypes.STRING,
+      allowNull: false, // English label is required, other languages fall back to it
+    },
+    name_rus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    name_mng: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // --- Presentation ---
+    color: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "gray",
+      validate: {
+        isIn: [CATEGORY_COLORS],
+      },
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0, // Lower numbers come first (homepage highlights, menus)
+    },
+  },
+  {
+    sequelize,
+    modelName: "Category",
+  }
+);
+
+Category.COLORS = CATEGORY_COLORS;
+
+// Associations will be defined in models/index.js
+module.exports = Category;
@@ -0,0 +1,55 @@
+// server/models/club.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class Club extends Model {}
+
+Club.init(
+  {
+    // --- Language Specific Fields ---
+    name_en: {
+      type: DataTypes.STRING,
+      allowNull: false, // English name is required, like competition names
+    },
+    name_rus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    name_mng: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    bio_en: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    bio_rus: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    bio_mng: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // --- Other Fields ---
+    city: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    website: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    photoUrl: {
+      type: DataTypes.STRING, // Logo or team photo
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Club",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Club;
@@ -0,0 +1,45 @@
+// server/models/clubMembership.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class ClubMembership extends Model {
+  // A membership without an end date is the athlete's current club
+  isCurrent() {
+    return !this.endDate;
+  }
+}
+
+ClubMembership.init(
+  {
+    athleteId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    clubId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true, // Null while the athlete is still a member
+    },
+  },
+  {
+    sequelize,
+    modelName: "ClubMembership",
+    validate: {
+      datesInOrder() {
+        if (this.startDate && this.endDate && this.endDate < this.startDate) {
+          throw new Error("End date cannot be before start date.");
+        }
+      },
+    },
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = ClubMembership;
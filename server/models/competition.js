@@ -0,0 +1,100 @@
+// server/models/competition.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class Competition extends Model {
+  // Sign-ups are accepted until the deadline while the event is upcoming
+  isRegistrationOpen(now = new Date()) {
+    if (this.status !== "upcoming") return false;
+    if (!this.registrationDeadline) return true;
+    return new Date(this.registrationDeadline) > now;
+  }
+}
+
+Competition.init(
+  {
+    // --- Language Specific Fields ---
+    name_en: {
+      type: DataTypes.STRING,
+      allowNull: false, // English name is required, like article titles
+    },
+    name_rus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    name_mng: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    description_en: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    description_rus: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    description_mng: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // --- Event Details ---
+    venue: {
+      type: DataTypes.STRING,
+      allowNull: true, // Venue is often announced later than the dates
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    registrationDeadline: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    disciplines: {
+      type: DataTypes.JSONB, // Array of discipline names, e.g. ["3m", "5m"]
+      allowNull: false,
+      defaultValue: [],
+    },
+    capacities: {
+      type: DataTypes.JSONB, // Max approved entries per discipline, e.g. { "3m": 32 }
+      allowNull: false,
+      defaultValue: {},
+    },
+    tier: {
+      type: DataTypes.STRING, // Weights ranking points, see utils/rankings.js
+      allowNull: false,
+      defaultValue: "national",
+      validate: {
+        isIn: [["international", "national", "regional", "club"]],
+      },
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: "upcoming",
+      validate: {
+        isIn: [["upcoming", "ongoing", "finished"]],
+      },
+    },
+  },
+  {
+    sequelize,
+    modelName: "Competition",
+    validate: {
+      // An event cannot end before it starts
+      datesInOrder() {
+        if (this.startDate && this.endDate && this.endDate < this.startDate) {
+          throw new Error("End date cannot be before start date.");
+        }
+      },
+    },
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Competition;
@@ -0,0 +1,66 @@
+// server/models/competitionRegistration.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class CompetitionRegistration extends Model {}
+
+CompetitionRegistration.init(
+  {
+    // id, createdAt, updatedAt are handled by Sequelize automatically
+    competitionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    athleteName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    club: {
+      type: DataTypes.STRING,
+      allowNull: true, // Independent athletes have no club
+    },
+    ageCategory: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    gender: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [["male", "female"]],
+      },
+    },
+    discipline: {
+      type: DataTypes.STRING,
+      allowNull: false, // Must be one of the competition's disciplines
+    },
+    contact: {
+      type: DataTypes.STRING,
+      allowNull: false, // Email or phone number, free-form
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "approved", "rejected", "waitlisted"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    adminComments: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    reviewedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "CompetitionRegistration",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = CompetitionRegistration;
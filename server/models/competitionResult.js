@@ -0,0 +1,93 @@
+// server/models/competitionResult.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { assignPlacements } = require("../utils/scoring");
+
+class CompetitionResult extends Model {
+  // Placements depend on every result in the discipline, so they are
+  // recomputed after each write rather than trusted from the client.
+  static async recalculatePlacements(competitionId, discipline, options = {}) {
+    const results = await this.findAll({
+      where: { competitionId, discipline },
+      transaction: options.transaction,
+    });
+    const ranked = assignPlacements(results);
+    for (const result of ranked) {
+      if (result.changed("placement")) {
+        await result.save({ transaction: options.transaction });
+      }
+    }
+    return ranked;
+  }
+}
+
+CompetitionResult.init(
+  {
+    // id, createdAt, updatedAt are handled by Sequelize automatically
+    competitionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    registrationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Walk-in athletes may have no online registration
+    },
+    athleteId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set once the result is linked to an athlete profile
+    },
+    athleteName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    club: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ageCategory: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    gender: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [["male", "female"]],
+      },
+    },
+    discipline: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    rounds: {
+      type: DataTypes.JSONB, // [{ round, distance, throws: ["center", ...], score }]
+      allowNull: false,
+      defaultValue: [],
+    },
+    totalScore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    zoneCounts: {
+      type: DataTypes.JSONB, // Hits per zone, used for countback tiebreaks
+      allowNull: false,
+      defaultValue: {},
+    },
+    placement: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set by recalculatePlacements
+    },
+    enteredById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "CompetitionResult",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = CompetitionResult;
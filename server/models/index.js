@@ -5,6 +5,25 @@ const Article = require("./article");
 const User = require("./user");
 // +++ Import the new model +++
 const SuggestedEdit = require("./suggestedEdit");
+const Competition = require("./competition");
+const CompetitionRegistration = require("./competitionRegistration");
+const CompetitionResult = require("./competitionResult");
+const Setting = require("./setting");
+const Athlete = require("./athlete");
+const Club = require("./club");
+const ClubMembership = require("./clubMembership");
+const ArticleRevision = require("./articleRevision");
+const Tag = require("./tag");
+const ArticleTag = require("./articleTag");
+const Category = require("./category");
+const Media = require("./media");
+const ArticleSlug = require("./articleSlug");
+const ArticleView = require("./articleView");
+const ArticleViewDaily = require("./articleViewDaily");
+const ArticleTranslation = require("./articleTranslation");
+const Session = require("./session");
+const Role = require("./role");
+const RolePermission = require("./rolePermission");
 
 // --- Define ALL associations here ---
 
@@ -28,10 +47,216 @@ SuggestedEdit.belongsTo(Article, {
   as: "article", // Alias to use when querying SuggestedEdit.getArticle()
 });
 
+// Competition <-> CompetitionRegistration
+Competition.hasMany(CompetitionRegistration, {
+  foreignKey: "competitionId",
+  as: "registrations",
+  onDelete: "CASCADE",
+});
+CompetitionRegistration.belongsTo(Competition, {
+  foreignKey: "competitionId",
+  as: "competition",
+});
+
+// User <-> CompetitionRegistration (admin who reviewed the entry)
+CompetitionRegistration.belongsTo(User, {
+  foreignKey: "reviewedById",
+  as: "reviewedBy",
+});
+
+// Competition <-> CompetitionResult
+Competition.hasMany(CompetitionResult, {
+  foreignKey: "competitionId",
+  as: "results",
+  onDelete: "CASCADE",
+});
+CompetitionResult.belongsTo(Competition, {
+  foreignKey: "competitionId",
+  as: "competition",
+});
+
+// CompetitionRegistration <-> CompetitionResult (optional link to the entry)
+CompetitionResult.belongsTo(CompetitionRegistration, {
+  foreignKey: "registrationId",
+  as: "registration",
+});
+
+// Athlete <-> Club through ClubMembership (dated history, not just the current club)
+Athlete.hasMany(ClubMembership, {
+  foreignKey: "athleteId",
+  as: "memberships",
+  onDelete: "CASCADE",
+});
+ClubMembership.belongsTo(Athlete, {
+  foreignKey: "athleteId",
+  as: "athlete",
+});
+Club.hasMany(ClubMembership, {
+  foreignKey: "clubId",
+  as: "memberships",
+  onDelete: "CASCADE",
+});
+ClubMembership.belongsTo(Club, {
+  foreignKey: "clubId",
+  as: "club",
+});
+
+// Athlete <-> CompetitionResult (results history on the profile)
+Athlete.hasMany(CompetitionResult, {
+  foreignKey: "athleteId",
+  as: "results",
+});
+CompetitionResult.belongsTo(Athlete, {
+  foreignKey: "athleteId",
+  as: "athlete",
+});
+
+// Article <-> ArticleRevision (immutable content history)
+Article.hasMany(ArticleRevision, {
+  foreignKey: "articleId",
+  as: "revisions",
+  onDelete: "CASCADE",
+});
+ArticleRevision.belongsTo(Article, {
+  foreignKey: "articleId",
+  as: "article",
+});
+ArticleRevision.belongsTo(User, {
+  foreignKey: "editorId",
+  as: "editor",
+});
+ArticleRevision.belongsTo(SuggestedEdit, {
+  foreignKey: "suggestionId",
+  as: "suggestion",
+});
+
+// Article <-> ArticleSlug (retired slugs that still resolve)
+Article.hasMany(ArticleSlug, {
+  foreignKey: "articleId",
+  as: "slugHistory",
+  onDelete: "CASCADE",
+});
+ArticleSlug.belongsTo(Article, {
+  foreignKey: "articleId",
+  as: "article",
+});
+// Slugs follow the titles on every create and update
+Article.beforeSave((article, options) =>
+  ArticleSlug.assignSlugs(article, options)
+);
+
+// Article <-> ArticleView / ArticleViewDaily (view statistics)
+Article.hasMany(ArticleView, {
+  foreignKey: "articleId",
+  as: "viewEvents",
+  onDelete: "CASCADE",
+});
+Article.hasMany(ArticleViewDaily, {
+  foreignKey: "articleId",
+  as: "dailyViews",
+  onDelete: "CASCADE",
+});
+
+// Article <-> ArticleTranslation (status of each translation)
+Article.hasMany(ArticleTranslation, {
+  foreignKey: "articleId",
+  as: "translations",
+  onDelete: "CASCADE",
+});
+ArticleTranslation.belongsTo(Article, {
+  foreignKey: "articleId",
+  as: "article",
+});
+ArticleTranslation.belongsTo(User, {
+  foreignKey: "translatorId",
+  as: "translator",
+});
+ArticleTranslation.belongsTo(User, {
+  foreignKey: "reviewedById",
+  as: "reviewedBy",
+});
+// Statuses follow every change to the English text or a translation
+Article.afterSave((article, options) =>
+  ArticleTranslation.track(article, options)
+);
+
+// User <-> Media (uploader of library images)
+User.hasMany(Media, {
+  foreignKey: "uploadedById",
+  as: "uploadedMedia",
+});
+Media.belongsTo(User, {
+  foreignKey: "uploadedById",
+  as: "uploadedBy",
+});
+
+// User <-> Session (one per logged-in device)
+User.hasMany(Session, {
+  foreignKey: "userId",
+  as: "sessions",
+  onDelete: "CASCADE",
+});
+Session.belongsTo(User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
+// Role <-> RolePermission (what each staff role may do)
+Role.hasMany(RolePermission, {
+  foreignKey: "roleName",
+  as: "permissions",
+  onDelete: "CASCADE",
+});
+RolePermission.belongsTo(Role, {
+  foreignKey: "roleName",
+  as: "role",
+});
+
+// Article <-> Tag (many-to-many through ArticleTag)
+Article.belongsToMany(Tag, {
+  through: ArticleTag,
+  foreignKey: "articleId",
+  otherKey: "tagId",
+  as: "tags",
+});
+Tag.belongsToMany(Article, {
+  through: ArticleTag,
+  foreignKey: "tagId",
+  otherKey: "articleId",
+  as: "articles",
+});
+ArticleTag.belongsTo(Article, {
+  foreignKey: "articleId",
+  as: "article",
+});
+ArticleTag.belongsTo(Tag, {
+  foreignKey: "tagId",
+  as: "tag",
+});
+
 // --- Export models and sequelize instance ---
 module.exports = {
   sequelize,
   Article,
   User,
   SuggestedEdit, // +++ Export the new model +++
+  Competition,
+  CompetitionRegistration,
+  CompetitionResult,
+  Setting,
+  Athlete,
+  Club,
+  ClubMembership,
+  ArticleRevision,
+  Tag,
+  ArticleTag,
+  Category,
+  Media,
+  ArticleSlug,
+  ArticleView,
+  ArticleViewDaily,
+  ArticleTranslation,
+  Session,
+  Role,
+  RolePermission,
 };
@@ -0,0 +1,56 @@
+// server/models/media.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class Media extends Model {}
+
+Media.init(
+  {
+    fileName: {
+      type: DataTypes.STRING, // Random name of the stored original, e.g. 3f9c...e1.jpg
+      allowNull: false,
+      unique: true,
+    },
+    originalName: {
+      type: DataTypes.STRING, // Name of the file on the uploader's machine
+      allowNull: false,
+    },
+    mimeType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    size: {
+      type: DataTypes.INTEGER, // Bytes of the stored original
+      allowNull: false,
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    variants: {
+      type: DataTypes.JSONB, // { thumb|medium|large: { fileName, width, height, size } }
+      allowNull: false,
+      defaultValue: {},
+    },
+    alt: {
+      type: DataTypes.STRING, // Default alt text when the image is inserted
+      allowNull: true,
+    },
+    uploadedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null once the uploader's account is deleted
+    },
+  },
+  {
+    sequelize,
+    modelName: "Media",
+    tableName: "Media",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Media;
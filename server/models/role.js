@@ -0,0 +1,58 @@
+// server/models/role.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+const RolePermission = require("./rolePermission");
+const { ADMIN_ROLE, PERMISSION_NAMES } = require("../utils/permissions");
+
+// Staff role; User.role holds its name. What it allows is in RolePermissions,
+// except for the admin role, which is always allowed everything.
+class Role extends Model {
+  /** @returns {Promise<string[]>} Permission names; none for unknown roles. */
+  static async permissionsOf(name, options = {}) {
+    if (name === ADMIN_ROLE) return PERMISSION_NAMES;
+    if (!name) return [];
+    const grants = await RolePermission.findAll({
+      where: { roleName: name },
+      attributes: ["permission"],
+      ...options,
+    });
+    return grants.map((grant) => grant.permission);
+  }
+
+  /** Replaces the role's permissions. */
+  async setPermissions(permissions, options = {}) {
+    await RolePermission.destroy({
+      where: { roleName: this.name },
+      ...options,
+    });
+    await RolePermission.bulkCreate(
+      [...new Set(permissions)].map((permission) => ({
+        roleName: this.name,
+        permission,
+      })),
+      options
+    );
+  }
+}
+
+Role.init(
+  {
+    // Used in tokens and on users, so it never changes once created
+    name: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      primaryKey: true,
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Role",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Role;
@@ -0,0 +1,29 @@
+// server/models/rolePermission.js
+// One permission (see utils/permissions.js) granted to a role
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class RolePermission extends Model {}
+
+RolePermission.init(
+  {
+    roleName: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      primaryKey: true,
+    },
+    permission: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      primaryKey: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "RolePermission",
+    updatedAt: false, // Grants are only ever added or removed
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = RolePermission;
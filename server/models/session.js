@@ -0,0 +1,132 @@
+// server/models/session.js
+const crypto = require("crypto");
+const { DataTypes, Model, Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Refresh tokens expire after this long without use
+const SESSION_IDLE_DAYS = 30;
+const USER_AGENT_MAX_LENGTH = 512;
+
+// One login on one device. Only hashes of the refresh tokens are stored; the
+// token changes on every refresh and the previous hash is kept to spot reuse.
+class Session extends Model {
+  /** @returns {string} sha256 hex of a refresh token. */
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  static newToken() {
+    return crypto.randomBytes(64).toString("hex");
+  }
+
+  static idleExpiry(now = new Date()) {
+    return new Date(now.getTime() + SESSION_IDLE_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Opens a session for a completed login and clears the user's expired ones.
+   * @param {import("express").Request} req - For the device details.
+   * @returns {Promise<{session: Session, refreshToken: string}>}
+   */
+  static async start(user, req, options = {}) {
+    const now = new Date();
+    await this.destroy({
+      where: { userId: user.id, expiresAt: { [Op.lt]: now } },
+      ...options,
+    });
+    const refreshToken = this.newToken();
+    const session = await this.create(
+      {
+        userId: user.id,
+        tokenHash: this.hashToken(refreshToken),
+        userAgent: (req.get("user-agent") || "").slice(
+          0,
+          USER_AGENT_MAX_LENGTH
+        ),
+        ipAddress: req.ip || null,
+        lastUsedAt: now,
+        expiresAt: this.idleExpiry(now),
+      },
+      options
+    );
+    return { session, refreshToken };
+  }
+
+  /**
+   * Replaces the refresh token, remembering the old one's hash. The update
+   * only applies while the session still holds the token this instance was
+   * loaded with, so of two concurrent refreshes exactly one wins.
+   * @returns {Promise<string|null>} The new refresh token, or null when
+   * another request rotated it first.
+   */
+  async rotate(req, options = {}) {
+    const now = new Date();
+    const refreshToken = Session.newToken();
+    const [affected] = await Session.update(
+      {
+        previousTokenHash: this.tokenHash,
+        tokenHash: Session.hashToken(refreshToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: Session.idleExpiry(now),
+        ipAddress: req.ip || this.ipAddress,
+      },
+      { where: { id: this.id, tokenHash: this.tokenHash }, ...options }
+    );
+    if (affected === 0) return null;
+    await this.reload(options);
+    return refreshToken;
+  }
+
+  isExpired(now = new Date()) {
+    return this.expiresAt < now;
+  }
+}
+
+Session.init(
+  {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    // Hash of the token this one replaced; presenting it again means the
+    // token was copied, so the session is revoked
+    previousTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING(USER_AGENT_MAX_LENGTH),
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64), // Last address the session was used from
+      allowNull: true,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Session",
+    indexes: [{ fields: ["userId"] }, { fields: ["previousTokenHash"] }],
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Session;
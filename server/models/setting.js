@@ -0,0 +1,36 @@
+// server/models/setting.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Small key/value store for admin-editable configuration
+class Setting extends Model {
+  static async getValue(key, defaultValue = null, options = {}) {
+    const setting = await this.findByPk(key, options);
+    return setting ? setting.value : defaultValue;
+  }
+
+  static async setValue(key, value, options = {}) {
+    const [setting] = await this.upsert({ key, value }, options);
+    return setting.value;
+  }
+}
+
+Setting.init(
+  {
+    key: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false,
+    },
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Setting",
+  }
+);
+
+module.exports = Setting;
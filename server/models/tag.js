@@ -0,0 +1,38 @@
+// server/models/tag.js
+const { DataTypes, Model } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+class Tag extends Model {}
+
+Tag.init(
+  {
+    slug: {
+      type: DataTypes.STRING(50), // Used in URLs: /articles.html?tag=world-cup
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      },
+    },
+    // --- Language Specific Fields ---
+    name_en: {
+      type: DataTypes.STRING,
+      allowNull: false, // English label is required, other languages fall back to it
+    },
+    name_rus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    name_mng: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Tag",
+  }
+);
+
+// Associations will be defined in models/index.js
+module.exports = Tag;
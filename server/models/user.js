@@ -2,6 +2,7 @@
 const { DataTypes, Model } = require("sequelize"); // Import Model if using class syntax
 const { sequelize } = require("../config/database");
 const bcrypt = require("bcrypt");
+const { DEFAULT_ROLE } = require("../utils/permissions");
 
 // Using class syntax for consistency if other models use it
 class User extends Model {
@@ -10,6 +11,20 @@ class User extends Model {
     // Ensure comparison happens against the correct instance property 'this.password'
     return bcrypt.compare(password, this.password);
   }
+
+  /** Whether the user may translate into this language (see `languages`). */
+  canTranslate(lang) {
+    return this.languages === null || this.languages.includes(lang);
+  }
+
+  // Ends every session and makes outstanding access tokens invalid at once
+  async logOutEverywhere(options = {}) {
+    await sequelize.models.Session.destroy({
+      where: { userId: this.id },
+      ...options,
+    });
+    await this.increment("tokenVersion", options);
+  }
 }
 
 User.init(
@@ -32,17 +47,17 @@ User.init(
       type: DataTypes.STRING,
       allowNull: false,
     },
-    refreshToken: {
-      type: DataTypes.STRING,
-      allowNull: true,
-    },
+    // Name of a Role; the routes that set it check that the role exists
     role: {
       type: DataTypes.STRING,
       allowNull: false, // Roles should generally be required
-      defaultValue: "moderator",
-      validate: {
-        isIn: [["admin", "moderator"]], // Restrict roles
-      },
+      defaultValue: DEFAULT_ROLE,
+    },
+    // Translation languages the user may work on; null means all of them
+    languages: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
     },
     needsPasswordChange: {
       // Ensure flag is present
@@ -60,6 +75,35 @@ User.init(
       allowNull: true,
     },
     // ++++++++++++++++++++++++++++++++++++++++++++++++++
+    // Part of every access token; raising it revokes them all
+    // (see middleware/auth.js)
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Two-factor login (see utils/twoFactor.js). The secret is stored while
+    // setting up, but only enforced once the first code confirms it.
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Time step of the last accepted code, so codes can't be replayed
+    twoFactorLastUsedStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
     // id, createdAt, updatedAt are automatic
   },
   {
@@ -76,6 +120,11 @@ User.init(
         }
       },
       beforeUpdate: async (user) => {
+        // Tokens issued under the old role or password stop working
+        if (user.changed("role") || user.changed("password")) {
+          user.tokenVersion = (user.tokenVersion || 0) + 1;
+        }
+
         // === START DEBUG LOGGING ===
         const changedFields = user.changed(); // Get list of changed fields
         console.log("beforeUpdate hook: User ID:", user.id);
@@ -115,7 +164,7 @@ User.init(
             "beforeUpdate hook: Password changed but is null/empty, skipping hash."
           );
         } else {
-          // This case handles updates to other fields (like refreshToken, passwordResetToken)
+          // This case handles updates to other fields (like passwordResetToken)
           console.log(
             "beforeUpdate hook: Password not changed, skipping hash."
           );
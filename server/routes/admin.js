@@ -4,30 +4,51 @@ const router = express.Router();
 const { body, param, validationResult, query } = require("express-validator");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
 const sanitizeHtml = require("sanitize-html");
 
 // Ensure models AND sequelize instance are correctly required AT THE TOP
-const { Article, User, SuggestedEdit, sequelize } = require("../models");
+const {
+  Article,
+  ArticleRevision,
+  ArticleTranslation,
+  Media,
+  Tag,
+  User,
+  SuggestedEdit,
+  Session,
+  Role,
+  sequelize,
+} = require("../models");
 const { Op } = require("sequelize"); // Make sure Op is imported
 
 const authenticateToken = require("../middleware/auth");
+const {
+  requirePermission,
+  hasPermission,
+  permissionsOf,
+} = require("../middleware/roles");
 const ErrorHandler = require("../utils/errorHandler");
 const generateTemporaryPassword = require("../utils/passwordGenerator");
-
-// --- Helper function to generate JWT ---
-function generateAccessToken(user) {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    console.error("FATAL ERROR: JWT_SECRET is not defined!");
-    // In a real app, might throw or handle this more gracefully
-  }
-  return jwt.sign(
-    { userId: user.id, username: user.username, role: user.role },
-    secret,
-    { expiresIn: "15m" } // Access token expires quickly
-  );
-}
+const { assertCategoriesExist } = require("../utils/categories");
+const { MEDIA_URL_PREFIX, isMediaUrl } = require("../utils/media");
+const {
+  extractArticleImages,
+  discardExtractedImages,
+} = require("../utils/contentImages");
+const { DEFAULT_ROLE, isAdminOnlyChange } = require("../utils/permissions");
+const {
+  TWO_FACTOR_LOGIN,
+  TWO_FACTOR_SETUP,
+  isRequiredFor: isTwoFactorRequiredFor,
+} = require("../utils/twoFactor");
+const {
+  REFRESH_COOKIE,
+  generateAccessToken,
+  issueTokens,
+  sendTokens,
+  clearRefreshCookie,
+  signPurposeToken,
+} = require("../utils/authTokens");
 
 // --- Validation Middleware Definitions ---
 const validateLoginBody = [
@@ -40,8 +61,23 @@ const validateLoginBody = [
     .notEmpty()
     .isLength({ min: 8 })
     .withMessage("Password must be at least 8 characters long"),
+  body("useCookie")
+    .optional()
+    .isBoolean()
+    .withMessage("useCookie must be true or false")
+    .toBoolean(),
 ];
+// Cookie mode: without a token in the body, the one in the cookie is used
+const readRefreshCookie = (req, res, next) => {
+  const cookieToken = req.cookies?.[REFRESH_COOKIE];
+  if (!req.body?.refreshToken && cookieToken) {
+    req.body = { ...req.body, refreshToken: cookieToken };
+    req.refreshTokenFromCookie = true;
+  }
+  next();
+};
 const validateRefreshTokenBody = [
+  readRefreshCookie,
   body("refreshToken")
     .isString()
     .withMessage("Refresh token must be a string")
@@ -116,7 +152,8 @@ const validateArticleBody = [
   // Required common fields
   body("category")
     .notEmpty() // Ensure category is not empty
-    .isIn(["news", "competition", "blog"])
+    .bail()
+    .custom(assertCategoriesExist)
     .withMessage("Invalid category selected"),
 
   body("author")
@@ -128,10 +165,111 @@ const validateArticleBody = [
   body("imageUrl")
     .trim()
     .optional({ nullable: true, checkFalsy: true })
+    // Media library images are served from this site by path
+    .if((value) => !value.startsWith(`${MEDIA_URL_PREFIX}/`))
     .isURL({ protocols: ["http", "https"], require_protocol: true })
     .withMessage("Image URL must be a valid HTTP/HTTPS URL"),
+  body("imageUrl")
+    .optional({ nullable: true, checkFalsy: true })
+    .if((value) => value.startsWith(`${MEDIA_URL_PREFIX}/`))
+    .custom(isMediaUrl)
+    .withMessage("Image path does not point at a media library file"),
 ];
 
+// Publishing controls for admin create/update (suggestions never set status)
+const validateArticlePublishing = [
+  body("status")
+    .optional()
+    .isIn(["draft", "published", "scheduled"])
+    .withMessage("Status must be draft, published or scheduled"),
+  body("publishAt")
+    .if(body("status").equals("scheduled"))
+    .isISO8601()
+    .withMessage("Scheduled articles need a valid publish date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Publish date must be in the future"),
+];
+
+const validateArticleTags = [
+  body("tagIds")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("tagIds must be an array of at most 20 tag IDs"),
+  body("tagIds.*")
+    .isInt({ min: 1 })
+    .withMessage("Tag IDs must be positive integers")
+    .toInt(),
+];
+
+// Replaces the article's tags when the body lists them
+async function applyArticleTags(article, tagIds, transaction) {
+  if (!tagIds) return;
+  const uniqueIds = [...new Set(tagIds)];
+  const tags = await Tag.findAll({ where: { id: uniqueIds }, transaction });
+  if (tags.length !== uniqueIds.length) {
+    throw new ErrorHandler("One or more tags do not exist", 400);
+  }
+  await article.setTags(tags, { transaction });
+}
+
+// Status and publishAt from the body; null when the body leaves status alone
+const publishingFields = ({ status, publishAt }) => {
+  if (!status) return null;
+  return {
+    status,
+    publishAt: status === "scheduled" ? new Date(publishAt) : null,
+  };
+};
+
+// Making an article public takes articles.publish; so does changing one that
+// readers can already see
+const isPublic = (status) => status === "published" || status === "scheduled";
+const publishingForbidden = () =>
+  new ErrorHandler("Forbidden: articles.publish permission required", 403);
+
+// Suggestions from translators without articles.suggest only change the
+// fields of their languages; everything else stays as the article has it
+const TRANSLATED_FIELDS = ["title", "excerpt", "content"];
+async function limitToTranslation(req, proposedData, articleId) {
+  const [article, user] = await Promise.all([
+    Article.findByPk(articleId),
+    User.findByPk(req.user.userId, { attributes: ["id", "languages"] }),
+  ]);
+  const editable = ArticleTranslation.TRANSLATION_LANGS.filter((lang) =>
+    user?.canTranslate(lang)
+  ).flatMap((lang) => TRANSLATED_FIELDS.map((field) => `${field}_${lang}`));
+  if (!editable.length) return null;
+  return Object.fromEntries(
+    Object.keys(proposedData).map((field) => [
+      field,
+      editable.includes(field) ? proposedData[field] : article[field],
+    ])
+  );
+}
+
+// Moves pasted base64 images into the media library before the HTML is saved.
+// The Media rows join the save's transaction; if it rolls back, the written
+// files collected in `files` go to discardExtractedImages().
+async function extractEmbeddedImages(contents, userId, transaction, files) {
+  const extracted = await extractArticleImages(
+    contents,
+    (fields) =>
+      Media.create({ ...fields, uploadedById: userId }, { transaction }),
+    files
+  );
+  if (extracted.images > 0) {
+    console.log(
+      `Extracted ${extracted.images} embedded image(s) for user ${userId}, saving ${extracted.bytesSaved} bytes`
+    );
+  }
+  return extracted;
+}
+
+// Summary for the editor; omitted when nothing was embedded
+const embeddedImagesReport = ({ images, bytesSaved }) =>
+  images > 0 ? { embeddedImages: { images, bytesSaved } } : {};
+
 const validateArticleIdParam = [
   param("id")
     .isInt({ min: 1 })
@@ -190,6 +328,26 @@ const validateModeratorCreation = [
     }),
 ];
 
+// Role and translation languages, when creating or editing a user
+const validateUserAccess = [
+  body("role")
+    .optional()
+    .isString()
+    .custom(async (value) => {
+      if (!(await Role.findByPk(value))) throw new Error("Unknown role");
+    }),
+  body("languages")
+    .optional({ values: "null" })
+    .isArray()
+    .withMessage("Languages must be a list, or null for all of them")
+    .custom((value) =>
+      value.every((lang) => ArticleTranslation.TRANSLATION_LANGS.includes(lang))
+    )
+    .withMessage(
+      `Languages must be among: ${ArticleTranslation.TRANSLATION_LANGS.join(", ")}`
+    ),
+];
+
 const validateForcePasswordChange = [
   body("changePasswordToken")
     .notEmpty()
@@ -212,33 +370,6 @@ const validateUserIdParam = [
     .toInt(),
 ];
 
-// --- Middleware for checking Role ---
-const isAdmin = async (req, res, next) => {
-  // Assumes authenticateToken middleware has run and set req.user
-  if (!req.user || req.user.role !== "admin") {
-    console.warn(
-      `[ADMIN CHECK] Forbidden: User ${req.user?.userId || "Unknown"} (Role: ${
-        req.user?.role || "N/A"
-      }) attempted admin action.`
-    );
-    return next(new ErrorHandler("Forbidden: Admin role required", 403));
-  }
-  next();
-};
-const isModeratorOrAdmin = async (req, res, next) => {
-  if (!req.user || !["admin", "moderator"].includes(req.user.role)) {
-    console.warn(
-      `[MOD CHECK] Forbidden: User ${req.user?.userId || "Unknown"} (Role: ${
-        req.user?.role || "N/A"
-      }) attempted moderator action.`
-    );
-    return next(
-      new ErrorHandler("Forbidden: Moderator or Admin role required", 403)
-    );
-  }
-  next();
-};
-
 // Define sanitize options once
 const sanitizeOptions = {
   allowedTags: sanitizeHtml.defaults.allowedTags.concat([
@@ -343,25 +474,44 @@ router.post("/login", validateLoginBody, async (req, res, next) => {
       });
     }
 
-    // If password is valid and no change needed, issue tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = crypto.randomBytes(64).toString("hex");
+    // Second step: a code from the authenticator app (POST /2fa/login)
+    if (user.twoFactorEnabled) {
+      console.log(`[Login Server] User ${username} needs a two-factor code.`);
+      return res.json({
+        message: "Enter the code from your authenticator app.",
+        twoFactorRequired: true,
+        twoFactorToken: signPurposeToken(user, TWO_FACTOR_LOGIN, "5m"),
+      });
+    }
+    if (await isTwoFactorRequiredFor(user)) {
+      console.log(`[Login Server] User ${username} must set up two-factor.`);
+      return res.json({
+        message: "Two-factor authentication is required. Please set it up.",
+        twoFactorSetupRequired: true,
+        twoFactorToken: signPurposeToken(user, TWO_FACTOR_SETUP, "15m"),
+      });
+    }
 
-    user.refreshToken = refreshToken;
-    user.needsPasswordChange = false;
-    await user.save();
+    // If password is valid and no change needed, issue tokens
+    const tokens = await issueTokens(user, req);
 
     console.log(
       `[Login Server] Login successful for user: ${username}. Issuing tokens.`
     );
-    res.json({ accessToken, refreshToken });
+    sendTokens(req, res, tokens);
   } catch (err) {
     console.error("[Login Server] Error during login process:", err);
     next(err); // Pass to global error handler
   }
 });
 
-// POST /api/admin/refresh
+// Two tabs refreshing at once both send the same token; the one that loses
+// the race is turned away without revoking the session
+const ROTATION_GRACE_MS = 10 * 1000;
+const isWithinRotationGrace = (session) =>
+  session.rotatedAt && Date.now() - session.rotatedAt < ROTATION_GRACE_MS;
+
+// POST /api/admin/refresh - Swaps the refresh token for a new pair
 router.post("/refresh", validateRefreshTokenBody, async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -371,13 +521,33 @@ router.post("/refresh", validateRefreshTokenBody, async (req, res, next) => {
   }
 
   try {
-    const { refreshToken } = req.body;
-    const user = await User.findOne({ where: { refreshToken } });
+    const tokenHash = Session.hashToken(req.body.refreshToken);
+    const session = await Session.findOne({
+      where: { tokenHash },
+      include: [{ model: User, as: "user" }],
+    });
 
-    if (!user) {
+    if (!session) {
+      // A token that was already swapped for a new one: someone else holds
+      // a copy, so neither of them may keep the session
+      const reused = await Session.findOne({
+        where: { previousTokenHash: tokenHash },
+      });
+      if (reused && !isWithinRotationGrace(reused)) {
+        await reused.destroy();
+        console.warn(
+          `Refresh token reuse detected for user ${reused.userId}; session ${reused.id} revoked.`
+        );
+      }
+      return next(new ErrorHandler("Invalid refresh token", 403));
+    }
+
+    if (session.isExpired()) {
+      await session.destroy();
       return next(new ErrorHandler("Invalid refresh token", 403));
     }
 
+    const { user } = session;
     if (user.needsPasswordChange) {
       console.warn(
         `Refresh attempt by user ${user.username} who needs password change.`
@@ -391,16 +561,63 @@ router.post("/refresh", validateRefreshTokenBody, async (req, res, next) => {
     }
 
     console.log(
-      `Generating new access token for user ${user.username} during refresh.`
+      `Rotating tokens for user ${user.username} (session ${session.id}).`
     );
-    const newAccessToken = generateAccessToken(user);
-    res.json({ accessToken: newAccessToken });
+    const newRefreshToken = await session.rotate(req);
+    if (!newRefreshToken) {
+      // A concurrent refresh with the same token got there first; its new
+      // token is the valid one
+      return next(new ErrorHandler("Refresh token was already used", 409));
+    }
+    sendTokens(req, res, {
+      accessToken: generateAccessToken(user, session),
+      refreshToken: newRefreshToken,
+    });
   } catch (err) {
     console.error("Refresh Token Error:", err);
     next(err);
   }
 });
 
+// POST /api/admin/logout - Ends the session the refresh token belongs to
+router.post("/logout", validateRefreshTokenBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid refresh token provided", 400, errors.array())
+    );
+  }
+
+  try {
+    // Unknown tokens are already logged out, so this always succeeds
+    const ended = await Session.destroy({
+      where: { tokenHash: Session.hashToken(req.body.refreshToken) },
+    });
+    if (ended) console.log("Session ended by logout.");
+    clearRefreshCookie(res);
+    res.status(204).send();
+  } catch (err) {
+    console.error("Logout Error:", err);
+    next(err);
+  }
+});
+
+// POST /api/admin/logout-all - Ends every session of the current user
+router.post("/logout-all", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) return next(new ErrorHandler("User not found", 404));
+
+    await user.logOutEverywhere();
+    console.log(`User ${user.username} logged out everywhere.`);
+    clearRefreshCookie(res);
+    res.status(204).send();
+  } catch (err) {
+    console.error("Logout Everywhere Error:", err);
+    next(err);
+  }
+});
+
 // GET /api/admin/me
 router.get("/me", authenticateToken, async (req, res, next) => {
   try {
@@ -411,10 +628,15 @@ router.get("/me", authenticateToken, async (req, res, next) => {
       `[ADMIN ME] Sending user info for ${req.user.userId} from token:`,
       req.user
     );
+    const user = await User.findByPk(req.user.userId, {
+      attributes: ["id", "languages"],
+    });
     res.json({
       id: req.user.userId,
       username: req.user.username,
       role: req.user.role,
+      permissions: [...(await permissionsOf(req))],
+      languages: user?.languages ?? null,
     });
   } catch (err) {
     console.error("[ADMIN ME] Error fetching user info:", err);
@@ -426,8 +648,8 @@ router.get("/me", authenticateToken, async (req, res, next) => {
 router.get(
   "/users",
   authenticateToken,
-  isAdmin,
-  query("role").optional().isIn(["admin", "moderator"]),
+  requirePermission("users.manage"),
+  query("role").optional().isString().trim(),
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] GET /api/admin/users - Query:`, req.query);
@@ -447,8 +669,10 @@ router.get(
           "username",
           "email",
           "role",
+          "languages",
           "createdAt",
           "needsPasswordChange",
+          "twoFactorEnabled",
         ],
         order: [["username", "ASC"]],
       });
@@ -463,12 +687,13 @@ router.get(
   }
 );
 
-// POST /api/admin/users (Create Moderator)
+// POST /api/admin/users (Create a user; a moderator unless another role is given)
 router.post(
   "/users",
   authenticateToken,
-  isAdmin,
+  requirePermission("users.manage"),
   validateModeratorCreation,
+  validateUserAccess,
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
     const requestIdentifier = req.body?.username || "UNKNOWN_USER";
@@ -490,7 +715,12 @@ router.post(
     );
 
     try {
-      const { username, email } = req.body;
+      const { username, email, role = DEFAULT_ROLE, languages } = req.body;
+      if (isAdminOnlyChange(req.user.role, role)) {
+        return next(
+          new ErrorHandler("Only admins can create admin accounts.", 403)
+        );
+      }
       const temporaryPassword = generateTemporaryPassword();
       console.log(`Temp password for ${username}: ${temporaryPassword}`);
 
@@ -498,21 +728,27 @@ router.post(
         username,
         email,
         password: temporaryPassword,
-        role: "moderator",
-        needsPasswordChange: true, // Default for new moderators
+        role,
+        languages: languages ?? null,
+        needsPasswordChange: true, // Default for new users
       });
 
-      console.log(`[${timestamp}][${requestIdentifier}] Moderator created:`, {
+      console.log(`[${timestamp}][${requestIdentifier}] User created:`, {
         id: newUser.id,
         username: newUser.username,
+        role: newUser.role,
       });
 
       // === FIX: Add message to response ===
       res.status(201).json({
-        message: "Moderator created successfully.", // Added message
+        message:
+          role === DEFAULT_ROLE
+            ? "Moderator created successfully."
+            : `User created successfully as ${role}.`, // Added message
         userId: newUser.id,
         username: newUser.username,
         email: newUser.email,
+        role: newUser.role,
         temporaryPassword: temporaryPassword,
       });
       // === END FIX ===
@@ -608,20 +844,24 @@ router.post(
   }
 );
 
-// --- Article Management Routes (Admin Only) ---
+// --- Article Management Routes (articles.edit; going live needs articles.publish) ---
 
 // POST /api/admin/articles
 router.post(
   "/articles",
   authenticateToken,
-  isAdmin,
+  requirePermission("articles.edit"),
   validateArticleBody,
+  validateArticlePublishing,
+  validateArticleTags,
   async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return next(new ErrorHandler("Validation Error", 400, errors.array()));
     }
 
+    let transaction;
+    const embeddedFiles = [];
     try {
       let {
         title_en,
@@ -648,26 +888,58 @@ router.post(
         return next(new ErrorHandler("English content is required.", 400));
       if (!category?.trim() || !author?.trim())
         return next(new ErrorHandler("Category and Author are required.", 400));
+      // New articles go live unless saved as drafts
+      if (
+        isPublic(req.body.status || "published") &&
+        !(await hasPermission(req, "articles.publish"))
+      ) {
+        return next(publishingForbidden());
+      }
 
-      const newArticle = await Article.create({
-        title_en,
-        content_en,
-        excerpt_en,
-        title_rus,
-        content_rus,
-        excerpt_rus,
-        title_mng,
-        content_mng,
-        excerpt_mng,
-        category,
-        author,
-        imageUrl: imageUrl || null,
-        status: "published",
-        views: 0,
+      transaction = await sequelize.transaction();
+      const embedded = await extractEmbeddedImages(
+        { content_en, content_rus, content_mng },
+        req.user.userId,
+        transaction,
+        embeddedFiles
+      );
+      ({ content_en, content_rus, content_mng } = embedded.contents);
+      const newArticle = await Article.create(
+        {
+          title_en,
+          content_en,
+          excerpt_en,
+          title_rus,
+          content_rus,
+          excerpt_rus,
+          title_mng,
+          content_mng,
+          excerpt_mng,
+          category,
+          author,
+          imageUrl: imageUrl || null,
+          status: "published",
+          ...publishingFields(req.body),
+          views: 0,
+        },
+        { transaction }
+      );
+      await applyArticleTags(newArticle, req.body.tagIds, transaction);
+      await ArticleRevision.record(newArticle, {
+        action: "create",
+        editorId: req.user.userId,
+        transaction,
       });
+      await transaction.commit();
       console.log("Article created by admin:", newArticle.id);
-      res.status(201).json(newArticle);
+      res
+        .status(201)
+        .json({ ...newArticle.toJSON(), ...embeddedImagesReport(embedded) });
     } catch (err) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+        await discardExtractedImages(embeddedFiles);
+      }
       console.error("Create Article Error:", err);
       next(err);
     }
@@ -678,15 +950,19 @@ router.post(
 router.put(
   "/articles/:id",
   authenticateToken,
-  isAdmin,
+  requirePermission("articles.edit"),
   validateArticleIdParam,
   validateArticleBody,
+  validateArticlePublishing,
+  validateArticleTags,
   async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return next(new ErrorHandler("Validation Error", 400, errors.array()));
     }
 
+    let transaction;
+    const embeddedFiles = [];
     try {
       const articleId = req.params.id;
       const article = await Article.findByPk(articleId);
@@ -694,6 +970,12 @@ router.put(
       if (!article) {
         return next(new ErrorHandler("Article not found", 404));
       }
+      if (
+        (isPublic(article.status) || isPublic(req.body.status)) &&
+        !(await hasPermission(req, "articles.publish"))
+      ) {
+        return next(publishingForbidden());
+      }
 
       let {
         title_en,
@@ -728,24 +1010,49 @@ router.put(
         );
       }
 
-      await article.update({
-        title_en,
-        content_en,
-        excerpt_en,
-        title_rus,
-        content_rus,
-        excerpt_rus,
-        title_mng,
-        content_mng,
-        excerpt_mng,
-        category,
-        author,
-        imageUrl: imageUrl || null,
+      transaction = await sequelize.transaction();
+      const embedded = await extractEmbeddedImages(
+        { content_en, content_rus, content_mng },
+        req.user.userId,
+        transaction,
+        embeddedFiles
+      );
+      ({ content_en, content_rus, content_mng } = embedded.contents);
+      // Keep the pre-revisions text of older articles restorable
+      await ArticleRevision.ensureBaseline(article, { transaction });
+      await article.update(
+        {
+          title_en,
+          content_en,
+          excerpt_en,
+          title_rus,
+          content_rus,
+          excerpt_rus,
+          title_mng,
+          content_mng,
+          excerpt_mng,
+          category,
+          author,
+          imageUrl: imageUrl || null,
+          ...publishingFields(req.body),
+        },
+        { transaction }
+      );
+      await applyArticleTags(article, req.body.tagIds, transaction);
+      await ArticleRevision.record(article, {
+        action: "update",
+        editorId: req.user.userId,
+        transaction,
       });
+      await transaction.commit();
 
       console.log("Article updated by admin:", articleId);
-      res.json(article);
+      res.json({ ...article.toJSON(), ...embeddedImagesReport(embedded) });
     } catch (err) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+        await discardExtractedImages(embeddedFiles);
+      }
       console.error(`Update Article Error (ID: ${req.params.id}):`, err);
       next(err);
     }
@@ -756,7 +1063,7 @@ router.put(
 router.delete(
   "/articles/:id",
   authenticateToken,
-  isAdmin,
+  requirePermission("articles.delete"),
   validateArticleIdParam,
   async (req, res, next) => {
     const errors = validationResult(req);
@@ -786,7 +1093,7 @@ router.delete(
 router.delete(
   "/users/:userId",
   authenticateToken,
-  isAdmin,
+  requirePermission("users.manage"),
   validateUserIdParam,
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
@@ -846,13 +1153,67 @@ router.delete(
   }
 );
 
-// --- Suggestion Routes (Moderator/Admin) ---
+// PUT /api/admin/users/:userId (Role and translation languages)
+router.put(
+  "/users/:userId",
+  authenticateToken,
+  requirePermission("users.manage"),
+  validateUserIdParam,
+  validateUserAccess,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const user = await User.findByPk(req.params.userId);
+      if (!user) return next(new ErrorHandler("User not found", 404));
+      if (
+        user.id === req.user.userId &&
+        req.body.role !== undefined &&
+        req.body.role !== user.role
+      ) {
+        return next(new ErrorHandler("You cannot change your own role.", 403));
+      }
+      if (isAdminOnlyChange(req.user.role, user.role, req.body.role)) {
+        return next(
+          new ErrorHandler(
+            "Only admins can change admin accounts or give the admin role.",
+            403
+          )
+        );
+      }
+
+      // A new role revokes the user's access tokens (see models/user.js)
+      if (req.body.role !== undefined) user.role = req.body.role;
+      if (req.body.languages !== undefined) user.languages = req.body.languages;
+      await user.save();
+
+      console.log(
+        `User ${user.id} now has role ${user.role} (languages: ${user.languages ?? "all"}), set by user ${req.user.userId}.`
+      );
+      res.json({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        languages: user.languages,
+      });
+    } catch (error) {
+      console.error(`Error updating user ${req.params.userId}:`, error);
+      next(error);
+    }
+  }
+);
+
+// --- Suggestion Routes (articles.suggest, or translations.edit for translations) ---
 
 // POST /api/admin/articles/:id/suggest (Suggest Edit for Existing Article)
 router.post(
   "/articles/:id/suggest",
   authenticateToken,
-  isModeratorOrAdmin,
+  requirePermission("articles.suggest", "translations.edit"),
   validateArticleIdParam,
   validateArticleBody,
   async (req, res, next) => {
@@ -872,6 +1233,8 @@ router.post(
       `[${timestamp}] POST /api/admin/articles/${articleIdToEdit}/suggest - User ${moderatorId} submitting suggestion.`
     );
 
+    let transaction;
+    const embeddedFiles = [];
     try {
       const targetArticle = await Article.findByPk(articleIdToEdit, {
         attributes: ["id", "status"],
@@ -916,7 +1279,16 @@ router.post(
         );
       }
 
-      const proposedDataPayload = {
+      transaction = await sequelize.transaction();
+      const embedded = await extractEmbeddedImages(
+        { content_en, content_rus, content_mng },
+        req.user.userId,
+        transaction,
+        embeddedFiles
+      );
+      ({ content_en, content_rus, content_mng } = embedded.contents);
+
+      let proposedDataPayload = {
         title_en,
         content_en,
         excerpt_en,
@@ -930,13 +1302,34 @@ router.post(
         author,
         imageUrl: imageUrl || null,
       };
+      if (!(await hasPermission(req, "articles.suggest"))) {
+        proposedDataPayload = await limitToTranslation(
+          req,
+          proposedDataPayload,
+          articleIdToEdit
+        );
+        if (!proposedDataPayload) {
+          await transaction.rollback();
+          await discardExtractedImages(embeddedFiles);
+          return next(
+            new ErrorHandler(
+              "Forbidden: No translation languages assigned",
+              403
+            )
+          );
+        }
+      }
 
-      const newSuggestion = await SuggestedEdit.create({
-        articleId: articleIdToEdit,
-        moderatorId: moderatorId,
-        proposedData: proposedDataPayload,
-        status: "pending",
-      });
+      const newSuggestion = await SuggestedEdit.create(
+        {
+          articleId: articleIdToEdit,
+          moderatorId: moderatorId,
+          proposedData: proposedDataPayload,
+          status: "pending",
+        },
+        { transaction }
+      );
+      await transaction.commit();
 
       console.log(
         `[${timestamp}] Suggestion created (ID: ${newSuggestion.id}) for Article ${articleIdToEdit} by User ${moderatorId}.`
@@ -945,8 +1338,13 @@ router.post(
         message:
           "Edit suggestion submitted successfully and is pending review.",
         suggestionId: newSuggestion.id,
+        ...embeddedImagesReport(embedded),
       });
     } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+        await discardExtractedImages(embeddedFiles);
+      }
       console.error(
         `[${timestamp}] POST /api/admin/articles/${articleIdToEdit}/suggest - Error:`,
         error
@@ -960,7 +1358,7 @@ router.post(
 router.post(
   "/articles/suggest-new",
   authenticateToken,
-  isModeratorOrAdmin,
+  requirePermission("articles.suggest"),
   validateArticleBody,
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
@@ -978,6 +1376,8 @@ router.post(
       `[${timestamp}] POST /api/admin/articles/suggest-new - User ${moderatorId} submitting NEW suggestion.`
     );
 
+    let transaction;
+    const embeddedFiles = [];
     try {
       let {
         title_en,
@@ -1012,6 +1412,15 @@ router.post(
         );
       }
 
+      transaction = await sequelize.transaction();
+      const embedded = await extractEmbeddedImages(
+        { content_en, content_rus, content_mng },
+        req.user.userId,
+        transaction,
+        embeddedFiles
+      );
+      ({ content_en, content_rus, content_mng } = embedded.contents);
+
       const proposedDataPayload = {
         title_en,
         content_en,
@@ -1027,12 +1436,16 @@ router.post(
         imageUrl: imageUrl || null,
       };
 
-      const newSuggestion = await SuggestedEdit.create({
-        articleId: null,
-        moderatorId: moderatorId,
-        proposedData: proposedDataPayload,
-        status: "pending",
-      });
+      const newSuggestion = await SuggestedEdit.create(
+        {
+          articleId: null,
+          moderatorId: moderatorId,
+          proposedData: proposedDataPayload,
+          status: "pending",
+        },
+        { transaction }
+      );
+      await transaction.commit();
 
       console.log(
         `[${timestamp}] NEW Article Suggestion created (ID: ${newSuggestion.id}) by User ${moderatorId}.`
@@ -1041,8 +1454,13 @@ router.post(
         message:
           "New article suggestion submitted successfully and is pending review.",
         suggestionId: newSuggestion.id,
+        ...embeddedImagesReport(embedded),
       });
     } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+        await discardExtractedImages(embeddedFiles);
+      }
       console.error(
         `[${timestamp}] POST /api/admin/articles/suggest-new - Error:`,
         error
@@ -1052,13 +1470,13 @@ router.post(
   }
 );
 
-// --- Admin Suggestion Management Routes ---
+// --- Suggestion Review Routes (suggestions.review) ---
 
 // GET /api/admin/suggestions (Admin view of ALL suggestions, filtered by status)
 router.get(
   "/suggestions",
   authenticateToken,
-  isAdmin,
+  requirePermission("suggestions.review"),
   query("status")
     .optional()
     .isIn(["pending", "approved", "rejected"])
@@ -1190,7 +1608,7 @@ router.get("/suggestions/my", authenticateToken, async (req, res, next) => {
 router.get(
   "/articles/:id", // Route path within admin router
   authenticateToken,
-  isModeratorOrAdmin, // Allow mods too if they use this for suggest-edit prepopulation
+  requirePermission("articles.view"), // Also prefills suggestions and translations
   validateArticleIdParam, // Validate the ID
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
@@ -1221,6 +1639,7 @@ router.get(
           "title_mng",
           "content_mng",
           "excerpt_mng",
+          "publishAt",
         ],
       });
 
@@ -1234,7 +1653,13 @@ router.get(
       console.log(
         `[${timestamp}] GET /api/admin/articles/${articleId} - Article found, sending full details.`
       );
-      res.json(article); // Send the full article object with all raw fields
+      const tags = await article.getTags({
+        attributes: ["id", "slug", "name_en"],
+        joinTableAttributes: [],
+        order: [["name_en", "ASC"]],
+      });
+      // Send the full article object with all raw fields
+      res.json({ ...article.toJSON(), tags });
     } catch (error) {
       console.error(
         `[${timestamp}] GET /api/admin/articles/${articleId} - Error fetching details:`,
@@ -1249,7 +1674,7 @@ router.get(
 router.post(
   "/suggestions/:suggestionId/approve",
   authenticateToken,
-  isAdmin,
+  requirePermission("suggestions.review"),
   param("suggestionId").isInt({ min: 1 }).toInt(),
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
@@ -1289,6 +1714,7 @@ router.post(
 
     let transaction;
     try {
+      const canPublish = await hasPermission(req, "articles.publish");
       transaction = await sequelize.transaction();
       const proposedData = suggestion.proposedData;
       let articleId = suggestion.articleId;
@@ -1315,15 +1741,21 @@ router.post(
             )
           );
         }
+        if (isPublic(article.status) && !canPublish) {
+          await transaction.rollback();
+          return next(publishingForbidden());
+        }
+        await ArticleRevision.ensureBaseline(article, { transaction });
         await article.update(proposedData, { transaction });
       } else {
         action = "created";
         console.log(
           `[${timestamp}] Approving NEW article suggestion from suggestion ${suggestionId}`
         );
+        // Reviewers who cannot publish leave the new article as a draft
         const newArticleData = {
           ...proposedData,
-          status: "published",
+          status: canPublish ? "published" : "draft",
           views: 0,
         };
         article = await Article.create(newArticleData, { transaction });
@@ -1334,6 +1766,12 @@ router.post(
         suggestion.articleId = articleId;
       }
 
+      await ArticleRevision.record(article, {
+        action: "suggestion",
+        editorId: adminUserId,
+        suggestionId: suggestion.id,
+        transaction,
+      });
       suggestion.status = "approved";
       await suggestion.save({ transaction });
       await transaction.commit();
@@ -1373,7 +1811,7 @@ router.post(
 router.post(
   "/suggestions/:suggestionId/reject",
   authenticateToken,
-  isAdmin,
+  requirePermission("suggestions.review"),
   param("suggestionId").isInt({ min: 1 }).toInt(),
   body("adminComments").optional().trim().isLength({ max: 500 }).escape(),
   async (req, res, next) => {
@@ -1430,7 +1868,7 @@ router.post(
 router.get(
   "/suggestions/:suggestionId",
   authenticateToken,
-  isAdmin,
+  requirePermission("suggestions.review"),
   param("suggestionId").isInt({ min: 1 }).toInt(),
   async (req, res, next) => {
     const timestamp = new Date().toISOString();
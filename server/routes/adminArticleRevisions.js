@@ -0,0 +1,300 @@
+// server/routes/adminArticleRevisions.js
+// Article history for admins. Mounted at /api/admin/articles/:articleId/revisions
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { param, query, validationResult } = require("express-validator");
+
+const {
+  sequelize,
+  Article,
+  ArticleRevision,
+  SuggestedEdit,
+  User,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { diffText, hasChanges } = require("../utils/textDiff");
+
+const { REVISION_FIELDS } = ArticleRevision;
+const supportedLangs = ["en", "rus", "mng"];
+
+// --- Validation Middleware Definitions ---
+const validateArticleIdParam = [
+  param("articleId")
+    .isInt({ min: 1 })
+    .withMessage("Article ID must be a positive integer")
+    .toInt(),
+];
+
+const validateRevisionIdParam = [
+  param("revisionId")
+    .isInt({ min: 1 })
+    .withMessage("Revision ID must be a positive integer")
+    .toInt(),
+];
+
+const validateDiffQuery = [
+  query("compareTo")
+    .optional()
+    .custom((value) => value === "current" || /^[1-9]\d*$/.test(value))
+    .withMessage("compareTo must be a revision ID or 'current'"),
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+// --- Helper Functions ---
+
+// Revision fields that differ between two snapshots
+const changedFields = (before, after) =>
+  REVISION_FIELDS.filter(
+    (field) => (before?.[field] ?? null) !== (after?.[field] ?? null)
+  );
+
+// Per-language and shared field diffs from `before` to `after`
+function diffSnapshots(before, after, langs) {
+  const languages = {};
+  langs.forEach((lang) => {
+    const fields = {};
+    ["title", "excerpt", "content"].forEach((name) => {
+      const ops = diffText(
+        before?.[`${name}_${lang}`],
+        after[`${name}_${lang}`]
+      );
+      fields[name] = { changed: hasChanges(ops), ops };
+    });
+    languages[lang] = fields;
+  });
+  const common = {};
+  ["category", "author", "imageUrl"].forEach((field) => {
+    const ops = diffText(before?.[field], after[field]);
+    common[field] = { changed: hasChanges(ops), ops };
+  });
+  return { languages, common };
+}
+
+async function findRevision(articleId, revisionId, options = {}) {
+  const revision = await ArticleRevision.findOne({
+    where: { id: revisionId, articleId },
+    ...options,
+  });
+  if (!revision) throw new ErrorHandler("Revision not found", 404);
+  return revision;
+}
+
+// --- Routes (all need articles.edit) ---
+router.use(authenticateToken, requirePermission("articles.edit"));
+
+// GET /api/admin/articles/:articleId/revisions (Newest first)
+router.get("/", validateArticleIdParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid Article ID", 400, errors.array()));
+  }
+
+  try {
+    const article = await Article.findByPk(req.params.articleId, {
+      attributes: ["id"],
+    });
+    if (!article) {
+      return next(new ErrorHandler("Article not found", 404));
+    }
+
+    const revisions = await ArticleRevision.findAll({
+      where: { articleId: article.id },
+      include: [
+        { model: User, as: "editor", attributes: ["id", "username"] },
+        {
+          model: SuggestedEdit,
+          as: "suggestion",
+          attributes: ["id"],
+          include: [{ model: User, as: "moderator", attributes: ["username"] }],
+        },
+      ],
+      order: [["revisionNumber", "ASC"]],
+    });
+
+    res.json(
+      revisions
+        .map((revision, index) => ({
+          id: revision.id,
+          revisionNumber: revision.revisionNumber,
+          action: revision.action,
+          createdAt: revision.createdAt,
+          editor: revision.editor,
+          suggestionId: revision.suggestionId,
+          suggestedBy: revision.suggestion?.moderator?.username || null,
+          restoredFromId: revision.restoredFromId,
+          changedFields: changedFields(
+            revisions[index - 1]?.snapshot,
+            revision.snapshot
+          ),
+        }))
+        .reverse()
+    );
+  } catch (error) {
+    console.error(
+      `[Admin Revisions] Error listing revisions for article ${req.params.articleId}:`,
+      error
+    );
+    next(error);
+  }
+});
+
+// GET /api/admin/articles/:articleId/revisions/:revisionId (Full snapshot)
+router.get(
+  "/:revisionId",
+  validateArticleIdParam,
+  validateRevisionIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Revision ID", 400, errors.array()));
+    }
+
+    try {
+      const revision = await findRevision(
+        req.params.articleId,
+        req.params.revisionId,
+        {
+          include: [
+            { model: User, as: "editor", attributes: ["id", "username"] },
+          ],
+        }
+      );
+      res.json(revision);
+    } catch (error) {
+      console.error(
+        `[Admin Revisions] Error fetching revision ${req.params.revisionId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/articles/:articleId/revisions/:revisionId/diff?compareTo=&lang=
+// Diff from `compareTo` (default: the previous revision) to this revision.
+// compareTo=current previews what restoring this revision would change.
+router.get(
+  "/:revisionId/diff",
+  validateArticleIdParam,
+  validateRevisionIdParam,
+  validateDiffQuery,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid query parameters", 400, errors.array())
+      );
+    }
+
+    try {
+      const { articleId, revisionId } = req.params;
+      const revision = await findRevision(articleId, revisionId);
+
+      let base = null;
+      let baseSnapshot = null;
+      if (req.query.compareTo === "current") {
+        const article = await Article.findByPk(articleId);
+        if (!article) {
+          return next(new ErrorHandler("Article not found", 404));
+        }
+        base = "current";
+        baseSnapshot = article.get({ plain: true });
+      } else if (req.query.compareTo) {
+        const other = await findRevision(articleId, req.query.compareTo);
+        base = { id: other.id, revisionNumber: other.revisionNumber };
+        baseSnapshot = other.snapshot;
+      } else {
+        const previous = await ArticleRevision.findOne({
+          where: {
+            articleId,
+            revisionNumber: revision.revisionNumber - 1,
+          },
+        });
+        if (previous) {
+          base = { id: previous.id, revisionNumber: previous.revisionNumber };
+          baseSnapshot = previous.snapshot;
+        }
+      }
+
+      const langs = req.query.lang ? [req.query.lang] : supportedLangs;
+      res.json({
+        revision: { id: revision.id, revisionNumber: revision.revisionNumber },
+        compareTo: base,
+        ...diffSnapshots(baseSnapshot, revision.snapshot, langs),
+      });
+    } catch (error) {
+      console.error(
+        `[Admin Revisions] Error diffing revision ${req.params.revisionId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/articles/:articleId/revisions/:revisionId/restore
+// Restoring is itself recorded as a new revision, so it can be undone
+router.post(
+  "/:revisionId/restore",
+  validateArticleIdParam,
+  validateRevisionIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Revision ID", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const article = await Article.findByPk(req.params.articleId, {
+        transaction,
+        lock: true,
+      });
+      if (!article) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Article not found", 404));
+      }
+      const revision = await findRevision(article.id, req.params.revisionId, {
+        transaction,
+      });
+
+      await ArticleRevision.ensureBaseline(article, { transaction });
+      const restoredFields = {};
+      REVISION_FIELDS.forEach(
+        (field) => (restoredFields[field] = revision.snapshot[field] ?? null)
+      );
+      await article.update(restoredFields, { transaction });
+      const newRevision = await ArticleRevision.record(article, {
+        action: "restore",
+        editorId: req.user.userId,
+        restoredFromId: revision.id,
+        transaction,
+      });
+      await transaction.commit();
+
+      console.log(
+        `Article ${article.id} restored to revision ${revision.revisionNumber} by admin ${req.user.userId}`
+      );
+      res.json({ article, revision: newRevision });
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(
+        `Restore Revision Error (ID: ${req.params.revisionId}):`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+// server/routes/adminArticleViews.js
+// View statistics for admins. Mounted at /api/admin/articles/:articleId/views
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { param, query, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { Article, ArticleViewDaily } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { utcDay } = require("../utils/articleViews");
+
+const supportedLangs = ["en", "rus", "mng"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Validation Middleware Definitions ---
+const validateViewsQuery = [
+  param("articleId")
+    .isInt({ min: 1 })
+    .withMessage("Article ID must be a positive integer")
+    .toInt(),
+  query("days")
+    .optional()
+    .isInt({ min: 7, max: 365 })
+    .withMessage("Days must be between 7 and 365")
+    .toInt(),
+];
+
+// --- Routes (need articles.view) ---
+router.use(authenticateToken, requirePermission("articles.view"));
+
+// GET /api/admin/articles/:articleId/views?days=30
+// Daily unique readers per language, oldest day first, with empty days filled
+router.get("/", validateViewsQuery, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid query", 400, errors.array()));
+  }
+
+  try {
+    const { articleId } = req.params;
+    const days = req.query.days || 30;
+    const article = await Article.findByPk(articleId, {
+      attributes: ["id", "title_en", "views"],
+    });
+    if (!article) {
+      return next(new ErrorHandler("Article not found", 404));
+    }
+
+    const today = Date.parse(utcDay());
+    const dates = Array.from({ length: days }, (_, i) =>
+      utcDay(new Date(today - (days - 1 - i) * DAY_MS))
+    );
+    const rows = await ArticleViewDaily.findAll({
+      where: { articleId, date: { [Op.gte]: dates[0] } },
+    });
+
+    // DATEONLY values may arrive as strings or Dates depending on the driver
+    const counts = new Map(
+      rows.map((r) => [`${utcDay(new Date(r.date))}|${r.lang}`, r.views])
+    );
+    const byLanguage = Object.fromEntries(supportedLangs.map((l) => [l, 0]));
+    const series = dates.map((date) => {
+      const day = { date, total: 0 };
+      supportedLangs.forEach((lang) => {
+        day[lang] = counts.get(`${date}|${lang}`) || 0;
+        day.total += day[lang];
+        byLanguage[lang] += day[lang];
+      });
+      return day;
+    });
+
+    res.json({
+      articleId: article.id,
+      title: article.title_en,
+      totalViews: article.views,
+      from: dates[0],
+      to: dates[dates.length - 1],
+      periodViews: series.reduce((sum, day) => sum + day.total, 0),
+      byLanguage,
+      days: series,
+    });
+  } catch (error) {
+    console.error(
+      `[Admin Views] Error loading views for article ${req.params.articleId}:`,
+      error
+    );
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,384 @@
+// server/routes/adminAthletes.js
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const {
+  sequelize,
+  Athlete,
+  Club,
+  ClubMembership,
+  CompetitionResult,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { escapeLike } = require("../utils/textSearch");
+
+const canView = requirePermission("competitions.view");
+const canManage = requirePermission("athletes.manage");
+const canManageResults = requirePermission("results.manage");
+
+// --- Validation Middleware Definitions ---
+const validateAthleteBody = [
+  body("name_en")
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("English name must be between 2 and 255 characters"),
+  body(["name_rus", "name_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("Translated names must be between 2 and 255 characters"),
+  body(["bio_en", "bio_rus", "bio_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .escape()
+    .withMessage("Bios cannot exceed 5000 characters"),
+  body("gender")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(["male", "female"])
+    .withMessage("Gender must be 'male' or 'female'"),
+  body("birthYear")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1900, max: new Date().getFullYear() })
+    .withMessage("Birth year must be a valid year")
+    .toInt(),
+  body("photoUrl")
+    .trim()
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Photo URL must be a valid HTTP/HTTPS URL"),
+];
+
+const validateAthleteIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Athlete ID must be a positive integer")
+    .toInt(),
+];
+
+const validateMembershipBody = [
+  body("clubId")
+    .isInt({ min: 1 })
+    .withMessage("Club ID must be a positive integer")
+    .toInt(),
+  body("startDate")
+    .isISO8601({ strict: true })
+    .withMessage("Start date must be a valid date (YYYY-MM-DD)"),
+  body("endDate")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601({ strict: true })
+    .withMessage("End date must be a valid date (YYYY-MM-DD)")
+    .custom((value, { req }) => {
+      if (req.body.startDate && value < req.body.startDate) {
+        throw new Error("End date cannot be before start date");
+      }
+      return true;
+    }),
+];
+
+// Picks the writable fields from a validated request body
+const pickAthleteFields = (data) => ({
+  name_en: data.name_en,
+  name_rus: data.name_rus || null,
+  name_mng: data.name_mng || null,
+  bio_en: data.bio_en || null,
+  bio_rus: data.bio_rus || null,
+  bio_mng: data.bio_mng || null,
+  gender: data.gender || null,
+  birthYear: data.birthYear || null,
+  photoUrl: data.photoUrl || null,
+});
+
+const membershipInclude = {
+  model: ClubMembership,
+  as: "memberships",
+  include: [{ model: Club, as: "club", attributes: ["id", "name_en"] }],
+};
+
+// --- Routes ---
+// Reading needs competitions.view; writes need athletes.manage
+router.use(authenticateToken);
+
+// GET /api/admin/athletes (All raw fields with club history)
+router.get("/", canView, async (req, res, next) => {
+  try {
+    const athletes = await Athlete.findAll({
+      include: [membershipInclude],
+      order: [
+        ["name_en", "ASC"],
+        [{ model: ClubMembership, as: "memberships" }, "startDate", "DESC"],
+      ],
+    });
+    res.json(athletes);
+  } catch (error) {
+    console.error("[Admin Athletes] Error listing athletes:", error);
+    next(error);
+  }
+});
+
+// GET /api/admin/athletes/:id (Full details for the edit form)
+router.get("/:id", canView, validateAthleteIdParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid Athlete ID", 400, errors.array()));
+  }
+
+  try {
+    const athlete = await Athlete.findByPk(req.params.id, {
+      include: [membershipInclude],
+      order: [
+        [{ model: ClubMembership, as: "memberships" }, "startDate", "DESC"],
+      ],
+    });
+    if (!athlete) {
+      return next(new ErrorHandler("Athlete not found", 404));
+    }
+    const linkedResults = await CompetitionResult.count({
+      where: { athleteId: athlete.id },
+    });
+    res.json({ ...athlete.toJSON(), linkedResults });
+  } catch (error) {
+    console.error(
+      `[Admin Athletes] Error fetching athlete ${req.params.id}:`,
+      error
+    );
+    next(error);
+  }
+});
+
+// POST /api/admin/athletes
+router.post("/", canManage, validateAthleteBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    const athlete = await Athlete.create(pickAthleteFields(req.body));
+    console.log(`Athlete created by admin ${req.user.userId}:`, athlete.id);
+    res.status(201).json(athlete);
+  } catch (error) {
+    console.error("Create Athlete Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/athletes/:id
+router.put(
+  "/:id",
+  canManage,
+  validateAthleteIdParam,
+  validateAthleteBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const athlete = await Athlete.findByPk(req.params.id);
+      if (!athlete) {
+        return next(new ErrorHandler("Athlete not found", 404));
+      }
+
+      await athlete.update(pickAthleteFields(req.body));
+      console.log(`Athlete ${athlete.id} updated by admin ${req.user.userId}`);
+      res.json(athlete);
+    } catch (error) {
+      console.error(`Update Athlete Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/athletes/:id (Results stay, unlinked)
+router.delete(
+  "/:id",
+  canManage,
+  validateAthleteIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Athlete ID", 400, errors.array()));
+    }
+
+    try {
+      const athlete = await Athlete.findByPk(req.params.id);
+      if (!athlete) {
+        return next(new ErrorHandler("Athlete not found", 404));
+      }
+
+      await athlete.destroy();
+      console.log(
+        `Athlete ${req.params.id} deleted by admin ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Delete Athlete Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// --- Club Memberships ---
+
+// POST /api/admin/athletes/:id/memberships
+// An open-ended membership closes the athlete's current one (a transfer)
+router.post(
+  "/:id/memberships",
+  canManage,
+  validateAthleteIdParam,
+  validateMembershipBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const athlete = await Athlete.findByPk(req.params.id, { transaction });
+      const club = await Club.findByPk(req.body.clubId, { transaction });
+      if (!athlete || !club) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Athlete or club not found", 404));
+      }
+
+      const { startDate } = req.body;
+      const endDate = req.body.endDate || null;
+      if (!endDate) {
+        const current = await ClubMembership.findOne({
+          where: { athleteId: athlete.id, endDate: null },
+          transaction,
+          lock: true,
+        });
+        if (current) {
+          if (new Date(current.startDate) > new Date(startDate)) {
+            await transaction.rollback();
+            return next(
+              new ErrorHandler(
+                "New membership cannot start before the current one",
+                409
+              )
+            );
+          }
+          await current.update({ endDate: startDate }, { transaction });
+        }
+      }
+
+      const membership = await ClubMembership.create(
+        { athleteId: athlete.id, clubId: club.id, startDate, endDate },
+        { transaction }
+      );
+      await transaction.commit();
+
+      console.log(
+        `Athlete ${athlete.id} joined club ${club.id} (membership ${membership.id}) by admin ${req.user.userId}`
+      );
+      res.status(201).json(membership);
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(
+        `Create Membership Error (Athlete ID: ${req.params.id}):`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/athletes/:id/memberships/:membershipId
+router.delete(
+  "/:id/memberships/:membershipId",
+  canManage,
+  validateAthleteIdParam,
+  param("membershipId")
+    .isInt({ min: 1 })
+    .withMessage("Membership ID must be a positive integer")
+    .toInt(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Membership ID", 400, errors.array())
+      );
+    }
+
+    try {
+      const membership = await ClubMembership.findOne({
+        where: { id: req.params.membershipId, athleteId: req.params.id },
+      });
+      if (!membership) {
+        return next(new ErrorHandler("Membership not found", 404));
+      }
+
+      await membership.destroy();
+      console.log(
+        `Membership ${req.params.membershipId} deleted by admin ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      console.error(
+        `Delete Membership Error (ID: ${req.params.membershipId}):`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// --- Results History ---
+
+// POST /api/admin/athletes/:id/link-results
+// Links unlinked results whose free-text name matches any of the athlete's names
+router.post(
+  "/:id/link-results",
+  canManageResults,
+  validateAthleteIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Athlete ID", 400, errors.array()));
+    }
+
+    try {
+      const athlete = await Athlete.findByPk(req.params.id);
+      if (!athlete) {
+        return next(new ErrorHandler("Athlete not found", 404));
+      }
+
+      const [linked] = await CompetitionResult.update(
+        { athleteId: athlete.id },
+        {
+          where: {
+            athleteId: null,
+            [Op.or]: athlete.getNames().map((name) => ({
+              athleteName: { [Op.iLike]: escapeLike(name) },
+            })),
+          },
+        }
+      );
+      console.log(
+        `Linked ${linked} results to athlete ${athlete.id} by admin ${req.user.userId}`
+      );
+      res.json({ linked });
+    } catch (error) {
+      console.error(
+        `Link Results Error (Athlete ID: ${req.params.id}):`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+// server/routes/adminCategories.js
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { sequelize, Article, Category, SuggestedEdit } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+
+const canView = requirePermission("articles.view");
+const canManage = requirePermission("taxonomy.manage");
+
+// --- Validation Middleware Definitions ---
+const validateCategoryBody = [
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage(
+      "Slug must be 1-50 lowercase letters, digits or single hyphens (e.g. training)"
+    ),
+  body("name_en")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape()
+    .withMessage("English name must be between 1 and 100 characters"),
+  body(["name_rus", "name_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .escape()
+    .withMessage("Translated names cannot exceed 100 characters"),
+  body("color")
+    .optional({ checkFalsy: true })
+    .isIn(Category.COLORS)
+    .withMessage(`Color must be one of: ${Category.COLORS.join(", ")}`),
+  body("sortOrder")
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0, max: 1000 })
+    .withMessage("Sort order must be an integer between 0 and 1000")
+    .toInt(),
+];
+
+const validateCategoryIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Category ID must be a positive integer")
+    .toInt(),
+];
+
+// Picks the writable fields from a validated request body
+const pickCategoryFields = (data) => ({
+  slug: data.slug,
+  name_en: data.name_en,
+  name_rus: data.name_rus || null,
+  name_mng: data.name_mng || null,
+  color: data.color || "gray",
+  sortOrder: data.sortOrder || 0,
+});
+
+// Articles store the slug, so two categories can never share one
+async function assertSlugAvailable(slug, excludeId) {
+  const where = { slug };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+  if (await Category.findOne({ where })) {
+    throw new ErrorHandler(
+      `A category with slug "${slug}" already exists`,
+      409
+    );
+  }
+}
+
+// Moves articles and pending suggestions over to a renamed slug
+async function renameCategorySlug(oldSlug, newSlug, transaction) {
+  const [movedArticles] = await Article.update(
+    { category: newSlug },
+    { where: { category: oldSlug }, transaction }
+  );
+  const pending = await SuggestedEdit.findAll({
+    where: { status: "pending" },
+    transaction,
+  });
+  for (const suggestion of pending) {
+    if (suggestion.proposedData?.category !== oldSlug) continue;
+    await suggestion.update(
+      { proposedData: { ...suggestion.proposedData, category: newSlug } },
+      { transaction }
+    );
+  }
+  return movedArticles;
+}
+
+// --- Routes ---
+// Anyone who sees articles may read categories; writes need taxonomy.manage
+router.use(authenticateToken);
+
+// GET /api/admin/categories (All raw fields plus article counts)
+router.get("/", canView, async (req, res, next) => {
+  try {
+    const categories = await Category.findAll({
+      order: [
+        ["sortOrder", "ASC"],
+        ["name_en", "ASC"],
+      ],
+    });
+    const articles = await Article.findAll({ attributes: ["category"] });
+    res.json(
+      categories.map((category) => ({
+        ...category.toJSON(),
+        articleCount: articles.filter((a) => a.category === category.slug)
+          .length,
+      }))
+    );
+  } catch (error) {
+    console.error("[Admin Categories] Error listing categories:", error);
+    next(error);
+  }
+});
+
+// POST /api/admin/categories
+router.post("/", canManage, validateCategoryBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    await assertSlugAvailable(req.body.slug);
+    const category = await Category.create(pickCategoryFields(req.body));
+    console.log(`Category created by admin ${req.user.userId}:`, category.id);
+    res.status(201).json(category);
+  } catch (error) {
+    console.error("Create Category Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/categories/:id (A new slug is carried over to its articles)
+router.put(
+  "/:id",
+  canManage,
+  validateCategoryIdParam,
+  validateCategoryBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const category = await Category.findByPk(req.params.id, { transaction });
+      if (!category) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Category not found", 404));
+      }
+
+      await assertSlugAvailable(req.body.slug, category.id);
+      const oldSlug = category.slug;
+      await category.update(pickCategoryFields(req.body), { transaction });
+      if (oldSlug !== category.slug) {
+        const moved = await renameCategorySlug(
+          oldSlug,
+          category.slug,
+          transaction
+        );
+        console.log(
+          `Category slug "${oldSlug}" renamed to "${category.slug}" (${moved} articles moved)`
+        );
+      }
+      await transaction.commit();
+
+      console.log(
+        `Category ${category.id} updated by admin ${req.user.userId}`
+      );
+      res.json(category);
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(`Update Category Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/categories/:id (Only once no article uses it)
+router.delete(
+  "/:id",
+  canManage,
+  validateCategoryIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Category ID", 400, errors.array()));
+    }
+
+    try {
+      const category = await Category.findByPk(req.params.id);
+      if (!category) {
+        return next(new ErrorHandler("Category not found", 404));
+      }
+
+      const articleCount = await Article.count({
+        where: { category: category.slug },
+      });
+      if (articleCount > 0) {
+        return next(
+          new ErrorHandler(
+            `Category is used by ${articleCount} article(s); move them to another category first`,
+            409
+          )
+        );
+      }
+
+      await category.destroy();
+      console.log(
+        `Category ${req.params.id} deleted by admin ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Delete Category Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
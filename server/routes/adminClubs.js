@@ -0,0 +1,181 @@
+// server/routes/adminClubs.js
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const { Club, ClubMembership } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+
+const canView = requirePermission("competitions.view");
+const canManage = requirePermission("athletes.manage");
+
+// --- Validation Middleware Definitions ---
+const validateClubBody = [
+  body("name_en")
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("English name must be between 2 and 255 characters"),
+  body(["name_rus", "name_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("Translated names must be between 2 and 255 characters"),
+  body(["bio_en", "bio_rus", "bio_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .escape()
+    .withMessage("Bios cannot exceed 5000 characters"),
+  body("city")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("City cannot exceed 255 characters"),
+  body(["website", "photoUrl"])
+    .trim()
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Website and photo URL must be valid HTTP/HTTPS URLs"),
+];
+
+const validateClubIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Club ID must be a positive integer")
+    .toInt(),
+];
+
+// Picks the writable fields from a validated request body
+const pickClubFields = (data) => ({
+  name_en: data.name_en,
+  name_rus: data.name_rus || null,
+  name_mng: data.name_mng || null,
+  bio_en: data.bio_en || null,
+  bio_rus: data.bio_rus || null,
+  bio_mng: data.bio_mng || null,
+  city: data.city || null,
+  website: data.website || null,
+  photoUrl: data.photoUrl || null,
+});
+
+// --- Routes ---
+// Reading needs competitions.view; writes need athletes.manage
+router.use(authenticateToken);
+
+// GET /api/admin/clubs (All raw fields plus current member counts)
+router.get("/", canView, async (req, res, next) => {
+  try {
+    const clubs = await Club.findAll({ order: [["name_en", "ASC"]] });
+    const memberships = await ClubMembership.findAll({
+      where: { endDate: null },
+      attributes: ["clubId"],
+    });
+    res.json(
+      clubs.map((club) => ({
+        ...club.toJSON(),
+        memberCount: memberships.filter((m) => m.clubId === club.id).length,
+      }))
+    );
+  } catch (error) {
+    console.error("[Admin Clubs] Error listing clubs:", error);
+    next(error);
+  }
+});
+
+// GET /api/admin/clubs/:id (Full details for the edit form)
+router.get("/:id", canView, validateClubIdParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid Club ID", 400, errors.array()));
+  }
+
+  try {
+    const club = await Club.findByPk(req.params.id);
+    if (!club) {
+      return next(new ErrorHandler("Club not found", 404));
+    }
+    res.json(club);
+  } catch (error) {
+    console.error(`[Admin Clubs] Error fetching club ${req.params.id}:`, error);
+    next(error);
+  }
+});
+
+// POST /api/admin/clubs
+router.post("/", canManage, validateClubBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    const club = await Club.create(pickClubFields(req.body));
+    console.log(`Club created by admin ${req.user.userId}:`, club.id);
+    res.status(201).json(club);
+  } catch (error) {
+    console.error("Create Club Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/clubs/:id
+router.put(
+  "/:id",
+  canManage,
+  validateClubIdParam,
+  validateClubBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const club = await Club.findByPk(req.params.id);
+      if (!club) {
+        return next(new ErrorHandler("Club not found", 404));
+      }
+
+      await club.update(pickClubFields(req.body));
+      console.log(`Club ${club.id} updated by admin ${req.user.userId}`);
+      res.json(club);
+    } catch (error) {
+      console.error(`Update Club Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/clubs/:id (Membership history goes with it)
+router.delete(
+  "/:id",
+  canManage,
+  validateClubIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Club ID", 400, errors.array()));
+    }
+
+    try {
+      const club = await Club.findByPk(req.params.id);
+      if (!club) {
+        return next(new ErrorHandler("Club not found", 404));
+      }
+
+      await club.destroy();
+      console.log(`Club ${req.params.id} deleted by admin ${req.user.userId}`);
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Delete Club Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
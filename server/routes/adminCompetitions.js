@@ -0,0 +1,433 @@
+// server/routes/adminCompetitions.js
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+
+const {
+  sequelize,
+  Competition,
+  CompetitionRegistration,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { COMPETITION_TIERS } = require("../utils/rankings");
+
+const canView = requirePermission("competitions.view");
+const canManage = requirePermission("competitions.manage");
+const canReviewRegistrations = requirePermission("competitions.registrations");
+
+// --- Validation Middleware Definitions ---
+const validateCompetitionBody = [
+  body("name_en")
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .escape()
+    .withMessage("English name must be between 3 and 255 characters"),
+  body(["name_rus", "name_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ min: 3, max: 255 })
+    .escape()
+    .withMessage("Translated names must be between 3 and 255 characters"),
+  body(["description_en", "description_rus", "description_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .escape()
+    .withMessage("Descriptions cannot exceed 5000 characters"),
+  body("venue")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("Venue cannot exceed 255 characters"),
+  body("startDate")
+    .isISO8601({ strict: true })
+    .withMessage("Start date must be a valid date (YYYY-MM-DD)"),
+  body("endDate")
+    .isISO8601({ strict: true })
+    .withMessage("End date must be a valid date (YYYY-MM-DD)")
+    .custom((value, { req }) => {
+      if (req.body.startDate && value < req.body.startDate) {
+        throw new Error("End date cannot be before start date");
+      }
+      return true;
+    }),
+  body("registrationDeadline")
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage("Registration deadline must be a valid date"),
+  body("disciplines")
+    .isArray({ min: 1 })
+    .withMessage("At least one discipline is required"),
+  body("disciplines.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape()
+    .withMessage("Each discipline must be 1-100 characters"),
+  body("capacities")
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (typeof value !== "object" || Array.isArray(value)) return false;
+      return Object.values(value).every(
+        (limit) => limit === null || (Number.isInteger(limit) && limit >= 1)
+      );
+    })
+    .withMessage(
+      "Capacities must map disciplines to positive integers (or null)"
+    ),
+  body("tier")
+    .optional()
+    .isIn(COMPETITION_TIERS)
+    .withMessage(`Tier must be one of: ${COMPETITION_TIERS.join(", ")}`),
+  body("status")
+    .optional()
+    .isIn(["upcoming", "ongoing", "finished"])
+    .withMessage("Invalid status selected"),
+];
+
+const validateCompetitionIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Competition ID must be a positive integer")
+    .toInt(),
+];
+
+const registrationStatuses = ["pending", "approved", "rejected", "waitlisted"];
+
+const validateRegistrationParams = [
+  ...validateCompetitionIdParam,
+  param("registrationId")
+    .isInt({ min: 1 })
+    .withMessage("Registration ID must be a positive integer")
+    .toInt(),
+];
+
+// Keeps only limits for disciplines the event actually has
+const pickCapacities = (capacities, disciplines) => {
+  const result = {};
+  if (!capacities) return result;
+  disciplines.forEach((discipline) => {
+    if (capacities[discipline]) result[discipline] = capacities[discipline];
+  });
+  return result;
+};
+
+// Picks the writable fields from a validated request body
+const pickCompetitionFields = (data) => ({
+  name_en: data.name_en,
+  name_rus: data.name_rus || null,
+  name_mng: data.name_mng || null,
+  description_en: data.description_en || null,
+  description_rus: data.description_rus || null,
+  description_mng: data.description_mng || null,
+  venue: data.venue || null,
+  startDate: data.startDate,
+  endDate: data.endDate,
+  registrationDeadline: data.registrationDeadline || null,
+  // De-duplicate while keeping the admin's order
+  disciplines: [...new Set(data.disciplines)],
+  capacities: pickCapacities(data.capacities, data.disciplines),
+  tier: data.tier || "national",
+  status: data.status || "upcoming",
+});
+
+// --- Routes ---
+// Judges read events to enter results; writes need competitions.manage
+router.use(authenticateToken);
+
+// GET /api/admin/competitions (All raw fields for the admin list)
+router.get("/", canView, async (req, res, next) => {
+  try {
+    const competitions = await Competition.findAll({
+      order: [["startDate", "DESC"]],
+    });
+    res.json(competitions);
+  } catch (error) {
+    console.error("[Admin Competitions] Error listing competitions:", error);
+    next(error);
+  }
+});
+
+// GET /api/admin/competitions/:id (Full details for the edit form)
+router.get(
+  "/:id",
+  canView,
+  validateCompetitionIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Competition ID", 400, errors.array())
+      );
+    }
+
+    try {
+      const competition = await Competition.findByPk(req.params.id);
+      if (!competition) {
+        return next(new ErrorHandler("Competition not found", 404));
+      }
+      res.json(competition);
+    } catch (error) {
+      console.error(
+        `[Admin Competitions] Error fetching competition ${req.params.id}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/competitions
+router.post("/", canManage, validateCompetitionBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    const competition = await Competition.create(
+      pickCompetitionFields(req.body)
+    );
+    console.log(
+      `Competition created by admin ${req.user.userId}:`,
+      competition.id
+    );
+    res.status(201).json(competition);
+  } catch (error) {
+    console.error("Create Competition Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/competitions/:id
+router.put(
+  "/:id",
+  canManage,
+  validateCompetitionIdParam,
+  validateCompetitionBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const competition = await Competition.findByPk(req.params.id);
+      if (!competition) {
+        return next(new ErrorHandler("Competition not found", 404));
+      }
+
+      await competition.update(pickCompetitionFields(req.body));
+      console.log(
+        `Competition ${competition.id} updated by admin ${req.user.userId}`
+      );
+      res.json(competition);
+    } catch (error) {
+      console.error(`Update Competition Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/competitions/:id
+router.delete(
+  "/:id",
+  canManage,
+  validateCompetitionIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Competition ID", 400, errors.array())
+      );
+    }
+
+    try {
+      const competition = await Competition.findByPk(req.params.id);
+      if (!competition) {
+        return next(new ErrorHandler("Competition not found", 404));
+      }
+
+      await competition.destroy();
+      console.log(
+        `Competition ${req.params.id} deleted by admin ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Delete Competition Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// --- Registrations ---
+
+// GET /api/admin/competitions/:id/registrations (Entries plus per-discipline counts)
+router.get(
+  "/:id/registrations",
+  canReviewRegistrations,
+  validateCompetitionIdParam,
+  query("status")
+    .optional()
+    .isIn(registrationStatuses)
+    .withMessage("Invalid registration status"),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid query parameters", 400, errors.array())
+      );
+    }
+
+    try {
+      const competition = await Competition.findByPk(req.params.id);
+      if (!competition) {
+        return next(new ErrorHandler("Competition not found", 404));
+      }
+
+      const registrations = await CompetitionRegistration.findAll({
+        where: { competitionId: competition.id },
+        order: [["createdAt", "ASC"]],
+      });
+
+      // Counts are always over all entries so the capacity view stays accurate
+      const summary = competition.disciplines.map((discipline) => {
+        const counts = { pending: 0, approved: 0, rejected: 0, waitlisted: 0 };
+        registrations
+          .filter((r) => r.discipline === discipline)
+          .forEach((r) => counts[r.status]++);
+        return {
+          discipline,
+          capacity: competition.capacities?.[discipline] || null,
+          ...counts,
+        };
+      });
+
+      const { status } = req.query;
+      res.json({
+        competition: {
+          id: competition.id,
+          name_en: competition.name_en,
+          disciplines: competition.disciplines,
+          capacities: competition.capacities,
+        },
+        summary,
+        registrations: status
+          ? registrations.filter((r) => r.status === status)
+          : registrations,
+      });
+    } catch (error) {
+      console.error(
+        `[Admin Competitions] Error listing registrations for ${req.params.id}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/competitions/:id/registrations/:registrationId/(approve|reject|waitlist)
+const reviewActions = {
+  approve: "approved",
+  reject: "rejected",
+  waitlist: "waitlisted",
+};
+
+Object.entries(reviewActions).forEach(([action, newStatus]) => {
+  router.post(
+    `/:id/registrations/:registrationId/${action}`,
+    canReviewRegistrations,
+    validateRegistrationParams,
+    body("adminComments").optional().trim().isLength({ max: 500 }).escape(),
+    async (req, res, next) => {
+      const { id: competitionId, registrationId } = req.params;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(
+          new ErrorHandler(
+            "Invalid registration ID or comment format",
+            400,
+            errors.array()
+          )
+        );
+      }
+
+      let transaction;
+      try {
+        transaction = await sequelize.transaction();
+        // Lock the event row so concurrent approvals can't overshoot capacity
+        const competition = await Competition.findByPk(competitionId, {
+          transaction,
+          lock: true,
+        });
+        const registration = await CompetitionRegistration.findOne({
+          where: { id: registrationId, competitionId },
+          transaction,
+        });
+        if (!competition || !registration) {
+          await transaction.rollback();
+          return next(new ErrorHandler("Registration not found", 404));
+        }
+        if (registration.status === newStatus) {
+          await transaction.rollback();
+          return next(
+            new ErrorHandler(`Registration is already ${newStatus}`, 400)
+          );
+        }
+
+        if (newStatus === "approved") {
+          const capacity = competition.capacities?.[registration.discipline];
+          if (capacity) {
+            const approvedCount = await CompetitionRegistration.count({
+              where: {
+                competitionId,
+                discipline: registration.discipline,
+                status: "approved",
+              },
+              transaction,
+            });
+            if (approvedCount >= capacity) {
+              await transaction.rollback();
+              return next(
+                new ErrorHandler(
+                  `Discipline ${registration.discipline} is full (${approvedCount}/${capacity}). Waitlist the entry or raise the capacity.`,
+                  409
+                )
+              );
+            }
+          }
+        }
+
+        await registration.update(
+          {
+            status: newStatus,
+            adminComments: req.body.adminComments || registration.adminComments,
+            reviewedById: req.user.userId,
+            reviewedAt: new Date(),
+          },
+          { transaction }
+        );
+        await transaction.commit();
+
+        console.log(
+          `Registration ${registrationId} ${newStatus} by admin ${req.user.userId}`
+        );
+        res.json(registration);
+      } catch (error) {
+        if (transaction && !transaction.finished) {
+          await transaction.rollback();
+        }
+        console.error(
+          `Review Registration Error (ID: ${registrationId}, action: ${action}):`,
+          error
+        );
+        next(error);
+      }
+    }
+  );
+});
+
+module.exports = router;
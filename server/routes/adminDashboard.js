@@ -0,0 +1,247 @@
+// server/routes/adminDashboard.js
+// Overview shown to admins after login. Mounted at /api/admin/dashboard
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { Op, fn, col } = require("sequelize");
+
+const {
+  Article,
+  ArticleRevision,
+  ArticleViewDaily,
+  Category,
+  SuggestedEdit,
+  User,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { utcDay } = require("../utils/articleViews");
+
+const supportedLangs = ["en", "rus", "mng"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIST_LIMIT = 10;
+
+// --- Validation Middleware Definitions ---
+const validateDashboardQuery = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365")
+    .toInt(),
+];
+
+// --- Helper Functions ---
+
+// A language counts as translated when it has both a title and content
+const hasTranslation = (lang) => ({
+  [Op.and]: ["title", "content"].map((field) => ({
+    [`${field}_${lang}`]: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: "" }] },
+  })),
+});
+
+// Counts by status and category, and how many articles each language covers
+async function articleStats() {
+  const articles = await Article.findAll({
+    attributes: ["id", "status", "category"],
+    raw: true,
+  });
+  const categories = await Category.findAll({
+    order: [
+      ["sortOrder", "ASC"],
+      ["name_en", "ASC"],
+    ],
+  });
+
+  const byStatus = { published: 0, scheduled: 0, draft: 0 };
+  const byCategory = Object.fromEntries(categories.map((c) => [c.slug, 0]));
+  articles.forEach((article) => {
+    byStatus[article.status] = (byStatus[article.status] || 0) + 1;
+    byCategory[article.category] = (byCategory[article.category] || 0) + 1;
+  });
+  const translated = {};
+  for (const lang of supportedLangs) {
+    translated[lang] = await Article.count({ where: hasTranslation(lang) });
+  }
+  const complete = await Article.count({
+    where: { [Op.and]: supportedLangs.map(hasTranslation) },
+  });
+
+  return {
+    total: articles.length,
+    byStatus,
+    byCategory: Object.entries(byCategory).map(([slug, count]) => ({
+      category: slug,
+      name: categories.find((c) => c.slug === slug)?.name_en || slug,
+      count,
+    })),
+    translations: {
+      ...translated,
+      complete,
+      missing: Object.fromEntries(
+        supportedLangs.map((lang) => [lang, articles.length - translated[lang]])
+      ),
+    },
+  };
+}
+
+// Articles with the most counted readers since `from` (YYYY-MM-DD)
+async function mostViewed(from) {
+  const rows = await ArticleViewDaily.findAll({
+    attributes: ["articleId", [fn("SUM", col("views")), "views"]],
+    where: { date: { [Op.gte]: from } },
+    group: ["articleId"],
+    raw: true,
+  });
+  const top = rows
+    .map((r) => ({ articleId: r.articleId, views: Number(r.views) }))
+    .sort((a, b) => b.views - a.views)
+    .slice(0, LIST_LIMIT);
+  const articles = await Article.findAll({
+    where: { id: top.map((r) => r.articleId) },
+    attributes: ["id", "title_en", "status", "views"],
+  });
+  return top
+    .map((r) => {
+      const article = articles.find((a) => a.id === r.articleId);
+      return (
+        article && {
+          id: article.id,
+          title: article.title_en,
+          status: article.status,
+          views: r.views,
+          totalViews: article.views,
+        }
+      );
+    })
+    .filter(Boolean);
+}
+
+// Pending suggestions, oldest first, with how long they have been waiting
+async function pendingSuggestions(now) {
+  const pending = await SuggestedEdit.findAll({
+    where: { status: "pending" },
+    attributes: ["id", "articleId", "createdAt", "proposedData"],
+    include: [
+      { model: User, as: "moderator", attributes: ["id", "username"] },
+      {
+        model: Article,
+        as: "article",
+        attributes: ["id", "title_en"],
+        required: false,
+      },
+    ],
+    order: [["createdAt", "ASC"]],
+  });
+
+  const ageDays = (s) => Math.floor((now - new Date(s.createdAt)) / DAY_MS);
+  const byAge = { underOneDay: 0, oneToSevenDays: 0, overSevenDays: 0 };
+  pending.forEach((s) => {
+    const age = ageDays(s);
+    if (age < 1) byAge.underOneDay++;
+    else if (age <= 7) byAge.oneToSevenDays++;
+    else byAge.overSevenDays++;
+  });
+
+  return {
+    count: pending.length,
+    oldestAgeDays: pending.length ? ageDays(pending[0]) : null,
+    byAge,
+    oldest: pending.slice(0, LIST_LIMIT).map((s) => ({
+      id: s.id,
+      articleId: s.articleId,
+      title: s.article?.title_en || s.proposedData?.title_en || null,
+      moderator: s.moderator?.username || null,
+      createdAt: s.createdAt,
+      ageDays: ageDays(s),
+    })),
+  };
+}
+
+// Suggestions per moderator since `since`, with the outcome of each
+async function moderatorActivity(since) {
+  const moderators = await User.findAll({
+    where: { role: "moderator" },
+    attributes: ["id", "username"],
+    order: [["username", "ASC"]],
+  });
+  const suggestions = await SuggestedEdit.findAll({
+    where: { createdAt: { [Op.gte]: since } },
+    attributes: ["moderatorId", "status", "createdAt"],
+  });
+
+  return moderators.map((moderator) => {
+    const own = suggestions.filter((s) => s.moderatorId === moderator.id);
+    const count = (status) => own.filter((s) => s.status === status).length;
+    const latest = own.reduce(
+      (max, s) => (!max || s.createdAt > max ? s.createdAt : max),
+      null
+    );
+    return {
+      id: moderator.id,
+      username: moderator.username,
+      submitted: own.length,
+      approved: count("approved"),
+      rejected: count("rejected"),
+      pending: count("pending"),
+      lastSuggestionAt: latest,
+    };
+  });
+}
+
+// Latest entries of the article history, newest first
+async function recentChanges() {
+  const revisions = await ArticleRevision.findAll({
+    attributes: ["id", "articleId", "revisionNumber", "action", "createdAt"],
+    include: [
+      { model: User, as: "editor", attributes: ["id", "username"] },
+      { model: Article, as: "article", attributes: ["id", "title_en"] },
+    ],
+    order: [["createdAt", "DESC"]],
+    limit: LIST_LIMIT,
+  });
+  return revisions.map((r) => ({
+    revisionId: r.id,
+    articleId: r.articleId,
+    title: r.article?.title_en || null,
+    revisionNumber: r.revisionNumber,
+    action: r.action,
+    editor: r.editor?.username || null,
+    createdAt: r.createdAt,
+  }));
+}
+
+// --- Routes (need dashboard.view) ---
+router.use(authenticateToken, requirePermission("dashboard.view"));
+
+// GET /api/admin/dashboard?days=30
+// Views and moderator activity cover the last `days` days; the rest is current
+router.get("/", validateDashboardQuery, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid query", 400, errors.array()));
+  }
+
+  try {
+    const days = req.query.days || 30;
+    const now = new Date();
+    const since = new Date(now.getTime() - days * DAY_MS);
+    // Daily view rows: today plus the days before it
+    const from = utcDay(new Date(now.getTime() - (days - 1) * DAY_MS));
+
+    res.json({
+      days,
+      from,
+      articles: await articleStats(),
+      mostViewed: await mostViewed(from),
+      suggestions: await pendingSuggestions(now),
+      moderators: await moderatorActivity(since),
+      recentChanges: await recentChanges(),
+    });
+  } catch (error) {
+    console.error("[Admin Dashboard] Error building dashboard:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+// server/routes/adminMedia.js
+// Media library: image uploads with resized variants. Mounted at /api/admin/media
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const { body, param, query, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { Article, Media, User } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { escapeLike } = require("../utils/textSearch");
+const {
+  MAX_UPLOAD_BYTES,
+  serializeMedia,
+  storeImage,
+  removeImageFiles,
+} = require("../utils/media");
+
+// Files stay in memory until sharp has checked and resized them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+}).single("file");
+
+// Turns multer errors (size limit, unexpected field) into API errors
+function receiveUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return next(
+        error.code === "LIMIT_FILE_SIZE"
+          ? new ErrorHandler(
+              `Image must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`,
+              413
+            )
+          : new ErrorHandler(`Upload error: ${error.message}`, 400)
+      );
+    }
+    next(error);
+  });
+}
+
+const canUpload = requirePermission("media.upload");
+const canManage = requirePermission("media.manage");
+
+// --- Validation Middleware Definitions ---
+const validateMediaIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Media ID must be a positive integer")
+    .toInt(),
+];
+
+const validateAltBody = [
+  body("alt")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("Alt text cannot exceed 255 characters"),
+];
+
+const validateListQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage("Limit must be a positive integer (max 100)"),
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search text cannot exceed 100 characters"),
+];
+
+// --- Routes ---
+// Browsing and uploading (also for suggestions) need media.upload; edits and
+// deletes need media.manage
+router.use(authenticateToken);
+
+// GET /api/admin/media?page=&limit=&q= (Newest first)
+router.get("/", canUpload, validateListQuery, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 24;
+    const where = {};
+    if (req.query.q) {
+      const pattern = `%${escapeLike(req.query.q)}%`;
+      where[Op.or] = [
+        { originalName: { [Op.iLike]: pattern } },
+        { alt: { [Op.iLike]: pattern } },
+      ];
+    }
+
+    const { count, rows } = await Media.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: "uploadedBy", attributes: ["id", "username"] },
+      ],
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    });
+    res.json({
+      totalMedia: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      media: rows.map(serializeMedia),
+    });
+  } catch (error) {
+    console.error("[Admin Media] Error listing media:", error);
+    next(error);
+  }
+});
+
+// POST /api/admin/media (multipart/form-data: file, alt)
+router.post(
+  "/",
+  canUpload,
+  receiveUpload,
+  validateAltBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+    if (!req.file) {
+      return next(
+        new ErrorHandler("An image file is required (field 'file')", 400)
+      );
+    }
+
+    let stored;
+    try {
+      stored = await storeImage(req.file.buffer);
+      const media = await Media.create({
+        ...stored,
+        originalName: req.file.originalname.slice(0, 255),
+        alt: req.body.alt || null,
+        uploadedById: req.user.userId,
+      });
+      console.log(
+        `Media ${media.id} (${media.fileName}) uploaded by user ${req.user.userId}`
+      );
+      res.status(201).json(serializeMedia(media));
+    } catch (error) {
+      // Don't leave files behind for a row that was never created
+      if (stored) await removeImageFiles(stored).catch(() => {});
+      console.error("Upload Media Error:", error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/media/:id (Alt text only; the image itself is immutable)
+router.put(
+  "/:id",
+  canManage,
+  validateMediaIdParam,
+  validateAltBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const media = await Media.findByPk(req.params.id);
+      if (!media) {
+        return next(new ErrorHandler("Media not found", 404));
+      }
+      await media.update({ alt: req.body.alt || null });
+      res.json(serializeMedia(media));
+    } catch (error) {
+      console.error(`Update Media Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/media/:id (Refused while an article still shows it)
+router.delete(
+  "/:id",
+  canManage,
+  validateMediaIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Media ID", 400, errors.array()));
+    }
+
+    try {
+      const media = await Media.findByPk(req.params.id);
+      if (!media) {
+        return next(new ErrorHandler("Media not found", 404));
+      }
+
+      // Variants share the original's random key
+      const key = `%${media.fileName.split(".")[0]}%`;
+      const usedBy = await Article.count({
+        where: {
+          [Op.or]: [
+            { imageUrl: { [Op.like]: key } },
+            { content_en: { [Op.like]: key } },
+            { content_rus: { [Op.like]: key } },
+            { content_mng: { [Op.like]: key } },
+          ],
+        },
+      });
+      if (usedBy > 0) {
+        return next(
+          new ErrorHandler(
+            `Image is used by ${usedBy} article(s); remove it from them first`,
+            409
+          )
+        );
+      }
+
+      await media.destroy();
+      await removeImageFiles(media);
+      console.log(`Media ${req.params.id} deleted by admin ${req.user.userId}`);
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Delete Media Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
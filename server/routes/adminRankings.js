@@ -0,0 +1,75 @@
+// server/routes/adminRankings.js
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+
+const { Setting } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const {
+  COMPETITION_TIERS,
+  POINTS_TABLE_KEY,
+  getPointsTable,
+} = require("../utils/rankings");
+
+// --- Validation Middleware Definitions ---
+const validatePointsTable = [
+  body("placements")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Placements must list between 1 and 100 point values"),
+  body("placements.*")
+    .isInt({ min: 0, max: 10000 })
+    .withMessage("Placement points must be whole numbers (0-10000)")
+    .toInt(),
+  body("tiers")
+    .custom((tiers) => {
+      if (typeof tiers !== "object" || tiers === null || Array.isArray(tiers))
+        return false;
+      return Object.entries(tiers).every(
+        ([tier, weight]) =>
+          COMPETITION_TIERS.includes(tier) &&
+          typeof weight === "number" &&
+          weight >= 0 &&
+          weight <= 10
+      );
+    })
+    .withMessage(
+      `Tiers must map ${COMPETITION_TIERS.join(", ")} to weights between 0 and 10`
+    ),
+];
+
+// --- Routes (all need rankings.manage) ---
+router.use(authenticateToken, requirePermission("rankings.manage"));
+
+// GET /api/admin/rankings/points-table
+router.get("/points-table", async (req, res, next) => {
+  try {
+    res.json(await getPointsTable());
+  } catch (error) {
+    console.error("[Admin Rankings] Error loading points table:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/rankings/points-table
+router.put("/points-table", validatePointsTable, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    await Setting.setValue(POINTS_TABLE_KEY, {
+      placements: req.body.placements,
+      tiers: req.body.tiers,
+    });
+    console.log(`Ranking points table updated by admin ${req.user.userId}`);
+    res.json(await getPointsTable());
+  } catch (error) {
+    console.error("[Admin Rankings] Error saving points table:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+// server/routes/adminResults.js
+// Results entry for judges. Mounted at /api/admin/competitions/:competitionId/results
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { body, param, query, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const {
+  sequelize,
+  Athlete,
+  Competition,
+  CompetitionRegistration,
+  CompetitionResult,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const { escapeLike } = require("../utils/textSearch");
+const { HIT_ZONES, scoreRounds } = require("../utils/scoring");
+
+// --- Validation Middleware Definitions ---
+const validateCompetitionIdParam = [
+  param("competitionId")
+    .isInt({ min: 1 })
+    .withMessage("Competition ID must be a positive integer")
+    .toInt(),
+];
+
+const validateResultIdParam = [
+  param("resultId")
+    .isInt({ min: 1 })
+    .withMessage("Result ID must be a positive integer")
+    .toInt(),
+];
+
+const validateResultBody = [
+  body("registrationId")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Registration ID must be a positive integer")
+    .toInt(),
+  body("athleteId")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Athlete ID must be a positive integer")
+    .toInt(),
+  // Athlete details may come from the linked registration instead
+  body("athleteName")
+    .if(body("registrationId").not().exists({ checkNull: true }))
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("Athlete name must be between 2 and 255 characters"),
+  body(["club", "ageCategory"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("Club and age category cannot exceed 255 characters"),
+  body("gender")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(["male", "female"])
+    .withMessage("Gender must be 'male' or 'female'"),
+  body("discipline")
+    .if(body("registrationId").not().exists({ checkNull: true }))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape()
+    .withMessage("Discipline is required"),
+  body("rounds")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Between 1 and 20 rounds are required"),
+  body("rounds.*.distance")
+    .isFloat({ min: 0.5, max: 50 })
+    .withMessage("Round distance must be between 0.5 and 50 meters")
+    .toFloat(),
+  body("rounds.*.throws")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Each round needs between 1 and 20 throws"),
+  body("rounds.*.throws.*")
+    .isIn(HIT_ZONES)
+    .withMessage(`Hit zone must be one of: ${HIT_ZONES.join(", ")}`),
+];
+
+// --- Helper Functions ---
+
+// Resolves athlete fields from the body or the linked registration
+async function buildResultFields(competition, data, transaction) {
+  let fields = {
+    registrationId: null,
+    athleteName: data.athleteName,
+    club: data.club || null,
+    ageCategory: data.ageCategory || null,
+    gender: data.gender || null,
+    discipline: data.discipline,
+  };
+
+  if (data.registrationId) {
+    const registration = await CompetitionRegistration.findOne({
+      where: { id: data.registrationId, competitionId: competition.id },
+      transaction,
+    });
+    if (!registration) {
+      throw new ErrorHandler(
+        "Registration not found for this competition",
+        404
+      );
+    }
+    fields = {
+      registrationId: registration.id,
+      athleteName: registration.athleteName,
+      club: registration.club,
+      ageCategory: registration.ageCategory,
+      gender: registration.gender,
+      discipline: registration.discipline,
+    };
+  }
+
+  if (!competition.disciplines.includes(fields.discipline)) {
+    throw new ErrorHandler("Validation Error", 400, [
+      {
+        path: "discipline",
+        msg: `Discipline must be one of: ${competition.disciplines.join(", ")}`,
+      },
+    ]);
+  }
+
+  // Optional link to an athlete profile for the results history; an edit
+  // that leaves the key out keeps the current link
+  if (data.athleteId !== undefined) {
+    fields.athleteId = null;
+    if (data.athleteId) {
+      const athlete = await Athlete.findByPk(data.athleteId, { transaction });
+      if (!athlete) {
+        throw new ErrorHandler("Athlete not found", 404);
+      }
+      fields.athleteId = athlete.id;
+    }
+  }
+
+  const { rounds, totalScore, zoneCounts } = scoreRounds(data.rounds);
+  return { ...fields, rounds, totalScore, zoneCounts };
+}
+
+// Linking a result to an athlete profile, or unlinking it, takes results.manage
+async function assertMayLinkAthlete(req, fields, currentAthleteId = null) {
+  if (fields.athleteId === undefined || fields.athleteId === currentAthleteId) {
+    return;
+  }
+  if (!(await hasPermission(req, "results.manage"))) {
+    throw new ErrorHandler(
+      "Forbidden: results.manage permission required",
+      403
+    );
+  }
+}
+
+// Rejects a second result for the same athlete in the same discipline
+async function assertNoDuplicate(
+  competitionId,
+  fields,
+  excludeId,
+  transaction
+) {
+  const where = {
+    competitionId,
+    discipline: fields.discipline,
+    athleteName: { [Op.iLike]: escapeLike(fields.athleteName) },
+  };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+  const existing = await CompetitionResult.findOne({ where, transaction });
+  if (existing) {
+    throw new ErrorHandler(
+      "A result for this athlete and discipline already exists",
+      409
+    );
+  }
+}
+
+// --- Routes (all need results.enter) ---
+router.use(authenticateToken);
+
+// GET /api/admin/competitions/:competitionId/results
+router.get(
+  "/",
+  requirePermission("results.enter"),
+  validateCompetitionIdParam,
+  query("discipline").optional().trim().escape(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Competition ID", 400, errors.array())
+      );
+    }
+
+    try {
+      const where = { competitionId: req.params.competitionId };
+      if (req.query.discipline) where.discipline = req.query.discipline;
+      const results = await CompetitionResult.findAll({
+        where,
+        order: [
+          ["discipline", "ASC"],
+          ["placement", "ASC"],
+          ["athleteName", "ASC"],
+        ],
+      });
+      res.json(results);
+    } catch (error) {
+      console.error(
+        `[Admin Results] Error listing results for competition ${req.params.competitionId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/competitions/:competitionId/results
+router.post(
+  "/",
+  requirePermission("results.enter"),
+  validateCompetitionIdParam,
+  validateResultBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const competition = await Competition.findByPk(req.params.competitionId, {
+        transaction,
+      });
+      if (!competition) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Competition not found", 404));
+      }
+
+      const fields = await buildResultFields(
+        competition,
+        req.body,
+        transaction
+      );
+      await assertMayLinkAthlete(req, fields);
+      await assertNoDuplicate(competition.id, fields, null, transaction);
+
+      const result = await CompetitionResult.create(
+        {
+          ...fields,
+          competitionId: competition.id,
+          enteredById: req.user.userId,
+        },
+        { transaction }
+      );
+      await CompetitionResult.recalculatePlacements(
+        competition.id,
+        result.discipline,
+        { transaction }
+      );
+      await transaction.commit();
+      await result.reload();
+
+      console.log(
+        `Result ${result.id} entered by user ${req.user.userId} for competition ${competition.id}`
+      );
+      res.status(201).json(result);
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error("Create Result Error:", error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/competitions/:competitionId/results/:resultId
+router.put(
+  "/:resultId",
+  requirePermission("results.enter"),
+  validateCompetitionIdParam,
+  validateResultIdParam,
+  validateResultBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const competition = await Competition.findByPk(req.params.competitionId, {
+        transaction,
+      });
+      const result = await CompetitionResult.findOne({
+        where: {
+          id: req.params.resultId,
+          competitionId: req.params.competitionId,
+        },
+        transaction,
+      });
+      if (!competition || !result) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Result not found", 404));
+      }
+
+      const previousDiscipline = result.discipline;
+      const fields = await buildResultFields(
+        competition,
+        req.body,
+        transaction
+      );
+      await assertMayLinkAthlete(req, fields, result.athleteId);
+      await assertNoDuplicate(competition.id, fields, result.id, transaction);
+
+      await result.update(
+        { ...fields, enteredById: req.user.userId },
+        { transaction }
+      );
+      await CompetitionResult.recalculatePlacements(
+        competition.id,
+        result.discipline,
+        { transaction }
+      );
+      // Moving a result to another discipline reshuffles the old one too
+      if (previousDiscipline !== result.discipline) {
+        await CompetitionResult.recalculatePlacements(
+          competition.id,
+          previousDiscipline,
+          { transaction }
+        );
+      }
+      await transaction.commit();
+      await result.reload();
+
+      console.log(`Result ${result.id} updated by user ${req.user.userId}`);
+      res.json(result);
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(`Update Result Error (ID: ${req.params.resultId}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/competitions/:competitionId/results/:resultId
+router.delete(
+  "/:resultId",
+  requirePermission("results.enter"),
+  validateCompetitionIdParam,
+  validateResultIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Result ID", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const result = await CompetitionResult.findOne({
+        where: {
+          id: req.params.resultId,
+          competitionId: req.params.competitionId,
+        },
+        transaction,
+      });
+      if (!result) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Result not found", 404));
+      }
+
+      await result.destroy({ transaction });
+      await CompetitionResult.recalculatePlacements(
+        result.competitionId,
+        result.discipline,
+        { transaction }
+      );
+      await transaction.commit();
+
+      console.log(
+        `Result ${req.params.resultId} deleted by user ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(`Delete Result Error (ID: ${req.params.resultId}):`, error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+// server/routes/adminRoles.js
+// Staff roles and their permissions. Mounted at /api/admin/roles
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const { sequelize, Role, RolePermission, User } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+const {
+  ADMIN_ROLE,
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  PROTECTED_ROLES,
+} = require("../utils/permissions");
+
+// --- Validation Middleware Definitions ---
+const validateRoleNameParam = [
+  param("name").isString().trim().notEmpty().withMessage("Role is required"),
+];
+
+const validateRoleBody = [
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("Description cannot exceed 255 characters"),
+  body("permissions")
+    .isArray()
+    .withMessage("Permissions must be a list")
+    .custom((value) => value.every((p) => PERMISSION_NAMES.includes(p)))
+    .withMessage("Unknown permission"),
+];
+
+const validateNewRole = [
+  body("name")
+    .trim()
+    .matches(/^[a-z][a-z0-9-]{1,29}$/)
+    .withMessage(
+      "Name must be 2-30 lowercase letters, digits or hyphens (e.g. photo-editor)"
+    ),
+  ...validateRoleBody,
+];
+
+// --- Helper Functions ---
+
+async function formatRole(role, userCounts) {
+  return {
+    name: role.name,
+    description: role.description,
+    permissions: await Role.permissionsOf(role.name),
+    userCount: userCounts[role.name] || 0,
+    editable: role.name !== ADMIN_ROLE, // Always has every permission
+    deletable: !PROTECTED_ROLES.includes(role.name),
+  };
+}
+
+async function countUsersByRole() {
+  const users = await User.findAll({ attributes: ["role"] });
+  return users.reduce((counts, { role }) => {
+    counts[role] = (counts[role] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+// --- Routes ---
+router.use(authenticateToken);
+
+// GET /api/admin/roles (Roles plus the list of all permissions; user managers
+// need it to pick roles)
+router.get(
+  "/",
+  requirePermission("roles.manage", "users.manage"),
+  async (req, res, next) => {
+    try {
+      const roles = await Role.findAll({ order: [["name", "ASC"]] });
+      const userCounts = await countUsersByRole();
+      res.json({
+        roles: await Promise.all(roles.map((r) => formatRole(r, userCounts))),
+        permissions: PERMISSION_NAMES.map((name) => ({
+          name,
+          description: PERMISSIONS[name],
+        })),
+      });
+    } catch (error) {
+      console.error("[Admin Roles] Error listing roles:", error);
+      next(error);
+    }
+  }
+);
+
+// Changing roles needs roles.manage
+router.use(requirePermission("roles.manage"));
+
+// POST /api/admin/roles
+router.post("/", validateNewRole, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  let transaction;
+  try {
+    if (await Role.findByPk(req.body.name)) {
+      return next(
+        new ErrorHandler(`A role named "${req.body.name}" already exists`, 409)
+      );
+    }
+
+    transaction = await sequelize.transaction();
+    const role = await Role.create(
+      { name: req.body.name, description: req.body.description || null },
+      { transaction }
+    );
+    await role.setPermissions(req.body.permissions, { transaction });
+    await transaction.commit();
+
+    console.log(`Role ${role.name} created by user ${req.user.userId}`);
+    res.status(201).json(await formatRole(role, {}));
+  } catch (error) {
+    if (transaction && !transaction.finished) {
+      await transaction.rollback();
+    }
+    console.error("Create Role Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/roles/:name (Description and permissions; takes effect on
+// the next request of every user with the role)
+router.put(
+  "/:name",
+  validateRoleNameParam,
+  validateRoleBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      const role = await Role.findByPk(req.params.name);
+      if (!role) return next(new ErrorHandler("Role not found", 404));
+      if (role.name === ADMIN_ROLE) {
+        return next(
+          new ErrorHandler("The admin role always has every permission", 403)
+        );
+      }
+
+      transaction = await sequelize.transaction();
+      await role.update(
+        { description: req.body.description ?? role.description },
+        { transaction }
+      );
+      await role.setPermissions(req.body.permissions, { transaction });
+      await transaction.commit();
+
+      console.log(
+        `Role ${role.name} updated by user ${req.user.userId}: ${req.body.permissions.join(", ") || "no permissions"}`
+      );
+      res.json(await formatRole(role, await countUsersByRole()));
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(`Update Role Error (${req.params.name}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/roles/:name (Only roles nobody has)
+router.delete("/:name", validateRoleNameParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid role", 400, errors.array()));
+  }
+
+  try {
+    const role = await Role.findByPk(req.params.name);
+    if (!role) return next(new ErrorHandler("Role not found", 404));
+    if (PROTECTED_ROLES.includes(role.name)) {
+      return next(new ErrorHandler("This role cannot be deleted", 403));
+    }
+    const users = await User.count({ where: { role: role.name } });
+    if (users > 0) {
+      return next(
+        new ErrorHandler(
+          `The role is still given to ${users} user(s); change their role first`,
+          409
+        )
+      );
+    }
+
+    await RolePermission.destroy({ where: { roleName: role.name } });
+    await role.destroy();
+    console.log(`Role ${role.name} deleted by user ${req.user.userId}`);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Delete Role Error (${req.params.name}):`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
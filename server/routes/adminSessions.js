@@ -0,0 +1,79 @@
+// server/routes/adminSessions.js
+// The logged-in user's own sessions (one per device). Mounted at /api/admin/sessions
+const express = require("express");
+const router = express.Router();
+const { param, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { Session } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const ErrorHandler = require("../utils/errorHandler");
+
+// --- Validation Middleware Definitions ---
+const validateSessionIdParam = [
+  param("sessionId")
+    .isInt({ min: 1 })
+    .withMessage("Session ID must be a positive integer")
+    .toInt(),
+];
+
+// --- Routes (any logged-in user, for their own sessions) ---
+router.use(authenticateToken);
+
+// GET /api/admin/sessions
+router.get("/", async (req, res, next) => {
+  try {
+    const sessions = await Session.findAll({
+      where: { userId: req.user.userId, expiresAt: { [Op.gt]: new Date() } },
+      attributes: [
+        "id",
+        "userAgent",
+        "ipAddress",
+        "createdAt",
+        "lastUsedAt",
+        "expiresAt",
+      ],
+      order: [["lastUsedAt", "DESC"]],
+    });
+    res.json(
+      sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === req.user.sid,
+      }))
+    );
+  } catch (error) {
+    console.error(
+      `[Sessions] Error listing sessions for user ${req.user.userId}:`,
+      error
+    );
+    next(error);
+  }
+});
+
+// DELETE /api/admin/sessions/:sessionId - Logs that device out
+router.delete("/:sessionId", validateSessionIdParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid Session ID", 400, errors.array()));
+  }
+
+  try {
+    const revoked = await Session.destroy({
+      where: { id: req.params.sessionId, userId: req.user.userId },
+    });
+    if (!revoked) return next(new ErrorHandler("Session not found", 404));
+
+    console.log(
+      `[Sessions] Session ${req.params.sessionId} revoked by user ${req.user.userId}`
+    );
+    res.status(204).send();
+  } catch (error) {
+    console.error(
+      `[Sessions] Error revoking session ${req.params.sessionId}:`,
+      error
+    );
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// server/routes/adminTags.js
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { Tag, ArticleTag } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+
+const canView = requirePermission("articles.view");
+const canManage = requirePermission("taxonomy.manage");
+
+// --- Validation Middleware Definitions ---
+const validateTagBody = [
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage(
+      "Slug must be 1-50 lowercase letters, digits or single hyphens (e.g. world-cup)"
+    ),
+  body("name_en")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape()
+    .withMessage("English name must be between 1 and 100 characters"),
+  body(["name_rus", "name_mng"])
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 100 })
+    .escape()
+    .withMessage("Translated names cannot exceed 100 characters"),
+];
+
+const validateTagIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Tag ID must be a positive integer")
+    .toInt(),
+];
+
+// Picks the writable fields from a validated request body
+const pickTagFields = (data) => ({
+  slug: data.slug,
+  name_en: data.name_en,
+  name_rus: data.name_rus || null,
+  name_mng: data.name_mng || null,
+});
+
+// Slugs appear in public URLs, so two tags can never share one
+async function assertSlugAvailable(slug, excludeId) {
+  const where = { slug };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+  if (await Tag.findOne({ where })) {
+    throw new ErrorHandler(`A tag with slug "${slug}" already exists`, 409);
+  }
+}
+
+// --- Routes ---
+// Anyone who sees articles may read tags; writes need taxonomy.manage
+router.use(authenticateToken);
+
+// GET /api/admin/tags (All raw fields plus article counts)
+router.get("/", canView, async (req, res, next) => {
+  try {
+    const tags = await Tag.findAll({ order: [["name_en", "ASC"]] });
+    const links = await ArticleTag.findAll({ attributes: ["tagId"] });
+    res.json(
+      tags.map((tag) => ({
+        ...tag.toJSON(),
+        articleCount: links.filter((l) => l.tagId === tag.id).length,
+      }))
+    );
+  } catch (error) {
+    console.error("[Admin Tags] Error listing tags:", error);
+    next(error);
+  }
+});
+
+// POST /api/admin/tags
+router.post("/", canManage, validateTagBody, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Validation Error", 400, errors.array()));
+  }
+
+  try {
+    await assertSlugAvailable(req.body.slug);
+    const tag = await Tag.create(pickTagFields(req.body));
+    console.log(`Tag created by admin ${req.user.userId}:`, tag.id);
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error("Create Tag Error:", error);
+    next(error);
+  }
+});
+
+// PUT /api/admin/tags/:id
+router.put(
+  "/:id",
+  canManage,
+  validateTagIdParam,
+  validateTagBody,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const tag = await Tag.findByPk(req.params.id);
+      if (!tag) {
+        return next(new ErrorHandler("Tag not found", 404));
+      }
+
+      await assertSlugAvailable(req.body.slug, tag.id);
+      await tag.update(pickTagFields(req.body));
+      console.log(`Tag ${tag.id} updated by admin ${req.user.userId}`);
+      res.json(tag);
+    } catch (error) {
+      console.error(`Update Tag Error (ID: ${req.params.id}):`, error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/tags/:id (Articles lose the tag, nothing else)
+router.delete("/:id", canManage, validateTagIdParam, async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler("Invalid Tag ID", 400, errors.array()));
+  }
+
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return next(new ErrorHandler("Tag not found", 404));
+    }
+
+    await ArticleTag.destroy({ where: { tagId: tag.id } });
+    await tag.destroy();
+    console.log(`Tag ${req.params.id} deleted by admin ${req.user.userId}`);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Delete Tag Error (ID: ${req.params.id}):`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// server/routes/adminTranslations.js
+// Translation queue and assignments. Mounted at /api/admin/translations
+const express = require("express");
+const router = express.Router();
+const { body, param, query, validationResult } = require("express-validator");
+
+const {
+  sequelize,
+  Article,
+  ArticleTranslation,
+  Role,
+  User,
+} = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission, hasPermission } = require("../middleware/roles");
+const ErrorHandler = require("../utils/errorHandler");
+
+const { TRANSLATION_LANGS, TRANSLATION_STATUSES } = ArticleTranslation;
+// What the queue shows unless asked otherwise
+const OPEN_STATUSES = ["missing", "outdated", "draft"];
+
+// --- Validation Middleware Definitions ---
+const validateQueueQuery = [
+  query("lang")
+    .isIn(TRANSLATION_LANGS)
+    .withMessage(`Language must be one of: ${TRANSLATION_LANGS.join(", ")}`),
+  query("status")
+    .optional()
+    .custom((value) =>
+      value.split(",").every((s) => TRANSLATION_STATUSES.includes(s))
+    )
+    .withMessage(
+      `Status must be a comma-separated list of: ${TRANSLATION_STATUSES.join(", ")}`
+    ),
+  query("assignedTo")
+    .optional()
+    .custom((value) => value === "me" || /^[1-9]\d*$/.test(value))
+    .withMessage("assignedTo must be a user ID or 'me'"),
+];
+
+const validateArticleIdParam = [
+  param("articleId")
+    .isInt({ min: 1 })
+    .withMessage("Article ID must be a positive integer")
+    .toInt(),
+];
+
+const validateTranslationParams = [
+  ...validateArticleIdParam,
+  param("lang")
+    .isIn(TRANSLATION_LANGS)
+    .withMessage(`Language must be one of: ${TRANSLATION_LANGS.join(", ")}`),
+];
+
+const validateAssignee = [
+  body("translatorId")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Translator ID must be a positive integer")
+    .toInt(),
+];
+
+// --- Helper Functions ---
+
+// Outdated first: readers already see a translation that no longer matches
+const STATUS_PRIORITY = { outdated: 0, missing: 1, draft: 2, reviewed: 3 };
+
+const translatorInclude = {
+  model: User,
+  as: "translator",
+  attributes: ["id", "username"],
+};
+
+function formatTranslation(translation) {
+  const article = translation.article;
+  return {
+    articleId: translation.articleId,
+    lang: translation.lang,
+    status: translation.status,
+    translator: translation.translator
+      ? {
+          id: translation.translator.id,
+          username: translation.translator.username,
+        }
+      : null,
+    reviewedAt: translation.reviewedAt,
+    updatedAt: translation.updatedAt,
+    ...(article && {
+      title: article.title_en,
+      translatedTitle: article[`title_${translation.lang}`] || null,
+      articleStatus: article.status,
+      category: article.category,
+    }),
+  };
+}
+
+// Translators only work on their own languages; managers see all of them
+async function allowedLanguages(req) {
+  if (await hasPermission(req, "translations.manage")) {
+    return TRANSLATION_LANGS;
+  }
+  const user = await User.findByPk(req.user.userId, {
+    attributes: ["id", "languages"],
+  });
+  return TRANSLATION_LANGS.filter((lang) => user?.canTranslate(lang));
+}
+
+// Those who translate, as opposed to those who assign and review
+async function isTranslator(user, lang) {
+  const permissions = await Role.permissionsOf(user.role);
+  return (
+    permissions.includes("translations.edit") &&
+    !permissions.includes("translations.manage") &&
+    user.canTranslate(lang)
+  );
+}
+
+async function findTranslation(articleId, lang, transaction) {
+  return ArticleTranslation.findOne({
+    where: { articleId, lang },
+    include: [translatorInclude],
+    transaction,
+  });
+}
+
+// --- Routes ---
+router.use(authenticateToken);
+
+// GET /api/admin/translations?lang=mng&status=missing,outdated&assignedTo=me
+// Translators use this too, to find the translations assigned to them
+router.get(
+  "/",
+  requirePermission("translations.edit", "translations.manage"),
+  validateQueueQuery,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid query", 400, errors.array()));
+    }
+
+    try {
+      if (!(await allowedLanguages(req)).includes(req.query.lang)) {
+        return next(
+          new ErrorHandler("Forbidden: You don't translate this language", 403)
+        );
+      }
+      const where = {
+        lang: req.query.lang,
+        status: req.query.status ? req.query.status.split(",") : OPEN_STATUSES,
+      };
+      if (req.query.assignedTo) {
+        where.translatorId =
+          req.query.assignedTo === "me"
+            ? req.user.userId
+            : parseInt(req.query.assignedTo, 10);
+      }
+
+      const translations = await ArticleTranslation.findAll({
+        where,
+        include: [
+          translatorInclude,
+          {
+            model: Article,
+            as: "article",
+            attributes: [
+              "id",
+              "title_en",
+              `title_${req.query.lang}`,
+              "status",
+              "category",
+              "createdAt",
+            ],
+          },
+        ],
+      });
+
+      const queue = translations
+        .sort(
+          (a, b) =>
+            STATUS_PRIORITY[a.status] - STATUS_PRIORITY[b.status] ||
+            b.article.createdAt - a.article.createdAt
+        )
+        .map(formatTranslation);
+      res.json(queue);
+    } catch (error) {
+      console.error("[Admin Translations] Error loading queue:", error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/translations/articles/:articleId (status in every language)
+router.get(
+  "/articles/:articleId",
+  requirePermission("translations.edit", "translations.manage"),
+  validateArticleIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid Article ID", 400, errors.array()));
+    }
+
+    try {
+      const translations = await ArticleTranslation.findAll({
+        where: {
+          articleId: req.params.articleId,
+          lang: await allowedLanguages(req),
+        },
+        include: [translatorInclude],
+        order: [["lang", "ASC"]],
+      });
+      res.json(translations.map(formatTranslation));
+    } catch (error) {
+      console.error(
+        `[Admin Translations] Error loading article ${req.params.articleId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/translations/:articleId/:lang/assignee
+// Body: { translatorId } - a translator for this language, or null to unassign
+router.put(
+  "/:articleId/:lang/assignee",
+  requirePermission("translations.manage"),
+  validateTranslationParams,
+  validateAssignee,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const { articleId, lang } = req.params;
+      const translation = await findTranslation(articleId, lang);
+      if (!translation) {
+        return next(new ErrorHandler("Article not found", 404));
+      }
+
+      const translatorId = req.body.translatorId ?? null;
+      if (translatorId) {
+        const translator = await User.findByPk(translatorId);
+        if (!translator || !(await isTranslator(translator, lang))) {
+          return next(
+            new ErrorHandler(
+              "Translators must be users who translate this language",
+              400
+            )
+          );
+        }
+      }
+
+      await translation.update({ translatorId });
+      await translation.reload();
+      console.log(
+        `Translation ${lang} of article ${articleId} assigned to ${translatorId ?? "nobody"} by user ${req.user.userId}`
+      );
+      res.json(formatTranslation(translation));
+    } catch (error) {
+      console.error(
+        `[Admin Translations] Error assigning ${req.params.lang} of article ${req.params.articleId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/translations/:articleId/:lang/review
+// Approves the translation as it stands against the current English text
+router.post(
+  "/:articleId/:lang/review",
+  requirePermission("translations.manage"),
+  validateTranslationParams,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    let transaction;
+    try {
+      transaction = await sequelize.transaction();
+      const { articleId, lang } = req.params;
+      const article = await Article.findByPk(articleId, { transaction });
+      const translation =
+        article && (await findTranslation(articleId, lang, transaction));
+      if (!translation) {
+        await transaction.rollback();
+        return next(new ErrorHandler("Article not found", 404));
+      }
+      if (!ArticleTranslation.isTranslated(article, lang)) {
+        await transaction.rollback();
+        return next(
+          new ErrorHandler(
+            "The article has no translation in this language yet",
+            409
+          )
+        );
+      }
+
+      await translation.update(
+        {
+          status: "reviewed",
+          sourceHash: ArticleTranslation.sourceHash(article),
+          reviewedById: req.user.userId,
+          reviewedAt: new Date(),
+        },
+        { transaction }
+      );
+      await transaction.commit();
+
+      console.log(
+        `Translation ${lang} of article ${articleId} reviewed by user ${req.user.userId}`
+      );
+      res.json(formatTranslation(translation));
+    } catch (error) {
+      if (transaction && !transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(
+        `[Admin Translations] Error reviewing ${req.params.lang} of article ${req.params.articleId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,397 @@
+// server/routes/adminTwoFactor.js
+// Two-factor login for staff. Mounted at /api/admin/2fa
+const express = require("express");
+const router = express.Router();
+const { body, param, validationResult } = require("express-validator");
+
+const { Setting, User } = require("../models");
+const authenticateToken = require("../middleware/auth");
+const { requirePermission } = require("../middleware/roles");
+const {
+  applyLimiterIfNeeded,
+  twoFactorLimiter,
+} = require("../middleware/rateLimit");
+const ErrorHandler = require("../utils/errorHandler");
+const { isAdminOnlyChange } = require("../utils/permissions");
+const {
+  issueTokens,
+  sendTokens,
+  verifyPurposeToken,
+} = require("../utils/authTokens");
+const {
+  REQUIRE_FOR_ADMINS_KEY,
+  TWO_FACTOR_LOGIN,
+  TWO_FACTOR_SETUP,
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+  isRequiredForAdmins,
+  isRequiredFor,
+} = require("../utils/twoFactor");
+
+const canManageUsers = requirePermission("users.manage");
+
+// --- Validation Middleware Definitions ---
+const validateCode = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits from your authenticator app"),
+];
+
+// Either a code from the app or one of the recovery codes
+const validateSecondFactor = [
+  body("code")
+    .if(body("recoveryCode").not().exists({ checkFalsy: true }))
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be the 6 digits from your authenticator app"),
+  body("recoveryCode")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Recovery code is too long"),
+];
+
+const validateTwoFactorToken = [
+  body("twoFactorToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Two-factor token is required."),
+];
+
+const validateUserIdParam = [
+  param("userId")
+    .isInt({ min: 1 })
+    .withMessage("User ID must be a positive integer")
+    .toInt(),
+];
+
+// --- Helper Functions ---
+
+// Setup works with a normal login, or with the token handed out when a
+// login is refused until two-factor is set up
+function authenticateForSetup(req, res, next) {
+  if (!req.body?.twoFactorToken) return authenticateToken(req, res, next);
+  const decoded = verifyPurposeToken(req.body.twoFactorToken, TWO_FACTOR_SETUP);
+  if (!decoded) {
+    return next(
+      new ErrorHandler("Invalid or expired two-factor setup token.", 401)
+    );
+  }
+  req.user = { userId: decoded.userId };
+  req.settingUpAtLogin = true;
+  next();
+}
+
+async function disableTwoFactor(user) {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorLastUsedStep = null;
+  user.twoFactorRecoveryCodes = [];
+  await user.save();
+}
+
+const statusOf = async (user) => ({
+  enabled: user.twoFactorEnabled,
+  recoveryCodesRemaining: user.twoFactorEnabled
+    ? user.twoFactorRecoveryCodes.length
+    : 0,
+  required: await isRequiredFor(user),
+});
+
+// --- Routes ---
+
+// POST /api/admin/2fa/login - Second login step, after POST /api/admin/login
+router.post(
+  "/login",
+  applyLimiterIfNeeded(twoFactorLimiter),
+  validateTwoFactorToken,
+  validateSecondFactor,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const decoded = verifyPurposeToken(
+        req.body.twoFactorToken,
+        TWO_FACTOR_LOGIN
+      );
+      const user = decoded && (await User.findByPk(decoded.userId));
+      if (!user || !user.twoFactorEnabled) {
+        return next(
+          new ErrorHandler("Invalid or expired two-factor token.", 401)
+        );
+      }
+
+      const accepted = await consumeSecondFactor(user, req.body);
+      if (!accepted) {
+        console.warn(`[2FA] Rejected second factor for user ${user.id}`);
+        return next(new ErrorHandler("Invalid two-factor code.", 401));
+      }
+
+      console.log(`[2FA] Login completed for user ${user.id}`);
+      sendTokens(req, res, await issueTokens(user, req));
+    } catch (error) {
+      console.error("[2FA] Error during two-factor login:", error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/admin/2fa - Own two-factor status
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) return next(new ErrorHandler("User not found.", 404));
+    res.json(await statusOf(user));
+  } catch (error) {
+    console.error("[2FA] Error loading status:", error);
+    next(error);
+  }
+});
+
+// POST /api/admin/2fa/setup - New secret for the authenticator app
+router.post("/setup", authenticateForSetup, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.userId);
+    if (!user) return next(new ErrorHandler("User not found.", 404));
+    if (user.twoFactorEnabled) {
+      return next(
+        new ErrorHandler("Two-factor authentication is already enabled.", 409)
+      );
+    }
+
+    // Not enforced until POST /enable confirms a code from it
+    user.twoFactorSecret = generateSecret();
+    await user.save();
+
+    res.json({
+      secret: user.twoFactorSecret,
+      otpauthUrl: otpauthUrl(user.twoFactorSecret, user.username),
+    });
+  } catch (error) {
+    console.error("[2FA] Error starting setup:", error);
+    next(error);
+  }
+});
+
+// POST /api/admin/2fa/enable - Confirms the setup with a first code
+router.post(
+  "/enable",
+  authenticateForSetup,
+  validateCode,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const user = await User.findByPk(req.user.userId);
+      if (!user) return next(new ErrorHandler("User not found.", 404));
+      if (user.twoFactorEnabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is already enabled.", 409)
+        );
+      }
+      if (!user.twoFactorSecret) {
+        return next(new ErrorHandler("Start the two-factor setup first.", 400));
+      }
+
+      const step = verifyTotp(user.twoFactorSecret, req.body.code);
+      if (step === null) {
+        return next(new ErrorHandler("Invalid two-factor code.", 400));
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactorEnabled = true;
+      user.twoFactorLastUsedStep = step;
+      user.twoFactorRecoveryCodes = hashes;
+
+      const response = {
+        message: "Two-factor authentication enabled.",
+        recoveryCodes: codes,
+      };
+      await user.save();
+
+      console.log(`[2FA] Enabled for user ${user.id}`);
+      // Setting up was the last step of a login
+      if (req.settingUpAtLogin) {
+        return sendTokens(req, res, await issueTokens(user, req), response);
+      }
+      res.json(response);
+    } catch (error) {
+      console.error("[2FA] Error enabling two-factor:", error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/2fa/recovery-codes - Replaces all recovery codes
+router.post(
+  "/recovery-codes",
+  authenticateToken,
+  validateCode,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const user = await User.findByPk(req.user.userId);
+      if (!user?.twoFactorEnabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is not enabled.", 409)
+        );
+      }
+      if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+        return next(new ErrorHandler("Invalid two-factor code.", 400));
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactorRecoveryCodes = hashes;
+      await user.save();
+
+      console.log(`[2FA] Recovery codes regenerated for user ${user.id}`);
+      res.json({ recoveryCodes: codes });
+    } catch (error) {
+      console.error("[2FA] Error regenerating recovery codes:", error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/admin/2fa/disable - Needs the password and a second factor
+router.post(
+  "/disable",
+  authenticateToken,
+  body("password").notEmpty().withMessage("Password is required."),
+  validateSecondFactor,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const user = await User.findByPk(req.user.userId);
+      if (!user?.twoFactorEnabled) {
+        return next(
+          new ErrorHandler("Two-factor authentication is not enabled.", 409)
+        );
+      }
+      if (await isRequiredFor(user)) {
+        return next(
+          new ErrorHandler(
+            "Two-factor authentication is required for admins.",
+            409
+          )
+        );
+      }
+      if (
+        !(await user.validPassword(req.body.password)) ||
+        !(await consumeSecondFactor(user, req.body))
+      ) {
+        return next(new ErrorHandler("Invalid password or code.", 400));
+      }
+
+      await disableTwoFactor(user);
+
+      console.log(`[2FA] Disabled by user ${user.id}`);
+      res.json({ message: "Two-factor authentication disabled." });
+    } catch (error) {
+      console.error("[2FA] Error disabling two-factor:", error);
+      next(error);
+    }
+  }
+);
+
+// --- User Management (need users.manage) ---
+
+// GET /api/admin/2fa/policy
+router.get(
+  "/policy",
+  authenticateToken,
+  canManageUsers,
+  async (req, res, next) => {
+    try {
+      res.json({ requireForAdmins: await isRequiredForAdmins() });
+    } catch (error) {
+      console.error("[2FA] Error loading policy:", error);
+      next(error);
+    }
+  }
+);
+
+// PUT /api/admin/2fa/policy - Admins without it must set it up at next login
+router.put(
+  "/policy",
+  authenticateToken,
+  canManageUsers,
+  body("requireForAdmins")
+    .isBoolean()
+    .withMessage("requireForAdmins must be true or false")
+    .toBoolean(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      await Setting.setValue(REQUIRE_FOR_ADMINS_KEY, req.body.requireForAdmins);
+      console.log(
+        `[2FA] Requirement for admins set to ${req.body.requireForAdmins} by admin ${req.user.userId}`
+      );
+      res.json({ requireForAdmins: await isRequiredForAdmins() });
+    } catch (error) {
+      console.error("[2FA] Error saving policy:", error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/admin/2fa/users/:userId - Reset for a user who lost their device
+router.delete(
+  "/users/:userId",
+  authenticateToken,
+  canManageUsers,
+  validateUserIdParam,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler("Invalid User ID", 400, errors.array()));
+    }
+
+    try {
+      const user = await User.findByPk(req.params.userId);
+      if (!user) return next(new ErrorHandler("User not found.", 404));
+      if (isAdminOnlyChange(req.user.role, user.role)) {
+        return next(
+          new ErrorHandler("Only admins can reset an admin's two-factor.", 403)
+        );
+      }
+
+      await disableTwoFactor(user);
+
+      console.log(
+        `[2FA] Reset for user ${user.id} by admin ${req.user.userId}`
+      );
+      res.status(204).send();
+    } catch (error) {
+      console.error(
+        `[2FA] Error resetting two-factor for user ${req.params.userId}:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+// server/routes/articlePage.js
+// GET /article.html rendered on the server, so crawlers and readers without
+// JavaScript get the article, its title and share tags in the first response.
+// Needs the built client (client/dist); the client script hydrates the page.
+const express = require("express");
+const helmet = require("helmet");
+const router = express.Router();
+
+const { Article, ArticleSlug, Category } = require("../models");
+const { publiclyVisibleWhere } = require("../utils/articlePublishing");
+const { localizeCategory } = require("../utils/categories");
+const { articleMeta, renderMetaTags } = require("../utils/seo");
+const { loadShell, renderArticlePage } = require("../utils/articlePage");
+const { languagesOf, servedLanguage } = require("../utils/articleLanguages");
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ID_PATTERN = /^[1-9]\d*$/;
+
+// Accept-Language codes for the site's language keys
+const ACCEPT_CODES = { en: "en", ru: "rus", mn: "mng" };
+
+// The editor accepts cover and content images from any http(s) host, so the
+// page allows them; the global policy only lists the API's own image hosts
+const articlePagePolicy = helmet.contentSecurityPolicy({
+  directives: {
+    ...helmet.contentSecurityPolicy.getDefaultDirectives(),
+    "img-src": ["'self'", "data:", "https:", "http:"],
+  },
+});
+
+const articlePageUrl = (slug) =>
+  `/article.html?slug=${encodeURIComponent(slug)}`;
+
+// Old ID links carry no language; pick the reader's best translated version
+function preferredSlug(req, article) {
+  const translated = languagesOf(article);
+  const available = Object.keys(ACCEPT_CODES).filter((code) =>
+    translated.includes(ACCEPT_CODES[code])
+  );
+  const code = req.acceptsLanguages(...available) || "en";
+  return article[`slug_${ACCEPT_CODES[code]}`] || article.slug_en;
+}
+
+router.get("/article.html", articlePagePolicy, async (req, res, next) => {
+  const pageShell = loadShell();
+  if (!pageShell) return next(); // Client not built (development)
+
+  try {
+    const { slug, id } = req.query;
+
+    if (!slug && typeof id === "string" && ID_PATTERN.test(id)) {
+      const article = await Article.findOne({
+        where: { id, ...publiclyVisibleWhere() },
+      });
+      if (article) {
+        return res.redirect(301, articlePageUrl(preferredSlug(req, article)));
+      }
+    }
+
+    const found =
+      typeof slug === "string" && SLUG_PATTERN.test(slug)
+        ? await ArticleSlug.resolve(slug, { where: publiclyVisibleWhere() })
+        : null;
+    if (!found) {
+      // The client script shows its "not found" message
+      return res.status(404).type("html").send(pageShell);
+    }
+
+    const { article } = found;
+    // Slugs of untranslated (or removed) versions lead to the English page
+    const lang = servedLanguage(found.lang, languagesOf(article));
+    // Renamed articles: send readers and crawlers to the current URL
+    if (article[`slug_${lang}`] !== slug) {
+      return res.redirect(301, articlePageUrl(article[`slug_${lang}`]));
+    }
+
+    const category = await Category.findOne({
+      where: { slug: article.category },
+    });
+    const categoryName = category
+      ? localizeCategory(category, lang).name
+      : article.category;
+
+    const payload = {
+      id: article.id,
+      lang,
+      slug,
+      slugs: {
+        en: article.slug_en,
+        rus: article.slug_rus,
+        mng: article.slug_mng,
+      },
+      title: article[`title_${lang}`],
+      content: article[`content_${lang}`],
+      category: article.category,
+      categoryName,
+      author: article.author,
+      imageUrl: article.imageUrl,
+      createdAt: article.createdAt,
+      views: article.views,
+      servedLang: lang,
+      availableLangs: languagesOf(article),
+    };
+    const meta = articleMeta(article, lang, categoryName);
+    res
+      .type("html")
+      .send(renderArticlePage(pageShell, payload, renderMetaTags(meta)));
+  } catch (error) {
+    console.error("GET /article.html - ERROR caught:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,41 @@
 // server/routes/articles.js
 const express = require("express");
 const router = express.Router();
-const { query, param, validationResult } = require("express-validator");
+const { body, query, param, validationResult } = require("express-validator");
 const { Op } = require("sequelize");
 
-const { Article } = require("../models"); // Assuming models are exported correctly
+const { Article, ArticleSlug } = require("../models"); // Assuming models are exported correctly
 const ErrorHandler = require("../utils/errorHandler");
+const {
+  publiclyVisibleWhere,
+  publicListWhere,
+} = require("../utils/articlePublishing");
+const {
+  htmlToText,
+  escapeLike,
+  storedForms,
+  containsQuery,
+  buildSnippet,
+} = require("../utils/textSearch");
+const { attachTags } = require("../utils/articleTags");
+const { assertCategoriesExist } = require("../utils/categories");
+const { recordView } = require("../utils/articleViews");
+const {
+  languagesOf,
+  languagesOfMany,
+  localizeFields,
+} = require("../utils/articleLanguages");
 
 // --- Validation Middleware Definitions ---
 const supportedLangs = ["en", "rus", "mng"];
 
 const validateGetArticlesQuery = [
   query("category")
-    .optional()
-    .custom((value) => {
-      // Allow comma-separated categories
-      if (!value) return true;
-      const categories = value.split(",");
-      const validCategories = ["news", "competition", "blog"];
-      return categories.every((cat) => validCategories.includes(cat.trim()));
-    })
+    .optional({ checkFalsy: true })
+    // Allow comma-separated categories
+    .custom(assertCategoriesExist)
     .withMessage(
-      "Invalid category specified. Allowed: news, competition, blog (comma-separated)"
+      "Invalid category specified. Use category slugs from /api/categories (comma-separated)"
     ),
   query("limit")
     .optional()
@@ -39,11 +53,24 @@ const validateGetArticlesQuery = [
     .withMessage(
       `Invalid language code. Supported: ${supportedLangs.join(", ")}`
     ),
+  query("tag")
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage("Invalid tag slug"),
+];
+
+const validateSearchQuery = [
+  query("q")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Search query must be between 2 and 100 characters"),
+  ...validateGetArticlesQuery,
 ];
 
 const validateCategoryParam = [
   param("category")
-    .isIn(["news", "competition", "blog"])
+    .custom(assertCategoriesExist)
     .withMessage("Invalid category specified"),
 ];
 
@@ -54,27 +81,14 @@ const validateArticleIdParam = [
     .toInt(),
 ];
 
-// --- Helper Functions & Constants ---
+const validateSlugParam = [
+  param("slug")
+    .isLength({ max: 100 })
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage("Invalid article slug"),
+];
 
-// Helper to get language attributes with aliases FOR PUBLIC LISTS (title, excerpt)
-const getLangListAttributes = (lang = "en") => {
-  const validLang = supportedLangs.includes(lang) ? lang : "en";
-  return [
-    [`title_${validLang}`, "title"],
-    // [`content_${validLang}`, "content"], // Content not usually needed for lists
-    [`excerpt_${validLang}`, "excerpt"],
-  ];
-};
-
-// Helper to get language attributes with aliases FOR PUBLIC SINGLE VIEW (title, content)
-const getLangSingleAttributes = (lang = "en") => {
-  const validLang = supportedLangs.includes(lang) ? lang : "en";
-  return [
-    [`title_${validLang}`, "title"],
-    [`content_${validLang}`, "content"], // Need full content here
-    // [`excerpt_${validLang}`, "excerpt"], // Excerpt not needed for full view
-  ];
-};
+// --- Helper Functions & Constants ---
 
 // Common attributes needed for public LIST views (excluding content)
 const commonListAttributes = [
@@ -88,6 +102,13 @@ const commonListAttributes = [
   // "status", // Public routes only show published
 ];
 
+// Every language's title, excerpt and slug; lists pick one per article
+const listLangAttributes = supportedLangs.flatMap((l) => [
+  `title_${l}`,
+  `excerpt_${l}`,
+  `slug_${l}`,
+]);
+
 // Common attributes needed for public SINGLE article views (excluding raw language fields)
 const commonSingleAttributes = [
   "id",
@@ -100,6 +121,65 @@ const commonSingleAttributes = [
   // "status", // Already filtered
 ];
 
+// Current slug for the language (English fallback) plus all of them, so
+// the page can link to each translation
+const slugFields = (article, lang) => ({
+  slug: article[`slug_${lang}`] || article.slug_en,
+  slugs: Object.fromEntries(
+    supportedLangs.map((l) => [l, article[`slug_${l}`] || null])
+  ),
+});
+
+// List entries in the requested language, or in English where the article
+// isn't translated, with the language served and the ones available
+async function localizeList(articles, lang) {
+  const available = await languagesOfMany(articles.map((a) => a.id));
+  return articles.map((article) => {
+    const localized = localizeFields(
+      article,
+      lang,
+      ["title", "excerpt"],
+      available.get(article.id)
+    );
+    return {
+      ...Object.fromEntries(commonListAttributes.map((f) => [f, article[f]])),
+      ...localized,
+      ...slugFields(article, localized.servedLang),
+    };
+  });
+}
+
+const SEARCH_FIELDS = ["title", "excerpt", "content"];
+
+/**
+ * SQL condition: the column's text, without HTML tags (block ends count as
+ * spaces, like htmlToText), contains the query in any of its stored forms.
+ * Matching in SQL lets the database count and paginate the results.
+ */
+function textMatchSql(column, q) {
+  const escape = (value) => Article.sequelize.escape(value);
+  const text = `regexp_replace(regexp_replace("Article"."${column}", '<(br|/p|/div|/li|/h[1-6])[^>]*>', ' ', 'gi'), '<[^>]*>', '', 'g')`;
+  return `(${storedForms(q)
+    .map((form) => `${text} ILIKE ${escape(`%${escapeLike(form)}%`)}`)
+    .join(" OR ")})`;
+}
+
+/**
+ * Search order as SQL: title hits in the requested language, other hits in
+ * it, then title hits and other hits in the language that matched first.
+ * @returns {string} CASE expression giving 0 (best) to 3.
+ */
+function searchRankSql(searchLangs, q) {
+  const whens = searchLangs.flatMap((l, index) => {
+    const rank = index === 0 ? 0 : 2;
+    return [
+      `WHEN ${textMatchSql(`title_${l}`, q)} THEN ${rank}`,
+      `WHEN ${textMatchSql(`excerpt_${l}`, q)} OR ${textMatchSql(`content_${l}`, q)} THEN ${rank + 1}`,
+    ];
+  });
+  return `CASE ${whens.join(" ")} ELSE 3 END`;
+}
+
 // --- Routes ---
 
 // GET articles by category with limit (for highlights)
@@ -128,18 +208,17 @@ router.get(
       const { category } = req.params;
       const limit = req.query.limit || 1;
       const lang = req.query.lang || "en";
-      const langAttributes = getLangListAttributes(lang); // Use list attributes (title, excerpt)
 
       console.log(
         `[${timestamp}] GET /api/articles/category/${category} - Executing DB query...`
       );
       const articles = await Article.findAll({
-        where: { category: category, status: "published" },
+        where: { category: category, ...publiclyVisibleWhere() },
         order: [["createdAt", "DESC"]],
         limit: limit,
         attributes: [
           ...commonListAttributes, // Include common list fields
-          ...langAttributes, // Include aliased title & excerpt
+          ...listLangAttributes, // Localized below
         ],
       });
       console.log(
@@ -148,7 +227,7 @@ router.get(
       console.log(
         `[${timestamp}] GET /api/articles/category/${category} - Sending success response.`
       );
-      res.json(articles);
+      res.json(await attachTags(await localizeList(articles, lang), lang));
     } catch (error) {
       console.error(
         `[${timestamp}] GET /api/articles/category/${req.params.category} - ERROR caught:`,
@@ -192,6 +271,7 @@ router.get(
           "updatedAt",
           "views",
           "status", // Include status for admin view
+          "publishAt",
           "title_en",
           "content_en",
           "excerpt_en",
@@ -251,26 +331,20 @@ router.get(
     }
 
     try {
-      const { category, limit: queryLimit, page: queryPage, lang } = req.query;
+      const {
+        category,
+        tag,
+        limit: queryLimit,
+        page: queryPage,
+        lang,
+      } = req.query;
       const limit = queryLimit || 6;
       const page = queryPage || 1;
       const offset = (page - 1) * limit;
       const currentLang = lang || "en";
-      const langAttributes = getLangListAttributes(currentLang); // Use LIST attributes (title, excerpt)
 
-      const whereClause = {
-        status: "published", // Only show published articles
-      };
-
-      if (category) {
-        const categories = category
-          .split(",")
-          .map((cat) => cat.trim())
-          .filter(Boolean);
-        if (categories.length > 0) {
-          whereClause.category = { [Op.in]: categories };
-        }
-      }
+      // Only published, due articles (the feeds use the same query)
+      const whereClause = await publicListWhere({ category, tag });
 
       console.log(
         `[${timestamp}] GET /api/articles - Executing DB query with options:`,
@@ -284,7 +358,7 @@ router.get(
         offset: offset,
         attributes: [
           ...commonListAttributes, // Use common list fields
-          ...langAttributes, // Use aliased title/excerpt
+          ...listLangAttributes, // Localized below
         ],
         distinct: true, // Important for correct count with includes/joins if added later
       });
@@ -297,7 +371,10 @@ router.get(
         totalArticles: count,
         totalPages: Math.ceil(count / limit),
         currentPage: page,
-        articles: rows, // rows already contain aliased fields
+        articles: await attachTags(
+          await localizeList(rows, currentLang),
+          currentLang
+        ),
       };
 
       console.log(
@@ -317,6 +394,179 @@ router.get(
   }
 );
 
+// GET /api/articles/search?q=&lang= - Free-text search (Public facing)
+// Searches the requested language first, then the other languages.
+router.get("/search", validateSearchQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.warn(
+      `[${timestamp}] GET /api/articles/search - Validation Errors:`,
+      errors.array()
+    );
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const {
+      q,
+      category,
+      tag,
+      limit: queryLimit,
+      page: queryPage,
+      lang,
+    } = req.query;
+    const limit = queryLimit || 6;
+    const page = queryPage || 1;
+    const currentLang = lang || "en";
+    const searchLangs = [
+      currentLang,
+      ...supportedLangs.filter((l) => l !== currentLang),
+    ];
+
+    // Matches inside HTML markup don't count (see textMatchSql)
+    const whereClause = {
+      [Op.and]: [
+        await publicListWhere({ category, tag }),
+        Article.sequelize.literal(
+          `(${searchLangs
+            .flatMap((l) =>
+              SEARCH_FIELDS.map((field) => textMatchSql(`${field}_${l}`, q))
+            )
+            .join(" OR ")})`
+        ),
+      ],
+    };
+
+    const { count, rows } = await Article.findAndCountAll({
+      where: whereClause,
+      order: [
+        [Article.sequelize.literal(searchRankSql(searchLangs, q)), "ASC"],
+        ["createdAt", "DESC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    // Language and field of the match, for the title and snippet
+    const matches = rows.map((article) => {
+      const found = searchLangs
+        .map((l) => {
+          const text = {};
+          SEARCH_FIELDS.forEach(
+            (field) => (text[field] = htmlToText(article[`${field}_${l}`]))
+          );
+          return { lang: l, text };
+        })
+        .find(({ text }) =>
+          SEARCH_FIELDS.some((field) => containsQuery(text[field], q))
+        );
+      // SQL and htmlToText agree except for unusual entity spellings
+      return { article, ...(found || { lang: currentLang, text: {} }) };
+    });
+
+    const articles = matches.map(({ article, lang: matchedLang, text }) => {
+      const snippetSource =
+        ["excerpt", "content"].find((field) =>
+          containsQuery(text[field] || "", q)
+        ) || (text.excerpt ? "excerpt" : "content");
+      return {
+        ...Object.fromEntries(commonListAttributes.map((f) => [f, article[f]])),
+        title: article[`title_${matchedLang}`],
+        excerpt: article[`excerpt_${matchedLang}`],
+        slug: article[`slug_${matchedLang}`] || article.slug_en,
+        matchedLang,
+        servedLang: matchedLang,
+        availableLangs: languagesOf(article),
+        snippet: buildSnippet(text[snippetSource] || "", q),
+      };
+    });
+
+    console.log(
+      `[${timestamp}] GET /api/articles/search - "${q}" matched ${count} articles.`
+    );
+    res.json({
+      totalArticles: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      articles: await attachTags(articles, currentLang),
+    });
+  } catch (error) {
+    console.error(
+      `[${timestamp}] GET /api/articles/search - ERROR caught:`,
+      error
+    );
+    next(error);
+  }
+});
+
+// GET /api/articles/slug/:slug (Single article by URL slug - Public facing)
+// Each slug belongs to one language, which is served unless ?lang= says
+// otherwise. Retired slugs of renamed articles still resolve; the response's
+// `slug` is the current one, so the page can replace its URL.
+router.get(
+  "/slug/:slug",
+  validateSlugParam,
+  query("lang").optional().isIn(supportedLangs),
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler(
+          "Invalid Article Slug or Language",
+          400,
+          errors.array()
+        )
+      );
+    }
+
+    try {
+      const { slug } = req.params;
+      const found = await ArticleSlug.resolve(slug, {
+        where: publiclyVisibleWhere(),
+      });
+      if (!found) {
+        console.warn(
+          `[${timestamp}] GET /api/articles/slug/${slug} - Article not found or not published.`
+        );
+        return next(new ErrorHandler("Article Not Found", 404));
+      }
+
+      const { article } = found;
+      // Also covers retired slugs of translations that have since been removed
+      const localized = localizeFields(
+        article,
+        req.query.lang || found.lang,
+        ["title", "content"],
+        languagesOf(article)
+      );
+      const lang = localized.servedLang;
+
+      const [withTags] = await attachTags(
+        [
+          {
+            ...Object.fromEntries(
+              commonSingleAttributes.map((f) => [f, article[f]])
+            ),
+            ...localized,
+          },
+        ],
+        lang
+      );
+      res.json({ ...withTags, lang, ...slugFields(article, lang) });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] GET /api/articles/slug/${req.params.slug} - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
 // GET /api/articles/:id (Fetch single article detail - Public facing)
 router.get(
   "/:id",
@@ -346,22 +596,24 @@ router.get(
       const articleId = req.params.id;
       const lang = req.query.lang || "en"; // Get requested language
 
-      // === FIX: Select ONLY necessary aliased attributes for public view ===
-      const langAttributes = getLangSingleAttributes(lang); // Use SINGLE attributes (title, content)
+      // Every language is loaded: untranslated articles fall back to English
       const attributesToFetch = [
         ...commonSingleAttributes, // Include common fields for single view
-        ...langAttributes, // Include aliased title and content
+        ...supportedLangs.flatMap((l) => [
+          `title_${l}`,
+          `content_${l}`,
+          `slug_${l}`, // Old ID links redirect to the slug URL
+        ]),
       ];
-      // ================================================================
 
       console.log(
-        `[${timestamp}] GET /api/articles/${articleId} - Executing DB query with aliased attributes for lang='${lang}'...`
+        `[${timestamp}] GET /api/articles/${articleId} - Executing DB query for lang='${lang}'...`
       );
 
       const article = await Article.findOne({
         where: {
           id: articleId,
-          status: "published", // Ensure only published articles are publicly viewable
+          ...publiclyVisibleWhere(), // Drafts and future-dated articles stay hidden
         },
         attributes: attributesToFetch, // Use the specific attribute list
       });
@@ -374,20 +626,28 @@ router.get(
       }
 
       console.log(
-        `[${timestamp}] GET /api/articles/${articleId} - Article found. Incrementing views and sending response.`
+        `[${timestamp}] GET /api/articles/${articleId} - Article found. Sending response.`
       );
 
-      // Increment views (fire and forget - don't wait for it)
-      Article.increment("views", { where: { id: articleId } }).catch((err) => {
-        console.error(
-          `[${timestamp}] GET /api/articles/${articleId} - Failed to increment view count:`,
-          err
-        );
-      });
-
       res.setHeader("Content-Type", "application/json");
-      // The 'article' object now contains aliased 'title' and 'content'
-      res.json(article);
+      const localized = localizeFields(
+        article,
+        lang,
+        ["title", "content"],
+        languagesOf(article)
+      );
+      const [withTags] = await attachTags(
+        [
+          {
+            ...Object.fromEntries(
+              commonSingleAttributes.map((f) => [f, article[f]])
+            ),
+            ...localized,
+          },
+        ],
+        lang
+      );
+      res.json({ ...withTags, ...slugFields(article, localized.servedLang) });
     } catch (error) {
       console.error(
         `[${timestamp}] GET /api/articles/${req.params.id} - ERROR caught:`,
@@ -398,4 +658,44 @@ router.get(
   }
 );
 
+// POST /api/articles/:id/view (Reported by the article page once it is shown)
+// Views are counted here rather than on every fetch, so crawlers that don't
+// run scripts, refreshes and staff (who send their token) are left out.
+router.post(
+  "/:id/view",
+  validateArticleIdParam,
+  body("lang")
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Article ID or Language", 400, errors.array())
+      );
+    }
+
+    try {
+      const article = await Article.findOne({
+        where: { id: req.params.id, ...publiclyVisibleWhere() },
+        attributes: ["id"],
+      });
+      if (!article) {
+        return next(new ErrorHandler("Article Not Found", 404));
+      }
+
+      const counted = await recordView(req, article.id, req.body.lang);
+      res.json({ counted });
+    } catch (error) {
+      console.error(
+        `POST /api/articles/${req.params.id}/view - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
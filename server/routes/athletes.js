@@ -0,0 +1,248 @@
+// server/routes/athletes.js
+const express = require("express");
+const router = express.Router();
+const { query, param, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const {
+  Athlete,
+  Club,
+  ClubMembership,
+  Competition,
+  CompetitionResult,
+} = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+const { escapeLike } = require("../utils/textSearch");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateLangQuery = [
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+const validateGetAthletesQuery = [
+  query("q")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search text cannot exceed 100 characters"),
+  query("clubId")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Club ID must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage("Limit must be a positive integer (max 50)"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  ...validateLangQuery,
+];
+
+const validateAthleteIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Athlete ID must be a positive integer")
+    .toInt(),
+];
+
+// --- Helper Functions & Constants ---
+
+// Common attributes for public views (excluding raw language fields)
+const commonAttributes = ["id", "gender", "birthYear", "photoUrl"];
+
+// Untranslated fields fall back to English
+const localized = (record, field, lang) =>
+  record[`${field}_${lang}`] || record[`${field}_en`] || null;
+
+// --- Routes ---
+
+// GET /api/athletes - Paginated directory (Public facing)
+router.get("/", validateGetAthletesQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.warn(
+      `[${timestamp}] GET /api/athletes - Validation Errors:`,
+      errors.array()
+    );
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const { q, clubId } = req.query;
+    const limit = req.query.limit || 20;
+    const page = req.query.page || 1;
+    const offset = (page - 1) * limit;
+    const lang = req.query.lang || "en";
+
+    const whereClause = {};
+    if (q) {
+      // Match any spelling so searching in Cyrillic or Latin both work
+      whereClause[Op.or] = ["name_en", "name_rus", "name_mng"].map((field) => ({
+        [field]: { [Op.iLike]: `%${escapeLike(q)}%` },
+      }));
+    }
+    if (clubId) {
+      const memberships = await ClubMembership.findAll({
+        where: { clubId, endDate: null },
+        attributes: ["athleteId"],
+      });
+      whereClause.id = { [Op.in]: memberships.map((m) => m.athleteId) };
+    }
+
+    const { count, rows } = await Athlete.findAndCountAll({
+      where: whereClause,
+      order: [
+        ["name_en", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit,
+      offset,
+    });
+
+    // Current club for each athlete on the page
+    const currentMemberships = await ClubMembership.findAll({
+      where: { athleteId: rows.map((a) => a.id), endDate: null },
+      include: [{ model: Club, as: "club" }],
+    });
+    const clubByAthlete = new Map(
+      currentMemberships.map((m) => [
+        m.athleteId,
+        { id: m.club.id, name: localized(m.club, "name", lang) },
+      ])
+    );
+
+    console.log(
+      `[${timestamp}] GET /api/athletes - Found ${count} total, returning ${rows.length} for page ${page}.`
+    );
+    res.json({
+      totalAthletes: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      athletes: rows.map((athlete) => ({
+        id: athlete.id,
+        name: localized(athlete, "name", lang),
+        gender: athlete.gender,
+        photoUrl: athlete.photoUrl,
+        currentClub: clubByAthlete.get(athlete.id) || null,
+      })),
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] GET /api/athletes - ERROR caught:`, error);
+    next(
+      new ErrorHandler(
+        error.message || "Server error while fetching athletes.",
+        error.statusCode || 500
+      )
+    );
+  }
+});
+
+// GET /api/athletes/:id (Profile with club history and results - Public facing)
+router.get(
+  "/:id",
+  validateAthleteIdParam,
+  validateLangQuery,
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.warn(
+        `[${timestamp}] GET /api/athletes/${req.params.id} - Validation Errors:`,
+        errors.array()
+      );
+      return next(
+        new ErrorHandler("Invalid Athlete ID or Language", 400, errors.array())
+      );
+    }
+
+    try {
+      const lang = req.query.lang || "en";
+      const athlete = await Athlete.findByPk(req.params.id);
+      if (!athlete) {
+        console.warn(
+          `[${timestamp}] GET /api/athletes/${req.params.id} - Athlete not found.`
+        );
+        return next(new ErrorHandler("Athlete Not Found", 404));
+      }
+
+      const memberships = await ClubMembership.findAll({
+        where: { athleteId: athlete.id },
+        include: [{ model: Club, as: "club" }],
+        order: [["startDate", "DESC"]],
+      });
+
+      const results = await CompetitionResult.findAll({
+        where: { athleteId: athlete.id },
+        attributes: [
+          "id",
+          "discipline",
+          "ageCategory",
+          "totalScore",
+          "placement",
+        ],
+        include: [
+          {
+            model: Competition,
+            as: "competition",
+            attributes: [
+              "id",
+              "name_en",
+              [`name_${lang}`, "name"],
+              "endDate",
+              "tier",
+            ],
+          },
+        ],
+      });
+
+      res.json({
+        ...Object.fromEntries(commonAttributes.map((f) => [f, athlete[f]])),
+        name: localized(athlete, "name", lang),
+        bio: localized(athlete, "bio", lang),
+        clubHistory: memberships.map((m) => ({
+          clubId: m.club.id,
+          clubName: localized(m.club, "name", lang),
+          startDate: m.startDate,
+          endDate: m.endDate,
+          current: m.isCurrent(),
+        })),
+        // Newest competitions first
+        results: results
+          .map((r) => {
+            const { competition, ...result } = r.toJSON();
+            return {
+              ...result,
+              competitionId: competition.id,
+              competitionName: competition.name || competition.name_en,
+              date: competition.endDate,
+              tier: competition.tier,
+            };
+          })
+          .sort((a, b) => (a.date < b.date ? 1 : -1)),
+      });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] GET /api/athletes/${req.params.id} - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
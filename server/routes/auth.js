@@ -5,10 +5,11 @@ const { body, validationResult } = require("express-validator");
 const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 const { Op } = require("sequelize");
-const { User } = require("../models"); // Only User model is needed here
+const { Session, User } = require("../models");
 const ErrorHandler = require("../utils/errorHandler");
 const { sendPasswordResetEmail } = require("../utils/mailgunService");
 const rateLimit = require("express-rate-limit"); // Import rate-limit
+const { applyLimiterIfNeeded } = require("../middleware/rateLimit");
 
 // Rate Limiters Definitions
 const forgotPasswordLimiter = rateLimit({
@@ -31,19 +32,6 @@ const resetPasswordLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Helper function to conditionally apply limiters
-const applyLimiterIfNeeded = (limiter) => {
-  if (process.env.NODE_ENV !== "test") {
-    console.log(
-      `Applying rate limiter: ${limiter.constructor.name || "limiter"}`
-    );
-    return limiter; // Apply the limiter if not testing
-  } else {
-    console.log(`Skipping rate limiter in test environment.`);
-    return (req, res, next) => next(); // Dummy middleware if testing
-  }
-};
-
 // Validation Middleware
 const validateForgotPassword = [
   body("email")
@@ -216,12 +204,13 @@ router.post(
       user.needsPasswordChange = false;
       user.passwordResetToken = null;
       user.passwordResetExpires = null;
-      user.refreshToken = null;
 
       console.log(
         `[${timestamp}] Calling user.save() for password update (hook will hash)...`
       );
       await user.save();
+      // Whoever knew the old password may still be logged in somewhere
+      await Session.destroy({ where: { userId: user.id } });
 
       console.log(
         `[${timestamp}] Password successfully reset for user ${user.id}`
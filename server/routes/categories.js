@@ -0,0 +1,53 @@
+// server/routes/categories.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+
+const { Category } = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+const { localizeCategory } = require("../utils/categories");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateLangQuery = [
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+// --- Routes ---
+
+// GET /api/categories - All categories in display order (Public facing)
+router.get("/", validateLangQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const lang = req.query.lang || "en";
+    const categories = await Category.findAll({
+      order: [
+        ["sortOrder", "ASC"],
+        ["name_en", "ASC"],
+      ],
+    });
+
+    console.log(
+      `[${timestamp}] GET /api/categories - Returning ${categories.length} categories.`
+    );
+    res.json(categories.map((category) => localizeCategory(category, lang)));
+  } catch (error) {
+    console.error(`[${timestamp}] GET /api/categories - ERROR caught:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+// server/routes/clubs.js
+const express = require("express");
+const router = express.Router();
+const { query, param, validationResult } = require("express-validator");
+
+const {
+  Athlete,
+  Club,
+  ClubMembership,
+  Competition,
+  CompetitionResult,
+} = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateLangQuery = [
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+const validateClubIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Club ID must be a positive integer")
+    .toInt(),
+];
+
+// --- Helper Functions & Constants ---
+
+// Common attributes for public views (excluding raw language fields)
+const commonAttributes = ["id", "city", "website", "photoUrl"];
+
+// Untranslated fields fall back to English
+const localized = (record, field, lang) =>
+  record[`${field}_${lang}`] || record[`${field}_en`] || null;
+
+// Results count for a club only while the athlete was a member
+const duringMembership = (date, membership) =>
+  date >= membership.startDate &&
+  (!membership.endDate || date <= membership.endDate);
+
+// --- Routes ---
+
+// GET /api/clubs - All clubs with their current member count (Public facing)
+router.get("/", validateLangQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const lang = req.query.lang || "en";
+    const clubs = await Club.findAll({ order: [["name_en", "ASC"]] });
+    const memberships = await ClubMembership.findAll({
+      where: { endDate: null },
+      attributes: ["clubId"],
+    });
+
+    console.log(
+      `[${timestamp}] GET /api/clubs - Returning ${clubs.length} clubs.`
+    );
+    res.json(
+      clubs.map((club) => ({
+        id: club.id,
+        name: localized(club, "name", lang),
+        city: club.city,
+        photoUrl: club.photoUrl,
+        memberCount: memberships.filter((m) => m.clubId === club.id).length,
+      }))
+    );
+  } catch (error) {
+    console.error(`[${timestamp}] GET /api/clubs - ERROR caught:`, error);
+    next(error);
+  }
+});
+
+// GET /api/clubs/:id (Profile with members and their results - Public facing)
+router.get(
+  "/:id",
+  validateClubIdParam,
+  validateLangQuery,
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Club ID or Language", 400, errors.array())
+      );
+    }
+
+    try {
+      const lang = req.query.lang || "en";
+      const club = await Club.findByPk(req.params.id);
+      if (!club) {
+        console.warn(
+          `[${timestamp}] GET /api/clubs/${req.params.id} - Club not found.`
+        );
+        return next(new ErrorHandler("Club Not Found", 404));
+      }
+
+      const memberships = await ClubMembership.findAll({
+        where: { clubId: club.id },
+        include: [{ model: Athlete, as: "athlete" }],
+        order: [["startDate", "DESC"]],
+      });
+
+      const results = await CompetitionResult.findAll({
+        where: { athleteId: memberships.map((m) => m.athleteId) },
+        attributes: ["id", "athleteId", "discipline", "placement"],
+        include: [
+          {
+            model: Competition,
+            as: "competition",
+            attributes: ["id", "name_en", [`name_${lang}`, "name"], "endDate"],
+          },
+        ],
+      });
+
+      const members = memberships.map((m) => ({
+        athleteId: m.athlete.id,
+        name: localized(m.athlete, "name", lang),
+        photoUrl: m.athlete.photoUrl,
+        startDate: m.startDate,
+        endDate: m.endDate,
+        current: m.isCurrent(),
+      }));
+
+      const clubResults = results
+        .map((r) => r.toJSON())
+        .filter((r) =>
+          memberships.some(
+            (m) =>
+              m.athleteId === r.athleteId &&
+              duringMembership(r.competition.endDate, m)
+          )
+        )
+        .map(({ competition, ...result }) => ({
+          ...result,
+          athleteName: members.find((m) => m.athleteId === result.athleteId)
+            .name,
+          competitionId: competition.id,
+          competitionName: competition.name || competition.name_en,
+          date: competition.endDate,
+        }))
+        .sort((a, b) => (a.date < b.date ? 1 : -1));
+
+      res.json({
+        ...Object.fromEntries(commonAttributes.map((f) => [f, club[f]])),
+        name: localized(club, "name", lang),
+        bio: localized(club, "bio", lang),
+        members: {
+          current: members.filter((m) => m.current),
+          former: members.filter((m) => !m.current),
+        },
+        results: clubResults,
+      });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] GET /api/clubs/${req.params.id} - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
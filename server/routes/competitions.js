@@ -0,0 +1,412 @@
+// server/routes/competitions.js
+const express = require("express");
+const router = express.Router();
+const { query, param, body, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const {
+  Competition,
+  CompetitionRegistration,
+  CompetitionResult,
+} = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+const { escapeLike } = require("../utils/textSearch");
+const {
+  applyLimiterIfNeeded,
+  registrationLimiter,
+} = require("../middleware/rateLimit");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+const competitionStatuses = ["upcoming", "ongoing", "finished"];
+
+const validateGetCompetitionsQuery = [
+  query("status")
+    .optional()
+    .custom((value) => {
+      // Allow comma-separated statuses, e.g. "upcoming,ongoing"
+      if (!value) return true;
+      return value
+        .split(",")
+        .every((status) => competitionStatuses.includes(status.trim()));
+    })
+    .withMessage(
+      `Invalid status specified. Allowed: ${competitionStatuses.join(
+        ", "
+      )} (comma-separated)`
+    ),
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Order must be 'asc' or 'desc'"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage("Limit must be a positive integer (max 50)"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+const validateCompetitionIdParam = [
+  param("id")
+    .isInt({ min: 1 })
+    .withMessage("Competition ID must be a positive integer")
+    .toInt(),
+];
+
+const validateRegistrationBody = [
+  body("athleteName")
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .escape()
+    .withMessage("Athlete name must be between 2 and 255 characters"),
+  body("club")
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 255 })
+    .escape()
+    .withMessage("Club cannot exceed 255 characters"),
+  body("ageCategory")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .escape()
+    .withMessage("Age category is required (max 50 characters)"),
+  body("gender")
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(["male", "female"])
+    .withMessage("Gender must be 'male' or 'female'"),
+  body("discipline")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape()
+    .withMessage("Discipline is required"),
+  body("contact")
+    .trim()
+    .isLength({ min: 5, max: 255 })
+    .escape()
+    .withMessage(
+      "Contact (email or phone) must be between 5 and 255 characters"
+    ),
+];
+
+// --- Helper Functions & Constants ---
+
+// Helper to get language attributes with aliases (name, description)
+const getLangAttributes = (lang = "en") => {
+  const validLang = supportedLangs.includes(lang) ? lang : "en";
+  return [
+    [`name_${validLang}`, "name"],
+    [`description_${validLang}`, "description"],
+  ];
+};
+
+// Common attributes for public views (excluding raw language fields)
+const commonAttributes = [
+  "id",
+  "venue",
+  "startDate",
+  "endDate",
+  "registrationDeadline",
+  "disciplines",
+  "tier",
+  "status",
+];
+
+// --- Routes ---
+
+// GET /api/competitions - Paginated list (Public facing)
+router.get("/", validateGetCompetitionsQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.warn(
+      `[${timestamp}] GET /api/competitions - Validation Errors:`,
+      errors.array()
+    );
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const { status, order, limit: queryLimit, page: queryPage } = req.query;
+    const limit = queryLimit || 10;
+    const page = queryPage || 1;
+    const offset = (page - 1) * limit;
+    const lang = req.query.lang || "en";
+
+    const whereClause = {};
+    if (status) {
+      const statuses = status
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      if (statuses.length > 0) {
+        whereClause.status = { [Op.in]: statuses };
+      }
+    }
+
+    // Upcoming events read best soonest-first, past events newest-first
+    const direction = (order || "asc").toUpperCase();
+
+    const { count, rows } = await Competition.findAndCountAll({
+      where: whereClause,
+      order: [
+        ["startDate", direction],
+        ["id", direction],
+      ],
+      limit,
+      offset,
+      attributes: [...commonAttributes, ...getLangAttributes(lang)],
+    });
+
+    console.log(
+      `[${timestamp}] GET /api/competitions - Found ${count} total, returning ${rows.length} for page ${page}.`
+    );
+    res.json({
+      totalCompetitions: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      competitions: rows,
+    });
+  } catch (error) {
+    console.error(
+      `[${timestamp}] GET /api/competitions - ERROR caught:`,
+      error
+    );
+    next(
+      new ErrorHandler(
+        error.message || "Server error while fetching competitions.",
+        error.statusCode || 500
+      )
+    );
+  }
+});
+
+// GET /api/competitions/:id (Single competition detail - Public facing)
+router.get(
+  "/:id",
+  validateCompetitionIdParam,
+  query("lang").optional().isIn(supportedLangs),
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.warn(
+        `[${timestamp}] GET /api/competitions/${req.params.id} - Validation Errors:`,
+        errors.array()
+      );
+      return next(
+        new ErrorHandler(
+          "Invalid Competition ID or Language",
+          400,
+          errors.array()
+        )
+      );
+    }
+
+    try {
+      const lang = req.query.lang || "en";
+      const competition = await Competition.findByPk(req.params.id, {
+        attributes: [...commonAttributes, ...getLangAttributes(lang)],
+      });
+
+      if (!competition) {
+        console.warn(
+          `[${timestamp}] GET /api/competitions/${req.params.id} - Competition not found.`
+        );
+        return next(new ErrorHandler("Competition Not Found", 404));
+      }
+
+      res.json({
+        ...competition.toJSON(),
+        registrationOpen: competition.isRegistrationOpen(),
+      });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] GET /api/competitions/${req.params.id} - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// GET /api/competitions/:id/results (Public result tables, best first per discipline)
+router.get(
+  "/:id/results",
+  validateCompetitionIdParam,
+  query("discipline").optional().trim().escape(),
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler("Invalid Competition ID", 400, errors.array())
+      );
+    }
+
+    try {
+      const competition = await Competition.findByPk(req.params.id, {
+        attributes: ["id", "disciplines"],
+      });
+      if (!competition) {
+        return next(new ErrorHandler("Competition Not Found", 404));
+      }
+
+      const where = { competitionId: competition.id };
+      if (req.query.discipline) where.discipline = req.query.discipline;
+      const results = await CompetitionResult.findAll({
+        where,
+        attributes: [
+          "id",
+          "athleteId",
+          "athleteName",
+          "club",
+          "ageCategory",
+          "discipline",
+          "rounds",
+          "totalScore",
+          "zoneCounts",
+          "placement",
+        ],
+        order: [
+          ["discipline", "ASC"],
+          ["placement", "ASC"],
+          ["athleteName", "ASC"],
+        ],
+      });
+
+      console.log(
+        `[${timestamp}] GET /api/competitions/${competition.id}/results - Returning ${results.length} results.`
+      );
+      res.json({
+        competitionId: competition.id,
+        disciplines: competition.disciplines,
+        results,
+      });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] GET /api/competitions/${req.params.id}/results - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+// POST /api/competitions/:id/registrations (Public athlete sign-up)
+router.post(
+  "/:id/registrations",
+  applyLimiterIfNeeded(registrationLimiter),
+  validateCompetitionIdParam,
+  validateRegistrationBody,
+  async (req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const competitionId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.warn(
+        `[${timestamp}] POST /api/competitions/${competitionId}/registrations - Validation Errors:`,
+        errors.array()
+      );
+      return next(new ErrorHandler("Validation Error", 400, errors.array()));
+    }
+
+    try {
+      const competition = await Competition.findByPk(competitionId);
+      if (!competition) {
+        return next(new ErrorHandler("Competition Not Found", 404));
+      }
+      if (!competition.isRegistrationOpen()) {
+        return next(
+          new ErrorHandler("Registration is closed for this competition", 400)
+        );
+      }
+
+      const { athleteName, club, ageCategory, gender, discipline, contact } =
+        req.body;
+      if (!competition.disciplines.includes(discipline)) {
+        return next(
+          new ErrorHandler("Validation Error", 400, [
+            {
+              path: "discipline",
+              msg: `Discipline must be one of: ${competition.disciplines.join(
+                ", "
+              )}`,
+            },
+          ])
+        );
+      }
+
+      // One live entry per athlete per discipline
+      const existing = await CompetitionRegistration.findOne({
+        where: {
+          competitionId,
+          discipline,
+          // Case-insensitive, but % and _ in a name match only themselves
+          athleteName: { [Op.iLike]: escapeLike(athleteName) },
+          status: { [Op.ne]: "rejected" },
+        },
+      });
+      if (existing) {
+        return next(
+          new ErrorHandler(
+            "This athlete is already registered for this discipline",
+            409
+          )
+        );
+      }
+
+      // Entries into a full discipline go straight to the waitlist
+      let status = "pending";
+      const capacity = competition.capacities?.[discipline];
+      if (capacity) {
+        const approvedCount = await CompetitionRegistration.count({
+          where: { competitionId, discipline, status: "approved" },
+        });
+        if (approvedCount >= capacity) status = "waitlisted";
+      }
+
+      const registration = await CompetitionRegistration.create({
+        competitionId,
+        athleteName,
+        club: club || null,
+        ageCategory,
+        gender: gender || null,
+        discipline,
+        contact,
+        status,
+      });
+
+      console.log(
+        `[${timestamp}] POST /api/competitions/${competitionId}/registrations - Registration ${registration.id} created (${status}).`
+      );
+      // Echo back only what the athlete needs to see
+      res.status(201).json({
+        id: registration.id,
+        athleteName: registration.athleteName,
+        discipline: registration.discipline,
+        status: registration.status,
+      });
+    } catch (error) {
+      console.error(
+        `[${timestamp}] POST /api/competitions/${competitionId}/registrations - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
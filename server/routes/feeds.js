@@ -0,0 +1,139 @@
+// server/routes/feeds.js
+// RSS and Atom feeds of the published articles, one per language.
+const express = require("express");
+const router = express.Router();
+const { query, param, validationResult } = require("express-validator");
+
+const { Article, Category } = require("../models");
+const config = require("../config");
+const ErrorHandler = require("../utils/errorHandler");
+const { publicListWhere } = require("../utils/articlePublishing");
+const {
+  assertCategoriesExist,
+  localizeCategory,
+} = require("../utils/categories");
+const { summarize, buildRss, buildAtom } = require("../utils/feeds");
+const { htmlToText } = require("../utils/textSearch");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateFeedRequest = [
+  param("lang")
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+  query("category")
+    .optional({ checkFalsy: true })
+    .custom(assertCategoriesExist)
+    .withMessage(
+      "Invalid category specified. Use category slugs from /api/categories (comma-separated)"
+    ),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage("Limit must be a positive integer (max 50)"),
+];
+
+// --- Helper Functions & Constants ---
+
+const FEED_TITLES = {
+  en: "MSKTF News",
+  rus: "Новости MSKTF",
+  mng: "MSKTF мэдээ",
+};
+const FEED_DESCRIPTIONS = {
+  en: "News from the Mongolian Sports Knife Throwing Federation",
+  rus: "Новости Монгольской федерации спортивного метания ножа",
+  mng: "Монголын спортын хутга шидэлтийн холбооны мэдээ",
+};
+
+const FORMATS = {
+  rss: { build: buildRss, contentType: "application/rss+xml" },
+  atom: { build: buildAtom, contentType: "application/atom+xml" },
+};
+
+// Untranslated fields fall back to English
+const localized = (record, field, lang) =>
+  record[`${field}_${lang}`] || record[`${field}_en`] || "";
+
+// Builds the feed for one language, newest articles first
+const sendFeed = (format) => async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid feed parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const { lang } = req.params;
+    const { category, limit = 20 } = req.query;
+    const [articles, categories] = await Promise.all([
+      Article.findAll({
+        where: await publicListWhere({ category }),
+        order: [["createdAt", "DESC"]],
+        limit,
+      }),
+      Category.findAll(),
+    ]);
+    const categoryNames = Object.fromEntries(
+      categories.map((c) => [c.slug, localizeCategory(c, lang).name])
+    );
+
+    let title = FEED_TITLES[lang];
+    let link = `${config.siteUrl}/articles.html`;
+    if (category) {
+      const slugs = category.split(",").map((slug) => slug.trim());
+      title += `: ${slugs.map((slug) => categoryNames[slug]).join(", ")}`;
+      link += `?category=${slugs[0]}`;
+    }
+
+    const items = articles.map((article) => ({
+      id: `${config.siteUrl}/article.html?id=${article.id}`,
+      title: htmlToText(localized(article, "title", lang)), // Stored escaped
+      link: `${config.siteUrl}/article.html?slug=${localized(article, "slug", lang)}`,
+      summary: summarize({
+        excerpt: localized(article, "excerpt", lang),
+        content: localized(article, "content", lang),
+      }),
+      author: article.author,
+      category: categoryNames[article.category] || article.category,
+      published: article.createdAt,
+      updated: article.updatedAt,
+    }));
+    // Last change to anything in the feed, not the time of the request
+    const updated = articles.length
+      ? new Date(Math.max(...articles.map((a) => a.updatedAt.getTime())))
+      : new Date();
+
+    res.set("Content-Type", `${FORMATS[format].contentType}; charset=utf-8`);
+    res.set("Cache-Control", "public, max-age=900");
+    res.send(
+      FORMATS[format].build({
+        title,
+        description: FEED_DESCRIPTIONS[lang],
+        lang,
+        link,
+        selfUrl: `${config.siteUrl}${req.originalUrl}`,
+        updated,
+        items,
+      })
+    );
+  } catch (error) {
+    console.error(`GET /api/feeds${req.path} - ERROR caught:`, error);
+    next(error);
+  }
+};
+
+// --- Routes ---
+
+// GET /api/feeds/:lang/rss.xml?category=
+router.get("/:lang/rss.xml", validateFeedRequest, sendFeed("rss"));
+
+// GET /api/feeds/:lang/atom.xml?category=
+router.get("/:lang/atom.xml", validateFeedRequest, sendFeed("atom"));
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// server/routes/rankings.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const { Competition, CompetitionResult } = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+const {
+  getPointsTable,
+  getWindowStart,
+  buildRankings,
+} = require("../utils/rankings");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateGetRankingsQuery = [
+  query(["discipline", "ageGroup"]).optional().trim().escape(),
+  query("gender")
+    .optional()
+    .isIn(["male", "female"])
+    .withMessage("Gender must be 'male' or 'female'"),
+  query("asOf")
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("asOf must be a valid date (YYYY-MM-DD)"),
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+// --- Routes ---
+
+// GET /api/rankings - Rolling 12-month ranking tables (Public facing)
+router.get("/", validateGetRankingsQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.warn(
+      `[${timestamp}] GET /api/rankings - Validation Errors:`,
+      errors.array()
+    );
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const { discipline, ageGroup, gender } = req.query;
+    const lang = req.query.lang || "en";
+    const to = req.query.asOf || new Date().toISOString().slice(0, 10);
+    const from = getWindowStart(to);
+
+    const where = {};
+    if (discipline) where.discipline = discipline;
+    if (ageGroup) where.ageCategory = ageGroup;
+    if (gender) where.gender = gender;
+
+    // Only finished events count; their results are final
+    const results = await CompetitionResult.findAll({
+      where,
+      attributes: [
+        "athleteName",
+        "club",
+        "discipline",
+        "ageCategory",
+        "gender",
+        "placement",
+      ],
+      include: [
+        {
+          model: Competition,
+          as: "competition",
+          where: {
+            status: "finished",
+            endDate: { [Op.gt]: from, [Op.lte]: to },
+          },
+          attributes: ["id", [`name_${lang}`, "name"], "endDate", "tier"],
+        },
+      ],
+    });
+
+    const pointsTable = await getPointsTable();
+    const rankings = buildRankings(
+      results.map((r) => r.get({ plain: true })),
+      pointsTable
+    );
+
+    console.log(
+      `[${timestamp}] GET /api/rankings - ${results.length} results in window ${from}..${to}, ${rankings.length} tables.`
+    );
+    res.json({ from, to, rankings });
+  } catch (error) {
+    console.error(`[${timestamp}] GET /api/rankings - ERROR caught:`, error);
+    next(
+      new ErrorHandler(
+        error.message || "Server error while computing rankings.",
+        error.statusCode || 500
+      )
+    );
+  }
+});
+
+module.exports = router;
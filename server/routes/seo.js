@@ -0,0 +1,113 @@
+// server/routes/seo.js
+// Crawler-facing routes: /sitemap.xml, /robots.txt and article share metadata.
+const express = require("express");
+const router = express.Router();
+const { query, param, validationResult } = require("express-validator");
+
+const { Article, ArticleSlug, Category } = require("../models");
+const config = require("../config");
+const ErrorHandler = require("../utils/errorHandler");
+const { publiclyVisibleWhere } = require("../utils/articlePublishing");
+const { localizeCategory } = require("../utils/categories");
+const { buildSitemap, articleMeta, renderMetaTags } = require("../utils/seo");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateMetaRequest = [
+  param("slug")
+    .isLength({ max: 100 })
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage("Invalid article slug"),
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+// --- Routes ---
+
+// GET /sitemap.xml - Static pages and every published article, per language
+router.get("/sitemap.xml", async (req, res, next) => {
+  try {
+    const articles = await Article.findAll({
+      where: publiclyVisibleWhere(),
+      attributes: ["id", "slug_en", "slug_rus", "slug_mng", "updatedAt"],
+      order: [["createdAt", "DESC"]],
+    });
+    res.set("Content-Type", "application/xml; charset=utf-8");
+    res.set("Cache-Control", "public, max-age=3600");
+    res.send(buildSitemap(articles.filter((a) => a.slug_en)));
+  } catch (error) {
+    console.error("GET /sitemap.xml - ERROR caught:", error);
+    next(error);
+  }
+});
+
+// GET /robots.txt - Points crawlers at the sitemap, keeps them out of admin
+router.get("/robots.txt", (req, res) => {
+  res
+    .type("text/plain")
+    .send(
+      [
+        "User-agent: *",
+        "Disallow: /admin.html",
+        "Disallow: /api/",
+        "Allow: /api/feeds/",
+        `Sitemap: ${config.siteUrl}/sitemap.xml`,
+        "",
+      ].join("\n")
+    );
+});
+
+// GET /api/seo/articles/:slug?lang= - Open Graph/Twitter metadata for one
+// language version of an article, as fields and as ready-made <head> markup
+// (`html`) to inject into article.html.
+router.get(
+  "/api/seo/articles/:slug",
+  validateMetaRequest,
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(
+        new ErrorHandler(
+          "Invalid Article Slug or Language",
+          400,
+          errors.array()
+        )
+      );
+    }
+
+    try {
+      const found = await ArticleSlug.resolve(req.params.slug, {
+        where: publiclyVisibleWhere(),
+      });
+      if (!found) {
+        return next(new ErrorHandler("Article Not Found", 404));
+      }
+
+      const { article } = found;
+      let lang = req.query.lang || found.lang;
+      if (!article[`slug_${lang}`]) lang = "en";
+      const category = await Category.findOne({
+        where: { slug: article.category },
+      });
+      const meta = articleMeta(
+        article,
+        lang,
+        category && localizeCategory(category, lang).name
+      );
+      res.json({ ...meta, html: renderMetaTags(meta) });
+    } catch (error) {
+      console.error(
+        `GET /api/seo/articles/${req.params.slug} - ERROR caught:`,
+        error
+      );
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// server/routes/tags.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+
+const { Article, ArticleTag, Tag } = require("../models");
+const ErrorHandler = require("../utils/errorHandler");
+const { publiclyVisibleWhere } = require("../utils/articlePublishing");
+const { localizeTag } = require("../utils/articleTags");
+
+// --- Validation Middleware Definitions ---
+const supportedLangs = ["en", "rus", "mng"];
+
+const validateLangQuery = [
+  query("lang")
+    .optional()
+    .isIn(supportedLangs)
+    .withMessage(
+      `Invalid language code. Supported: ${supportedLangs.join(", ")}`
+    ),
+];
+
+// --- Routes ---
+
+// GET /api/tags - Tags with at least one public article (Public facing)
+router.get("/", validateLangQuery, async (req, res, next) => {
+  const timestamp = new Date().toISOString();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new ErrorHandler("Invalid query parameters", 400, errors.array())
+    );
+  }
+
+  try {
+    const lang = req.query.lang || "en";
+    const [tags, links] = await Promise.all([
+      Tag.findAll({ order: [["name_en", "ASC"]] }),
+      ArticleTag.findAll({
+        attributes: ["tagId"],
+        include: [
+          {
+            model: Article,
+            as: "article",
+            attributes: [],
+            where: publiclyVisibleWhere(),
+            required: true,
+          },
+        ],
+      }),
+    ]);
+
+    const counts = {};
+    links.forEach((l) => (counts[l.tagId] = (counts[l.tagId] || 0) + 1));
+    const publicTags = tags
+      .filter((tag) => counts[tag.id])
+      .map((tag) => ({
+        ...localizeTag(tag, lang),
+        articleCount: counts[tag.id],
+      }));
+
+    console.log(
+      `[${timestamp}] GET /api/tags - Returning ${publicTags.length} tags.`
+    );
+    res.json(publicTags);
+  } catch (error) {
+    console.error(`[${timestamp}] GET /api/tags - ERROR caught:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -292,7 +292,7 @@ describe("User Management (/api/admin/users)", () => {
           .set("x-csrf-token", csrfToken)
           .send({ username: "anotherNewMod", email: "another@example.com" });
         expect(res.statusCode).toEqual(403);
-        expect(res.body.message).toMatch(/admin role required/i);
+        expect(res.body.message).toMatch(/users\.manage permission required/i);
       } finally {
         if (tempMod) await tempMod.destroy();
       }
@@ -441,7 +441,7 @@ describe("User Management (/api/admin/users)", () => {
         .set("Authorization", `Bearer ${modToken}`)
         .set("x-csrf-token", csrfToken);
       expect(res.statusCode).toEqual(403);
-      expect(res.body.message).toMatch(/admin role required/i);
+      expect(res.body.message).toMatch(/users\.manage permission required/i);
     });
   });
 });
@@ -0,0 +1,196 @@
+// server/tests/integration/adminDashboard.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+  ArticleViewDaily,
+  SuggestedEdit,
+} = require("../../models");
+const app = require("../../app");
+const { utcDay } = require("../../utils/articleViews");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let moderatorToken = null;
+let moderator = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const articleBody = {
+  title_en: "Dashboard Article",
+  content_en: "<p>English</p>",
+  category: "news",
+  author: "Editor",
+};
+
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+async function login(username, password) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (!res.body.accessToken) throw new Error(`Login failed for ${username}`);
+  return res.body.accessToken;
+}
+
+async function clearTables() {
+  await ArticleViewDaily.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await SuggestedEdit.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "dashadmin",
+    email: "dashadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  moderator = await User.create({
+    username: "dashmod",
+    email: "dashmod@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  adminToken = await login("dashadmin", "password123ADMIN!");
+  moderatorToken = await login("dashmod", "password123MOD!");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Admin dashboard", () => {
+  it("summarises articles, views, suggestions and recent changes", async () => {
+    const { body: full } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      ...articleBody,
+      title_rus: "Статья",
+      content_rus: "<p>Русский</p>",
+      title_mng: "Нийтлэл",
+      content_mng: "<p>Монгол</p>",
+    });
+    const { body: draft } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      ...articleBody,
+      title_en: "Unfinished Draft",
+      category: "blog",
+      status: "draft",
+    });
+    await ArticleViewDaily.bulkCreate([
+      { articleId: full.id, lang: "en", date: utcDay(), views: 3 },
+      { articleId: full.id, lang: "mng", date: utcDay(), views: 2 },
+      {
+        articleId: draft.id,
+        lang: "en",
+        date: utcDay(new Date(Date.now() - 60 * DAY_MS)),
+        views: 50,
+      },
+    ]);
+    await authRequest(
+      moderatorToken,
+      "post",
+      `/api/admin/articles/${full.id}/suggest`
+    ).send({ ...articleBody, title_en: "Suggested title" });
+    await SuggestedEdit.create({
+      articleId: full.id,
+      moderatorId: moderator.id,
+      proposedData: { title_en: "Old suggestion" },
+      status: "pending",
+      createdAt: new Date(Date.now() - 10 * DAY_MS),
+    });
+
+    const res = await authRequest(
+      adminToken,
+      "get",
+      "/api/admin/dashboard?days=30"
+    );
+    expect(res.statusCode).toBe(200);
+
+    const { articles } = res.body;
+    expect(articles.total).toBe(2);
+    expect(articles.byStatus).toMatchObject({ published: 1, draft: 1 });
+    expect(articles.byCategory).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ category: "news", count: 1 }),
+        expect.objectContaining({ category: "blog", count: 1 }),
+      ])
+    );
+    expect(articles.translations).toMatchObject({
+      en: 2,
+      rus: 1,
+      mng: 1,
+      complete: 1,
+      missing: { en: 0, rus: 1, mng: 1 },
+    });
+
+    // Views older than the period don't count
+    expect(res.body.mostViewed).toEqual([
+      expect.objectContaining({ id: full.id, views: 5 }),
+    ]);
+
+    expect(res.body.suggestions.count).toBe(2);
+    expect(res.body.suggestions.oldestAgeDays).toBe(10);
+    expect(res.body.suggestions.byAge).toEqual({
+      underOneDay: 1,
+      oneToSevenDays: 0,
+      overSevenDays: 1,
+    });
+    expect(res.body.moderators).toEqual([
+      expect.objectContaining({
+        username: "dashmod",
+        submitted: 2,
+        pending: 2,
+      }),
+    ]);
+
+    expect(res.body.recentChanges).toHaveLength(2);
+    expect(res.body.recentChanges[0]).toMatchObject({
+      action: "create",
+      editor: "dashadmin",
+    });
+  });
+
+  it("is admin-only", async () => {
+    const res = await authRequest(
+      moderatorToken,
+      "get",
+      "/api/admin/dashboard"
+    );
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,87 @@
+// server/tests/integration/articleLanguages.test.js
+const request = require("supertest");
+const { sequelize, Article } = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+
+const createArticle = (fields) =>
+  Article.create({
+    category: "news",
+    author: "Federation",
+    status: "published",
+    ...fields,
+  });
+
+async function clearTables() {
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Public article language fallback", () => {
+  it("serves English when the requested translation is missing", async () => {
+    const article = await createArticle({
+      title_en: "English only",
+      content_en: "<p>Only in English</p>",
+    });
+
+    const res = await agent.get(`/api/articles/${article.id}?lang=mng`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      title: "English only",
+      content: "<p>Only in English</p>",
+      servedLang: "en",
+      availableLangs: ["en"],
+    });
+  });
+
+  it("serves the translation when there is one", async () => {
+    const article = await createArticle({
+      title_en: "Bilingual",
+      content_en: "<p>English text</p>",
+      title_rus: "Двуязычная",
+      content_rus: "<p>Русский текст</p>",
+    });
+
+    const res = await agent.get(`/api/articles/${article.id}?lang=rus`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      title: "Двуязычная",
+      servedLang: "rus",
+      availableLangs: ["en", "rus"],
+    });
+  });
+
+  it("reports the served language of every list entry", async () => {
+    await createArticle({
+      title_en: "Translated",
+      content_en: "<p>English</p>",
+      title_mng: "Орчуулсан",
+      content_mng: "<p>Монгол</p>",
+    });
+    await createArticle({
+      title_en: "Untranslated",
+      content_en: "<p>English</p>",
+    });
+
+    const res = await agent.get("/api/articles?lang=mng");
+    expect(res.statusCode).toBe(200);
+    const served = Object.fromEntries(
+      res.body.articles.map((a) => [a.title, a.servedLang])
+    );
+    expect(served).toEqual({ Орчуулсан: "mng", Untranslated: "en" });
+    const untranslated = res.body.articles.find(
+      (a) => a.title === "Untranslated"
+    );
+    expect(untranslated.availableLangs).toEqual(["en"]);
+    expect(untranslated.slug).toBe(untranslated.slugs.en);
+  });
+});
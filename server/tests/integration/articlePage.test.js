@@ -0,0 +1,120 @@
+// server/tests/integration/articlePage.test.js
+const path = require("path");
+const request = require("supertest");
+
+// The page source stands in for the built client
+process.env.CLIENT_DIST_DIR = path.join(__dirname, "..", "..", "..", "client");
+
+const {
+  sequelize,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+
+const articleFields = {
+  title_en: "Judges Seminar",
+  content_en: "<p>Seminar for new judges</p>",
+  title_rus: "Семинар судей",
+  content_rus: "<p>Семинар для новых судей</p>",
+  category: "news",
+  author: "Federation",
+  status: "published",
+};
+
+async function clearTables() {
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Server-rendered article page", () => {
+  it("puts the article, its title and share tags in the HTML", async () => {
+    await Article.create(articleFields);
+
+    const res = await agent.get("/article.html?slug=seminar-sudey");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.text).toContain('<html lang="ru"');
+    expect(res.text).toContain("<title>Семинар судей - MSKTF</title>");
+    expect(res.text).toContain(
+      '<meta property="og:title" content="Семинар судей" />'
+    );
+    expect(res.text).toContain("<p>Семинар для новых судей</p>");
+    expect(res.text).toContain('data-ssr="true"');
+    expect(res.text).not.toContain('id="article-loading"');
+    expect(res.text).toContain('hreflang="en"');
+
+    const data = res.text.match(
+      /<script type="application\/json" id="article-data">(.*)<\/script>/
+    );
+    expect(JSON.parse(data[1])).toMatchObject({ lang: "rus", views: 0 });
+  });
+
+  it("allows article images from any http(s) host", async () => {
+    await Article.create({
+      ...articleFields,
+      imageUrl: "https://example.com/cover.jpg",
+    });
+
+    const res = await agent.get("/article.html?slug=seminar-sudey");
+    expect(res.text).toContain("https://example.com/cover.jpg");
+    const imgSrc = res.headers["content-security-policy"]
+      .split(";")
+      .find((directive) => directive.startsWith("img-src"));
+    expect(imgSrc.split(" ")).toEqual(
+      expect.arrayContaining(["'self'", "data:", "https:", "http:"])
+    );
+  });
+
+  it("escapes the image URL and title in attributes", async () => {
+    await Article.create({
+      ...articleFields,
+      title_rus: 'Семинар "судей" &amp; тренеров',
+      imageUrl: 'https://a.com/x"onerror="alert(1)',
+    });
+
+    const res = await agent.get("/article.html?slug=seminar-sudey-trenerov");
+    expect(res.statusCode).toBe(200);
+    expect(res.text).not.toContain('"onerror="');
+    expect(res.text).toContain(
+      '<img src="https://a.com/x&quot;onerror=&quot;alert(1)" alt="Семинар &quot;судей&quot; &amp; тренеров"'
+    );
+  });
+
+  it("redirects ID links and retired slugs to the current slug", async () => {
+    const article = await Article.create(articleFields);
+
+    const idRes = await agent
+      .get(`/article.html?id=${article.id}`)
+      .set("Accept-Language", "ru-RU,ru;q=0.9,en;q=0.5");
+    expect(idRes.statusCode).toBe(301);
+    expect(idRes.headers.location).toBe("/article.html?slug=seminar-sudey");
+
+    await article.update({ title_en: "Judges Seminar Moved" });
+    const oldRes = await agent.get("/article.html?slug=judges-seminar");
+    expect(oldRes.statusCode).toBe(301);
+    expect(oldRes.headers.location).toBe(
+      "/article.html?slug=judges-seminar-moved"
+    );
+  });
+
+  it("serves the plain shell with a 404 for unknown or hidden articles", async () => {
+    await Article.create({ ...articleFields, status: "draft" });
+
+    const res = await agent.get("/article.html?slug=judges-seminar");
+    expect(res.statusCode).toBe(404);
+    expect(res.text).toContain('id="article-loading"');
+  });
+});
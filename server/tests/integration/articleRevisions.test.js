@@ -0,0 +1,251 @@
+// server/tests/integration/articleRevisions.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  SuggestedEdit,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let moderatorToken = null;
+
+const articleBody = {
+  title_en: "Original English title",
+  content_en: "<p>The quick brown fox</p>",
+  title_rus: "Русский заголовок",
+  content_rus: "<p>Быстрая лиса</p>",
+  category: "news",
+  author: "Editor",
+};
+
+// Sends an authenticated request as the given user
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+async function login(username, password) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (!res.body.accessToken) throw new Error(`Login failed for ${username}`);
+  return res.body.accessToken;
+}
+
+async function clearTables() {
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await SuggestedEdit.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "historyadmin",
+    email: "historyadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  await User.create({
+    username: "historymod",
+    email: "historymod@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  adminToken = await login("historyadmin", "password123ADMIN!");
+  moderatorToken = await login("historymod", "password123MOD!");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article revision history", () => {
+  it("records a revision on create and on every admin edit", async () => {
+    const createRes = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    expect(createRes.statusCode).toBe(201);
+    const articleId = createRes.body.id;
+
+    const updateRes = await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/articles/${articleId}`
+    ).send({ ...articleBody, content_en: "<p>The quick red fox</p>" });
+    expect(updateRes.statusCode).toBe(200);
+
+    const listRes = await authRequest(
+      adminToken,
+      "get",
+      `/api/admin/articles/${articleId}/revisions`
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body.map((r) => [r.revisionNumber, r.action])).toEqual([
+      [2, "update"],
+      [1, "create"],
+    ]);
+    expect(listRes.body[0].editor.username).toBe("historyadmin");
+    expect(listRes.body[0].changedFields).toEqual(["content_en"]);
+  });
+
+  it("diffs a revision against the previous one per language", async () => {
+    const { body: article } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/articles/${article.id}`
+    ).send({ ...articleBody, content_en: "<p>The quick red fox</p>" });
+    const latest = await ArticleRevision.findOne({
+      where: { articleId: article.id, revisionNumber: 2 },
+    });
+
+    const res = await authRequest(
+      adminToken,
+      "get",
+      `/api/admin/articles/${article.id}/revisions/${latest.id}/diff?lang=en`
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.compareTo.revisionNumber).toBe(1);
+    expect(Object.keys(res.body.languages)).toEqual(["en"]);
+    const content = res.body.languages.en.content;
+    expect(content.changed).toBe(true);
+    expect(content.ops).toEqual(
+      expect.arrayContaining([
+        { op: "delete", text: "brown" },
+        { op: "insert", text: "red" },
+      ])
+    );
+    expect(res.body.languages.en.title.changed).toBe(false);
+  });
+
+  it("restores an older revision as a new revision", async () => {
+    const { body: article } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/articles/${article.id}`
+    ).send({ ...articleBody, title_en: "Rewritten English title" });
+    const first = await ArticleRevision.findOne({
+      where: { articleId: article.id, revisionNumber: 1 },
+    });
+
+    const res = await authRequest(
+      adminToken,
+      "post",
+      `/api/admin/articles/${article.id}/revisions/${first.id}/restore`
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revision.revisionNumber).toBe(3);
+    expect(res.body.revision.action).toBe("restore");
+    expect(res.body.revision.restoredFromId).toBe(first.id);
+
+    const restored = await Article.findByPk(article.id);
+    expect(restored.title_en).toBe(articleBody.title_en);
+  });
+
+  it("snapshots legacy articles before their first edit", async () => {
+    const legacy = await Article.create({
+      ...articleBody,
+      title_en: "Written before history",
+      status: "published",
+    });
+
+    await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/articles/${legacy.id}`
+    ).send({ ...articleBody, title_en: "Edited after history" });
+
+    const revisions = await ArticleRevision.findAll({
+      where: { articleId: legacy.id },
+      order: [["revisionNumber", "ASC"]],
+    });
+    expect(revisions.map((r) => r.action)).toEqual(["baseline", "update"]);
+    expect(revisions[0].snapshot.title_en).toBe("Written before history");
+  });
+
+  it("records approved suggestions with their suggestion ID", async () => {
+    const { body: article } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    const suggestRes = await authRequest(
+      moderatorToken,
+      "post",
+      `/api/admin/articles/${article.id}/suggest`
+    ).send({ ...articleBody, title_en: "Moderator suggested title" });
+    expect(suggestRes.statusCode).toBe(201);
+    const suggestion = await SuggestedEdit.findOne({
+      where: { articleId: article.id },
+    });
+
+    const approveRes = await authRequest(
+      adminToken,
+      "post",
+      `/api/admin/suggestions/${suggestion.id}/approve`
+    );
+    expect(approveRes.statusCode).toBe(200);
+
+    const listRes = await authRequest(
+      adminToken,
+      "get",
+      `/api/admin/articles/${article.id}/revisions`
+    );
+    expect(listRes.body[0]).toMatchObject({
+      action: "suggestion",
+      suggestionId: suggestion.id,
+      suggestedBy: "historymod",
+      changedFields: ["title_en"],
+    });
+  });
+
+  it("keeps revision history admin-only", async () => {
+    const { body: article } = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+
+    const res = await authRequest(
+      moderatorToken,
+      "get",
+      `/api/admin/articles/${article.id}/revisions`
+    );
+    expect(res.statusCode).toBe(403);
+  });
+});
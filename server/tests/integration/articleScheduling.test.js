@@ -0,0 +1,151 @@
+// server/tests/integration/articleScheduling.test.js
+const request = require("supertest");
+const { sequelize, User, Article, ArticleRevision } = require("../../models");
+const { publishDueArticles } = require("../../utils/articlePublishing");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+const articleBody = {
+  title_en: "Scheduled announcement",
+  content_en: "<p>Registration opens soon</p>",
+  category: "news",
+  author: "Federation",
+};
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000);
+
+// Sends an authenticated admin request
+const adminRequest = (method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .set("x-csrf-token", csrfToken);
+
+async function clearTables() {
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "scheduleadmin",
+    email: "scheduleadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "scheduleadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Scheduled publishing", () => {
+  it("hides future-dated articles from every public query", async () => {
+    const res = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      status: "scheduled",
+      publishAt: hoursFromNow(2).toISOString(),
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.status).toBe("scheduled");
+
+    const listRes = await agent.get("/api/articles");
+    expect(listRes.body.totalArticles).toBe(0);
+    const categoryRes = await agent.get("/api/articles/category/news");
+    expect(categoryRes.body).toHaveLength(0);
+    const singleRes = await agent.get(`/api/articles/${res.body.id}`);
+    expect(singleRes.statusCode).toBe(404);
+  });
+
+  it("shows scheduled articles as soon as they are due", async () => {
+    const due = await Article.create({
+      ...articleBody,
+      status: "scheduled",
+      publishAt: hoursFromNow(-1),
+    });
+
+    const singleRes = await agent.get(`/api/articles/${due.id}`);
+    expect(singleRes.statusCode).toBe(200);
+    const listRes = await agent.get("/api/articles");
+    expect(listRes.body.articles.map((a) => a.id)).toEqual([due.id]);
+  });
+
+  it("publishes only due articles when the scheduler runs", async () => {
+    const due = await Article.create({
+      ...articleBody,
+      status: "scheduled",
+      publishAt: hoursFromNow(-1),
+    });
+    const future = await Article.create({
+      ...articleBody,
+      status: "scheduled",
+      publishAt: hoursFromNow(5),
+    });
+
+    expect(await publishDueArticles()).toBe(1);
+    await due.reload();
+    await future.reload();
+    expect(due.status).toBe("published");
+    expect(future.status).toBe("scheduled");
+  });
+
+  it("requires a future publish date for scheduled articles", async () => {
+    const missing = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      status: "scheduled",
+    });
+    expect(missing.statusCode).toBe(400);
+
+    const past = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      status: "scheduled",
+      publishAt: hoursFromNow(-1).toISOString(),
+    });
+    expect(past.statusCode).toBe(400);
+  });
+
+  it("keeps drafts hidden and lets admins publish them immediately", async () => {
+    const draft = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      status: "draft",
+    });
+    expect((await agent.get(`/api/articles/${draft.body.id}`)).statusCode).toBe(
+      404
+    );
+
+    const publishRes = await adminRequest(
+      "put",
+      `/api/admin/articles/${draft.body.id}`
+    ).send({ ...articleBody, status: "published" });
+    expect(publishRes.statusCode).toBe(200);
+    expect(publishRes.body.publishAt).toBeNull();
+    expect((await agent.get(`/api/articles/${draft.body.id}`)).statusCode).toBe(
+      200
+    );
+  });
+});
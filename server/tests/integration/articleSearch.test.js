@@ -0,0 +1,138 @@
+// server/tests/integration/articleSearch.test.js
+const request = require("supertest");
+const { sequelize, Article } = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+
+const createArticle = (fields) =>
+  Article.create({
+    category: "news",
+    author: "Federation",
+    status: "published",
+    ...fields,
+  });
+
+async function clearTables() {
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("GET /api/articles/search", () => {
+  it("finds matches in content text and highlights them", async () => {
+    await createArticle({
+      title_en: "Season opener",
+      content_en:
+        "<p>The national <strong>knife throwing</strong> cup starts in May.</p>",
+    });
+    await createArticle({
+      title_en: "Unrelated",
+      content_en: "<p>Nothing to see here.</p>",
+    });
+
+    const res = await agent.get("/api/articles/search?q=Throwing");
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      totalArticles: 1,
+      totalPages: 1,
+      currentPage: 1,
+    });
+    expect(res.body.articles[0].title).toBe("Season opener");
+    expect(res.body.articles[0].snippet).toContain(
+      "knife <mark>throwing</mark> cup"
+    );
+  });
+
+  it("ignores matches inside HTML markup", async () => {
+    await createArticle({
+      title_en: "Styled article",
+      content_en: '<p class="ql-align-center">Plain words</p>',
+    });
+
+    const res = await agent.get("/api/articles/search?q=align");
+    expect(res.body.totalArticles).toBe(0);
+  });
+
+  it("falls back to other languages after the requested one", async () => {
+    const russianOnly = await createArticle({
+      title_en: "Results",
+      content_en: "<p>English text</p>",
+      title_rus: "Итоги чемпионата",
+      content_rus: "<p>Чемпионат завершился</p>",
+    });
+    const english = await createArticle({
+      title_en: "Championship preview",
+      content_en: "<p>Чемпионат in the English text</p>",
+    });
+
+    const res = await agent.get(
+      `/api/articles/search?q=${encodeURIComponent("чемпионат")}&lang=en`
+    );
+    expect(res.body.articles.map((a) => [a.id, a.matchedLang])).toEqual([
+      [english.id, "en"],
+      [russianOnly.id, "rus"],
+    ]);
+    expect(res.body.articles[1].title).toBe("Итоги чемпионата");
+  });
+
+  it("paginates and hides unpublished articles", async () => {
+    for (let i = 1; i <= 3; i++) {
+      await createArticle({
+        title_en: `Training camp ${i}`,
+        content_en: "<p>Camp</p>",
+      });
+    }
+    await createArticle({
+      title_en: "Training camp draft",
+      content_en: "<p>Camp</p>",
+      status: "draft",
+    });
+
+    const res = await agent.get("/api/articles/search?q=camp&limit=2&page=2");
+    expect(res.body).toMatchObject({ totalArticles: 3, totalPages: 2 });
+    expect(res.body.articles).toHaveLength(1);
+  });
+
+  it("matches text stored with HTML entities", async () => {
+    await createArticle({
+      title_en: "Judges' corner",
+      content_en: "<p>Our Q&amp;A with the judges</p>",
+    });
+    await createArticle({
+      title_en: "Q&#x27;s &amp; answers",
+      content_en: "<p>Nothing else</p>",
+    });
+
+    const res = await agent.get(
+      `/api/articles/search?q=${encodeURIComponent("Q&A")}`
+    );
+    expect(res.body.totalArticles).toBe(1);
+    expect(res.body.articles[0].snippet).toContain("Our <mark>Q&amp;A</mark>");
+  });
+
+  it("escapes markup in snippets", async () => {
+    await createArticle({
+      title_en: "Discount",
+      content_en: "<p>Save 100% &lt;today&gt;</p>",
+    });
+
+    const res = await agent.get("/api/articles/search?q=today");
+    expect(res.body.totalArticles).toBe(1);
+    expect(res.body.articles[0].snippet).toBe(
+      "Save 100% &lt;<mark>today</mark>&gt;"
+    );
+  });
+
+  it("rejects queries that are too short", async () => {
+    const res = await agent.get("/api/articles/search?q=a");
+    expect(res.statusCode).toBe(400);
+  });
+});
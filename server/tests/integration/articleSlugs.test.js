@@ -0,0 +1,155 @@
+// server/tests/integration/articleSlugs.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+const articleBody = {
+  title_en: "National Championship Results",
+  content_en: "<p>Final standings</p>",
+  title_rus: "Итоги чемпионата",
+  content_rus: "<p>Итоговая таблица</p>",
+  title_mng: "Үндэсний аварга шалгаруулах тэмцээн",
+  content_mng: "<p>Эцсийн дүн</p>",
+  category: "news",
+  author: "Federation",
+};
+
+// Sends an authenticated admin request
+const adminRequest = (method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .set("x-csrf-token", csrfToken);
+
+async function clearTables() {
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "slugadmin",
+    email: "slugadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "slugadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article slugs", () => {
+  it("generates a transliterated slug for every titled language", async () => {
+    const res = await adminRequest("post", "/api/admin/articles").send(
+      articleBody
+    );
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      slug_en: "national-championship-results",
+      slug_rus: "itogi-chempionata",
+      slug_mng: "undesniy-avarga-shalgaruulakh-temtseen",
+    });
+
+    const untranslated = await adminRequest("post", "/api/admin/articles").send(
+      { ...articleBody, title_rus: "", title_mng: "" }
+    );
+    expect(untranslated.body.slug_en).toBe("national-championship-results-2");
+    expect(untranslated.body.slug_rus).toBeNull();
+  });
+
+  it("serves an article in the language of its slug", async () => {
+    await adminRequest("post", "/api/admin/articles").send(articleBody);
+
+    const res = await agent.get("/api/articles/slug/itogi-chempionata");
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      lang: "rus",
+      title: "Итоги чемпионата",
+      slug: "itogi-chempionata",
+      slugs: {
+        en: "national-championship-results",
+        rus: "itogi-chempionata",
+        mng: "undesniy-avarga-shalgaruulakh-temtseen",
+      },
+    });
+
+    const listRes = await agent.get("/api/articles?lang=mng");
+    expect(listRes.body.articles[0].slug).toBe(
+      "undesniy-avarga-shalgaruulakh-temtseen"
+    );
+    const missing = await agent.get("/api/articles/slug/no-such-article");
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it("keeps retired slugs working after a rename", async () => {
+    const { body: article } = await adminRequest(
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    await adminRequest("put", `/api/admin/articles/${article.id}`).send({
+      ...articleBody,
+      title_en: "Championship Final Standings",
+    });
+
+    const res = await agent.get(
+      "/api/articles/slug/national-championship-results"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.id).toBe(article.id);
+    expect(res.body.slug).toBe("championship-final-standings");
+
+    // Another article cannot take over the retired slug
+    const other = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      title_rus: "",
+      title_mng: "",
+    });
+    expect(other.body.slug_en).toBe("national-championship-results-2");
+  });
+
+  it("returns slugs with ID lookups so old links can redirect", async () => {
+    const { body: article } = await adminRequest(
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+
+    const res = await agent.get(`/api/articles/${article.id}?lang=rus`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.slug).toBe("itogi-chempionata");
+    expect(res.body.slug_rus).toBeUndefined();
+  });
+});
@@ -0,0 +1,211 @@
+// server/tests/integration/articleTranslations.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+  ArticleTranslation,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let moderatorToken = null;
+let moderator = null;
+
+const articleBody = {
+  title_en: "Coaching Course",
+  content_en: "<p>Course for new coaches</p>",
+  title_rus: "Курс тренеров",
+  content_rus: "<p>Курс для новых тренеров</p>",
+  category: "news",
+  author: "Federation",
+};
+
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+async function login(username, password) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (!res.body.accessToken) throw new Error(`Login failed for ${username}`);
+  return res.body.accessToken;
+}
+
+const statuses = async (articleId) =>
+  Object.fromEntries(
+    (await ArticleTranslation.findAll({ where: { articleId } })).map((t) => [
+      t.lang,
+      t.status,
+    ])
+  );
+
+async function clearTables() {
+  await ArticleTranslation.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+  });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "transadmin",
+    email: "transadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  moderator = await User.create({
+    username: "translator",
+    email: "translator@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  adminToken = await login("transadmin", "password123ADMIN!");
+  moderatorToken = await login("translator", "password123MOD!");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Translation tracking", () => {
+  it("tracks missing, draft, reviewed and outdated translations", async () => {
+    const article = await Article.create(articleBody);
+    expect(await statuses(article.id)).toEqual({
+      rus: "draft",
+      mng: "missing",
+    });
+
+    const reviewRes = await authRequest(
+      adminToken,
+      "post",
+      `/api/admin/translations/${article.id}/rus/review`
+    );
+    expect(reviewRes.statusCode).toBe(200);
+    expect(reviewRes.body.status).toBe("reviewed");
+
+    // Unrelated changes keep the review
+    await article.update({ author: "Secretary" });
+    expect((await statuses(article.id)).rus).toBe("reviewed");
+
+    await article.update({ content_en: "<p>Course for all coaches</p>" });
+    expect((await statuses(article.id)).rus).toBe("outdated");
+
+    // Updating the translation makes it a draft to review again
+    await article.update({ content_rus: "<p>Курс для всех тренеров</p>" });
+    expect((await statuses(article.id)).rus).toBe("draft");
+
+    await article.update({ title_rus: null, content_rus: null });
+    expect((await statuses(article.id)).rus).toBe("missing");
+  });
+
+  it("refuses to review a missing translation", async () => {
+    const article = await Article.create(articleBody);
+    const res = await authRequest(
+      adminToken,
+      "post",
+      `/api/admin/translations/${article.id}/mng/review`
+    );
+    expect(res.statusCode).toBe(409);
+  });
+
+  it("lists the queue for a language, outdated first", async () => {
+    const fresh = await Article.create({
+      ...articleBody,
+      title_en: "Fresh Article",
+    });
+    const changed = await Article.create({
+      ...articleBody,
+      title_en: "Changed Article",
+    });
+    await changed.update({ content_en: "<p>New English text</p>" });
+    await ArticleTranslation.update(
+      { status: "reviewed" },
+      { where: { articleId: fresh.id, lang: "rus" } }
+    );
+
+    const res = await authRequest(
+      adminToken,
+      "get",
+      "/api/admin/translations?lang=rus"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((t) => [t.title, t.status])).toEqual([
+      ["Changed Article", "outdated"],
+    ]);
+
+    const mngRes = await authRequest(
+      adminToken,
+      "get",
+      "/api/admin/translations?lang=mng&status=missing"
+    );
+    expect(mngRes.body).toHaveLength(2);
+  });
+
+  it("assigns a moderator as translator", async () => {
+    const article = await Article.create(articleBody);
+
+    const assignRes = await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/translations/${article.id}/mng/assignee`
+    ).send({ translatorId: moderator.id });
+    expect(assignRes.statusCode).toBe(200);
+    expect(assignRes.body.translator.username).toBe("translator");
+
+    const mineRes = await authRequest(
+      moderatorToken,
+      "get",
+      "/api/admin/translations?lang=mng&assignedTo=me"
+    );
+    expect(mineRes.statusCode).toBe(200);
+    expect(mineRes.body.map((t) => t.articleId)).toEqual([article.id]);
+
+    const adminUser = await User.findOne({ where: { role: "admin" } });
+    const badRes = await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/translations/${article.id}/mng/assignee`
+    ).send({ translatorId: adminUser.id });
+    expect(badRes.statusCode).toBe(400);
+  });
+
+  it("keeps assignment and review admin-only", async () => {
+    const article = await Article.create(articleBody);
+    const res = await authRequest(
+      moderatorToken,
+      "post",
+      `/api/admin/translations/${article.id}/rus/review`
+    );
+    expect(res.statusCode).toBe(403);
+  });
+});
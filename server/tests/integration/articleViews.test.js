@@ -0,0 +1,212 @@
+// server/tests/integration/articleViews.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+  ArticleView,
+  ArticleViewDaily,
+} = require("../../models");
+const app = require("../../app");
+const { pruneViewEvents, utcDay } = require("../../utils/articleViews");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+const BROWSER_UA =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36";
+
+const articleFields = {
+  title_en: "Open Championship Report",
+  content_en: "<p>Report</p>",
+  title_mng: "Нээлттэй аварга шалгаруулалт",
+  content_mng: "<p>Тайлан</p>",
+  category: "competition",
+  author: "Federation",
+  status: "published",
+};
+
+// Reports a view the way the article page does
+const reportView = (articleId, lang, userAgent = BROWSER_UA, ip = "10.0.0.1") =>
+  agent
+    .post(`/api/articles/${articleId}/view`)
+    .set("x-csrf-token", csrfToken)
+    .set("User-Agent", userAgent)
+    .set("X-Forwarded-For", ip)
+    .send({ lang });
+
+async function clearTables() {
+  await ArticleView.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleViewDaily.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "viewsadmin",
+    email: "viewsadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "viewsadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Admin login failed");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article view statistics", () => {
+  it("no longer counts views on article fetches", async () => {
+    const article = await Article.create(articleFields);
+
+    await agent.get(`/api/articles/${article.id}`);
+    await agent.get(`/api/articles/slug/${article.slug_en}`);
+
+    await article.reload();
+    expect(article.views).toBe(0);
+  });
+
+  it("counts each visitor once per article and day", async () => {
+    const article = await Article.create(articleFields);
+
+    const first = await reportView(article.id, "mng");
+    expect(first.statusCode).toBe(200);
+    expect(first.body.counted).toBe(true);
+    const repeat = await reportView(article.id, "mng");
+    expect(repeat.body.counted).toBe(false);
+    await reportView(article.id, "en", BROWSER_UA, "10.0.0.2");
+
+    await article.reload();
+    expect(article.views).toBe(2);
+    const daily = await ArticleViewDaily.findAll({
+      where: { articleId: article.id },
+      order: [["lang", "ASC"]],
+    });
+    expect(
+      daily.map((d) => [d.lang, utcDay(new Date(d.date)), d.views])
+    ).toEqual([
+      ["en", utcDay(), 1],
+      ["mng", utcDay(), 1],
+    ]);
+  });
+
+  it("ignores bots and signed-in staff", async () => {
+    const article = await Article.create(articleFields);
+
+    const bot = await reportView(
+      article.id,
+      "en",
+      "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+    );
+    expect(bot.body.counted).toBe(false);
+    const staff = await agent
+      .post(`/api/articles/${article.id}/view`)
+      .set("x-csrf-token", csrfToken)
+      .set("User-Agent", BROWSER_UA)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ lang: "en" });
+    expect(staff.body.counted).toBe(false);
+
+    await article.reload();
+    expect(article.views).toBe(0);
+  });
+
+  it("recognises staff by the cookie a panel login sets", async () => {
+    const article = await Article.create(articleFields);
+    const browser = request.agent(app);
+    const { body } = await browser.get("/api/csrf-token");
+    const login = await browser
+      .post("/api/admin/login")
+      .set("x-csrf-token", body.csrfToken)
+      .send({
+        username: "viewsadmin",
+        password: "password123ADMIN!",
+        useCookie: true,
+      });
+    expect(login.statusCode).toBe(200);
+    const view = () =>
+      browser
+        .post(`/api/articles/${article.id}/view`)
+        .set("x-csrf-token", body.csrfToken)
+        .set("User-Agent", BROWSER_UA)
+        .send({ lang: "en" });
+
+    expect((await view()).body.counted).toBe(false);
+
+    // Logging out clears the marker along with the refresh cookie
+    await browser.post("/api/admin/logout").set("x-csrf-token", body.csrfToken);
+    expect((await view()).body.counted).toBe(true);
+  });
+
+  it("rejects views of drafts", async () => {
+    const draft = await Article.create({ ...articleFields, status: "draft" });
+    const res = await reportView(draft.id, "en");
+    expect(res.statusCode).toBe(404);
+  });
+
+  it("prunes de-duplication rows of past days only", async () => {
+    const article = await Article.create(articleFields);
+    await reportView(article.id, "en");
+    await ArticleView.create({
+      articleId: article.id,
+      lang: "en",
+      viewDate: "2020-01-01",
+      visitorHash: "a".repeat(64),
+    });
+
+    await pruneViewEvents();
+    const remaining = await ArticleView.findAll();
+    expect(remaining.map((v) => utcDay(new Date(v.viewDate)))).toEqual([
+      utcDay(),
+    ]);
+  });
+
+  it("returns a zero-filled daily series per language for admins", async () => {
+    const article = await Article.create(articleFields);
+    await reportView(article.id, "mng");
+    await ArticleViewDaily.create({
+      articleId: article.id,
+      lang: "en",
+      date: utcDay(new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)),
+      views: 4,
+    });
+
+    const res = await agent
+      .get(`/api/admin/articles/${article.id}/views?days=7`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.days).toHaveLength(7);
+    expect(res.body.to).toBe(utcDay());
+    expect(res.body.periodViews).toBe(5);
+    expect(res.body.byLanguage).toEqual({ en: 4, rus: 0, mng: 1 });
+    expect(res.body.days[4]).toMatchObject({ en: 4, total: 4 });
+    expect(res.body.days[6]).toMatchObject({ mng: 1, total: 1 });
+  });
+});
@@ -0,0 +1,243 @@
+// server/tests/integration/athletes.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Athlete,
+  Club,
+  ClubMembership,
+  Competition,
+  CompetitionResult,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+// Sends an authenticated admin request
+const adminRequest = (method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .set("x-csrf-token", csrfToken);
+
+async function createResult(name, date, athleteName, placement) {
+  const competition = await Competition.create({
+    name_en: name,
+    startDate: date,
+    endDate: date,
+    disciplines: ["3m"],
+    status: "finished",
+  });
+  return CompetitionResult.create({
+    competitionId: competition.id,
+    athleteName,
+    discipline: "3m",
+    placement,
+  });
+}
+
+async function clearTables() {
+  await ClubMembership.destroy({ where: {}, truncate: true });
+  await CompetitionResult.destroy({ where: {}, truncate: true });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  await Athlete.destroy({ where: {}, truncate: true, cascade: true });
+  await Club.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "profileadmin",
+    email: "profileadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "profileadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Admin athlete and club management", () => {
+  it("should create profiles and close the old membership on a transfer", async () => {
+    const clubA = await adminRequest("post", "/api/admin/clubs").send({
+      name_en: "Steppe Blades",
+      city: "Ulaanbaatar",
+    });
+    const clubB = await adminRequest("post", "/api/admin/clubs").send({
+      name_en: "Gobi Throwers",
+    });
+    expect(clubA.statusCode).toEqual(201);
+
+    const athleteRes = await adminRequest("post", "/api/admin/athletes").send({
+      name_en: "Bold",
+      name_mng: "Болд",
+      bio_en: "Two-time national champion.",
+      gender: "male",
+      birthYear: 1995,
+    });
+    expect(athleteRes.statusCode).toEqual(201);
+    const athleteId = athleteRes.body.id;
+
+    await adminRequest(
+      "post",
+      `/api/admin/athletes/${athleteId}/memberships`
+    ).send({ clubId: clubA.body.id, startDate: "2028-01-01" });
+    const transferRes = await adminRequest(
+      "post",
+      `/api/admin/athletes/${athleteId}/memberships`
+    ).send({ clubId: clubB.body.id, startDate: "2030-01-01" });
+    expect(transferRes.statusCode).toEqual(201);
+
+    const profile = await agent.get(`/api/athletes/${athleteId}`);
+    expect(
+      profile.body.clubHistory.map((m) => [m.clubName, m.current])
+    ).toEqual([
+      ["Gobi Throwers", true],
+      ["Steppe Blades", false],
+    ]);
+
+    // A transfer cannot predate the current membership
+    const backdated = await adminRequest(
+      "post",
+      `/api/admin/athletes/${athleteId}/memberships`
+    ).send({ clubId: clubA.body.id, startDate: "2029-06-01" });
+    expect(backdated.statusCode).toEqual(409);
+  });
+
+  it("should link results by any spelling of the athlete's name", async () => {
+    const athlete = await Athlete.create({ name_en: "Bold", name_mng: "Болд" });
+    await createResult("Spring Cup", "2030-03-01", "bold", 1);
+    await createResult("Summer Cup", "2030-06-01", "Болд", 2);
+    await createResult("Summer Cup 2", "2030-06-02", "Saraa", 1);
+
+    const res = await adminRequest(
+      "post",
+      `/api/admin/athletes/${athlete.id}/link-results`
+    );
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.linked).toEqual(2);
+  });
+
+  it("should reject invalid input and non-admin access", async () => {
+    const res = await adminRequest("post", "/api/admin/athletes").send({
+      name_en: "B",
+      photoUrl: "not-a-url",
+    });
+    expect(res.statusCode).toEqual(400);
+
+    const anon = await agent
+      .post("/api/admin/clubs")
+      .set("x-csrf-token", csrfToken)
+      .send({ name_en: "Nope" });
+    expect(anon.statusCode).toEqual(401);
+  });
+});
+
+describe("Public athlete and club profiles", () => {
+  let athlete;
+  let club;
+
+  beforeEach(async () => {
+    club = await Club.create({ name_en: "Steppe Blades", name_mng: "Тал" });
+    const otherClub = await Club.create({ name_en: "Gobi Throwers" });
+    athlete = await Athlete.create({
+      name_en: "Bold",
+      name_mng: "Болд",
+      bio_en: "Two-time national champion.",
+    });
+    await ClubMembership.create({
+      athleteId: athlete.id,
+      clubId: otherClub.id,
+      startDate: "2028-01-01",
+      endDate: "2030-01-01",
+    });
+    await ClubMembership.create({
+      athleteId: athlete.id,
+      clubId: club.id,
+      startDate: "2030-01-01",
+    });
+    const early = await createResult("Winter Cup", "2029-02-01", "Bold", 3);
+    const late = await createResult("Spring Cup", "2030-03-01", "Bold", 1);
+    await CompetitionResult.update(
+      { athleteId: athlete.id },
+      { where: { id: [early.id, late.id] } }
+    );
+  });
+
+  it("should return the athlete profile with club history and results", async () => {
+    const res = await agent.get(`/api/athletes/${athlete.id}?lang=mng`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.name).toEqual("Болд");
+    // No Mongolian bio yet, so English is served
+    expect(res.body.bio).toEqual("Two-time national champion.");
+    expect(res.body.clubHistory.map((m) => [m.clubName, m.current])).toEqual([
+      ["Тал", true],
+      ["Gobi Throwers", false],
+    ]);
+    expect(
+      res.body.results.map((r) => [r.competitionName, r.placement])
+    ).toEqual([
+      ["Spring Cup", 1],
+      ["Winter Cup", 3],
+    ]);
+  });
+
+  it("should list athletes with their current club", async () => {
+    const res = await agent.get("/api/athletes?q=бол&lang=mng");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.totalAthletes).toEqual(1);
+    expect(res.body.athletes[0].currentClub).toEqual({
+      id: club.id,
+      name: "Тал",
+    });
+  });
+
+  it("should treat % and _ in the search as plain characters", async () => {
+    for (const q of ["%", "_"]) {
+      const res = await agent.get(`/api/athletes?q=${encodeURIComponent(q)}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.totalAthletes).toEqual(0);
+    }
+  });
+
+  it("should show only results earned while at the club", async () => {
+    const res = await agent.get(`/api/clubs/${club.id}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.members.current).toHaveLength(1);
+    expect(res.body.members.former).toHaveLength(0);
+    expect(res.body.results.map((r) => r.competitionName)).toEqual([
+      "Spring Cup",
+    ]);
+  });
+
+  it("should return 404 for unknown profiles", async () => {
+    expect((await agent.get("/api/athletes/99999")).statusCode).toEqual(404);
+    expect((await agent.get("/api/clubs/99999")).statusCode).toEqual(404);
+  });
+});
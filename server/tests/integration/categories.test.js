@@ -0,0 +1,166 @@
+// server/tests/integration/categories.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  Category,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+const trainingCategory = {
+  slug: "training",
+  name_en: "Training",
+  name_rus: "Тренировки",
+  color: "orange",
+  sortOrder: 4,
+};
+
+const articleBody = {
+  title_en: "Warm-up drills",
+  content_en: "<p>Content</p>",
+  category: "training",
+  author: "Coach",
+};
+
+// Sends an authenticated admin request
+const adminRequest = (method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .set("x-csrf-token", csrfToken);
+
+// Leaves the default categories (seeded by the migration) in place
+async function clearTables() {
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+  await Category.destroy({
+    where: { slug: ["training", "coaching"] },
+  });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "categoryadmin",
+    email: "categoryadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "categoryadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Admin login failed");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article categories", () => {
+  it("accepts articles in a category added by an admin", async () => {
+    const rejected = await adminRequest("post", "/api/admin/articles").send(
+      articleBody
+    );
+    expect(rejected.statusCode).toBe(400);
+
+    const createRes = await adminRequest("post", "/api/admin/categories").send(
+      trainingCategory
+    );
+    expect(createRes.statusCode).toBe(201);
+
+    const articleRes = await adminRequest("post", "/api/admin/articles").send(
+      articleBody
+    );
+    expect(articleRes.statusCode).toBe(201);
+
+    const listRes = await agent.get("/api/articles/category/training");
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body).toHaveLength(1);
+  });
+
+  it("lists categories in sort order with translated names", async () => {
+    await Category.create(trainingCategory);
+
+    const res = await agent.get("/api/categories?lang=rus");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((c) => c.slug)).toEqual([
+      "competition",
+      "news",
+      "blog",
+      "training",
+    ]);
+    expect(res.body[3]).toMatchObject({
+      name: "Тренировки",
+      color: "orange",
+    });
+  });
+
+  it("rejects unknown category filters and colors", async () => {
+    const filterRes = await agent.get("/api/articles?category=news,unknown");
+    expect(filterRes.statusCode).toBe(400);
+
+    const colorRes = await adminRequest("post", "/api/admin/categories").send({
+      ...trainingCategory,
+      color: "chartreuse",
+    });
+    expect(colorRes.statusCode).toBe(400);
+  });
+
+  it("moves articles along when a slug is renamed", async () => {
+    const category = await Category.create(trainingCategory);
+    const article = await Article.create({
+      ...articleBody,
+      status: "published",
+    });
+
+    const res = await adminRequest(
+      "put",
+      `/api/admin/categories/${category.id}`
+    ).send({ ...trainingCategory, slug: "coaching" });
+    expect(res.statusCode).toBe(200);
+
+    await article.reload();
+    expect(article.category).toBe("coaching");
+  });
+
+  it("refuses to delete a category that still has articles", async () => {
+    const category = await Category.create(trainingCategory);
+    const article = await Article.create(articleBody);
+
+    const blocked = await adminRequest(
+      "delete",
+      `/api/admin/categories/${category.id}`
+    );
+    expect(blocked.statusCode).toBe(409);
+
+    await article.destroy();
+    const res = await adminRequest(
+      "delete",
+      `/api/admin/categories/${category.id}`
+    );
+    expect(res.statusCode).toBe(204);
+  });
+});
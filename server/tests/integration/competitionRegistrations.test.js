@@ -0,0 +1,178 @@
+// server/tests/integration/competitionRegistrations.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Competition,
+  CompetitionRegistration,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let competition = null;
+
+const entry = {
+  athleteName: "Bat-Erdene",
+  club: "Ulaanbaatar Throwers",
+  ageCategory: "Senior",
+  discipline: "3m",
+  contact: "bat@example.com",
+};
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "regadmin",
+    email: "regadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "regadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(async () => {
+  await CompetitionRegistration.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+  });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  competition = await Competition.create({
+    name_en: "Open Cup",
+    startDate: "2030-06-01",
+    endDate: "2030-06-01",
+    disciplines: ["3m", "5m"],
+    capacities: { "3m": 1 },
+  });
+});
+
+afterAll(async () => {
+  await CompetitionRegistration.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+  });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+const register = (data) =>
+  agent
+    .post(`/api/competitions/${competition.id}/registrations`)
+    .set("x-csrf-token", csrfToken)
+    .send(data);
+
+// --- Tests ---
+describe("Public registration (POST /api/competitions/:id/registrations)", () => {
+  it("should create a pending registration", async () => {
+    const res = await register(entry);
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.status).toEqual("pending");
+    expect(res.body).not.toHaveProperty("contact");
+  });
+
+  it("should require a CSRF token", async () => {
+    const res = await agent
+      .post(`/api/competitions/${competition.id}/registrations`)
+      .send(entry);
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it("should reject disciplines the event does not have", async () => {
+    const res = await register({ ...entry, discipline: "10m" });
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should reject duplicate entries and closed events", async () => {
+    await register(entry);
+    const duplicate = await register({ ...entry, athleteName: "bat-erdene" });
+    expect(duplicate.statusCode).toEqual(409);
+
+    await competition.update({ status: "finished" });
+    const closed = await register({ ...entry, discipline: "5m" });
+    expect(closed.statusCode).toEqual(400);
+  });
+
+  it("should not treat wildcard characters as a duplicate match", async () => {
+    await register(entry);
+    const res = await register({ ...entry, athleteName: "Bat_Erdene" });
+    expect(res.statusCode).toEqual(201);
+  });
+});
+
+describe("Admin registration review (/api/admin/competitions/:id/registrations)", () => {
+  const review = (registrationId, action) =>
+    agent
+      .post(
+        `/api/admin/competitions/${competition.id}/registrations/${registrationId}/${action}`
+      )
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken);
+
+  it("should enforce discipline capacity on approval", async () => {
+    const first = await register(entry);
+    const second = await register({ ...entry, athleteName: "Tuvshin" });
+
+    expect((await review(first.body.id, "approve")).statusCode).toEqual(200);
+    expect((await review(second.body.id, "approve")).statusCode).toEqual(409);
+
+    const waitlisted = await review(second.body.id, "waitlist");
+    expect(waitlisted.statusCode).toEqual(200);
+    expect(waitlisted.body.status).toEqual("waitlisted");
+
+    // New entries into the full discipline are waitlisted automatically
+    const late = await register({ ...entry, athleteName: "Oyun" });
+    expect(late.body.status).toEqual("waitlisted");
+  });
+
+  it("should list registrations with a per-discipline summary", async () => {
+    const first = await register(entry);
+    await register({ ...entry, discipline: "5m" });
+    await review(first.body.id, "reject");
+
+    const res = await agent
+      .get(`/api/admin/competitions/${competition.id}/registrations`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.registrations).toHaveLength(2);
+    expect(res.body.summary).toEqual([
+      {
+        discipline: "3m",
+        capacity: 1,
+        pending: 0,
+        approved: 0,
+        rejected: 1,
+        waitlisted: 0,
+      },
+      {
+        discipline: "5m",
+        capacity: null,
+        pending: 1,
+        approved: 0,
+        rejected: 0,
+        waitlisted: 0,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,270 @@
+// server/tests/integration/competitionResults.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Athlete,
+  Competition,
+  CompetitionResult,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let judgeToken = null;
+let managerToken = null;
+let competition = null;
+
+// Helper: one round at 3m with the given hit zones
+const round = (...throws) => ({ distance: 3, throws });
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  // Moderators act as judges for results entry
+  await User.create({
+    username: "judgemod",
+    email: "judgemod@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "judgemod", password: "password123MOD!" });
+  judgeToken = loginRes.body.accessToken;
+  if (!judgeToken) throw new Error("Login failed during test setup");
+
+  // Only results managers link results to athlete profiles
+  await User.create({
+    username: "resultsmgr",
+    email: "resultsmgr@example.com",
+    password: "password123MGR!",
+    role: "results-manager",
+    needsPasswordChange: false,
+  });
+  const managerLogin = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "resultsmgr", password: "password123MGR!" });
+  managerToken = managerLogin.body.accessToken;
+  if (!managerToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(async () => {
+  await CompetitionResult.destroy({ where: {}, truncate: true });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  competition = await Competition.create({
+    name_en: "Results Cup",
+    startDate: "2030-06-01",
+    endDate: "2030-06-01",
+    disciplines: ["3m", "5m"],
+    status: "ongoing",
+  });
+});
+
+afterAll(async () => {
+  await CompetitionResult.destroy({ where: {}, truncate: true });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  await Athlete.destroy({ where: {}, truncate: true, cascade: true });
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+const enterResult = (data, token = judgeToken) =>
+  agent
+    .post(`/api/admin/competitions/${competition.id}/results`)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken)
+    .send(data);
+
+// --- Tests ---
+describe("Results entry (/api/admin/competitions/:id/results)", () => {
+  it("should compute round scores and the total on the server", async () => {
+    const res = await enterResult({
+      athleteName: "Ganbold",
+      discipline: "3m",
+      rounds: [round("center", "inner", "miss"), round("edge", "outer")],
+      totalScore: 999, // Ignored, always recomputed
+    });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.rounds.map((r) => r.score)).toEqual([9, 3]);
+    expect(res.body.totalScore).toEqual(12);
+    expect(res.body.placement).toEqual(1);
+  });
+
+  it("should reject unknown hit zones and disciplines", async () => {
+    const badZone = await enterResult({
+      athleteName: "Ganbold",
+      discipline: "3m",
+      rounds: [round("bullseye")],
+    });
+    expect(badZone.statusCode).toEqual(400);
+
+    const badDiscipline = await enterResult({
+      athleteName: "Ganbold",
+      discipline: "10m",
+      rounds: [round("center")],
+    });
+    expect(badDiscipline.statusCode).toEqual(400);
+  });
+
+  it("should break ties by countback and share exact ties", async () => {
+    // A and B both total 8; A has a centre hit, so A wins the countback
+    await enterResult({
+      athleteName: "Athlete A",
+      discipline: "3m",
+      rounds: [round("center", "middle")],
+    });
+    await enterResult({
+      athleteName: "Athlete B",
+      discipline: "3m",
+      rounds: [round("inner", "inner")],
+    });
+    // C is identical to B in every respect -> shared place
+    await enterResult({
+      athleteName: "Athlete C",
+      discipline: "3m",
+      rounds: [round("inner", "inner")],
+    });
+    const last = await enterResult({
+      athleteName: "Athlete D",
+      discipline: "3m",
+      rounds: [round("edge")],
+    });
+    expect(last.body.placement).toEqual(4);
+
+    const res = await agent.get(`/api/competitions/${competition.id}/results`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.results.map((r) => [r.athleteName, r.placement])).toEqual([
+      ["Athlete A", 1],
+      ["Athlete B", 2],
+      ["Athlete C", 2],
+      ["Athlete D", 4],
+    ]);
+  });
+
+  it("should re-rank the discipline when a result is updated or deleted", async () => {
+    const first = await enterResult({
+      athleteName: "Athlete A",
+      discipline: "5m",
+      rounds: [round("center")],
+    });
+    const second = await enterResult({
+      athleteName: "Athlete B",
+      discipline: "5m",
+      rounds: [round("outer")],
+    });
+
+    const updated = await agent
+      .put(
+        `/api/admin/competitions/${competition.id}/results/${second.body.id}`
+      )
+      .set("Authorization", `Bearer ${judgeToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({
+        athleteName: "Athlete B",
+        discipline: "5m",
+        rounds: [round("center", "center")],
+      });
+    expect(updated.body.placement).toEqual(1);
+    expect((await CompetitionResult.findByPk(first.body.id)).placement).toEqual(
+      2
+    );
+
+    await agent
+      .delete(
+        `/api/admin/competitions/${competition.id}/results/${second.body.id}`
+      )
+      .set("Authorization", `Bearer ${judgeToken}`)
+      .set("x-csrf-token", csrfToken);
+    expect((await CompetitionResult.findByPk(first.body.id)).placement).toEqual(
+      1
+    );
+  });
+
+  it("should keep the athlete link when an edit leaves athleteId out", async () => {
+    const athlete = await Athlete.create({ name_en: "Linked Athlete" });
+    const created = await enterResult(
+      {
+        athleteName: "Linked Athlete",
+        discipline: "3m",
+        athleteId: athlete.id,
+        rounds: [round("outer")],
+      },
+      managerToken
+    );
+    const url = `/api/admin/competitions/${competition.id}/results/${created.body.id}`;
+    const edit = (data, token = judgeToken) =>
+      agent
+        .put(url)
+        .set("Authorization", `Bearer ${token}`)
+        .set("x-csrf-token", csrfToken)
+        .send({
+          athleteName: "Linked Athlete",
+          discipline: "3m",
+          rounds: [round("center")],
+          ...data,
+        });
+
+    // The admin form sends no athleteId when correcting throws
+    const corrected = await edit({});
+    expect(corrected.statusCode).toEqual(200);
+    expect(corrected.body.athleteId).toEqual(athlete.id);
+
+    const unlinked = await edit({ athleteId: null }, managerToken);
+    expect(unlinked.body.athleteId).toBeNull();
+  });
+
+  it("should let only results managers link results to athletes", async () => {
+    const athlete = await Athlete.create({ name_en: "Judged Athlete" });
+    const data = {
+      athleteName: "Judged Athlete",
+      discipline: "3m",
+      rounds: [round("outer")],
+    };
+
+    const linked = await enterResult({ ...data, athleteId: athlete.id });
+    expect(linked.statusCode).toEqual(403);
+    expect(await CompetitionResult.count()).toEqual(0);
+
+    const created = await enterResult(data);
+    expect(created.statusCode).toEqual(201);
+    const relink = await agent
+      .put(
+        `/api/admin/competitions/${competition.id}/results/${created.body.id}`
+      )
+      .set("Authorization", `Bearer ${judgeToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({ ...data, athleteId: athlete.id });
+    expect(relink.statusCode).toEqual(403);
+    expect((await CompetitionResult.findByPk(created.body.id)).athleteId).toBe(
+      null
+    );
+  });
+
+  it("should reject a second result for the same athlete and discipline", async () => {
+    const data = {
+      athleteName: "Ganbold",
+      discipline: "3m",
+      rounds: [round("center")],
+    };
+    await enterResult(data);
+    const res = await enterResult(data);
+    expect(res.statusCode).toEqual(409);
+
+    const similar = await enterResult({ ...data, athleteName: "Gan_old" });
+    expect(similar.statusCode).toEqual(201);
+  });
+});
@@ -0,0 +1,198 @@
+// server/tests/integration/competitions.test.js
+const request = require("supertest");
+const { sequelize, User, Competition } = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let moderatorToken = null;
+
+// Minimal valid payload for the admin create/update endpoints
+const baseCompetition = {
+  name_en: "National Championship",
+  name_mng: "Улсын аварга шалгаруулах тэмцээн",
+  venue: "Tushig Center",
+  startDate: "2030-06-01",
+  endDate: "2030-06-02",
+  registrationDeadline: "2030-05-20T23:59:00.000Z",
+  disciplines: ["3m", "5m", "3m"],
+};
+
+async function loginAs(username, password) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (res.statusCode !== 200) {
+    console.error(`Login failed for ${username}:`, res.body);
+    throw new Error("Login failed during test setup");
+  }
+  return res.body.accessToken;
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "compadmin",
+    email: "compadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  await User.create({
+    username: "compmod",
+    email: "compmod@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  adminToken = await loginAs("compadmin", "password123ADMIN!");
+  moderatorToken = await loginAs("compmod", "password123MOD!");
+});
+
+beforeEach(async () => {
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+});
+
+afterAll(async () => {
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Admin Competitions API (/api/admin/competitions)", () => {
+  it("should create a competition and de-duplicate disciplines", async () => {
+    const res = await agent
+      .post("/api/admin/competitions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send(baseCompetition);
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.name_en).toEqual("National Championship");
+    expect(res.body.status).toEqual("upcoming");
+    expect(res.body.disciplines).toEqual(["3m", "5m"]);
+  });
+
+  it("should reject an end date before the start date", async () => {
+    const res = await agent
+      .post("/api/admin/competitions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({ ...baseCompetition, endDate: "2030-05-01" });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.errors.some((e) => e.path === "endDate")).toBe(true);
+  });
+
+  it("should forbid moderators from creating competitions", async () => {
+    const res = await agent
+      .post("/api/admin/competitions")
+      .set("Authorization", `Bearer ${moderatorToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send(baseCompetition);
+
+    expect(res.statusCode).toEqual(403);
+  });
+
+  it("should update and delete a competition", async () => {
+    const competition = await Competition.create({
+      ...baseCompetition,
+      disciplines: ["3m"],
+    });
+
+    const updateRes = await agent
+      .put(`/api/admin/competitions/${competition.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({ ...baseCompetition, status: "ongoing" });
+    expect(updateRes.statusCode).toEqual(200);
+    expect(updateRes.body.status).toEqual("ongoing");
+
+    const deleteRes = await agent
+      .delete(`/api/admin/competitions/${competition.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken);
+    expect(deleteRes.statusCode).toEqual(204);
+    expect(await Competition.findByPk(competition.id)).toBeNull();
+  });
+});
+
+describe("Public Competitions API (/api/competitions)", () => {
+  beforeEach(async () => {
+    await Competition.bulkCreate([
+      {
+        ...baseCompetition,
+        name_en: "Spring Cup",
+        startDate: "2030-04-01",
+        endDate: "2030-04-01",
+        disciplines: ["3m"],
+      },
+      {
+        ...baseCompetition,
+        name_en: "Autumn Open",
+        startDate: "2030-09-01",
+        endDate: "2030-09-02",
+        disciplines: ["5m"],
+      },
+      {
+        ...baseCompetition,
+        name_en: "Winter Classic",
+        startDate: "2020-01-10",
+        endDate: "2020-01-11",
+        disciplines: ["3m"],
+        status: "finished",
+      },
+    ]);
+  });
+
+  it("should list upcoming competitions soonest first", async () => {
+    const res = await agent.get("/api/competitions?status=upcoming,ongoing");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.totalCompetitions).toEqual(2);
+    expect(res.body.competitions.map((c) => c.name)).toEqual([
+      "Spring Cup",
+      "Autumn Open",
+    ]);
+  });
+
+  it("should return the requested language fields", async () => {
+    const res = await agent.get("/api/competitions?status=upcoming&lang=mng");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.competitions[0].name).toEqual(
+      "Улсын аварга шалгаруулах тэмцээн"
+    );
+    expect(res.body.competitions[0]).not.toHaveProperty("name_en");
+  });
+
+  it("should reject an unknown status filter", async () => {
+    const res = await agent.get("/api/competitions?status=cancelled");
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it("should fetch a single competition and 404 for unknown IDs", async () => {
+    const [finished] = await Competition.findAll({
+      where: { status: "finished" },
+    });
+    const res = await agent.get(`/api/competitions/${finished.id}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.name).toEqual("Winter Classic");
+
+    const missing = await agent.get("/api/competitions/999999");
+    expect(missing.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,104 @@
+// server/tests/integration/cookieAuth.test.js
+const request = require("supertest");
+const { sequelize, User, Session } = require("../../models");
+const app = require("../../app");
+
+// Each test gets its own cookie jar, like a separate browser
+const newBrowser = async () => {
+  const agent = request.agent(app);
+  const res = await agent.get("/api/csrf-token");
+  if (!res.body.csrfToken) throw new Error("CSRF token fetch failed");
+  const post = (url) => agent.post(url).set("x-csrf-token", res.body.csrfToken);
+  return { agent, post };
+};
+
+const credentials = { username: "cookieadmin", password: "password123ADMIN!" };
+
+const refreshCookieOf = (res) =>
+  (res.headers["set-cookie"] || []).find((c) => c.startsWith("refreshToken="));
+
+// --- Test Setup ---
+beforeEach(async () => {
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    ...credentials,
+    email: "cookieadmin@example.com",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+});
+
+afterAll(async () => {
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Cookie mode for refresh tokens", () => {
+  it("sets the refresh token as an HttpOnly cookie on login", async () => {
+    const { post } = await newBrowser();
+    const res = await post("/api/admin/login").send({
+      ...credentials,
+      useCookie: true,
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.accessToken).toBeDefined();
+    expect(res.body.refreshToken).toBeUndefined();
+    const cookie = refreshCookieOf(res);
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+    expect(cookie).toMatch(/Path=\/api\/admin/);
+  });
+
+  it("refreshes from the cookie and rotates it", async () => {
+    const { post } = await newBrowser();
+    const login = await post("/api/admin/login").send({
+      ...credentials,
+      useCookie: true,
+    });
+    const firstCookie = refreshCookieOf(login);
+
+    const res = await post("/api/admin/refresh").send({});
+    expect(res.statusCode).toBe(200);
+    expect(res.body.accessToken).toBeDefined();
+    expect(res.body.refreshToken).toBeUndefined();
+    expect(refreshCookieOf(res)).toBeDefined();
+    expect(refreshCookieOf(res)).not.toBe(firstCookie);
+  });
+
+  it("rejects a cookie refresh without the CSRF header", async () => {
+    const { agent, post } = await newBrowser();
+    await post("/api/admin/login").send({ ...credentials, useCookie: true });
+
+    const res = await agent.post("/api/admin/refresh").send({});
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Invalid CSRF token.");
+  });
+
+  it("ends the session and clears the cookie on logout", async () => {
+    const { post } = await newBrowser();
+    await post("/api/admin/login").send({ ...credentials, useCookie: true });
+    expect(await Session.count()).toBe(1);
+
+    const res = await post("/api/admin/logout").send({});
+    expect(res.statusCode).toBe(204);
+    expect(refreshCookieOf(res)).toMatch(/Expires=Thu, 01 Jan 1970/);
+    expect(await Session.count()).toBe(0);
+    expect((await post("/api/admin/refresh").send({})).statusCode).toBe(400);
+  });
+
+  it("keeps returning tokens in the body without useCookie", async () => {
+    const { post } = await newBrowser();
+    const res = await post("/api/admin/login").send(credentials);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refreshToken).toBeDefined();
+    expect(refreshCookieOf(res)).toBeUndefined();
+  });
+});
@@ -0,0 +1,95 @@
+// server/tests/integration/feeds.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+
+const articleFields = {
+  content_en: "<p>Full story &amp; results</p>",
+  author: "Federation",
+  status: "published",
+};
+
+async function clearTables() {
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article feeds", () => {
+  it("lists published articles in RSS with lastBuildDate from updatedAt", async () => {
+    const news = await Article.create({
+      ...articleFields,
+      title_en: "Season opener &amp; schedule",
+      title_rus: "Открытие сезона",
+      excerpt_rus: "Кратко о расписании",
+      category: "news",
+    });
+    await Article.create({
+      ...articleFields,
+      title_en: "Unfinished draft",
+      category: "news",
+      status: "draft",
+    });
+
+    const res = await agent.get("/api/feeds/rus/rss.xml");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/rss\+xml/);
+    expect(res.text).toContain("<language>ru</language>");
+    expect(res.text).toContain("<title>Открытие сезона</title>");
+    expect(res.text).toContain(
+      "<description>Кратко о расписании</description>"
+    );
+    expect(res.text).toContain("/article.html?slug=otkrytie-sezona</link>");
+    expect(res.text).not.toContain("Unfinished draft");
+    expect(res.text).toContain(
+      `<lastBuildDate>${news.updatedAt.toUTCString()}</lastBuildDate>`
+    );
+
+    // Untranslated fields fall back to English, unescaped once for XML
+    const enRes = await agent.get("/api/feeds/en/rss.xml");
+    expect(enRes.text).toContain("<title>Season opener &amp; schedule</title>");
+    expect(enRes.text).toContain(
+      "<description>Full story &amp; results</description>"
+    );
+  });
+
+  it("filters by category and serves Atom", async () => {
+    await Article.create({
+      ...articleFields,
+      title_en: "Club news item",
+      category: "news",
+    });
+    await Article.create({
+      ...articleFields,
+      title_en: "Blog post item",
+      category: "blog",
+    });
+
+    const res = await agent.get("/api/feeds/en/atom.xml?category=blog");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/atom\+xml/);
+    expect(res.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom"');
+    expect(res.text).toContain("<title>Blog post item</title>");
+    expect(res.text).not.toContain("Club news item");
+
+    const bad = await agent.get("/api/feeds/en/rss.xml?category=unknown");
+    expect(bad.statusCode).toBe(400);
+    const badLang = await agent.get("/api/feeds/fr/rss.xml");
+    expect(badLang.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,120 @@
+// server/tests/integration/logout.test.js
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const { sequelize, User } = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+
+const post = (url, token) => {
+  const req = agent.post(url).set("x-csrf-token", csrfToken);
+  return token ? req.set("Authorization", `Bearer ${token}`) : req;
+};
+
+const login = (username = "logoutadmin") =>
+  post("/api/admin/login")
+    .send({ username, password: "password123ADMIN!" })
+    .then((res) => res.body);
+
+const me = (accessToken) =>
+  agent.get("/api/admin/me").set("Authorization", `Bearer ${accessToken}`);
+
+const refresh = (refreshToken) =>
+  post("/api/admin/refresh").send({ refreshToken });
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+});
+
+beforeEach(async () => {
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "logoutadmin",
+    email: "logoutadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  await User.create({
+    username: "logoutmod",
+    email: "logoutmod@example.com",
+    password: "password123ADMIN!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+});
+
+afterAll(async () => {
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Logout and token revocation", () => {
+  it("ends the session on logout", async () => {
+    const tokens = await login();
+    expect((await me(tokens.accessToken)).statusCode).toBe(200);
+
+    const res = await post("/api/admin/logout").send({
+      refreshToken: tokens.refreshToken,
+    });
+    expect(res.statusCode).toBe(204);
+    expect((await me(tokens.accessToken)).statusCode).toBe(401);
+    expect((await refresh(tokens.refreshToken)).statusCode).toBe(403);
+  });
+
+  it("logs out every device", async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    const res = await post("/api/admin/logout-all", laptop.accessToken);
+    expect(res.statusCode).toBe(204);
+    for (const tokens of [laptop, phone]) {
+      expect((await me(tokens.accessToken)).statusCode).toBe(401);
+      expect((await refresh(tokens.refreshToken)).statusCode).toBe(403);
+    }
+  });
+
+  it("revokes access tokens when the role changes", async () => {
+    const tokens = await login("logoutmod");
+    const user = await User.findOne({ where: { username: "logoutmod" } });
+    await user.update({ role: "admin" });
+
+    expect((await me(tokens.accessToken)).statusCode).toBe(401);
+    // The session survives; the next token carries the new role
+    const res = await refresh(tokens.refreshToken);
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.accessToken).role).toBe("admin");
+  });
+
+  it("revokes access tokens when the password is reset", async () => {
+    const tokens = await login();
+    const user = await User.findOne({ where: { username: "logoutadmin" } });
+    user.password = "brandNewPassword456!";
+    await user.save();
+
+    expect((await me(tokens.accessToken)).statusCode).toBe(401);
+  });
+
+  it("revokes access tokens of deleted users", async () => {
+    const admin = await login();
+    const moderator = await login("logoutmod");
+    const user = await User.findOne({ where: { username: "logoutmod" } });
+
+    const res = await agent
+      .delete(`/api/admin/users/${user.id}`)
+      .set("x-csrf-token", csrfToken)
+      .set("Authorization", `Bearer ${admin.accessToken}`);
+    expect(res.statusCode).toBe(204);
+    expect((await me(moderator.accessToken)).statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,290 @@
+// server/tests/integration/media.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const request = require("supertest");
+
+// Keep uploads out of the real media directory
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "media-test-"));
+process.env.MEDIA_DIR = mediaDir;
+
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  Media,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+let moderatorToken = null;
+
+// Sends an authenticated request as the given user
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+const makeJpeg = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#336699" },
+  })
+    .jpeg()
+    .toBuffer();
+
+const uploadImage = async (token, buffer, name = "photo.jpg") =>
+  authRequest(token, "post", "/api/admin/media")
+    .attach("file", buffer, name)
+    .field("alt", "Throwing line");
+
+async function login(username, password) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (!res.body.accessToken) throw new Error(`Login failed for ${username}`);
+  return res.body.accessToken;
+}
+
+async function clearTables() {
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+  await Media.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "mediaadmin",
+    email: "mediaadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  await User.create({
+    username: "mediamod",
+    email: "mediamod@example.com",
+    password: "password123MOD!",
+    role: "moderator",
+    needsPasswordChange: false,
+  });
+  adminToken = await login("mediaadmin", "password123ADMIN!");
+  moderatorToken = await login("mediamod", "password123MOD!");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+  fs.rmSync(mediaDir, { recursive: true, force: true });
+});
+
+// --- Tests ---
+describe("Media library", () => {
+  it("stores an upload with resized variants and serves the files", async () => {
+    const res = await uploadImage(moderatorToken, await makeJpeg(2000, 1000));
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      originalName: "photo.jpg",
+      mimeType: "image/jpeg",
+      width: 2000,
+      height: 1000,
+      alt: "Throwing line",
+    });
+    expect(res.body.variants.thumb).toMatchObject({ width: 300, height: 300 });
+    expect(res.body.variants.medium).toMatchObject({ width: 800, height: 400 });
+    expect(res.body.variants.large).toMatchObject({
+      width: 1600,
+      height: 800,
+    });
+
+    const fileRes = await agent.get(res.body.variants.thumb.url);
+    expect(fileRes.statusCode).toBe(200);
+    expect(fileRes.headers["content-type"]).toBe("image/webp");
+  });
+
+  it("rejects files that are not images", async () => {
+    const res = await uploadImage(
+      adminToken,
+      Buffer.from("not really a picture"),
+      "notes.jpg"
+    );
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("lists uploads newest first with search", async () => {
+    await uploadImage(adminToken, await makeJpeg(200, 200), "first.jpg");
+    await uploadImage(adminToken, await makeJpeg(200, 200), "second.jpg");
+
+    const res = await authRequest(adminToken, "get", "/api/admin/media");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalMedia).toBe(2);
+    expect(res.body.media.map((m) => m.originalName)).toEqual([
+      "second.jpg",
+      "first.jpg",
+    ]);
+    expect(res.body.media[0].uploadedBy.username).toBe("mediaadmin");
+
+    const searchRes = await authRequest(
+      adminToken,
+      "get",
+      "/api/admin/media?q=first"
+    );
+    expect(searchRes.body.media).toHaveLength(1);
+
+    // Wildcards are searched for literally
+    const wildcardRes = await authRequest(
+      adminToken,
+      "get",
+      "/api/admin/media?q=_irst"
+    );
+    expect(wildcardRes.body.media).toHaveLength(0);
+  });
+
+  it("accepts library paths as article images", async () => {
+    const { body: media } = await uploadImage(
+      adminToken,
+      await makeJpeg(400, 300)
+    );
+    const res = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      title_en: "With a library image",
+      content_en: `<p>Text</p><img src="${media.variants.medium.url}">`,
+      category: "news",
+      author: "Editor",
+      imageUrl: media.variants.large.url,
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.imageUrl).toBe(media.variants.large.url);
+    expect(res.body.content_en).toContain(media.variants.medium.url);
+
+    const badPath = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      title_en: "Bad path",
+      content_en: "<p>Text</p>",
+      category: "news",
+      author: "Editor",
+      imageUrl: "/uploads/media/../../config.json",
+    });
+    expect(badPath.statusCode).toBe(400);
+  });
+
+  it("deletes unused media with its files, but not media in use", async () => {
+    const { body: used } = await uploadImage(
+      adminToken,
+      await makeJpeg(400, 300)
+    );
+    await Article.create({
+      title_en: "Uses the image",
+      content_en: "<p>Text</p>",
+      category: "news",
+      author: "Editor",
+      imageUrl: used.variants.large.url,
+    });
+    const blocked = await authRequest(
+      adminToken,
+      "delete",
+      `/api/admin/media/${used.id}`
+    );
+    expect(blocked.statusCode).toBe(409);
+
+    const { body: unused } = await uploadImage(
+      adminToken,
+      await makeJpeg(400, 300)
+    );
+    const forbidden = await authRequest(
+      moderatorToken,
+      "delete",
+      `/api/admin/media/${unused.id}`
+    );
+    expect(forbidden.statusCode).toBe(403);
+
+    const res = await authRequest(
+      adminToken,
+      "delete",
+      `/api/admin/media/${unused.id}`
+    );
+    expect(res.statusCode).toBe(204);
+    expect(fs.existsSync(path.join(mediaDir, unused.fileName))).toBe(false);
+    expect(
+      fs.existsSync(path.join(mediaDir, unused.variants.thumb.fileName))
+    ).toBe(false);
+  });
+
+  it("moves pasted base64 images into the library on save", async () => {
+    const png = await sharp({
+      create: { width: 600, height: 400, channels: 3, background: "#aa3300" },
+    })
+      .png()
+      .toBuffer();
+    const dataUri = `data:image/png;base64,${png.toString("base64")}`;
+
+    const res = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      title_en: "Pasted images",
+      content_en: `<p>One</p><img src="${dataUri}"><p>Two</p><img src="${dataUri}">`,
+      category: "news",
+      author: "Editor",
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.content_en).not.toContain("data:image/");
+    expect(res.body.embeddedImages.images).toBe(2);
+    expect(res.body.embeddedImages.bytesSaved).toBeGreaterThan(png.length);
+
+    // The same picture pasted twice is stored once
+    const media = await Media.findAll();
+    expect(media).toHaveLength(1);
+    expect(media[0].uploadedById).not.toBeNull();
+    const url = `/uploads/media/${media[0].variants.large.fileName}`;
+    expect(res.body.content_en.split(url)).toHaveLength(3);
+    expect((await agent.get(url)).statusCode).toBe(200);
+  });
+
+  it("removes extracted images when the article save fails", async () => {
+    const png = await sharp({
+      create: { width: 300, height: 200, channels: 3, background: "#0033aa" },
+    })
+      .png()
+      .toBuffer();
+    const filesBefore = fs.readdirSync(mediaDir);
+
+    const res = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/articles"
+    ).send({
+      title_en: "Unknown tag",
+      content_en: `<img src="data:image/png;base64,${png.toString("base64")}">`,
+      category: "news",
+      author: "Editor",
+      tagIds: [9999],
+    });
+    expect(res.statusCode).toBe(400);
+    expect(fs.readdirSync(mediaDir)).toEqual(filesBefore);
+  });
+});
@@ -0,0 +1,208 @@
+// server/tests/integration/rankings.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Competition,
+  CompetitionResult,
+  Setting,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+// Creates a finished competition with the given placements in "3m"
+async function createCompetitionWithResults(data, placements) {
+  const competition = await Competition.create({
+    name_en: data.name,
+    name_mng: `${data.name} (MNG)`,
+    startDate: data.date,
+    endDate: data.date,
+    disciplines: ["3m"],
+    tier: data.tier || "national",
+    status: data.status || "finished",
+  });
+  await CompetitionResult.bulkCreate(
+    placements.map(
+      ([athleteName, placement, gender = "male", ageCategory = "Senior"]) => ({
+        competitionId: competition.id,
+        athleteName,
+        discipline: "3m",
+        ageCategory,
+        gender,
+        placement,
+      })
+    )
+  );
+  return competition;
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "rankadmin",
+    email: "rankadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "rankadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(async () => {
+  await Setting.destroy({ where: {}, truncate: true });
+  await CompetitionResult.destroy({ where: {}, truncate: true });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+});
+
+afterAll(async () => {
+  await Setting.destroy({ where: {}, truncate: true });
+  await CompetitionResult.destroy({ where: {}, truncate: true });
+  await Competition.destroy({ where: {}, truncate: true, cascade: true });
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("GET /api/rankings", () => {
+  it("should sum tier-weighted points over the rolling 12 months", async () => {
+    await createCompetitionWithResults(
+      { name: "World Open", date: "2030-03-01", tier: "international" },
+      [
+        ["Bold", 2],
+        ["Saraa", 1, "female"],
+      ]
+    );
+    await createCompetitionWithResults(
+      { name: "Nationals", date: "2030-05-01" },
+      [
+        ["Bold", 1],
+        ["Temuulen", 2],
+      ]
+    );
+    // Outside the window and not finished: both ignored
+    await createCompetitionWithResults(
+      { name: "Old Cup", date: "2029-01-01" },
+      [["Temuulen", 1]]
+    );
+    await createCompetitionWithResults(
+      { name: "Next Cup", date: "2030-05-20", status: "upcoming" },
+      [["Temuulen", 1]]
+    );
+
+    const res = await agent.get("/api/rankings?asOf=2030-06-01&gender=male");
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.from).toEqual("2029-06-01");
+    expect(res.body.rankings).toHaveLength(1);
+    const table = res.body.rankings[0];
+    expect(table).toMatchObject({
+      discipline: "3m",
+      ageGroup: "Senior",
+      gender: "male",
+    });
+    // Bold was 2nd overall at the World Open but 1st among the men:
+    // 100 * 1.5 + 100 = 250; Temuulen: 80
+    expect(
+      table.athletes.map((a) => [a.athleteName, a.points, a.rank])
+    ).toEqual([
+      ["Bold", 250, 1],
+      ["Temuulen", 80, 2],
+    ]);
+  });
+
+  it("should place athletes within their own age group and gender", async () => {
+    await createCompetitionWithResults(
+      { name: "Nationals", date: "2030-05-01" },
+      [
+        ["Bold", 1],
+        ["Saraa", 2, "female"],
+        ["Temuulen", 3],
+        ["Anu", 4, "female", "Junior"],
+        ["Nomin", 5, "female"],
+        ["Khulan", 6, "female", "Junior"],
+        ["Oyun", 6, "female", "Junior"],
+      ]
+    );
+
+    const res = await agent.get("/api/rankings?asOf=2030-06-01&gender=female");
+    const tables = Object.fromEntries(
+      res.body.rankings.map((t) => [
+        t.ageGroup,
+        t.athletes.map((a) => [
+          a.athleteName,
+          a.results[0].placement,
+          a.points,
+        ]),
+      ])
+    );
+    expect(tables).toEqual({
+      Junior: [
+        ["Anu", 1, 100],
+        // Shared 6th overall stays a shared place in the group
+        ["Khulan", 2, 80],
+        ["Oyun", 2, 80],
+      ],
+      Senior: [
+        ["Saraa", 1, 100],
+        ["Nomin", 2, 80],
+      ],
+    });
+  });
+
+  it("should return competition names in the requested language", async () => {
+    await createCompetitionWithResults(
+      { name: "Nationals", date: "2030-05-01" },
+      [["Bold", 1]]
+    );
+    const res = await agent.get("/api/rankings?asOf=2030-06-01&lang=mng");
+    expect(res.body.rankings[0].athletes[0].results[0].competitionName).toEqual(
+      "Nationals (MNG)"
+    );
+  });
+
+  it("should use the points table saved by an admin", async () => {
+    await createCompetitionWithResults(
+      { name: "Nationals", date: "2030-05-01" },
+      [["Bold", 1]]
+    );
+    const saveRes = await agent
+      .put("/api/admin/rankings/points-table")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({ placements: [10, 5], tiers: { national: 2 } });
+    expect(saveRes.statusCode).toEqual(200);
+    expect(saveRes.body.tiers.international).toEqual(1.5);
+
+    const res = await agent.get("/api/rankings?asOf=2030-06-01");
+    expect(res.body.rankings[0].athletes[0].points).toEqual(20);
+  });
+
+  it("should reject invalid filters and points tables", async () => {
+    expect((await agent.get("/api/rankings?gender=x")).statusCode).toEqual(400);
+
+    const res = await agent
+      .put("/api/admin/rankings/points-table")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("x-csrf-token", csrfToken)
+      .send({ placements: [10], tiers: { galactic: 3 } });
+    expect(res.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,371 @@
+// server/tests/integration/roles.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+  ArticleTranslation,
+  Role,
+  SuggestedEdit,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+const password = "password123ADMIN!";
+let csrfToken = null;
+
+const articleBody = {
+  title_en: "Club Night Results",
+  content_en: "<p>All the results from club night</p>",
+  title_rus: "Клубный вечер",
+  content_rus: "<p>Результаты клубного вечера</p>",
+  category: "news",
+  author: "Federation",
+};
+
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+async function login(username) {
+  const res = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username, password });
+  if (!res.body.accessToken) throw new Error(`Login failed for ${username}`);
+  return res.body.accessToken;
+}
+
+const createUser = (username, role, languages = null) =>
+  User.create({
+    username,
+    email: `${username}@example.com`,
+    password,
+    role,
+    languages,
+    needsPasswordChange: false,
+  });
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+});
+
+beforeEach(async () => {
+  await SuggestedEdit.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleTranslation.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+  });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await createUser("rolesadmin", "admin");
+});
+
+afterAll(async () => {
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Roles and permissions", () => {
+  it("lets editors publish directly but not moderators", async () => {
+    await createUser("editor1", "editor");
+    await createUser("moderator1", "moderator");
+
+    const editorRes = await authRequest(
+      await login("editor1"),
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    expect(editorRes.statusCode).toBe(201);
+    expect(editorRes.body.status).toBe("published");
+
+    const moderatorRes = await authRequest(
+      await login("moderator1"),
+      "post",
+      "/api/admin/articles"
+    ).send(articleBody);
+    expect(moderatorRes.statusCode).toBe(403);
+    expect(moderatorRes.body.message).toMatch(/articles\.edit/);
+  });
+
+  it("applies edited permissions on the next request", async () => {
+    await createUser("moderator1", "moderator");
+    const moderatorToken = await login("moderator1");
+    const adminToken = await login("rolesadmin");
+    const { permissions } = await Role.findByPk("moderator", {
+      include: ["permissions"],
+    });
+    const original = permissions.map((p) => p.permission);
+
+    const res = await authRequest(
+      adminToken,
+      "put",
+      "/api/admin/roles/moderator"
+    ).send({ permissions: [...original, "articles.edit"] });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.permissions).toContain("articles.edit");
+
+    // Drafts are fine; going live also needs articles.publish
+    const draft = await authRequest(
+      moderatorToken,
+      "post",
+      "/api/admin/articles"
+    ).send({ ...articleBody, status: "draft" });
+    expect(draft.statusCode).toBe(201);
+    const live = await authRequest(
+      moderatorToken,
+      "put",
+      `/api/admin/articles/${draft.body.id}`
+    ).send({ ...articleBody, status: "published" });
+    expect(live.statusCode).toBe(403);
+    expect(live.body.message).toMatch(/articles\.publish/);
+
+    await authRequest(adminToken, "put", "/api/admin/roles/moderator").send({
+      permissions: original,
+    });
+  });
+
+  it("limits translators to their languages", async () => {
+    const article = await Article.create(articleBody);
+    await createUser("translator1", "translator", ["mng"]);
+    const token = await login("translator1");
+
+    const me = await authRequest(token, "get", "/api/admin/me");
+    expect(me.body.permissions).toEqual(["articles.view", "translations.edit"]);
+    expect(me.body.languages).toEqual(["mng"]);
+
+    const rus = await authRequest(
+      token,
+      "get",
+      "/api/admin/translations?lang=rus"
+    );
+    expect(rus.statusCode).toBe(403);
+    const mng = await authRequest(
+      token,
+      "get",
+      "/api/admin/translations?lang=mng"
+    );
+    expect(mng.statusCode).toBe(200);
+
+    // Only the Mongolian fields of the suggestion are kept
+    const res = await authRequest(
+      token,
+      "post",
+      `/api/admin/articles/${article.id}/suggest`
+    ).send({
+      ...articleBody,
+      title_en: "Changed English Title",
+      title_mng: "Клубын үдэш",
+      content_mng: "<p>Клубын үдшийн үр дүн</p>",
+    });
+    expect(res.statusCode).toBe(201);
+    const { proposedData } = await SuggestedEdit.findByPk(
+      res.body.suggestionId
+    );
+    expect(proposedData.title_en).toBe(articleBody.title_en);
+    expect(proposedData.title_mng).toBe("Клубын үдэш");
+
+    const newArticle = await authRequest(
+      token,
+      "post",
+      "/api/admin/articles/suggest-new"
+    ).send(articleBody);
+    expect(newArticle.statusCode).toBe(403);
+  });
+
+  it("changes a user's role and revokes their tokens", async () => {
+    const judge = await createUser("judge1", "judge");
+    const judgeToken = await login("judge1");
+    const adminToken = await login("rolesadmin");
+
+    const res = await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/users/${judge.id}`
+    ).send({ role: "results-manager" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.role).toBe("results-manager");
+    expect(
+      (await authRequest(judgeToken, "get", "/api/admin/me")).statusCode
+    ).toBe(401);
+
+    const unknown = await authRequest(
+      adminToken,
+      "put",
+      `/api/admin/users/${judge.id}`
+    ).send({ role: "wizard" });
+    expect(unknown.statusCode).toBe(400);
+  });
+
+  it("keeps non-admin user managers away from admin accounts", async () => {
+    const managerRole = await Role.create({ name: "user-manager" });
+    await managerRole.setPermissions(["users.manage"]);
+    await createUser("manager1", "user-manager");
+    const moderator = await createUser("moderator1", "moderator");
+    const admin = await User.findOne({ where: { username: "rolesadmin" } });
+    const token = await login("manager1");
+
+    const newAdmin = await authRequest(token, "post", "/api/admin/users").send({
+      username: "sneakyadmin",
+      email: "sneakyadmin@example.com",
+      role: "admin",
+    });
+    expect(newAdmin.statusCode).toBe(403);
+    expect(await User.count({ where: { username: "sneakyadmin" } })).toBe(0);
+
+    const promote = await authRequest(
+      token,
+      "put",
+      `/api/admin/users/${moderator.id}`
+    ).send({ role: "admin" });
+    expect(promote.statusCode).toBe(403);
+
+    const demote = await authRequest(
+      token,
+      "put",
+      `/api/admin/users/${admin.id}`
+    ).send({ role: "moderator" });
+    expect(demote.statusCode).toBe(403);
+
+    const languages = await authRequest(
+      token,
+      "put",
+      `/api/admin/users/${admin.id}`
+    ).send({ languages: ["mng"] });
+    expect(languages.statusCode).toBe(403);
+
+    const resetTwoFactor = await authRequest(
+      token,
+      "delete",
+      `/api/admin/2fa/users/${admin.id}`
+    );
+    expect(resetTwoFactor.statusCode).toBe(403);
+    expect((await admin.reload()).role).toBe("admin");
+
+    // Other users are still theirs to manage
+    const editor = await authRequest(
+      token,
+      "put",
+      `/api/admin/users/${moderator.id}`
+    ).send({ role: "editor" });
+    expect(editor.statusCode).toBe(200);
+
+    await User.destroy({ where: { role: "user-manager" } });
+    await managerRole.setPermissions([]);
+    await managerRole.destroy();
+  });
+
+  it("keeps reviewers without articles.publish from publishing suggestions", async () => {
+    const reviewerRole = await Role.create({ name: "reviewer" });
+    await reviewerRole.setPermissions(["articles.view", "suggestions.review"]);
+    const moderator = await createUser("moderator2", "moderator");
+    await createUser("reviewer1", "reviewer");
+    const token = await login("reviewer1");
+    const live = await Article.create({ ...articleBody, status: "published" });
+
+    const edit = await SuggestedEdit.create({
+      articleId: live.id,
+      moderatorId: moderator.id,
+      proposedData: { ...articleBody, title_en: "Rewritten live title" },
+      status: "pending",
+    });
+    const editRes = await authRequest(
+      token,
+      "post",
+      `/api/admin/suggestions/${edit.id}/approve`
+    );
+    expect(editRes.statusCode).toBe(403);
+    expect((await live.reload()).title_en).toBe(articleBody.title_en);
+    expect((await edit.reload()).status).toBe("pending");
+
+    const draft = await SuggestedEdit.create({
+      articleId: null,
+      moderatorId: moderator.id,
+      proposedData: { ...articleBody, title_en: "Suggested new article" },
+      status: "pending",
+    });
+    const newRes = await authRequest(
+      token,
+      "post",
+      `/api/admin/suggestions/${draft.id}/approve`
+    );
+    expect(newRes.statusCode).toBe(200);
+    const created = await Article.findByPk(newRes.body.articleId);
+    expect(created.status).toBe("draft");
+
+    await User.destroy({ where: { role: "reviewer" } });
+    await reviewerRole.setPermissions([]);
+    await reviewerRole.destroy();
+  });
+
+  it("creates, protects and deletes roles", async () => {
+    const adminToken = await login("rolesadmin");
+
+    const created = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/roles"
+    ).send({
+      name: "photo-editor",
+      description: "Looks after the image library",
+      permissions: ["media.upload", "media.manage"],
+    });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.permissions.sort()).toEqual([
+      "media.manage",
+      "media.upload",
+    ]);
+
+    const invalid = await authRequest(
+      adminToken,
+      "post",
+      "/api/admin/roles"
+    ).send({ name: "bad-role", permissions: ["media.everything"] });
+    expect(invalid.statusCode).toBe(400);
+
+    const admin = await authRequest(
+      adminToken,
+      "put",
+      "/api/admin/roles/admin"
+    ).send({ permissions: [] });
+    expect(admin.statusCode).toBe(403);
+    const moderator = await authRequest(
+      adminToken,
+      "delete",
+      "/api/admin/roles/moderator"
+    );
+    expect(moderator.statusCode).toBe(403);
+
+    await createUser("photographer", "photo-editor");
+    const inUse = await authRequest(
+      adminToken,
+      "delete",
+      "/api/admin/roles/photo-editor"
+    );
+    expect(inUse.statusCode).toBe(409);
+
+    await User.destroy({ where: { username: "photographer" } });
+    const deleted = await authRequest(
+      adminToken,
+      "delete",
+      "/api/admin/roles/photo-editor"
+    );
+    expect(deleted.statusCode).toBe(204);
+    expect(await Role.findByPk("photo-editor")).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+// server/tests/integration/seo.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  Article,
+  ArticleRevision,
+  ArticleSlug,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+
+const articleFields = {
+  title_en: "Spring Cup &amp; Open",
+  excerpt_en: "Entries close on Friday",
+  content_en: "<p>All the details</p>",
+  title_rus: "Весенний кубок",
+  content_rus: "<p>Подробности</p>",
+  category: "competition",
+  author: "Federation",
+  status: "published",
+};
+
+async function clearTables() {
+  await ArticleSlug.destroy({ where: {}, truncate: true, cascade: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("SEO", () => {
+  it("lists static pages and each article language with hreflang alternates", async () => {
+    await Article.create(articleFields);
+    await Article.create({
+      ...articleFields,
+      title_en: "Hidden draft",
+      status: "draft",
+    });
+
+    const res = await agent.get("/sitemap.xml");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/xml/);
+    expect(res.text).toMatch(/<loc>[^<]*\/mission\.html\?lang=mng<\/loc>/);
+    expect(res.text).toMatch(
+      /<loc>[^<]*\/article\.html\?slug=vesenniy-kubok<\/loc>/
+    );
+    expect(res.text).toMatch(
+      /hreflang="en" href="[^"]*\/article\.html\?slug=spring-cup-open"/
+    );
+    expect(res.text).not.toContain("hidden-draft");
+    // English and Russian versions only; no Mongolian title yet
+    expect(res.text.match(/<loc>[^<]*article\.html/g)).toHaveLength(2);
+  });
+
+  it("returns Open Graph and Twitter metadata for an article", async () => {
+    await Article.create({
+      ...articleFields,
+      imageUrl: "/uploads/media/0123456789abcdef01234567-large.webp",
+    });
+
+    const res = await agent.get("/api/seo/articles/spring-cup-open");
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      title: "Spring Cup & Open",
+      description: "Entries close on Friday",
+      locale: "en_US",
+      alternateLocales: ["ru_RU"],
+      section: "Competition",
+    });
+    expect(res.body.image).toMatch(/^https?:\/\/.+\/uploads\/media\//);
+    expect(res.body.html).toContain(
+      '<meta property="og:title" content="Spring Cup &amp; Open" />'
+    );
+    expect(res.body.html).toContain(
+      '<meta name="twitter:card" content="summary_large_image" />'
+    );
+
+    const rusRes = await agent.get("/api/seo/articles/vesenniy-kubok");
+    expect(rusRes.body.title).toBe("Весенний кубок");
+    expect(rusRes.body.locale).toBe("ru_RU");
+  });
+
+  it("points crawlers at the sitemap", async () => {
+    const res = await agent.get("/robots.txt");
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toMatch(/^Sitemap: .+\/sitemap\.xml$/m);
+  });
+});
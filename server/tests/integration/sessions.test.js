@@ -0,0 +1,156 @@
+// server/tests/integration/sessions.test.js
+const request = require("supertest");
+const { sequelize, Session, User } = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+
+const post = (url) => agent.post(url).set("x-csrf-token", csrfToken);
+
+const login = (userAgent, username = "sessionadmin") =>
+  post("/api/admin/login")
+    .set("User-Agent", userAgent)
+    .send({ username, password: "password123ADMIN!" })
+    .then((res) => res.body);
+
+const refresh = (refreshToken) =>
+  post("/api/admin/refresh").send({ refreshToken });
+
+const authRequest = (token, method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${token}`)
+    .set("x-csrf-token", csrfToken);
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+});
+
+beforeEach(async () => {
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  for (const username of ["sessionadmin", "otheradmin"]) {
+    await User.create({
+      username,
+      email: `${username}@example.com`,
+      password: "password123ADMIN!",
+      role: "admin",
+      needsPasswordChange: false,
+    });
+  }
+});
+
+afterAll(async () => {
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Admin sessions", () => {
+  it("keeps one session per device and stores only token hashes", async () => {
+    const laptop = await login("Laptop Browser");
+    const phone = await login("Phone Browser");
+
+    expect((await refresh(laptop.refreshToken)).statusCode).toBe(200);
+    expect((await refresh(phone.refreshToken)).statusCode).toBe(200);
+
+    const sessions = await Session.findAll();
+    expect(sessions).toHaveLength(2);
+    expect(sessions.map((s) => s.tokenHash)).not.toContain(laptop.refreshToken);
+  });
+
+  it("rotates the refresh token on every refresh", async () => {
+    const tokens = await login("Laptop Browser");
+
+    const res = await refresh(tokens.refreshToken);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+
+    // Straight after the rotation the old token is only turned away
+    expect((await refresh(tokens.refreshToken)).statusCode).toBe(403);
+    expect((await refresh(res.body.refreshToken)).statusCode).toBe(200);
+  });
+
+  it("lets only one of two concurrent refreshes rotate the token", async () => {
+    const tokens = await login("Laptop Browser");
+    // Both requests loaded the session before either of them rotated it
+    const [first, second] = await Promise.all([
+      Session.findOne(),
+      Session.findOne(),
+    ]);
+    const req = { ip: "127.0.0.1" };
+
+    const winner = await first.rotate(req);
+    expect(await second.rotate(req)).toBeNull();
+
+    const session = await Session.findOne();
+    expect(session.tokenHash).toBe(Session.hashToken(winner));
+    expect(session.previousTokenHash).toBe(
+      Session.hashToken(tokens.refreshToken)
+    );
+    // The loser's token was never stored; the winner's keeps working
+    expect((await refresh(winner)).statusCode).toBe(200);
+  });
+
+  it("revokes the session when a rotated token is reused", async () => {
+    const tokens = await login("Laptop Browser");
+    const { body: rotated } = await refresh(tokens.refreshToken);
+    await Session.update(
+      { rotatedAt: new Date(Date.now() - 60 * 1000) },
+      { where: {} }
+    );
+
+    expect((await refresh(tokens.refreshToken)).statusCode).toBe(403);
+    expect((await refresh(rotated.refreshToken)).statusCode).toBe(403);
+    expect(await Session.count()).toBe(0);
+  });
+
+  it("lists the user's sessions and revokes one", async () => {
+    const laptop = await login("Laptop Browser");
+    const phone = await login("Phone Browser");
+    await login("Other Browser", "otheradmin");
+
+    const listRes = await authRequest(
+      laptop.accessToken,
+      "get",
+      "/api/admin/sessions"
+    );
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body.map((s) => [s.userAgent, s.current]).sort()).toEqual([
+      ["Laptop Browser", true],
+      ["Phone Browser", false],
+    ]);
+
+    const phoneSession = listRes.body.find((s) => !s.current);
+    const deleteRes = await authRequest(
+      laptop.accessToken,
+      "delete",
+      `/api/admin/sessions/${phoneSession.id}`
+    );
+    expect(deleteRes.statusCode).toBe(204);
+    expect((await refresh(phone.refreshToken)).statusCode).toBe(403);
+    expect((await refresh(laptop.refreshToken)).statusCode).toBe(200);
+  });
+
+  it("does not revoke other users' sessions", async () => {
+    const mine = await login("Laptop Browser");
+    await login("Other Browser", "otheradmin");
+    const theirs = await Session.findOne({
+      include: [{ model: User, as: "user", where: { username: "otheradmin" } }],
+    });
+
+    const res = await authRequest(
+      mine.accessToken,
+      "delete",
+      `/api/admin/sessions/${theirs.id}`
+    );
+    expect(res.statusCode).toBe(404);
+  });
+});
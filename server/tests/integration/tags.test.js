@@ -0,0 +1,193 @@
+// server/tests/integration/tags.test.js
+const request = require("supertest");
+const {
+  sequelize,
+  User,
+  Article,
+  ArticleRevision,
+  ArticleTag,
+  Tag,
+} = require("../../models");
+const app = require("../../app");
+
+const agent = request.agent(app);
+let csrfToken = null;
+let adminToken = null;
+
+const articleBody = {
+  title_en: "Tagged article",
+  content_en: "<p>Content</p>",
+  category: "news",
+  author: "Federation",
+};
+
+// Sends an authenticated admin request
+const adminRequest = (method, url) =>
+  agent[method](url)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .set("x-csrf-token", csrfToken);
+
+async function clearTables() {
+  await ArticleTag.destroy({ where: {}, truncate: true });
+  await ArticleRevision.destroy({ where: {}, truncate: true, cascade: true });
+  await Article.destroy({ where: {}, truncate: true, cascade: true });
+  await Tag.destroy({ where: {}, truncate: true, cascade: true });
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "tagadmin",
+    email: "tagadmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+  const loginRes = await agent
+    .post("/api/admin/login")
+    .set("x-csrf-token", csrfToken)
+    .send({ username: "tagadmin", password: "password123ADMIN!" });
+  adminToken = loginRes.body.accessToken;
+  if (!adminToken) throw new Error("Login failed during test setup");
+});
+
+beforeEach(clearTables);
+
+afterAll(async () => {
+  await clearTables();
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Article tags", () => {
+  it("creates tags and rejects duplicate slugs", async () => {
+    const res = await adminRequest("post", "/api/admin/tags").send({
+      slug: "World-Cup",
+      name_en: "World Cup",
+      name_rus: "Кубок мира",
+    });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.slug).toBe("world-cup");
+
+    const duplicate = await adminRequest("post", "/api/admin/tags").send({
+      slug: "world-cup",
+      name_en: "Another",
+    });
+    expect(duplicate.statusCode).toBe(409);
+
+    const invalid = await adminRequest("post", "/api/admin/tags").send({
+      slug: "bad slug!",
+      name_en: "Bad",
+    });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it("tags articles from the admin form and filters listings by tag", async () => {
+    const worldCup = await Tag.create({
+      slug: "world-cup",
+      name_en: "World Cup",
+      name_rus: "Кубок мира",
+    });
+    const juniors = await Tag.create({ slug: "juniors", name_en: "Juniors" });
+
+    const tagged = await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      tagIds: [worldCup.id, juniors.id],
+    });
+    expect(tagged.statusCode).toBe(201);
+    await adminRequest("post", "/api/admin/articles").send({
+      ...articleBody,
+      title_en: "Untagged article",
+    });
+
+    const res = await agent.get("/api/articles?tag=world-cup&lang=rus");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalArticles).toBe(1);
+    expect(res.body.articles[0].id).toBe(tagged.body.id);
+    expect(res.body.articles[0].tags).toEqual([
+      { id: juniors.id, slug: "juniors", name: "Juniors" },
+      { id: worldCup.id, slug: "world-cup", name: "Кубок мира" },
+    ]);
+
+    const unknown = await agent.get("/api/articles?tag=no-such-tag");
+    expect(unknown.body.totalArticles).toBe(0);
+  });
+
+  it("replaces tags on update and leaves them alone when tagIds is omitted", async () => {
+    const first = await Tag.create({ slug: "first", name_en: "First" });
+    const second = await Tag.create({ slug: "second", name_en: "Second" });
+    const { body: article } = await adminRequest(
+      "post",
+      "/api/admin/articles"
+    ).send({ ...articleBody, tagIds: [first.id] });
+
+    await adminRequest("put", `/api/admin/articles/${article.id}`).send({
+      ...articleBody,
+      tagIds: [second.id],
+    });
+    let details = await adminRequest(
+      "get",
+      `/api/admin/articles/${article.id}`
+    );
+    expect(details.body.tags.map((t) => t.slug)).toEqual(["second"]);
+
+    await adminRequest("put", `/api/admin/articles/${article.id}`).send(
+      articleBody
+    );
+    details = await adminRequest("get", `/api/admin/articles/${article.id}`);
+    expect(details.body.tags.map((t) => t.slug)).toEqual(["second"]);
+
+    const invalid = await adminRequest(
+      "put",
+      `/api/admin/articles/${article.id}`
+    ).send({ ...articleBody, tagIds: [9999] });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it("lists only tags used by public articles", async () => {
+    const used = await Tag.create({ slug: "used", name_en: "Used" });
+    const draftOnly = await Tag.create({
+      slug: "draft-only",
+      name_en: "Draft",
+    });
+    await Tag.create({ slug: "unused", name_en: "Unused" });
+    const published = await Article.create({
+      ...articleBody,
+      status: "published",
+    });
+    const draft = await Article.create({ ...articleBody, status: "draft" });
+    await published.setTags([used]);
+    await draft.setTags([draftOnly]);
+
+    const res = await agent.get("/api/tags");
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([
+      { id: used.id, slug: "used", name: "Used", articleCount: 1 },
+    ]);
+  });
+
+  it("deleting a tag only unlinks it from articles", async () => {
+    const tag = await Tag.create({ slug: "temporary", name_en: "Temporary" });
+    const article = await Article.create({
+      ...articleBody,
+      status: "published",
+    });
+    await article.setTags([tag]);
+
+    const res = await adminRequest("delete", `/api/admin/tags/${tag.id}`);
+    expect(res.statusCode).toBe(204);
+    expect(await Article.findByPk(article.id)).not.toBeNull();
+    expect(await ArticleTag.count()).toBe(0);
+  });
+});
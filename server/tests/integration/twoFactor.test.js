@@ -0,0 +1,186 @@
+// server/tests/integration/twoFactor.test.js
+const request = require("supertest");
+const { sequelize, Setting, User } = require("../../models");
+const app = require("../../app");
+const { REQUIRE_FOR_ADMINS_KEY, totpCode } = require("../../utils/twoFactor");
+
+const agent = request.agent(app);
+let csrfToken = null;
+
+// Codes for the next time step, since the current one may already be used
+const nextCode = (secret) =>
+  totpCode(secret, Math.floor(Date.now() / 1000 / 30) + 1);
+
+const post = (url, token) => {
+  const req = agent.post(url).set("x-csrf-token", csrfToken);
+  return token ? req.set("Authorization", `Bearer ${token}`) : req;
+};
+
+const login = (username = "twofactoradmin", password = "password123ADMIN!") =>
+  post("/api/admin/login").send({ username, password });
+
+// Sets up two-factor for a logged-in user; returns the secret and codes
+async function enroll(accessToken) {
+  const setupRes = await post("/api/admin/2fa/setup", accessToken);
+  expect(setupRes.statusCode).toBe(200);
+  const { secret } = setupRes.body;
+  const enableRes = await post("/api/admin/2fa/enable", accessToken).send({
+    code: totpCode(secret),
+  });
+  expect(enableRes.statusCode).toBe(200);
+  return { secret, recoveryCodes: enableRes.body.recoveryCodes };
+}
+
+// --- Test Setup ---
+beforeAll(async () => {
+  const res = await agent.get("/api/csrf-token");
+  csrfToken = res.body.csrfToken;
+  if (!csrfToken) throw new Error("CSRF token fetch failed");
+});
+
+beforeEach(async () => {
+  await Setting.destroy({ where: {} });
+  await User.destroy({
+    where: {},
+    truncate: true,
+    cascade: true,
+    restartIdentity: true,
+  });
+  await User.create({
+    username: "twofactoradmin",
+    email: "twofactoradmin@example.com",
+    password: "password123ADMIN!",
+    role: "admin",
+    needsPasswordChange: false,
+  });
+});
+
+afterAll(async () => {
+  await Setting.destroy({ where: {} });
+  await User.destroy({ where: {}, truncate: true, cascade: true });
+  await sequelize.close();
+});
+
+// --- Tests ---
+describe("Two-factor authentication", () => {
+  it("enrolls and then asks for a code at login", async () => {
+    const { body: tokens } = await login();
+    const { secret, recoveryCodes } = await enroll(tokens.accessToken);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const loginRes = await login();
+    expect(loginRes.statusCode).toBe(200);
+    expect(loginRes.body.twoFactorRequired).toBe(true);
+    expect(loginRes.body.accessToken).toBeUndefined();
+
+    const wrongRes = await post("/api/admin/2fa/login").send({
+      twoFactorToken: loginRes.body.twoFactorToken,
+      code: totpCode(secret, 1), // Long expired
+    });
+    expect(wrongRes.statusCode).toBe(401);
+
+    const codeRes = await post("/api/admin/2fa/login").send({
+      twoFactorToken: loginRes.body.twoFactorToken,
+      code: nextCode(secret),
+    });
+    expect(codeRes.statusCode).toBe(200);
+    expect(codeRes.body).toHaveProperty("accessToken");
+    expect(codeRes.body).toHaveProperty("refreshToken");
+
+    // The same code can't be used twice
+    const replayRes = await post("/api/admin/2fa/login").send({
+      twoFactorToken: loginRes.body.twoFactorToken,
+      code: nextCode(secret),
+    });
+    expect(replayRes.statusCode).toBe(401);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { body: tokens } = await login();
+    const { recoveryCodes } = await enroll(tokens.accessToken);
+    const { body: step } = await login();
+
+    const first = await post("/api/admin/2fa/login").send({
+      twoFactorToken: step.twoFactorToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    expect(first.statusCode).toBe(200);
+    const second = await post("/api/admin/2fa/login").send({
+      twoFactorToken: step.twoFactorToken,
+      recoveryCode: recoveryCodes[0],
+    });
+    expect(second.statusCode).toBe(401);
+
+    const status = await agent
+      .get("/api/admin/2fa")
+      .set("Authorization", `Bearer ${first.body.accessToken}`);
+    expect(status.body).toMatchObject({
+      enabled: true,
+      recoveryCodesRemaining: 9,
+    });
+  });
+
+  it("rejects the intermediate token as an access token", async () => {
+    const { body: tokens } = await login();
+    await enroll(tokens.accessToken);
+    const { body: step } = await login();
+
+    const res = await post("/api/admin/2fa/setup").send({
+      twoFactorToken: step.twoFactorToken,
+    });
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("makes admins set it up at login once it is required", async () => {
+    const { body: tokens } = await login();
+    const policyRes = await agent
+      .put("/api/admin/2fa/policy")
+      .set("x-csrf-token", csrfToken)
+      .set("Authorization", `Bearer ${tokens.accessToken}`)
+      .send({ requireForAdmins: true });
+    expect(policyRes.statusCode).toBe(200);
+    expect(await Setting.getValue(REQUIRE_FOR_ADMINS_KEY)).toBe(true);
+
+    const loginRes = await login();
+    expect(loginRes.body.twoFactorSetupRequired).toBe(true);
+    expect(loginRes.body.accessToken).toBeUndefined();
+    const { twoFactorToken } = loginRes.body;
+
+    const setupRes = await post("/api/admin/2fa/setup").send({
+      twoFactorToken,
+    });
+    expect(setupRes.statusCode).toBe(200);
+    expect(setupRes.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    const enableRes = await post("/api/admin/2fa/enable").send({
+      twoFactorToken,
+      code: totpCode(setupRes.body.secret),
+    });
+    expect(enableRes.statusCode).toBe(200);
+    expect(enableRes.body).toHaveProperty("accessToken");
+    expect(enableRes.body.recoveryCodes).toHaveLength(10);
+
+    // ...and can't turn it off while it's required
+    const disableRes = await post(
+      "/api/admin/2fa/disable",
+      enableRes.body.accessToken
+    ).send({
+      password: "password123ADMIN!",
+      code: nextCode(setupRes.body.secret),
+    });
+    expect(disableRes.statusCode).toBe(409);
+  });
+
+  it("disables with the password and a code", async () => {
+    const { body: tokens } = await login();
+    const { secret } = await enroll(tokens.accessToken);
+
+    const res = await post("/api/admin/2fa/disable", tokens.accessToken).send({
+      password: "password123ADMIN!",
+      code: nextCode(secret),
+    });
+    expect(res.statusCode).toBe(200);
+
+    const loginRes = await login();
+    expect(loginRes.body).toHaveProperty("accessToken");
+  });
+});
@@ -0,0 +1,78 @@
+// server/utils/articleLanguages.js
+// Which language an article is served in when the requested one is missing.
+const { Op } = require("sequelize");
+
+const { ArticleTranslation } = require("../models");
+
+const SUPPORTED_LANGS = ["en", "rus", "mng"];
+
+/**
+ * Languages the article can be read in: English (the source) plus every
+ * translation with a title and content.
+ * @param {Article|object} article - With title_* and content_* loaded.
+ * @returns {string[]}
+ */
+function languagesOf(article) {
+  return [
+    "en",
+    ...ArticleTranslation.TRANSLATION_LANGS.filter((lang) =>
+      ArticleTranslation.isTranslated(article, lang)
+    ),
+  ];
+}
+
+/**
+ * Available languages of many articles from their translation status, for
+ * lists that don't load article bodies (one query for the whole page).
+ * @param {number[]} articleIds
+ * @returns {Promise<Map<number, string[]>>}
+ */
+async function languagesOfMany(articleIds) {
+  const translations = await ArticleTranslation.findAll({
+    where: { articleId: articleIds, status: { [Op.ne]: "missing" } },
+    attributes: ["articleId", "lang"],
+  });
+  return new Map(
+    articleIds.map((id) => [
+      id,
+      [
+        "en",
+        ...ArticleTranslation.TRANSLATION_LANGS.filter((lang) =>
+          translations.some((t) => t.articleId === id && t.lang === lang)
+        ),
+      ],
+    ])
+  );
+}
+
+/** The requested language if available, otherwise English. */
+const servedLanguage = (requested, available) =>
+  available.includes(requested) ? requested : "en";
+
+/**
+ * Picks the served language's version of the given fields, e.g. title and
+ * excerpt, and says which language that was and which others exist.
+ * @param {Article|object} article
+ * @param {string} requested - Language the reader asked for.
+ * @param {string[]} fields - Field names without the language suffix.
+ * @param {string[]} available - See languagesOf / languagesOfMany.
+ * @returns {object} The localized fields plus servedLang and availableLangs.
+ */
+function localizeFields(article, requested, fields, available) {
+  const servedLang = servedLanguage(requested, available);
+  return {
+    ...Object.fromEntries(
+      fields.map((field) => [field, article[`${field}_${servedLang}`] ?? null])
+    ),
+    servedLang,
+    availableLangs: available,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGS,
+  languagesOf,
+  languagesOfMany,
+  servedLanguage,
+  localizeFields,
+};
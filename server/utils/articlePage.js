@@ -0,0 +1,137 @@
+// server/utils/articlePage.js
+// Server-rendered article.html. The article markup mirrors renderArticle()
+// in client/src/articles.js; keep the two in sync.
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { FEED_LANGUAGE_CODES } = require("./feeds");
+
+const LANGUAGE_NAMES = { en: "English", rus: "Русский", mng: "Монгол" }; // Shown in their own language
+
+const translations = {};
+let shell = null;
+
+// For text and attribute values. Titles are usually stored entity-encoded
+// by express-validator's escape(), so entities already there are kept as is.
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&(?!#?\w+;)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/** Client translation (client/src/locales), falling back to English, then the key. */
+function t(lang, key) {
+  for (const code of [lang, "en"]) {
+    if (!translations[code]) {
+      const file = path.join(
+        config.clientDir,
+        "src",
+        "locales",
+        `${code}.json`
+      );
+      translations[code] = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+    if (translations[code][key]) return translations[code][key];
+  }
+  return key;
+}
+
+/**
+ * The built article.html (Vite output), read once.
+ * @returns {string|null} Null when the client has not been built.
+ */
+function loadShell() {
+  if (shell === null) {
+    const file = path.join(config.clientDistDir, "article.html");
+    if (!fs.existsSync(file)) return null;
+    shell = fs.readFileSync(file, "utf8");
+  }
+  return shell;
+}
+
+/**
+ * Markup of the article itself, as renderArticle() builds it on the client.
+ * @param {object} article - Public article payload (title, content, lang, slugs...).
+ * @returns {string}
+ */
+function renderArticleMarkup(article) {
+  const { lang } = article;
+  const title = escapeHtml(article.title || t(lang, "untitledArticle"));
+  const content = article.content || `<p>${t(lang, "noContentAvailable")}</p>`;
+  // The client swaps in relative times ("2 hours ago") when it hydrates
+  const date = new Date(article.createdAt);
+  const displayString = new Intl.DateTimeFormat(FEED_LANGUAGE_CODES[lang], {
+    dateStyle: "long",
+  }).format(date);
+  const translationLinks = Object.entries(article.slugs || {})
+    .filter(
+      ([slugLang, slug]) =>
+        slug &&
+        slugLang !== lang &&
+        (!article.availableLangs || article.availableLangs.includes(slugLang))
+    )
+    .map(
+      ([slugLang, slug]) =>
+        `<a href="/article.html?slug=${encodeURIComponent(slug)}" hreflang="${FEED_LANGUAGE_CODES[slugLang]}" class="hover:underline">${LANGUAGE_NAMES[slugLang]}</a>`
+    )
+    .join(" · ");
+
+  return `
+    <article class="bg-white dark:bg-gray-700 rounded-lg shadow-md overflow-hidden border border-gray-200 dark:border-gray-600">
+      ${article.imageUrl ? `<img src="${escapeHtml(article.imageUrl)}" alt="${title}" class="w-full h-auto max-h-96 object-cover">` : ""}
+      <div class="p-4 md:p-6">
+        <h1 class="text-3xl font-bold text-gray-900 dark:text-white mb-3 leading-tight">${title}</h1>
+        <div class="flex flex-wrap items-center text-gray-500 dark:text-gray-400 text-sm mb-6 space-x-3">
+            <time datetime="${date.toISOString()}" class="whitespace-nowrap">${escapeHtml(displayString)}</time>
+            <span class="hidden sm:inline">•</span>
+            <a href="/articles.html?category=${encodeURIComponent(article.category)}" class="whitespace-nowrap hover:underline">${escapeHtml(article.categoryName)}</a>
+            <span class="hidden sm:inline">•</span>
+            <span class="flex items-center whitespace-nowrap">
+              <svg class="w-4 h-4 mr-1.5 text-gray-500 dark:text-gray-400" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 14"><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.2" d="M10 10.5a3.5 3.5 0 1 0 0-7 3.5 3.5 0 0 0 0 7Z"/><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.2" d="M20 7a9.99 9.99 0 0 1-1.774 5.318A9.956 9.956 0 0 1 10 13.5a9.956 9.956 0 0 1-8.226-1.182A9.99 9.99 0 0 1 0 7a9.99 9.99 0 0 1 1.774-5.318A9.956 9.956 0 0 1 10 0.5a9.956 9.956 0 0 1 8.226 1.182A9.99 9.99 0 0 1 20 7Z"/></svg>
+              ${Number(article.views) || 0} views
+            </span>
+        </div>
+        ${translationLinks ? `<p class="mb-4 text-sm text-gray-500 dark:text-gray-400">${t(lang, "articleOtherLanguages")}: ${translationLinks}</p>` : ""}
+        <div class="prose dark:prose-invert max-w-none mt-6">
+            ${content}
+        </div>
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Fills the page shell: <html lang>, the meta tags in place of the
+ * article-meta marker and default <title>, the rendered article in
+ * #article-container, and the payload the client script hydrates from.
+ * @param {string} pageShell - See loadShell().
+ * @param {object} article - Public article payload.
+ * @param {string} metaHtml - From renderMetaTags().
+ * @returns {string}
+ */
+function renderArticlePage(pageShell, article, metaHtml) {
+  // "<" is escaped so article text can never close the script element
+  const payload = JSON.stringify(article).replace(/</g, "\\u003c");
+  return pageShell
+    .replace(
+      /<html lang="[^"]*"/,
+      `<html lang="${FEED_LANGUAGE_CODES[article.lang]}"`
+    )
+    .replace(
+      /<!-- article-meta:[\s\S]*?-->\s*<title>[\s\S]*?<\/title>/,
+      () => metaHtml
+    )
+    .replace(/(<div id="article-container"[^>]*)>/, '$1 data-ssr="true">')
+    .replace(/<div id="article-loading"[\s\S]*?<\/div>/, () =>
+      renderArticleMarkup(article)
+    )
+    .replace(
+      "</main>",
+      () =>
+        `</main>\n    <script type="application/json" id="article-data">${payload}</script>`
+    );
+}
+
+module.exports = { loadShell, renderArticleMarkup, renderArticlePage };
@@ -0,0 +1,103 @@
+// server/utils/articlePublishing.js
+// Scheduled publishing: articles with status "scheduled" go live at publishAt.
+const { Op } = require("sequelize");
+const { Article } = require("../models");
+const { articleIdsForTag } = require("./articleTags");
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+/**
+ * Where clause for articles the public may see at `now`.
+ * Due scheduled articles count as published even before the scheduler
+ * has flipped them, so visibility never lags behind publishAt.
+ * @param {Date} [now]
+ * @returns {object} Sequelize where clause (combine with other keys freely).
+ */
+function publiclyVisibleWhere(now = new Date()) {
+  return {
+    [Op.or]: [
+      {
+        status: "published",
+        publishAt: { [Op.or]: [{ [Op.is]: null }, { [Op.lte]: now }] },
+      },
+      { status: "scheduled", publishAt: { [Op.lte]: now } },
+    ],
+  };
+}
+
+/**
+ * Where clause of the public article list, shared by GET /api/articles and
+ * the feeds: visible articles, optionally limited to comma-separated
+ * category slugs and to one tag.
+ * @param {object} [filters] - { category, tag }
+ * @returns {Promise<object>} Sequelize where clause.
+ */
+async function publicListWhere({ category, tag } = {}) {
+  const where = { ...publiclyVisibleWhere() };
+  if (category) {
+    const categories = category
+      .split(",")
+      .map((cat) => cat.trim())
+      .filter(Boolean);
+    if (categories.length > 0) {
+      where.category = { [Op.in]: categories };
+    }
+  }
+  if (tag) {
+    where.id = { [Op.in]: await articleIdsForTag(tag) };
+  }
+  return where;
+}
+
+/**
+ * Publishes every scheduled article whose publishAt has passed.
+ * @returns {Promise<number>} Number of articles published.
+ */
+async function publishDueArticles(now = new Date()) {
+  const [count] = await Article.update(
+    { status: "published" },
+    { where: { status: "scheduled", publishAt: { [Op.lte]: now } } }
+  );
+  if (count > 0) {
+    console.log(`[Scheduler] Published ${count} scheduled article(s).`);
+  }
+  return count;
+}
+
+/**
+ * Starts the in-process scheduler (no-op if already running).
+ * Runs once immediately so articles due while the server was down go live.
+ */
+function startArticleScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+  if (schedulerTimer) return;
+  const run = async () => {
+    if (runInProgress) return; // A slow database must not stack runs
+    runInProgress = true;
+    try {
+      await publishDueArticles();
+    } catch (error) {
+      console.error("[Scheduler] Failed to publish scheduled articles:", error);
+    } finally {
+      runInProgress = false;
+    }
+  };
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref(); // Never keep the process alive on its own
+  run();
+}
+
+function stopArticleScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  publiclyVisibleWhere,
+  publicListWhere,
+  publishDueArticles,
+  startArticleScheduler,
+  stopArticleScheduler,
+};
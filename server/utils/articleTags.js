@@ -0,0 +1,52 @@
+// server/utils/articleTags.js
+// Tag lookups shared by the public article routes.
+const { Tag, ArticleTag } = require("../models");
+
+/**
+ * Tag label in the requested language, falling back to English.
+ * @returns {{id: number, slug: string, name: string}}
+ */
+const localizeTag = (tag, lang) => ({
+  id: tag.id,
+  slug: tag.slug,
+  name: tag[`name_${lang}`] || tag.name_en,
+});
+
+/**
+ * Adds a `tags` array to each article (one query for the whole page).
+ * @param {Array<Model|object>} articles - Article instances or plain objects with an `id`.
+ * @param {string} lang - Language for the tag labels.
+ * @returns {Promise<Array<object>>} Plain article objects.
+ */
+async function attachTags(articles, lang) {
+  const plain = articles.map((a) => (a.toJSON ? a.toJSON() : { ...a }));
+  if (plain.length === 0) return plain;
+
+  const links = await ArticleTag.findAll({
+    where: { articleId: plain.map((a) => a.id) },
+    include: [{ model: Tag, as: "tag" }],
+    order: [[{ model: Tag, as: "tag" }, "name_en", "ASC"]],
+  });
+  return plain.map((article) => ({
+    ...article,
+    tags: links
+      .filter((link) => link.articleId === article.id)
+      .map((link) => localizeTag(link.tag, lang)),
+  }));
+}
+
+/**
+ * IDs of the articles carrying the tag with this slug.
+ * @returns {Promise<number[]>} Empty when the tag does not exist.
+ */
+async function articleIdsForTag(slug) {
+  const tag = await Tag.findOne({ where: { slug }, attributes: ["id"] });
+  if (!tag) return [];
+  const links = await ArticleTag.findAll({
+    where: { tagId: tag.id },
+    attributes: ["articleId"],
+  });
+  return links.map((link) => link.articleId);
+}
+
+module.exports = { localizeTag, attachTags, articleIdsForTag };
@@ -0,0 +1,119 @@
+// server/utils/articleViews.js
+// Counting article views: once per reader and day, without bots or staff.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op, UniqueConstraintError } = require("sequelize");
+
+const { sequelize, Article, ArticleView } = require("../models");
+const config = require("../config");
+const {
+  STAFF_VIEWER_COOKIE,
+  STAFF_VIEWER_PURPOSE,
+  verifyPurposeToken,
+} = require("./authTokens");
+
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Crawlers, link previews, monitors and scripted clients
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|phantomjs|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|httpclient|okhttp|axios|node-fetch|go-http-client|java\//i;
+
+let pruneTimer = null;
+
+/** YYYY-MM-DD of the given moment in UTC. */
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/** @returns {boolean} Whether the user agent is missing or looks automated. */
+function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Whether the request carries a staff access token or the staff marker
+ * cookie of the admin panel. Expired access tokens count too: the signature
+ * still proves the browser belongs to an admin or moderator.
+ */
+function isStaffRequest(req) {
+  const marker = req.cookies?.[STAFF_VIEWER_COOKIE];
+  if (marker && verifyPurposeToken(marker, STAFF_VIEWER_PURPOSE)) return true;
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  if (!token) return false;
+  try {
+    jwt.verify(token, config.jwtSecret, { ignoreExpiration: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Daily-changing, salted hash: readers can't be followed from one day to the next
+const visitorHash = (req, day) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      [config.jwtSecret, day, req.ip, req.get("user-agent") || ""].join("|")
+    )
+    .digest("hex");
+
+/**
+ * Counts a view of the article in the given language, unless the reader is a
+ * bot, a staff member or has already been counted for this article today.
+ * Updates the daily statistics and the article's total `views`.
+ * @param {import("express").Request} req
+ * @param {number} articleId
+ * @param {string} lang - en, rus or mng
+ * @returns {Promise<boolean>} Whether the view was counted.
+ */
+async function recordView(req, articleId, lang) {
+  if (isBot(req.get("user-agent")) || isStaffRequest(req)) return false;
+
+  const day = utcDay();
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    await ArticleView.create(
+      { articleId, lang, viewDate: day, visitorHash: visitorHash(req, day) },
+      { transaction }
+    );
+    await sequelize.query(
+      `INSERT INTO "ArticleViewDailies" ("articleId", "lang", "date", "views")
+       VALUES (:articleId, :lang, :day, 1)
+       ON CONFLICT ("articleId", "lang", "date")
+       DO UPDATE SET "views" = "ArticleViewDailies"."views" + 1`,
+      { replacements: { articleId, lang, day }, transaction }
+    );
+    await Article.increment("views", { where: { id: articleId }, transaction });
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    if (error instanceof UniqueConstraintError) return false; // Seen today
+    throw error;
+  }
+}
+
+/** Deletes de-duplication rows of past days; their views are already counted. */
+async function pruneViewEvents() {
+  return ArticleView.destroy({ where: { viewDate: { [Op.lt]: utcDay() } } });
+}
+
+/** Prunes past view rows now and every few hours (no-op if already running). */
+function startViewEventPruning(intervalMs = PRUNE_INTERVAL_MS) {
+  if (pruneTimer) return;
+  const run = () =>
+    pruneViewEvents().catch((error) =>
+      console.error("[Views] Failed to prune view events:", error)
+    );
+  pruneTimer = setInterval(run, intervalMs);
+  pruneTimer.unref(); // Never keep the process alive on its own
+  run();
+}
+
+module.exports = {
+  utcDay,
+  isBot,
+  recordView,
+  pruneViewEvents,
+  startViewEventPruning,
+};
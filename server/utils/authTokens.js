@@ -0,0 +1,121 @@
+// server/utils/authTokens.js
+// Access/refresh tokens for staff logins and short-lived single-purpose tokens
+// for the steps in between (password change, two-factor login and setup).
+const jwt = require("jsonwebtoken");
+const { Session } = require("../models");
+
+// Cookie mode: the refresh token is kept in an HttpOnly cookie that page
+// scripts can't read. It is only sent to the admin API, and the POSTs that
+// use it pass the double-submit CSRF check applied in app.js.
+const REFRESH_COOKIE = "refreshToken";
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV !== "test", // Supertest talks plain HTTP
+  sameSite: "strict",
+  path: "/api/admin",
+});
+
+// Cookie mode also marks the browser for the view counter, which sees neither
+// the refresh cookie nor the admin panel's in-memory access token. The marker
+// only proves a staff login here and grants no access.
+const STAFF_VIEWER_COOKIE = "staffViewer";
+const STAFF_VIEWER_PURPOSE = "staff-viewer";
+const staffViewerCookieOptions = () => ({
+  ...refreshCookieOptions(),
+  path: "/api/articles",
+});
+
+// --- Helper function to generate JWT ---
+// The session ID (sid) marks the current device in the sessions list; the
+// token version (ver) lets a password or role change revoke the token
+function generateAccessToken(user, session) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    console.error("FATAL ERROR: JWT_SECRET is not defined!");
+    // In a real app, might throw or handle this more gracefully
+  }
+  return jwt.sign(
+    {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      sid: session.id,
+      ver: user.tokenVersion,
+    },
+    secret,
+    { expiresIn: "15m" } // Access token expires quickly
+  );
+}
+
+/**
+ * Completes a login: opens a session for the device the request came from.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+async function issueTokens(user, req) {
+  const { session, refreshToken } = await Session.start(user, req);
+  return { accessToken: generateAccessToken(user, session), refreshToken };
+}
+
+/** Whether the response should carry the refresh token as a cookie. */
+const usesRefreshCookie = (req) =>
+  Boolean(req.refreshTokenFromCookie) || req.body?.useCookie === true;
+
+/**
+ * Responds with a token pair, plus any other fields. In cookie mode only the
+ * access token is in the body.
+ */
+function sendTokens(req, res, { accessToken, refreshToken }, extra = {}) {
+  if (!usesRefreshCookie(req)) {
+    return res.json({ ...extra, accessToken, refreshToken });
+  }
+  const expires = Session.idleExpiry();
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires,
+  });
+  const { userId } = jwt.decode(accessToken);
+  const marker = signPurposeToken(
+    { id: userId },
+    STAFF_VIEWER_PURPOSE,
+    Math.floor((expires.getTime() - Date.now()) / 1000)
+  );
+  res.cookie(STAFF_VIEWER_COOKIE, marker, {
+    ...staffViewerCookieOptions(),
+    expires,
+  });
+  res.json({ ...extra, accessToken });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+  res.clearCookie(STAFF_VIEWER_COOKIE, staffViewerCookieOptions());
+}
+
+/** Token that only proves the password step passed, for the given purpose. */
+function signPurposeToken(user, purpose, expiresIn = "10m") {
+  return jwt.sign({ userId: user.id, purpose }, process.env.JWT_SECRET, {
+    expiresIn,
+  });
+}
+
+/** @returns {object|null} The payload, or null if invalid, expired or for another purpose. */
+function verifyPurposeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  REFRESH_COOKIE,
+  STAFF_VIEWER_COOKIE,
+  STAFF_VIEWER_PURPOSE,
+  generateAccessToken,
+  issueTokens,
+  sendTokens,
+  clearRefreshCookie,
+  signPurposeToken,
+  verifyPurposeToken,
+};
@@ -0,0 +1,37 @@
+// server/utils/categories.js
+// Category lookups shared by the article validators and routes.
+const { Category } = require("../models");
+
+/**
+ * Category in the requested language, falling back to English.
+ * @returns {{id: number, slug: string, name: string, color: string, sortOrder: number}}
+ */
+const localizeCategory = (category, lang) => ({
+  id: category.id,
+  slug: category.slug,
+  name: category[`name_${lang}`] || category.name_en,
+  color: category.color,
+  sortOrder: category.sortOrder,
+});
+
+/**
+ * express-validator custom check: every slug in a comma-separated value
+ * must belong to a category in the database.
+ * @throws {Error} When a slug is unknown.
+ */
+async function assertCategoriesExist(value) {
+  const slugs = [
+    ...new Set(
+      String(value)
+        .split(",")
+        .map((s) => s.trim())
+    ),
+  ];
+  const found = await Category.count({ where: { slug: slugs } });
+  if (found !== slugs.length) {
+    throw new Error("Invalid category specified");
+  }
+  return true;
+}
+
+module.exports = { localizeCategory, assertCategoriesExist };
@@ -0,0 +1,105 @@
+// server/utils/contentImages.js
+// Moves base64 images embedded in article HTML into the media library.
+const { mediaUrl, storeImage, removeImageFiles } = require("./media");
+
+// Quill pastes images as <img src="data:image/png;base64,...">
+const DATA_IMAGE_PATTERN =
+  /(<img\b[^>]*?\bsrc\s*=\s*)(["'])(data:image\/[a-z+.-]+;base64,([a-z0-9+/=\s]+))\2/gi;
+
+const CONTENT_FIELDS = ["content_en", "content_rus", "content_mng"];
+
+/**
+ * Stores every embedded data: image in the HTML and points its <img> at the
+ * served file instead. Data that is not a usable image is left untouched.
+ * @param {string|null} html
+ * @param {function(object): Promise} saveMedia - Persists the fields of a Media row.
+ * @param {object[]} [files=[]] - Collects what was written to disk, for
+ *   discardExtractedImages() if the rows are rolled back later.
+ * @returns {Promise<{html: string, images: number, bytesSaved: number}>}
+ */
+async function extractEmbeddedImages(html, saveMedia, files = []) {
+  if (!html || !html.includes("data:image/")) {
+    return { html, images: 0, bytesSaved: 0 };
+  }
+
+  const urls = new Map(); // The same picture pasted twice is stored once
+  let result = html;
+  let images = 0;
+  for (const [tag, prefix, quote, dataUri, base64] of html.matchAll(
+    DATA_IMAGE_PATTERN
+  )) {
+    let url = urls.get(dataUri);
+    if (!url) {
+      let stored;
+      try {
+        stored = await storeImage(Buffer.from(base64, "base64"));
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+        console.warn(`Skipping embedded image: ${error.message}`);
+        continue;
+      }
+      const extension = stored.fileName.split(".").pop();
+      try {
+        await saveMedia({ ...stored, originalName: `embedded.${extension}` });
+      } catch (error) {
+        // Don't leave files behind for a row that was never created
+        await removeImageFiles(stored).catch(() => {});
+        throw error;
+      }
+      files.push(stored);
+      // GIFs keep their animation; others get the resized WebP
+      url = mediaUrl(
+        stored.mimeType === "image/gif"
+          ? stored.fileName
+          : stored.variants.large.fileName
+      );
+      urls.set(dataUri, url);
+    }
+    result = result.replace(tag, `${prefix}${quote}${url}${quote}`);
+    images += 1;
+  }
+
+  return {
+    html: result,
+    images,
+    bytesSaved: Buffer.byteLength(html) - Buffer.byteLength(result),
+  };
+}
+
+/**
+ * Runs extractEmbeddedImages over the three content columns of an article.
+ * @param {object} article - Object holding content_en/_rus/_mng.
+ * @param {function(object): Promise} saveMedia
+ * @param {object[]} [files=[]] - See extractEmbeddedImages().
+ * @returns {Promise<{contents: object, images: number, bytesSaved: number}>}
+ */
+async function extractArticleImages(article, saveMedia, files = []) {
+  const contents = {};
+  let images = 0;
+  let bytesSaved = 0;
+  for (const field of CONTENT_FIELDS) {
+    const extracted = await extractEmbeddedImages(
+      article[field],
+      saveMedia,
+      files
+    );
+    contents[field] = extracted.html;
+    images += extracted.images;
+    bytesSaved += extracted.bytesSaved;
+  }
+  return { contents, images, bytesSaved };
+}
+
+/** Removes the files of extracted images whose Media rows were rolled back. */
+function discardExtractedImages(files) {
+  return Promise.all(
+    files.map((stored) => removeImageFiles(stored).catch(() => {}))
+  );
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  extractEmbeddedImages,
+  extractArticleImages,
+  discardExtractedImages,
+};
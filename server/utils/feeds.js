@@ -0,0 +1,112 @@
+// server/utils/feeds.js
+// RSS 2.0 and Atom 1.0 documents for the public article feeds.
+const { htmlToText } = require("./textSearch");
+
+const SUMMARY_LENGTH = 300;
+
+// Feed <language> codes (ISO 639-1) for the site's language keys
+const FEED_LANGUAGE_CODES = { en: "en", rus: "ru", mng: "mn" };
+
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Plain-text summary of an article: its excerpt, or the start of the content.
+ * @param {{excerpt?: string, content?: string}} article
+ * @returns {string}
+ */
+function summarize({ excerpt, content }) {
+  const text = htmlToText(excerpt) || htmlToText(content);
+  if (text.length <= SUMMARY_LENGTH) return text;
+  const cut = text.slice(0, SUMMARY_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(" ")) || cut} …`;
+}
+
+/**
+ * @typedef {object} Feed
+ * @property {string} title
+ * @property {string} description
+ * @property {string} lang - Site language key (en, rus, mng).
+ * @property {string} link - Page the feed mirrors.
+ * @property {string} selfUrl - Absolute URL of the feed itself.
+ * @property {Date} updated - Newest updatedAt among the items.
+ * @property {Array<FeedItem>} items
+ *
+ * @typedef {object} FeedItem
+ * @property {string} id - Stable identifier (does not change with the slug).
+ * @property {string} title - Plain text.
+ * @property {string} link
+ * @property {string} summary - Plain text.
+ * @property {string} author
+ * @property {string} category - Localized category name.
+ * @property {Date} published
+ * @property {Date} updated
+ */
+
+/** @param {Feed} feed @returns {string} RSS 2.0 XML. */
+function buildRss(feed) {
+  const items = feed.items
+    .map(
+      (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <description>${escapeXml(item.summary)}</description>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <category>${escapeXml(item.category)}</category>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${FEED_LANGUAGE_CODES[feed.lang]}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/** @param {Feed} feed @returns {string} Atom 1.0 XML. */
+function buildAtom(feed) {
+  const entries = feed.items
+    .map(
+      (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+    <category term="${escapeXml(item.category)}"/>
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${FEED_LANGUAGE_CODES[feed.lang]}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.link)}"/>
+  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+module.exports = { FEED_LANGUAGE_CODES, summarize, buildRss, buildAtom };
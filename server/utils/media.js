@@ -0,0 +1,145 @@
+// server/utils/media.js
+// Stores uploaded images on disk with resized WebP variants.
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+
+const config = require("../config");
+const ErrorHandler = require("./errorHandler");
+
+const MEDIA_URL_PREFIX = "/uploads/media";
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// sharp format -> stored file extension
+const ACCEPTED_FORMATS = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif" };
+
+// Thumbnails are square crops for the library grid; the rest keep their ratio
+const VARIANTS = {
+  thumb: { width: 300, height: 300, fit: "cover" },
+  medium: { width: 800 },
+  large: { width: 1600 },
+};
+
+// Matches the URL of any stored original or variant
+const MEDIA_PATH_PATTERN = /^\/uploads\/media\/[a-f0-9]{24}(-[a-z]+)?\.[a-z]+$/;
+
+const mediaUrl = (fileName) => `${MEDIA_URL_PREFIX}/${fileName}`;
+
+/**
+ * Media row as returned by the API, with URLs for the original and variants.
+ * @param {Model|object} media
+ * @returns {object}
+ */
+function serializeMedia(media) {
+  const data = media.toJSON ? media.toJSON() : { ...media };
+  const variants = Object.fromEntries(
+    Object.entries(data.variants || {}).map(([name, variant]) => [
+      name,
+      { ...variant, url: mediaUrl(variant.fileName) },
+    ])
+  );
+  return { ...data, url: mediaUrl(data.fileName), variants };
+}
+
+/**
+ * Validates an uploaded image, writes it (metadata stripped) plus its
+ * variants to the media directory.
+ * @param {Buffer} buffer - Raw upload.
+ * @returns {Promise<object>} Fields for Media.create (without names/uploader).
+ * @throws {ErrorHandler} 400 when the file is not a supported image.
+ */
+async function storeImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ErrorHandler("File is not a readable image", 400);
+  }
+  const extension = ACCEPTED_FORMATS[metadata.format];
+  if (!extension) {
+    throw new ErrorHandler(
+      `Unsupported image format. Allowed: ${Object.keys(ACCEPTED_FORMATS).join(", ")}`,
+      400
+    );
+  }
+
+  await fs.mkdir(config.mediaDir, { recursive: true });
+  const key = crypto.randomBytes(12).toString("hex");
+  const fileName = `${key}.${extension}`;
+  const written = [];
+  try {
+    // GIFs keep their animation; everything else is re-encoded upright
+    const original =
+      metadata.format === "gif"
+        ? sharp(buffer, { animated: true })
+        : sharp(buffer).rotate();
+    const info = await original.toFile(path.join(config.mediaDir, fileName));
+    written.push(fileName);
+
+    const variants = {};
+    for (const [name, resize] of Object.entries(VARIANTS)) {
+      const variantName = `${key}-${name}.webp`;
+      const variant = await sharp(buffer)
+        .rotate()
+        .resize({ ...resize, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(path.join(config.mediaDir, variantName));
+      written.push(variantName);
+      variants[name] = {
+        fileName: variantName,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+      };
+    }
+
+    return {
+      fileName,
+      mimeType: `image/${metadata.format}`,
+      size: info.size,
+      width: info.width,
+      // Animated GIFs are written as a tall strip of frames
+      height:
+        metadata.format === "gif"
+          ? metadata.pageHeight || metadata.height
+          : info.height,
+      variants,
+    };
+  } catch (error) {
+    await removeFiles(written);
+    throw error;
+  }
+}
+
+// Deletes files from the media directory, ignoring ones already gone
+async function removeFiles(fileNames) {
+  await Promise.all(
+    fileNames.map((name) =>
+      fs.unlink(path.join(config.mediaDir, name)).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      })
+    )
+  );
+}
+
+/** Removes the original and every variant of a Media row from disk. */
+function removeImageFiles(media) {
+  return removeFiles([
+    media.fileName,
+    ...Object.values(media.variants || {}).map((v) => v.fileName),
+  ]);
+}
+
+/** @returns {boolean} Whether the value points at a media library file. */
+const isMediaUrl = (value) => MEDIA_PATH_PATTERN.test(value || "");
+
+module.exports = {
+  MEDIA_URL_PREFIX,
+  MAX_UPLOAD_BYTES,
+  mediaUrl,
+  serializeMedia,
+  storeImage,
+  removeImageFiles,
+  isMediaUrl,
+};
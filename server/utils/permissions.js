@@ -0,0 +1,107 @@
+// server/utils/permissions.js
+// Everything a staff role can be allowed to do. Which roles have which
+// permissions is stored in the RolePermissions table and edited in the admin
+// panel; the admin role always has all of them.
+
+const ADMIN_ROLE = "admin";
+// Given to new users unless another role is chosen
+const DEFAULT_ROLE = "moderator";
+
+const PERMISSIONS = {
+  "articles.view": "See all articles, their tags and view statistics",
+  "articles.suggest": "Suggest new articles and edits for review",
+  "articles.edit": "Create and edit articles directly, and restore revisions",
+  "articles.publish": "Publish, schedule and edit live articles",
+  "articles.delete": "Delete articles",
+  "suggestions.review": "Approve or reject suggested edits",
+  "translations.edit": "Suggest translations in the user's languages",
+  "translations.manage": "Assign and review translations",
+  "taxonomy.manage": "Create, edit and delete tags and categories",
+  "media.upload": "Browse and upload images",
+  "media.manage": "Edit and delete images",
+  "competitions.view": "See competitions, athletes and clubs",
+  "competitions.manage": "Create, edit and delete competitions",
+  "competitions.registrations": "Review competition registrations",
+  "results.enter": "Enter and correct competition results",
+  "results.manage": "Link results to athlete profiles",
+  "athletes.manage": "Create, edit and delete athletes and clubs",
+  "rankings.manage": "Edit the ranking points table",
+  "dashboard.view": "See the admin dashboard",
+  "users.manage": "Create, edit and delete users and reset their two-factor",
+  "roles.manage": "Create and edit roles and their permissions",
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles created with the table; the migration inserts the same rows
+const DEFAULT_ROLES = {
+  admin: {
+    description: "Full access",
+    permissions: PERMISSION_NAMES,
+  },
+  moderator: {
+    description: "Suggests articles and translations and enters results",
+    permissions: [
+      "articles.view",
+      "articles.suggest",
+      "translations.edit",
+      "media.upload",
+      "competitions.view",
+      "results.enter",
+    ],
+  },
+  editor: {
+    description: "Writes and publishes articles directly",
+    permissions: [
+      "articles.view",
+      "articles.suggest",
+      "articles.edit",
+      "articles.publish",
+      "suggestions.review",
+      "translations.edit",
+      "taxonomy.manage",
+      "media.upload",
+      "media.manage",
+    ],
+  },
+  translator: {
+    description: "Suggests translations in their assigned languages",
+    permissions: ["articles.view", "translations.edit"],
+  },
+  judge: {
+    description: "Enters competition results",
+    permissions: ["competitions.view", "results.enter"],
+  },
+  "results-manager": {
+    description: "Manages registrations and results of competitions",
+    permissions: [
+      "competitions.view",
+      "competitions.registrations",
+      "results.enter",
+      "results.manage",
+    ],
+  },
+};
+
+// Can't be deleted: every user must keep a valid role
+const PROTECTED_ROLES = [ADMIN_ROLE, DEFAULT_ROLE];
+
+/**
+ * Only admins may give out or take away the admin role, or change an admin's
+ * account; users.manage alone must not be a way to become one.
+ * @param {string} actorRole Role of the user making the change
+ * @param {...string} roles Roles the change touches (old and new)
+ * @returns {boolean} True when the change is not allowed for the actor
+ */
+const isAdminOnlyChange = (actorRole, ...roles) =>
+  actorRole !== ADMIN_ROLE && roles.includes(ADMIN_ROLE);
+
+module.exports = {
+  ADMIN_ROLE,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  DEFAULT_ROLES,
+  PROTECTED_ROLES,
+  isAdminOnlyChange,
+};
@@ -0,0 +1,175 @@
+// server/utils/rankings.js
+// Federation ranking: points per placement, weighted by competition tier,
+// summed over a rolling window per discipline, age group and gender.
+const { Setting } = require("../models");
+
+const COMPETITION_TIERS = ["international", "national", "regional", "club"];
+const POINTS_TABLE_KEY = "rankingPointsTable";
+const RANKING_WINDOW_MONTHS = 12;
+
+// Used until an admin saves their own table
+const DEFAULT_POINTS_TABLE = {
+  // Index 0 = 1st place; placements past the end of the list score 0
+  placements: [100, 80, 65, 55, 50, 45, 40, 36, 32, 29, 26, 24, 22, 20, 18, 16],
+  tiers: { international: 1.5, national: 1, regional: 0.6, club: 0.3 },
+};
+
+/**
+ * Loads the admin-configured points table, filling gaps from the defaults.
+ * @returns {Promise<{placements: number[], tiers: object}>}
+ */
+async function getPointsTable(options = {}) {
+  const saved = await Setting.getValue(POINTS_TABLE_KEY, null, options);
+  return {
+    placements: saved?.placements || DEFAULT_POINTS_TABLE.placements,
+    tiers: { ...DEFAULT_POINTS_TABLE.tiers, ...(saved?.tiers || {}) },
+  };
+}
+
+/**
+ * Points awarded for one placement at a competition of the given tier.
+ * @returns {number} Whole points (rounded).
+ */
+function pointsForPlacement(placement, tier, pointsTable) {
+  if (!placement) return 0;
+  const base = pointsTable.placements[placement - 1] || 0;
+  const weight = pointsTable.tiers[tier] ?? 1;
+  return Math.round(base * weight);
+}
+
+/**
+ * Start of the rolling ranking window ending at `asOf`.
+ * @returns {string} Date as YYYY-MM-DD, comparable with DATEONLY columns.
+ */
+function getWindowStart(asOf) {
+  const start = new Date(asOf);
+  start.setMonth(start.getMonth() - RANKING_WINDOW_MONTHS);
+  return start.toISOString().slice(0, 10);
+}
+
+const groupKeyOf = (result) =>
+  [result.discipline, result.ageCategory, result.gender].join("|");
+
+/**
+ * Placements within each ranking group at each competition. Stored
+ * placements rank the whole discipline together, so a junior placed 14th
+ * overall may have won her own age group; counting the better placed results
+ * of the same group keeps the judges' order and shared places ("1, 1, 3").
+ * @returns {Map<object, number|null>} Placement per result object.
+ */
+function placeWithinGroups(results) {
+  const placementsByEvent = new Map();
+  results.forEach((result) => {
+    const eventKey = `${result.competition.id}|${groupKeyOf(result)}`;
+    if (!placementsByEvent.has(eventKey)) placementsByEvent.set(eventKey, []);
+    if (result.placement)
+      placementsByEvent.get(eventKey).push(result.placement);
+  });
+
+  return new Map(
+    results.map((result) => {
+      if (!result.placement) return [result, null];
+      const others = placementsByEvent.get(
+        `${result.competition.id}|${groupKeyOf(result)}`
+      );
+      const better = others.filter((p) => p < result.placement).length;
+      return [result, better + 1];
+    })
+  );
+}
+
+/**
+ * Groups results into ranking tables.
+ * Athletes are matched by name (case-insensitive) within a group, and placed
+ * among that group only (see placeWithinGroups).
+ * @param {Array<object>} results - Plain results with a `competition` ({id, name, endDate, tier}).
+ * @param {object} pointsTable - See getPointsTable().
+ * @returns {Array<{discipline: string, ageGroup: string|null, gender: string|null, athletes: array}>}
+ */
+function buildRankings(results, pointsTable) {
+  const groups = new Map();
+  const groupPlacements = placeWithinGroups(results);
+
+  results.forEach((result) => {
+    const groupKey = groupKeyOf(result);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        discipline: result.discipline,
+        ageGroup: result.ageCategory || null,
+        gender: result.gender || null,
+        athletes: new Map(),
+      });
+    }
+    const group = groups.get(groupKey);
+
+    const athleteKey = result.athleteName.trim().toLowerCase();
+    if (!group.athletes.has(athleteKey)) {
+      group.athletes.set(athleteKey, {
+        athleteName: result.athleteName,
+        club: null,
+        points: 0,
+        results: [],
+        latestDate: "",
+      });
+    }
+    const athlete = group.athletes.get(athleteKey);
+
+    const placement = groupPlacements.get(result);
+    const points = pointsForPlacement(
+      placement,
+      result.competition.tier,
+      pointsTable
+    );
+    athlete.points += points;
+    athlete.results.push({
+      competitionId: result.competition.id,
+      competitionName: result.competition.name,
+      date: result.competition.endDate,
+      placement,
+      points,
+    });
+    // Show the club the athlete most recently competed for
+    if (result.competition.endDate >= athlete.latestDate) {
+      athlete.latestDate = result.competition.endDate;
+      athlete.club = result.club || null;
+    }
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const athletes = [...group.athletes.values()]
+        .map(({ latestDate, ...athlete }) => ({
+          ...athlete,
+          results: athlete.results.sort((a, b) => (a.date < b.date ? 1 : -1)),
+        }))
+        .sort(
+          (a, b) =>
+            b.points - a.points || a.athleteName.localeCompare(b.athleteName)
+        );
+      // Equal points share a rank ("1, 1, 3")
+      athletes.forEach((athlete, index) => {
+        const previous = athletes[index - 1];
+        athlete.rank =
+          previous && previous.points === athlete.points
+            ? previous.rank
+            : index + 1;
+      });
+      return { ...group, athletes };
+    })
+    .sort(
+      (a, b) =>
+        a.discipline.localeCompare(b.discipline) ||
+        (a.ageGroup || "").localeCompare(b.ageGroup || "") ||
+        (a.gender || "").localeCompare(b.gender || "")
+    );
+}
+
+module.exports = {
+  COMPETITION_TIERS,
+  POINTS_TABLE_KEY,
+  DEFAULT_POINTS_TABLE,
+  getPointsTable,
+  pointsForPlacement,
+  getWindowStart,
+  buildRankings,
+};
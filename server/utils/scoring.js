@@ -0,0 +1,88 @@
+// server/utils/scoring.js
+// Knife-throwing scoring: hit zones -> points, totals, tiebreaks and placements
+
+// Points per hit zone, from the target centre outwards.
+// "miss" covers throws that don't stick or land outside the scoring rings.
+const ZONE_POINTS = {
+  center: 5,
+  inner: 4,
+  middle: 3,
+  outer: 2,
+  edge: 1,
+  miss: 0,
+};
+
+const HIT_ZONES = Object.keys(ZONE_POINTS);
+
+// Zones used for countback, best first (misses never break a tie)
+const COUNTBACK_ZONES = HIT_ZONES.filter((zone) => ZONE_POINTS[zone] > 0);
+
+/**
+ * Scores every round of a result and the result as a whole.
+ * @param {Array<{distance: number, throws: string[]}>} rounds - Rounds as entered by the judge.
+ * @returns {{rounds: Array<{round: number, distance: number, throws: string[], score: number}>, totalScore: number, zoneCounts: object}}
+ */
+function scoreRounds(rounds = []) {
+  const zoneCounts = Object.fromEntries(HIT_ZONES.map((zone) => [zone, 0]));
+  let totalScore = 0;
+
+  const scoredRounds = rounds.map((round, index) => {
+    const score = round.throws.reduce((sum, zone) => {
+      zoneCounts[zone] += 1;
+      return sum + ZONE_POINTS[zone];
+    }, 0);
+    totalScore += score;
+    return {
+      round: index + 1,
+      distance: round.distance,
+      throws: round.throws,
+      score,
+    };
+  });
+
+  return { rounds: scoredRounds, totalScore, zoneCounts };
+}
+
+/**
+ * Compares two scored results, best first.
+ * Order: total score, then countback on hits per zone (more centres wins,
+ * then more inner hits, ...), then the score of the last round.
+ * @returns {number} Negative if `a` ranks ahead of `b`, 0 if they are tied.
+ */
+function compareResults(a, b) {
+  if (a.totalScore !== b.totalScore) return b.totalScore - a.totalScore;
+
+  for (const zone of COUNTBACK_ZONES) {
+    const diff = (b.zoneCounts?.[zone] || 0) - (a.zoneCounts?.[zone] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  const lastScore = (result) =>
+    result.rounds?.length ? result.rounds[result.rounds.length - 1].score : 0;
+  return lastScore(b) - lastScore(a);
+}
+
+/**
+ * Assigns placements with shared places for exact ties ("1, 1, 3").
+ * @param {Array<object>} results - Scored results of ONE competition discipline.
+ * @returns {Array<object>} The same objects, sorted best first, each with `placement` set.
+ */
+function assignPlacements(results) {
+  const sorted = [...results].sort(compareResults);
+  sorted.forEach((result, index) => {
+    const previous = sorted[index - 1];
+    result.placement =
+      previous && compareResults(previous, result) === 0
+        ? previous.placement
+        : index + 1;
+  });
+  return sorted;
+}
+
+module.exports = {
+  ZONE_POINTS,
+  HIT_ZONES,
+  scoreRounds,
+  compareResults,
+  assignPlacements,
+};
@@ -0,0 +1,174 @@
+// server/utils/seo.js
+// Sitemap and per-article Open Graph/Twitter metadata for crawlers.
+const config = require("../config");
+const { htmlToText } = require("./textSearch");
+const { FEED_LANGUAGE_CODES, summarize } = require("./feeds");
+
+const SITE_NAME = "Mongolian Sports Knife Throwing Federation";
+const SEO_LANGS = ["en", "rus", "mng"];
+
+// Open Graph locales for the site's language keys
+const OG_LOCALES = { en: "en_US", rus: "ru_RU", mng: "mn_MN" };
+
+// Public pages listed in the sitemap; their language comes from ?lang=
+const STATIC_PAGES = [
+  "/",
+  "/articles.html",
+  "/competitions.html",
+  "/rankings.html",
+  "/athletes.html",
+  "/clubs.html",
+  "/mission.html",
+];
+
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** Absolute URL for a site path (media paths, page links). */
+const absoluteUrl = (pathOrUrl) =>
+  /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${config.siteUrl}${pathOrUrl}`;
+
+const articlePageUrl = (slug) =>
+  `${config.siteUrl}/article.html?slug=${encodeURIComponent(slug)}`;
+
+/**
+ * Language versions of an article that have their own URL.
+ * @returns {Array<{lang: string, hreflang: string, href: string}>}
+ */
+const articleAlternates = (article) =>
+  SEO_LANGS.filter((lang) => article[`slug_${lang}`]).map((lang) => ({
+    lang,
+    hreflang: FEED_LANGUAGE_CODES[lang],
+    href: articlePageUrl(article[`slug_${lang}`]),
+  }));
+
+const sitemapUrl = (href, alternates, xDefault, lastmod) => {
+  const lines = [`    <loc>${escapeXml(href)}</loc>`];
+  if (lastmod) lines.push(`    <lastmod>${lastmod.toISOString()}</lastmod>`);
+  [...alternates, { hreflang: "x-default", href: xDefault }].forEach((alt) =>
+    lines.push(
+      `    <xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${escapeXml(alt.href)}"/>`
+    )
+  );
+  return `  <url>\n${lines.join("\n")}\n  </url>`;
+};
+
+/**
+ * sitemap.xml with one <url> per language version, each listing all the
+ * alternates plus x-default (the English or language-neutral URL).
+ * @param {Array<Article>} articles - Published articles with slugs and updatedAt.
+ * @returns {string}
+ */
+function buildSitemap(articles) {
+  const entry = (alternates, xDefault, lastmod) =>
+    alternates
+      .map(({ href }) => sitemapUrl(href, alternates, xDefault, lastmod))
+      .join("\n");
+
+  const pages = STATIC_PAGES.map((path) =>
+    entry(
+      SEO_LANGS.map((lang) => ({
+        hreflang: FEED_LANGUAGE_CODES[lang],
+        href: `${config.siteUrl}${path}?lang=${lang}`,
+      })),
+      `${config.siteUrl}${path}`
+    )
+  );
+  const articleEntries = articles.map((article) =>
+    entry(
+      articleAlternates(article),
+      articlePageUrl(article.slug_en),
+      article.updatedAt
+    )
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${[...pages, ...articleEntries].join("\n")}
+</urlset>
+`;
+}
+
+/**
+ * Share metadata for one language version of an article.
+ * @param {Article} article
+ * @param {string} lang - Language shown (it must have a slug).
+ * @param {string} [section] - Localized category name.
+ * @returns {object}
+ */
+function articleMeta(article, lang, section) {
+  const localized = (field) =>
+    article[`${field}_${lang}`] || article[`${field}_en`] || "";
+  return {
+    title: htmlToText(localized("title")), // Stored HTML-escaped
+    description: summarize({
+      excerpt: localized("excerpt"),
+      content: localized("content"),
+    }),
+    image: article.imageUrl ? absoluteUrl(article.imageUrl) : null,
+    url: articlePageUrl(article[`slug_${lang}`] || article.slug_en),
+    type: "article",
+    siteName: SITE_NAME,
+    locale: OG_LOCALES[lang],
+    alternateLocales: SEO_LANGS.filter(
+      (l) => l !== lang && article[`slug_${l}`]
+    ).map((l) => OG_LOCALES[l]),
+    alternates: articleAlternates(article).map(({ hreflang, href }) => ({
+      hreflang,
+      href,
+    })),
+    section: section || null,
+    author: article.author,
+    publishedTime: article.createdAt,
+    modifiedTime: article.updatedAt,
+  };
+}
+
+/**
+ * <head> markup for articleMeta(): title, description, canonical and
+ * hreflang links, Open Graph and Twitter card tags.
+ * @param {object} meta
+ * @returns {string}
+ */
+function renderMetaTags(meta) {
+  const tag = (attr, key, value) =>
+    value ? `<meta ${attr}="${key}" content="${escapeXml(value)}" />` : null;
+  return [
+    `<title>${escapeXml(meta.title)} - MSKTF</title>`,
+    tag("name", "description", meta.description),
+    `<link rel="canonical" href="${escapeXml(meta.url)}" />`,
+    ...meta.alternates.map(
+      (alt) =>
+        `<link rel="alternate" hreflang="${alt.hreflang}" href="${escapeXml(alt.href)}" />`
+    ),
+    tag("property", "og:type", meta.type),
+    tag("property", "og:site_name", meta.siteName),
+    tag("property", "og:title", meta.title),
+    tag("property", "og:description", meta.description),
+    tag("property", "og:url", meta.url),
+    tag("property", "og:image", meta.image),
+    tag("property", "og:locale", meta.locale),
+    ...meta.alternateLocales.map((locale) =>
+      tag("property", "og:locale:alternate", locale)
+    ),
+    tag("property", "article:section", meta.section),
+    tag(
+      "property",
+      "article:published_time",
+      meta.publishedTime?.toISOString()
+    ),
+    tag("property", "article:modified_time", meta.modifiedTime?.toISOString()),
+    tag("name", "twitter:card", meta.image ? "summary_large_image" : "summary"),
+    tag("name", "twitter:title", meta.title),
+    tag("name", "twitter:description", meta.description),
+    tag("name", "twitter:image", meta.image),
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+}
+
+module.exports = { buildSitemap, articleMeta, renderMetaTags };
@@ -0,0 +1,88 @@
+// server/utils/slugify.js
+// URL slugs from article titles, with Cyrillic transliteration.
+
+const MAX_SLUG_LENGTH = 80;
+
+// Russian letters plus the Mongolian Ө and Ү
+const CYRILLIC = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  е: "e",
+  ё: "yo",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  ө: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ү: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+};
+
+/** Latin transcription of Russian and Mongolian Cyrillic text (lowercased). */
+const transliterate = (text) =>
+  text
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[\u0400-\u04ff]/g, (letter) => CYRILLIC[letter] ?? "");
+
+/**
+ * Lowercase ASCII slug for a title, cut on a word boundary.
+ * @param {string|null} text
+ * @returns {string} Empty when nothing usable is left.
+ */
+function slugify(text) {
+  if (!text) return "";
+  const slug = transliterate(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // é -> e
+    .replace(/&[a-z]+;|&#\d+;/g, " ") // Titles are stored HTML-escaped
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  return cut.slice(0, cut.lastIndexOf("-")) || slug.slice(0, MAX_SLUG_LENGTH);
+}
+
+/**
+ * First free variant of the base slug: "title", "title-2", "title-3"...
+ * @param {string} base
+ * @param {function(string): Promise<boolean>} isTaken
+ * @returns {Promise<string>}
+ */
+async function uniqueSlug(base, isTaken) {
+  let candidate = base;
+  for (let n = 2; await isTaken(candidate); n += 1) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+}
+
+/** Whether the slug is the base slug or one of its numbered variants. */
+const isVariantOf = (slug, base) =>
+  slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+
+module.exports = { slugify, transliterate, uniqueSlug, isVariantOf };
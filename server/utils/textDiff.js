@@ -0,0 +1,88 @@
+// server/utils/textDiff.js
+// Word-level diff for article revisions. HTML tags are kept as single tokens
+// so markup changes show up without splitting tags apart.
+
+// Above this many LCS cells the changed middle is shown as a full replacement
+const MAX_LCS_CELLS = 4000000;
+
+function tokenize(text) {
+  if (!text) return [];
+  return String(text).match(/<[^>]+>|\s+|[^\s<]+/g) || [];
+}
+
+// Appends a token, merging runs of the same operation
+function push(ops, op, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else ops.push({ op, text });
+}
+
+/**
+ * Diffs two strings word by word.
+ * @param {string|null} before - Old text.
+ * @param {string|null} after - New text.
+ * @returns {Array<{op: "equal"|"insert"|"delete", text: string}>}
+ */
+function diffText(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix need no LCS work
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  a.slice(0, start).forEach((token) => push(ops, "equal", token));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    midA.forEach((token) => push(ops, "delete", token));
+    midB.forEach((token) => push(ops, "insert", token));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = Array.from(
+      { length: midA.length + 1 },
+      () => new Uint32Array(midB.length + 1)
+    );
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          midA[i] === midB[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(ops, "equal", midA[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push(ops, "delete", midA[i++]);
+      } else {
+        push(ops, "insert", midB[j++]);
+      }
+    }
+    midA.slice(i).forEach((token) => push(ops, "delete", token));
+    midB.slice(j).forEach((token) => push(ops, "insert", token));
+  }
+
+  a.slice(endA).forEach((token) => push(ops, "equal", token));
+  return ops;
+}
+
+/** True when a diff contains any insert or delete. */
+function hasChanges(ops) {
+  return ops.some((part) => part.op !== "equal");
+}
+
+module.exports = { diffText, hasChanges };
@@ -0,0 +1,124 @@
+// server/utils/textSearch.js
+// Plain-text matching and highlighted snippets for article search.
+
+const SNIPPET_LENGTH = 200;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Turns stored HTML (or validator-escaped text) into plain, searchable text.
+ * @param {string|null} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  if (!html) return "";
+  return html
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6])[^>]*>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const point =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(point);
+      }
+      return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Escapes %, _ and \ so user input matches literally in LIKE patterns. */
+const escapeLike = (text) => text.replace(/[\\%_]/g, "\\$&");
+
+// Entities the stored text may use: Quill escapes &, < and >, while fields
+// run through express-validator's escape() also encode quotes and slashes
+const QUILL_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;" };
+const VALIDATOR_ENTITIES = {
+  ...QUILL_ENTITIES,
+  '"': "&quot;",
+  "'": "&#x27;",
+  "/": "&#x2F;",
+  "\\": "&#x5C;",
+  "`": "&#96;",
+};
+
+/**
+ * Spellings of the query as it may be stored in HTML, for matching in SQL
+ * where entities are not decoded.
+ * @returns {string[]} The query itself plus its distinct escaped forms.
+ */
+function storedForms(query) {
+  const encode = (entities) =>
+    query.replace(/[&<>"'/\\`]/g, (char) => entities[char] ?? char);
+  return [
+    ...new Set([query, encode(QUILL_ENTITIES), encode(VALIDATOR_ENTITIES)]),
+  ];
+}
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Case-insensitive (Cyrillic included) matcher for the literal query
+const queryPattern = (query) =>
+  new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "giu");
+
+/** @returns {boolean} Whether the plain text contains the query. */
+function containsQuery(text, query) {
+  return text.toLocaleLowerCase().includes(query.toLocaleLowerCase());
+}
+
+/**
+ * Cuts a window of plain text around the first match and wraps every match
+ * in <mark>. Everything else is HTML-escaped, so the result is safe to render.
+ * @param {string} text - Plain text (see htmlToText).
+ * @param {string} query
+ * @returns {string} HTML snippet.
+ */
+function buildSnippet(text, query, length = SNIPPET_LENGTH) {
+  const first = text.toLocaleLowerCase().indexOf(query.toLocaleLowerCase());
+  let start = 0;
+  if (first > length / 3) {
+    // Start on a word boundary a little before the match
+    start = text.lastIndexOf(" ", first - Math.floor(length / 3)) + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(" ", end);
+    if (lastSpace > first + query.length) end = lastSpace;
+  }
+
+  const highlighted = text
+    .slice(start, end)
+    .split(queryPattern(query))
+    .map(escapeHtml);
+  const matches = text.slice(start, end).match(queryPattern(query)) || [];
+  const body = highlighted
+    .map((part, index) =>
+      index < matches.length
+        ? `${part}<mark>${escapeHtml(matches[index])}</mark>`
+        : part
+    )
+    .join("");
+  return `${start > 0 ? "… " : ""}${body}${end < text.length ? " …" : ""}`;
+}
+
+module.exports = {
+  htmlToText,
+  escapeLike,
+  storedForms,
+  containsQuery,
+  buildSnippet,
+};
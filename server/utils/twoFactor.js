@@ -0,0 +1,182 @@
+// server/utils/twoFactor.js
+// TOTP (RFC 6238) second factor and one-time recovery codes for staff logins.
+const crypto = require("crypto");
+const { Setting } = require("../models");
+
+const ISSUER = "Knife Throwing Federation";
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Accept the neighbouring steps too, for clocks that drift a little
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const REQUIRE_FOR_ADMINS_KEY = "requireAdminTwoFactor";
+// Purposes of the intermediate tokens handed out after the password step
+const TWO_FACTOR_LOGIN = "two-factor-login";
+const TWO_FACTOR_SETUP = "two-factor-setup";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.replace(/[\s=]/g, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/** @returns {string} A new random base32 secret (160 bits). */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP code for one time step (RFC 4226 dynamic truncation).
+ * @returns {string} Zero-padded code.
+ */
+function totpCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, "0");
+}
+
+/**
+ * Checks a code against the secret around the current time.
+ * @param {number|null} lastUsedStep - Steps up to this one are rejected, so a
+ *   code can't be replayed.
+ * @returns {number|null} The matching time step, or null.
+ */
+function verifyTotp(secret, code, lastUsedStep = null, now = Date.now()) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d+$/.test(normalized)) return null;
+  const step = currentStep(now);
+  for (
+    let drift = -ALLOWED_DRIFT_STEPS;
+    drift <= ALLOWED_DRIFT_STEPS;
+    drift++
+  ) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = totpCode(secret, candidate);
+    if (
+      expected.length === normalized.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/** otpauth:// URI for authenticator apps (what the QR code encodes). */
+function otpauthUrl(secret, username) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough to store them
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code || "")
+        .replace(/[\s-]/g, "")
+        .toLowerCase()
+    )
+    .digest("hex");
+
+/**
+ * @returns {{codes: string[], hashes: string[]}} Plain codes to show once,
+ *   and the hashes to store.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Verifies a login's second factor and consumes it: the TOTP step is
+ * remembered and a recovery code is removed. Saves the user on success.
+ * @param {User} user - With two-factor authentication enabled.
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {Promise<boolean>}
+ */
+async function consumeSecondFactor(user, { code, recoveryCode }, options = {}) {
+  if (code) {
+    const step = verifyTotp(
+      user.twoFactorSecret,
+      code,
+      user.twoFactorLastUsedStep
+    );
+    if (step === null) return false;
+    user.twoFactorLastUsedStep = step;
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactorRecoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+    user.twoFactorRecoveryCodes = remaining.filter((h) => h !== hash);
+  } else {
+    return false;
+  }
+  await user.save(options);
+  return true;
+}
+
+/** @returns {Promise<boolean>} Whether admins must use two-factor login. */
+async function isRequiredForAdmins(options = {}) {
+  return Boolean(
+    await Setting.getValue(REQUIRE_FOR_ADMINS_KEY, false, options)
+  );
+}
+
+/** @returns {Promise<boolean>} Whether this user may not log in without it. */
+async function isRequiredFor(user, options = {}) {
+  return user.role === "admin" && (await isRequiredForAdmins(options));
+}
+
+module.exports = {
+  REQUIRE_FOR_ADMINS_KEY,
+  TWO_FACTOR_LOGIN,
+  TWO_FACTOR_SETUP,
+  generateSecret,
+  totpCode,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+  isRequiredForAdmins,
+  isRequiredFor,
+};